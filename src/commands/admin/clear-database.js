@@ -14,6 +14,8 @@ const { createInfoEmbed, createWarningEmbed, createSuccessEmbed, createErrorEmbe
 const { logger } = require('../../utils/logger');
 const { sequelize } = require('../../database/db');
 const { safeReply } = require('../../utils/interactionUtils');
+const { isSearchShadowTable } = require('../../utils/search');
+const { clearStoredAttachments } = require('../../utils/attachments');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -280,6 +282,8 @@ module.exports = {
           try {
             // Delete all modmail threads
             await client.db.ModmailThread.destroy({ where: {} });
+            await client.db.ModmailMessage.destroy({ where: {} });
+            await clearStoredAttachments(client);
             await i.update({
               embeds: [createSuccessEmbed(`Successfully deleted all ${count} modmail threads.`)],
               components: []
@@ -325,7 +329,8 @@ module.exports = {
         { type: sequelize.QueryTypes.SELECT }
       );
       
-      const tables = tableResults.map(result => result.name);
+      // The search index's shadow tables are emptied through the index itself
+      const tables = tableResults.map(result => result.name).filter(name => !isSearchShadowTable(name));
       
       // Create confirmation buttons
       const confirmRow = new ActionRowBuilder()
@@ -500,6 +505,8 @@ module.exports = {
           
           // Delete all modmail threads
           await client.db.ModmailThread.destroy({ where: {} });
+          await client.db.ModmailMessage.destroy({ where: {} });
+          await clearStoredAttachments(client);
           await interaction.update({
             embeds: [createSuccessEmbed(`Successfully deleted all ${count} modmail threads.`)],
             components: []
@@ -538,7 +545,8 @@ module.exports = {
             { type: sequelize.QueryTypes.SELECT }
           );
           
-          const tables = tableResults.map(result => result.name);
+          // Writing to the search index's shadow tables directly would corrupt it
+          const tables = tableResults.map(result => result.name).filter(name => !isSearchShadowTable(name));
           
           // Clear each table using TRUNCATE (for SQLite this is DELETE FROM)
           for (const table of tables) {
@@ -4,6 +4,127 @@
  */
 const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
 const { createSuccessEmbed, createErrorEmbed, createInfoEmbed } = require('../../utils/embedBuilder');
+const { DEFAULT_ANONYMOUS_REPLY_PREFIX, DEFAULT_ANONYMOUS_TITLE, DEFAULT_BLOCKED_MESSAGE, DEFAULT_REPLY_PREFIX, MAX_CATEGORY_CHANNELS, MAX_INTAKE_QUESTIONS, MAX_TOPICS, clearPrefixReplySettings, processModmailQueue } = require('../../utils/modmail');
+const { getTranscriptRetentionDays } = require('../../utils/transcripts');
+const { formatSize, getAttachmentSettings, parseExtensions } = require('../../utils/attachments');
+const { MAX_TEMPLATE_LENGTH, MESSAGE_TEMPLATES, renderMessageTemplate } = require('../../utils/messageTemplates');
+const { DEFAULT_RATE_LIMIT } = require('../../utils/rateLimit');
+const { formatDuration, parseDuration } = require('../../utils/duration');
+const { DEFAULT_AWAY_MESSAGE, formatSchedule, isValidDate, isValidTimezone, isWithinBusinessHours, parseSchedule } = require('../../utils/businessHours');
+const { DEFAULT_NOTIFICATIONS, MAX_NOTIFICATION_TARGETS, parseQuietHours } = require('../../utils/notifications');
+
+// Permissions the bot needs in a category to create and run thread channels
+const REQUIRED_CATEGORY_PERMISSIONS = [
+  'ViewChannel',
+  'ManageChannels',
+  'SendMessages',
+  'EmbedLinks',
+  'AttachFiles',
+  'ReadMessageHistory',
+  'AddReactions'
+];
+
+// Permissions the bot needs in a forum to create posts, manage tags and lock closed posts
+const REQUIRED_FORUM_PERMISSIONS = [
+  ...REQUIRED_CATEGORY_PERMISSIONS,
+  'ManageThreads',
+  'SendMessagesInThreads'
+];
+
+// Choices for the template option of /modmail-setup messages
+const TEMPLATE_CHOICES = Object.entries(MESSAGE_TEMPLATES).map(([value, template]) => ({ name: template.label, value }));
+
+/**
+ * Describe a guild's notification settings, one setting per line
+ * @param {Object} notifications - Notification settings merged over the defaults
+ * @returns {string}
+ */
+function formatNotifications(notifications) {
+  const targets = [...notifications.roleIds.map(id => `<@&${id}>`), ...notifications.userIds.map(id => `<@${id}>`)];
+  const replies = {
+    idle: `When the thread was quiet for ${notifications.idleMinutes} minute(s)`,
+    every: 'Every reply',
+    off: 'Off'
+  };
+  
+  return `**Pinged:** ${targets.length > 0 ? targets.join(' ') : 'Nobody'}\n` +
+    `**New Threads:** ${notifications.newThreads ? 'On' : 'Off'}\n` +
+    `**User Replies:** ${replies[notifications.replies]}\n` +
+    `**Minimum Gap:** ${notifications.cooldownMinutes} minute(s) between pings in a thread\n` +
+    `**Quiet Hours:** ${notifications.quietHours ? `${notifications.quietHours.start}-${notifications.quietHours.end} (${notifications.quietHours.timezone})` : 'Off'}\n` +
+    '*Topics that ping their staff role still do so for every new thread, even in quiet hours.*';
+}
+
+/**
+ * Get the permissions the bot is missing in a category or forum
+ * @param {CategoryChannel|ForumChannel} category - The category or forum to check
+ * @param {Client} client - Discord client
+ * @returns {Array<string>} - Names of the missing permissions
+ */
+function getMissingCategoryPermissions(category, client) {
+  const botMember = category.guild.members.cache.get(client.user.id);
+  const botPermissions = category.permissionsFor(botMember);
+  const requiredPermissions = category.type === ChannelType.GuildForum ? REQUIRED_FORUM_PERMISSIONS : REQUIRED_CATEGORY_PERMISSIONS;
+  
+  return requiredPermissions.filter(perm => !botPermissions.has(perm));
+}
+
+/**
+ * Make a category or forum private but accessible by the staff role and the bot
+ * @param {CategoryChannel|ForumChannel} category - The category or forum to set up
+ * @param {Role} staffRole - Role that handles threads in the category
+ * @param {Client} client - Discord client
+ */
+async function setupCategoryPermissions(category, staffRole, client) {
+  try {
+    // Remove view permission for @everyone
+    await category.permissionOverwrites.edit(category.guild.roles.everyone, {
+      ViewChannel: false
+    });
+    
+    // Add permissions for the staff role
+    await category.permissionOverwrites.edit(staffRole, {
+      ViewChannel: true,
+      SendMessages: true,
+      ReadMessageHistory: true,
+      ManageMessages: true,
+      SendMessagesInThreads: true
+    });
+    
+    // Ensure bot has permissions
+    await category.permissionOverwrites.edit(client.user.id, {
+      ViewChannel: true,
+      SendMessages: true,
+      ReadMessageHistory: true,
+      ManageChannels: true,
+      ManageThreads: true,
+      SendMessagesInThreads: true,
+      EmbedLinks: true,
+      AttachFiles: true
+    });
+    
+  } catch (error) {
+    console.error('Error setting permissions:', error);
+    // Continue anyway, as this isn't critical
+  }
+}
+
+/**
+ * Describe a topic's settings for setup replies
+ * @param {ModmailTopic} topic - The topic to describe
+ * @returns {string}
+ */
+function formatTopic(topic) {
+  const welcome = topic.welcomeMessage
+    ? (topic.welcomeMessage.length > 100 ? `${topic.welcomeMessage.substring(0, 100)}…` : topic.welcomeMessage)
+    : 'None';
+  
+  return `**Category:** <#${topic.categoryId}>\n` +
+    `**Staff Role:** <@&${topic.staffRoleId}>\n` +
+    `**Ping on New Thread:** ${topic.pingStaff ? 'On' : 'Off'}\n` +
+    (topic.description ? `**Description:** ${topic.description}\n` : '') +
+    `**Welcome Message:** ${welcome}`;
+}
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -14,17 +135,32 @@ module.exports = {
       subcommand
         .setName('enable')
         .setDescription('Enable the modmail system')
-        .addChannelOption(option => 
-          option.setName('category')
-            .setDescription('Category where modmail threads will be created')
-            .setRequired(true)
-            .addChannelTypes(ChannelType.GuildCategory)
-        )
         .addRoleOption(option => 
           option.setName('staff_role')
             .setDescription('Role that can view and respond to modmail threads')
             .setRequired(true)
         )
+        .addStringOption(option => 
+          option.setName('mode')
+            .setDescription('Whether threads are channels in a category or posts in a forum (default: channels)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Channels', value: 'channels' },
+              { name: 'Forum', value: 'forum' }
+            )
+        )
+        .addChannelOption(option => 
+          option.setName('category')
+            .setDescription('Category where modmail threads will be created (channels mode)')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildCategory)
+        )
+        .addChannelOption(option => 
+          option.setName('forum')
+            .setDescription('Forum where modmail posts will be created (forum mode)')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildForum)
+        )
         .addChannelOption(option => 
           option.setName('log_channel')
             .setDescription('Channel where modmail logs will be sent')
@@ -41,6 +177,499 @@ module.exports = {
       subcommand
         .setName('status')
         .setDescription('Check the current status of the modmail system')
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('anonymous')
+        .setDescription('Configure anonymous staff replies')
+        .addBooleanOption(option => 
+          option.setName('default')
+            .setDescription('Whether staff replies are sent anonymously by default')
+            .setRequired(true)
+        )
+        .addStringOption(option => 
+          option.setName('role_title')
+            .setDescription('Name shown to users on anonymous replies (default: Staff Team)')
+            .setRequired(false)
+            .setMaxLength(64)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('assignment')
+        .setDescription('Configure thread claiming and assignment')
+        .addBooleanOption(option => 
+          option.setName('assignee_only')
+            .setDescription('Only let the assignee and administrators reply to assigned threads')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('blocked-message')
+        .setDescription('Set the message sent to blocked users')
+        .addStringOption(option => 
+          option.setName('message')
+            .setDescription('Message to send, supports {user} and {guild} (resets to the default if omitted)')
+            .setRequired(false)
+            .setMaxLength(1500)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('transcripts')
+        .setDescription('Configure how long archived transcripts are kept')
+        .addIntegerOption(option => 
+          option.setName('retention_days')
+            .setDescription('Days to keep archived transcripts (0 keeps them forever)')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(3650)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('attachments')
+        .setDescription('Configure the attachment store quota and blocked file types')
+        .addIntegerOption(option => 
+          option.setName('quota_mb')
+            .setDescription('Megabytes of attachments to store for this server (0 stores nothing)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(100000)
+        )
+        .addStringOption(option => 
+          option.setName('blocked_extensions')
+            .setDescription('File extensions that are never relayed, such as "exe, bat" ("none" to allow all)')
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('ratelimit')
+        .setDescription('Limit how fast a user\'s messages are relayed into their thread')
+        .addBooleanOption(option => 
+          option.setName('enabled')
+            .setDescription('Whether incoming messages are rate limited')
+            .setRequired(true)
+        )
+        .addIntegerOption(option => 
+          option.setName('burst')
+            .setDescription(`Messages relayed straight away before the limit applies (default: ${DEFAULT_RATE_LIMIT.burst})`)
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(50)
+        )
+        .addIntegerOption(option => 
+          option.setName('refill_seconds')
+            .setDescription(`Seconds until another message can be relayed (default: ${DEFAULT_RATE_LIMIT.refillSeconds})`)
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(3600)
+        )
+        .addStringOption(option => 
+          option.setName('mode')
+            .setDescription('What happens to messages past the limit (default: batch)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Batch them into one "N more messages" relay', value: 'batch' },
+              { name: 'Hold them and warn the user', value: 'hold' }
+            )
+        )
+        .addIntegerOption(option => 
+          option.setName('notice_after')
+            .setDescription(`Times the limit is hit within 10 minutes before staff are told (0 never, default: ${DEFAULT_RATE_LIMIT.noticeAfter})`)
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(50)
+        )
+        .addIntegerOption(option => 
+          option.setName('auto_block_after')
+            .setDescription('Times the limit is hit within 10 minutes before the user is blocked (0 never, default: 0)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(50)
+        )
+        .addStringOption(option => 
+          option.setName('auto_block_duration')
+            .setDescription('How long automatic blocks last, such as 12h or 7d ("permanent" for no expiry, default: 1d)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('prefix')
+        .setDescription('Let staff reply by typing in the thread channel with a prefix')
+        .addBooleanOption(option => 
+          option.setName('enabled')
+            .setDescription('Whether prefixed messages in thread channels are sent to the user')
+            .setRequired(true)
+        )
+        .addStringOption(option => 
+          option.setName('reply_prefix')
+            .setDescription(`Prefix for replies (default: ${DEFAULT_REPLY_PREFIX})`)
+            .setRequired(false)
+            .setMaxLength(10)
+        )
+        .addStringOption(option => 
+          option.setName('anonymous_prefix')
+            .setDescription(`Prefix for anonymous replies (default: ${DEFAULT_ANONYMOUS_REPLY_PREFIX})`)
+            .setRequired(false)
+            .setMaxLength(10)
+        )
+        .addBooleanOption(option => 
+          option.setName('delete_original')
+            .setDescription('Delete the typed message once the reply is echoed (default: true)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('sla')
+        .setDescription('Set response time targets reported by /modmail-stats sla')
+        .addStringOption(option => 
+          option.setName('first_response')
+            .setDescription('Target time to the first staff reply, such as 30m or 4h ("off" to remove)')
+            .setRequired(false)
+        )
+        .addStringOption(option => 
+          option.setName('resolution')
+            .setDescription('Target time to close a thread, such as 1d or 2d12h ("off" to remove)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand => {
+      subcommand
+        .setName('form')
+        .setDescription('Set up to five questions users answer before a thread is opened')
+        .addBooleanOption(option => 
+          option.setName('clear')
+            .setDescription('Remove all questions')
+            .setRequired(false)
+        );
+      
+      for (let i = 1; i <= MAX_INTAKE_QUESTIONS; i++) {
+        subcommand.addStringOption(option => 
+          option.setName(`question_${i}`)
+            .setDescription(`Question ${i}, e.g. "What is this about?"`)
+            .setRequired(false)
+            .setMaxLength(45)
+        );
+      }
+      
+      return subcommand;
+    })
+    .addSubcommandGroup(group => 
+      group
+        .setName('topic')
+        .setDescription('Manage the topics users pick from when opening a thread')
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('add')
+            .setDescription('Add a topic with its own category and staff role')
+            .addStringOption(option => 
+              option.setName('name')
+                .setDescription('Name shown to users, e.g. "Ban Appeal"')
+                .setRequired(true)
+                .setMaxLength(50)
+            )
+            .addChannelOption(option => 
+              option.setName('category')
+                .setDescription('Category where threads for this topic will be created')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildCategory)
+            )
+            .addRoleOption(option => 
+              option.setName('staff_role')
+                .setDescription('Role that handles threads for this topic')
+                .setRequired(true)
+            )
+            .addStringOption(option => 
+              option.setName('description')
+                .setDescription('Short description shown in the topic menu')
+                .setRequired(false)
+                .setMaxLength(100)
+            )
+            .addBooleanOption(option => 
+              option.setName('ping')
+                .setDescription('Ping the staff role when a thread is opened (default: off)')
+                .setRequired(false)
+            )
+            .addStringOption(option => 
+              option.setName('welcome')
+                .setDescription('Message sent to the user when a thread is opened, supports {user} and {guild}')
+                .setRequired(false)
+                .setMaxLength(1500)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('edit')
+            .setDescription('Change an existing topic')
+            .addStringOption(option => 
+              option.setName('name')
+                .setDescription('The topic to edit')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addStringOption(option => 
+              option.setName('new_name')
+                .setDescription('New name for the topic')
+                .setRequired(false)
+                .setMaxLength(50)
+            )
+            .addChannelOption(option => 
+              option.setName('category')
+                .setDescription('Category where threads for this topic will be created')
+                .setRequired(false)
+                .addChannelTypes(ChannelType.GuildCategory)
+            )
+            .addRoleOption(option => 
+              option.setName('staff_role')
+                .setDescription('Role that handles threads for this topic')
+                .setRequired(false)
+            )
+            .addStringOption(option => 
+              option.setName('description')
+                .setDescription('Short description shown in the topic menu')
+                .setRequired(false)
+                .setMaxLength(100)
+            )
+            .addBooleanOption(option => 
+              option.setName('ping')
+                .setDescription('Ping the staff role when a thread is opened')
+                .setRequired(false)
+            )
+            .addStringOption(option => 
+              option.setName('welcome')
+                .setDescription('Message sent to the user when a thread is opened, supports {user} and {guild}')
+                .setRequired(false)
+                .setMaxLength(1500)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('remove')
+            .setDescription('Remove a topic')
+            .addStringOption(option => 
+              option.setName('name')
+                .setDescription('The topic to remove')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('list')
+            .setDescription('List the topics in this server')
+        )
+    )
+    .addSubcommandGroup(group => 
+      group
+        .setName('overflow')
+        .setDescription('Manage categories used when the modmail category is full')
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('add')
+            .setDescription('Add an overflow category')
+            .addChannelOption(option => 
+              option.setName('category')
+                .setDescription('Category to use once the others are full')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildCategory)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('remove')
+            .setDescription('Remove an overflow category')
+            .addChannelOption(option => 
+              option.setName('category')
+                .setDescription('The overflow category to remove')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildCategory)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('list')
+            .setDescription('List the modmail categories and how full they are')
+        )
+    )
+    .addSubcommandGroup(group => 
+      group
+        .setName('hours')
+        .setDescription('Set business hours and the away message sent outside them')
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('set')
+            .setDescription('Turn on business hours')
+            .addStringOption(option => 
+              option.setName('timezone')
+                .setDescription('Timezone of the schedule, such as Europe/Amsterdam or America/New_York')
+                .setRequired(true)
+            )
+            .addStringOption(option => 
+              option.setName('schedule')
+                .setDescription('Weekly schedule, such as "mon-fri 09:00-17:00, sat 10:00-14:00"')
+                .setRequired(true)
+            )
+            .addStringOption(option => 
+              option.setName('away_message')
+                .setDescription('Message sent outside business hours (supports {user} and {guild})')
+                .setRequired(false)
+                .setMaxLength(2000)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('off')
+            .setDescription('Turn off business hours and the away message')
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('holiday-add')
+            .setDescription('Mark a date as a holiday with no business hours')
+            .addStringOption(option => 
+              option.setName('date')
+                .setDescription('Date in YYYY-MM-DD format')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('holiday-remove')
+            .setDescription('Remove a holiday')
+            .addStringOption(option => 
+              option.setName('date')
+                .setDescription('Date in YYYY-MM-DD format')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('show')
+            .setDescription('Show the business hours, holidays and away message')
+        )
+    )
+    .addSubcommandGroup(group => 
+      group
+        .setName('messages')
+        .setDescription('Customize the messages users receive')
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('set')
+            .setDescription('Replace one of the messages users receive')
+            .addStringOption(option => 
+              option.setName('template')
+                .setDescription('The message to replace')
+                .setRequired(true)
+                .addChoices(...TEMPLATE_CHOICES)
+            )
+            .addStringOption(option => 
+              option.setName('text')
+                .setDescription('New text, supports {user}, {user_mention} and {guild} ("off" turns off welcome and reminder)')
+                .setRequired(true)
+                .setMaxLength(MAX_TEMPLATE_LENGTH)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('reset')
+            .setDescription('Go back to the default text of a message')
+            .addStringOption(option => 
+              option.setName('template')
+                .setDescription('The message to reset')
+                .setRequired(true)
+                .addChoices(...TEMPLATE_CHOICES)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('preview')
+            .setDescription('Show the messages as users will see them')
+            .addStringOption(option => 
+              option.setName('template')
+                .setDescription('Only preview this message')
+                .setRequired(false)
+                .addChoices(...TEMPLATE_CHOICES)
+            )
+        )
+    )
+    .addSubcommandGroup(group => 
+      group
+        .setName('notifications')
+        .setDescription('Choose who is pinged about new threads and user replies')
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('add')
+            .setDescription('Ping a role or user about new threads and replies')
+            .addMentionableOption(option => 
+              option.setName('target')
+                .setDescription('The role or user to ping')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('remove')
+            .setDescription('Stop pinging a role or user')
+            .addMentionableOption(option => 
+              option.setName('target')
+                .setDescription('The role or user to stop pinging')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('set')
+            .setDescription('Choose when pings are sent')
+            .addBooleanOption(option => 
+              option.setName('new_threads')
+                .setDescription('Ping when a thread is opened (default: on)')
+                .setRequired(false)
+            )
+            .addStringOption(option => 
+              option.setName('replies')
+                .setDescription('Ping when a user replies (default: only in quiet threads)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Only when the thread was quiet', value: 'idle' },
+                  { name: 'Every reply', value: 'every' },
+                  { name: 'Never', value: 'off' }
+                )
+            )
+            .addIntegerOption(option => 
+              option.setName('idle_minutes')
+                .setDescription(`Minutes without messages before a reply pings (default: ${DEFAULT_NOTIFICATIONS.idleMinutes})`)
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(10080)
+            )
+            .addIntegerOption(option => 
+              option.setName('cooldown_minutes')
+                .setDescription(`Minimum minutes between two pings in the same thread (default: ${DEFAULT_NOTIFICATIONS.cooldownMinutes})`)
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(1440)
+            )
+            .addStringOption(option => 
+              option.setName('quiet_hours')
+                .setDescription('Times the notification targets are not pinged, such as "22:00-07:00" ("off" to ping at any time)')
+                .setRequired(false)
+            )
+            .addStringOption(option => 
+              option.setName('timezone')
+                .setDescription('Timezone of the quiet hours (default: the business hours timezone or UTC)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand => 
+          subcommand
+            .setName('show')
+            .setDescription('Show who is pinged and when')
+        )
     ),
   
   cooldown: 5,
@@ -49,6 +678,7 @@ module.exports = {
     // Defer the reply as this might take a moment
     await interaction.deferReply();
     
+    const subcommandGroup = interaction.options.getSubcommandGroup(false);
     const subcommand = interaction.options.getSubcommand();
     
     // Get or create guild settings using proper format
@@ -61,6 +691,26 @@ module.exports = {
     });
     
     try {
+      if (subcommandGroup === 'topic') {
+        return await this.handleTopic(interaction, client, subcommand);
+      }
+      
+      if (subcommandGroup === 'overflow') {
+        return await this.handleOverflow(interaction, client, guildSettings, subcommand);
+      }
+      
+      if (subcommandGroup === 'hours') {
+        return await this.handleHours(interaction, client, guildSettings, subcommand);
+      }
+      
+      if (subcommandGroup === 'messages') {
+        return await this.handleMessages(interaction, client, guildSettings, subcommand);
+      }
+      
+      if (subcommandGroup === 'notifications') {
+        return await this.handleNotifications(interaction, client, guildSettings, subcommand);
+      }
+      
       switch (subcommand) {
         case 'enable':
           await this.handleEnable(interaction, client, guildSettings);
@@ -71,50 +721,98 @@ module.exports = {
         case 'status':
           await this.handleStatus(interaction, client, guildSettings);
           break;
+        case 'anonymous':
+          await this.handleAnonymous(interaction, client, guildSettings);
+          break;
+        case 'assignment':
+          await this.handleAssignment(interaction, client, guildSettings);
+          break;
+        case 'blocked-message':
+          await this.handleBlockedMessage(interaction, client, guildSettings);
+          break;
+        case 'transcripts':
+          await this.handleTranscripts(interaction, client, guildSettings);
+          break;
+        case 'attachments':
+          await this.handleAttachments(interaction, client, guildSettings);
+          break;
+        case 'form':
+          await this.handleForm(interaction, client, guildSettings);
+          break;
+        case 'ratelimit':
+          await this.handleRateLimit(interaction, client, guildSettings);
+          break;
+        case 'prefix':
+          await this.handlePrefix(interaction, client, guildSettings);
+          break;
+        case 'sla':
+          await this.handleSla(interaction, client, guildSettings);
+          break;
       }
     } catch (error) {
       console.error('Error in modmail-setup command:', error);
       await interaction.editReply({
-        embeds: [createErrorEmbed(`Failed to ${subcommand} modmail: ${error.message}`)]
+        embeds: [createErrorEmbed(`Failed to ${subcommand} modmail${subcommandGroup ? ` ${subcommandGroup}` : ''}: ${error.message}`)]
       });
+    } finally {
+      // Prefix replies are checked against cached settings, which may be out of date now
+      clearPrefixReplySettings(interaction.guild.id);
     }
   },
   
+  async autocomplete(interaction, client) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const topics = await client.db.ModmailTopic.findGuildTopics(interaction.guild.id);
+    
+    await interaction.respond(
+      topics
+        .filter(topic => topic.name.toLowerCase().startsWith(focused))
+        .slice(0, 25)
+        .map(topic => ({ name: topic.name, value: topic.name }))
+    );
+  },
+  
   async handleEnable(interaction, client, guildSettings) {
+    const mode = interaction.options.getString('mode') || 'channels';
     const category = interaction.options.getChannel('category');
+    const forum = interaction.options.getChannel('forum');
     const staffRole = interaction.options.getRole('staff_role');
     const logChannel = interaction.options.getChannel('log_channel');
     
-    // Check permissions in the category
-    const botMember = interaction.guild.members.cache.get(client.user.id);
-    const botPermissions = category.permissionsFor(botMember);
+    if (mode === 'forum' ? !forum : !category) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(
+          mode === 'forum'
+            ? 'Pick a `forum` for modmail posts when using forum mode.\n\nExample: `/modmail-setup enable staff_role: mode:Forum forum:`'
+            : 'Pick a `category` for modmail channels, otherwise threads have nowhere to go.\n\nExample: `/modmail-setup enable staff_role: category:`',
+          'Missing Option'
+        )]
+      });
+    }
     
-    const requiredPermissions = [
-      'ViewChannel',
-      'ManageChannels',
-      'SendMessages',
-      'EmbedLinks',
-      'AttachFiles',
-      'ReadMessageHistory',
-      'AddReactions'
-    ];
+    // Threads are created in the category or the forum, depending on the mode
+    const parent = mode === 'forum' ? forum : category;
     
-    const missingPermissions = requiredPermissions.filter(perm => !botPermissions.has(perm));
+    // Check permissions in the category or forum
+    const missingPermissions = getMissingCategoryPermissions(parent, client);
     
     if (missingPermissions.length > 0) {
       return interaction.editReply({
         embeds: [createErrorEmbed(
-          `I'm missing the following required permissions in the category: ${missingPermissions.join(', ')}`,
+          `I'm missing the following required permissions in the ${mode === 'forum' ? 'forum' : 'category'}: ${missingPermissions.join(', ')}`,
           'Missing Permissions'
         )]
       });
     }
     
     // Update both settings JSON and dedicated column
+    // The category is kept in forum mode so switching back doesn't need it again
     await guildSettings.updateSettings({
       modmail: {
         enabled: true,
-        categoryId: category.id,
+        mode,
+        categoryId: category ? category.id : guildSettings.getSetting('modmail.categoryId') || null,
+        forumChannelId: forum ? forum.id : guildSettings.getSetting('modmail.forumChannelId') || null,
         staffRoleId: staffRole.id,
         logChannelId: logChannel ? logChannel.id : null
       }
@@ -122,47 +820,21 @@ module.exports = {
     
     // Also update the dedicated column to keep them in sync
     guildSettings.modmailEnabled = true;
-    guildSettings.modmailCategoryId = category.id;
+    if (category) guildSettings.modmailCategoryId = category.id;
     await guildSettings.save();
     
     // Make sure settings are synchronized
     await guildSettings.syncModmailSettings();
     
-    // Set category permissions to be private but accessible by staff role
-    try {
-      // Remove view permission for @everyone
-      await category.permissionOverwrites.edit(interaction.guild.roles.everyone, {
-        ViewChannel: false
-      });
-      
-      // Add permissions for the staff role
-      await category.permissionOverwrites.edit(staffRole, {
-        ViewChannel: true,
-        SendMessages: true,
-        ReadMessageHistory: true,
-        ManageMessages: true
-      });
-      
-      // Ensure bot has permissions
-      await category.permissionOverwrites.edit(client.user.id, {
-        ViewChannel: true,
-        SendMessages: true,
-        ReadMessageHistory: true,
-        ManageChannels: true,
-        EmbedLinks: true,
-        AttachFiles: true
-      });
-      
-    } catch (error) {
-      console.error('Error setting permissions:', error);
-      // Continue anyway, as this isn't critical
-    }
+    // Set category or forum permissions to be private but accessible by staff role
+    await setupCategoryPermissions(parent, staffRole, client);
     
     // Send success message
     await interaction.editReply({
       embeds: [createSuccessEmbed(
         `Modmail system enabled for this server!\n\n` +
-        `**Category:** ${category}\n` +
+        `**Mode:** ${mode === 'forum' ? 'Forum posts' : 'Channels'}\n` +
+        (mode === 'forum' ? `**Forum:** ${forum}\n` : `**Category:** ${category}\n`) +
         `**Staff Role:** ${staffRole}\n` +
         `**Log Channel:** ${logChannel ? logChannel : 'None set'}`,
         'Modmail Enabled'
@@ -257,64 +929,879 @@ module.exports = {
     }
   },
   
-  async handleStatus(interaction, client, guildSettings) {
-    // Check both JSON settings and dedicated column
-    const modmailSettings = guildSettings.getSetting('modmail') || {};
-    const jsonEnabled = modmailSettings.enabled === true;
-    const columnEnabled = guildSettings.modmailEnabled === true;
+  async handleAnonymous(interaction, client, guildSettings) {
+    const anonymousByDefault = interaction.options.getBoolean('default');
+    const roleTitle = interaction.options.getString('role_title');
     
-    // Log the values for debugging
-    console.log(`Guild ${interaction.guild.name} (${interaction.guild.id}) modmail enabled - JSON: ${jsonEnabled}, Column: ${columnEnabled}`);
+    const modmailUpdate = { anonymousByDefault };
+    if (roleTitle) {
+      modmailUpdate.anonymousTitle = roleTitle.trim();
+    }
     
-    // Check for inconsistencies and fix them if found
-    if (jsonEnabled !== columnEnabled) {
-      logger.info(`Found inconsistent modmail settings in guild ${interaction.guild.id} during status check. Fixing...`);
-      
-      // Try to synchronize settings
-      await guildSettings.syncModmailSettings();
-      
-      // Refresh settings after sync
-      const updatedSettings = guildSettings.getSetting('modmail') || {};
-      const updatedJsonEnabled = updatedSettings.enabled === true;
-      const updatedColumnEnabled = guildSettings.modmailEnabled === true;
+    await guildSettings.updateSettings({ modmail: modmailUpdate });
+    
+    const title = guildSettings.getSetting('modmail.anonymousTitle') || DEFAULT_ANONYMOUS_TITLE;
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `Staff replies are now **${anonymousByDefault ? 'anonymous' : 'named'}** by default.\n\n` +
+        `**Anonymous Title:** ${title}\n\n` +
+        'Staff can still choose per reply with the **Reply** and **Reply anonymously** buttons.',
+        'Anonymous Replies Updated'
+      )]
+    });
+  },
+  
+  async handleAssignment(interaction, client, guildSettings) {
+    const assigneeOnlyReplies = interaction.options.getBoolean('assignee_only');
+    
+    await guildSettings.updateSettings({ modmail: { assigneeOnlyReplies } });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        assigneeOnlyReplies
+          ? 'Only the assignee and administrators can now reply to assigned threads.'
+          : 'Any staff member can now reply to assigned threads.',
+        'Assignment Updated'
+      )]
+    });
+  },
+  
+  async handleBlockedMessage(interaction, client, guildSettings) {
+    const blockedMessage = interaction.options.getString('message');
+    
+    await guildSettings.updateSettings({ modmail: { blockedMessage: blockedMessage ? blockedMessage.trim() : null } });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `Blocked users will now see:\n\n>>> ${blockedMessage ? blockedMessage.trim() : DEFAULT_BLOCKED_MESSAGE}`,
+        'Blocked Message Updated'
+      )]
+    });
+  },
+  
+  async handleTranscripts(interaction, client, guildSettings) {
+    const retentionDays = interaction.options.getInteger('retention_days');
+    
+    await guildSettings.updateSettings({ modmail: { transcriptRetentionDays: retentionDays } });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        retentionDays > 0
+          ? `Archived transcripts will be deleted after **${retentionDays} day(s)**.`
+          : 'Archived transcripts will be kept forever.',
+        'Transcript Retention Updated'
+      )]
+    });
+  },
+  
+  async handleAttachments(interaction, client, guildSettings) {
+    const quotaMb = interaction.options.getInteger('quota_mb');
+    const blockedInput = interaction.options.getString('blocked_extensions');
+    const update = {};
+    
+    if (quotaMb !== null) {
+      update.quotaMb = quotaMb;
+    }
+    
+    if (blockedInput !== null) {
+      const blockedExtensions = blockedInput.trim().toLowerCase() === 'none' ? [] : parseExtensions(blockedInput);
       
-      // If still inconsistent or disabled, return disabled message
-      if (updatedJsonEnabled !== updatedColumnEnabled || (!updatedJsonEnabled || !updatedColumnEnabled)) {
+      if (blockedExtensions.length === 0 && blockedInput.trim().toLowerCase() !== 'none') {
         return interaction.editReply({
-          embeds: [createInfoEmbed(
-            'The modmail system is currently **disabled** for this server.\n\n' +
-            'Use `/modmail-setup enable` to set it up.\n\n' +
-            '⚠️ **Note:** There was an inconsistency in your modmail settings that has been fixed.',
-            'Modmail Status'
-          )]
+          embeds: [createErrorEmbed('No valid extensions were given. Use a list such as `exe, bat, scr`, or `none`.')]
         });
       }
       
-      // Otherwise, continue with enabled status (settings fixed)
-    } else if (!jsonEnabled || !columnEnabled) {
-      // Both settings are consistent but show disabled
-      return interaction.editReply({
-        embeds: [createInfoEmbed(
-          'The modmail system is currently **disabled** for this server.\n\n' +
-          'Use `/modmail-setup enable` to set it up.',
-          'Modmail Status'
-        )]
-      });
+      update.blockedExtensions = blockedExtensions;
     }
     
-    // Get current settings objects
-    const category = modmailSettings.categoryId ? 
-      await interaction.guild.channels.fetch(modmailSettings.categoryId).catch(() => null) : null;
+    if (Object.keys(update).length > 0) {
+      await guildSettings.updateSettings({ modmail: { attachments: update } });
+    }
     
-    const staffRole = modmailSettings.staffRoleId ?
-      await interaction.guild.roles.fetch(modmailSettings.staffRoleId).catch(() => null) : null;
+    const { quotaBytes, blockedExtensions } = await getAttachmentSettings(client, interaction.guild.id);
+    const usage = await client.db.ModmailAttachment.getGuildUsage(interaction.guild.id);
     
-    const logChannel = modmailSettings.logChannelId ?
-      await interaction.guild.channels.fetch(modmailSettings.logChannelId).catch(() => null) : null;
+    const description = 
+      `**Store Quota:** ${quotaBytes > 0 ? `${formatSize(usage)} of ${formatSize(quotaBytes)} used` : 'Off, attachments are relayed from Discord links'}
+` +
+      `**Blocked Extensions:** ${blockedExtensions.length > 0 ? blockedExtensions.map(extension => `\`.${extension}\``).join(', ') : 'None'}
+
+` +
+      'Files too large to upload are replaced by a note, and staff can retrieve them with `/modmail attachment`.';
     
-    // Get count of active threads
-    const activeThreadCount = await client.db.ModmailThread.count({
-      where: {
+    await interaction.editReply({
+      embeds: [Object.keys(update).length > 0
+        ? createSuccessEmbed(description, 'Attachments Updated')
+        : createInfoEmbed(description, 'Attachments')]
+    });
+  },
+  
+  async handleRateLimit(interaction, client, guildSettings) {
+    const current = { ...DEFAULT_RATE_LIMIT, ...(guildSettings.getSetting('modmail.rateLimit') || {}) };
+    const durationInput = interaction.options.getString('auto_block_duration');
+    let autoBlockDurationMs = current.autoBlockDurationMs;
+    
+    if (durationInput) {
+      autoBlockDurationMs = durationInput.trim().toLowerCase() === 'permanent' ? null : parseDuration(durationInput);
+      
+      if (autoBlockDurationMs === null && durationInput.trim().toLowerCase() !== 'permanent') {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`\`${durationInput}\` is not a valid duration. Use a format like \`12h\` or \`7d\`, or \`permanent\`.`)]
+        });
+      }
+    }
+    
+    const rateLimit = {
+      enabled: interaction.options.getBoolean('enabled'),
+      burst: interaction.options.getInteger('burst') ?? current.burst,
+      refillSeconds: interaction.options.getInteger('refill_seconds') ?? current.refillSeconds,
+      mode: interaction.options.getString('mode') || current.mode,
+      noticeAfter: interaction.options.getInteger('notice_after') ?? current.noticeAfter,
+      autoBlockAfter: interaction.options.getInteger('auto_block_after') ?? current.autoBlockAfter,
+      autoBlockDurationMs
+    };
+    
+    await guildSettings.updateSettings({ modmail: { rateLimit } });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        rateLimit.enabled
+          ? `Each user can send **${rateLimit.burst}** message(s) in a row, then one every **${rateLimit.refillSeconds}s**.\n\n` +
+            `**Past the Limit:** ${rateLimit.mode === 'hold' ? 'Messages are held and relayed one by one, and the user is warned' : 'Messages are collapsed into one "N more messages" relay'}\n` +
+            `**Staff Notice:** ${rateLimit.noticeAfter > 0 ? `Every ${rateLimit.noticeAfter} time(s) the limit is hit within 10 minutes` : 'Off'}\n` +
+            `**Auto-block:** ${rateLimit.autoBlockAfter > 0 ? `After ${rateLimit.autoBlockAfter} time(s) within 10 minutes, ${rateLimit.autoBlockDurationMs ? `for ${formatDuration(rateLimit.autoBlockDurationMs)}` : 'permanently'}` : 'Off'}`
+          : 'Incoming messages are no longer rate limited.',
+        'Rate Limit Updated'
+      )]
+    });
+  },
+  
+  async handlePrefix(interaction, client, guildSettings) {
+    const current = guildSettings.getSetting('modmail.prefixReplies') || {};
+    const enabled = interaction.options.getBoolean('enabled');
+    const replyPrefix = (interaction.options.getString('reply_prefix') || current.prefix || DEFAULT_REPLY_PREFIX).trim();
+    const anonymousPrefix = (interaction.options.getString('anonymous_prefix') || current.anonymousPrefix || DEFAULT_ANONYMOUS_REPLY_PREFIX).trim();
+    const deleteOriginal = interaction.options.getBoolean('delete_original') ?? current.deleteOriginal ?? true;
+    
+    if (!replyPrefix || !anonymousPrefix || /\s/.test(replyPrefix) || /\s/.test(anonymousPrefix)) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Prefixes cannot be empty or contain spaces.')]
+      });
+    }
+    
+    if (replyPrefix.toLowerCase() === anonymousPrefix.toLowerCase()) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('The reply and anonymous reply prefixes must be different.')]
+      });
+    }
+    
+    await guildSettings.updateSettings({
+      modmail: {
+        prefixReplies: {
+          enabled,
+          prefix: replyPrefix,
+          anonymousPrefix,
+          deleteOriginal
+        }
+      }
+    });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        enabled
+          ? `Staff can now reply by typing in a thread channel:\n\n` +
+            `\`${replyPrefix} message\` sends a reply${guildSettings.getSetting('modmail.anonymousByDefault') ? ' (anonymous by default)' : ''}\n` +
+            `\`${anonymousPrefix} message\` sends an anonymous reply\n\n` +
+            `Attachments are relayed too. The typed message is ${deleteOriginal ? 'deleted once the reply is echoed' : 'kept and marked with ✅'}. Messages without a prefix stay internal.`
+          : 'Prefix replies are off. Messages typed in thread channels stay internal.',
+        'Prefix Replies Updated'
+      )]
+    });
+  },
+  
+  async handleSla(interaction, client, guildSettings) {
+    const sla = guildSettings.getSetting('modmail.sla') || {};
+    const update = {};
+    
+    for (const [option, key] of [['first_response', 'firstResponseMs'], ['resolution', 'resolutionMs']]) {
+      const value = interaction.options.getString(option);
+      if (value === null) continue;
+      
+      if (value.trim().toLowerCase() === 'off') {
+        update[key] = null;
+        continue;
+      }
+      
+      const ms = parseDuration(value);
+      if (!ms) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`Invalid \`${option}\` target \`${value}\`. Use a duration such as \`30m\`, \`4h\` or \`1d12h\`, or \`off\`.`)]
+        });
+      }
+      
+      update[key] = ms;
+    }
+    
+    const targets = { ...sla, ...update };
+    const describeTargets = () => 
+      `**First Response:** ${targets.firstResponseMs ? formatDuration(targets.firstResponseMs) : 'No target'}\n` +
+      `**Resolution:** ${targets.resolutionMs ? formatDuration(targets.resolutionMs) : 'No target'}`;
+    
+    // Show the current targets when nothing was given
+    if (Object.keys(update).length === 0) {
+      return interaction.editReply({
+        embeds: [createInfoEmbed(describeTargets(), 'SLA Targets')]
+      });
+    }
+    
+    await guildSettings.updateSettings({ modmail: { sla: update } });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `${describeTargets()}\n\nUse \`/modmail-stats sla\` to see how threads measure up.`,
+        'SLA Targets Updated'
+      )]
+    });
+  },
+  
+  async handleForm(interaction, client, guildSettings) {
+    const questions = [];
+    for (let i = 1; i <= MAX_INTAKE_QUESTIONS; i++) {
+      const question = interaction.options.getString(`question_${i}`);
+      if (question && question.trim()) {
+        questions.push(question.trim());
+      }
+    }
+    
+    if (interaction.options.getBoolean('clear')) {
+      await guildSettings.updateSettings({ modmail: { intakeQuestions: [] } });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed('The intake form has been removed. New threads will open straight away.', 'Intake Form Cleared')]
+      });
+    }
+    
+    // Show the current form when no questions were given
+    if (questions.length === 0) {
+      const currentQuestions = guildSettings.getSetting('modmail.intakeQuestions') || [];
+      
+      return interaction.editReply({
+        embeds: [createInfoEmbed(
+          currentQuestions.length > 0
+            ? `Users answer these questions before a thread is opened:\n\n${currentQuestions.map((question, index) => `${index + 1}. ${question}`).join('\n')}`
+            : 'No intake form is set up. Add questions with the `question_1` to `question_5` options.',
+          'Intake Form'
+        )]
+      });
+    }
+    
+    await guildSettings.updateSettings({ modmail: { intakeQuestions: questions } });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `Users will answer these questions before a thread is opened:\n\n${questions.map((question, index) => `${index + 1}. ${question}`).join('\n')}\n\n` +
+        'The answers are shown in the **New Modmail Thread** message.',
+        'Intake Form Updated'
+      )]
+    });
+  },
+  
+  async handleTopic(interaction, client, subcommand) {
+    switch (subcommand) {
+      case 'add':
+        return this.handleTopicAdd(interaction, client);
+      case 'edit':
+        return this.handleTopicEdit(interaction, client);
+      case 'remove':
+        return this.handleTopicRemove(interaction, client);
+      case 'list':
+        return this.handleTopicList(interaction, client);
+    }
+  },
+  
+  async handleTopicAdd(interaction, client) {
+    const name = interaction.options.getString('name').trim();
+    const category = interaction.options.getChannel('category');
+    const staffRole = interaction.options.getRole('staff_role');
+    
+    if (await client.db.ModmailTopic.findByName(interaction.guild.id, name)) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`A topic named **${name}** already exists. Use \`/modmail-setup topic edit\` to change it.`)]
+      });
+    }
+    
+    const topicCount = await client.db.ModmailTopic.count({ where: { guildId: interaction.guild.id } });
+    
+    if (topicCount >= MAX_TOPICS) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`A server can have at most ${MAX_TOPICS} topics.`)]
+      });
+    }
+    
+    const missingPermissions = getMissingCategoryPermissions(category, client);
+    
+    if (missingPermissions.length > 0) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(
+          `I'm missing the following required permissions in the category: ${missingPermissions.join(', ')}`,
+          'Missing Permissions'
+        )]
+      });
+    }
+    
+    const topic = await client.db.ModmailTopic.create({
+      guildId: interaction.guild.id,
+      name,
+      description: interaction.options.getString('description'),
+      categoryId: category.id,
+      staffRoleId: staffRole.id,
+      pingStaff: interaction.options.getBoolean('ping') || false,
+      welcomeMessage: interaction.options.getString('welcome'),
+      createdBy: interaction.user.id
+    });
+    
+    // Only the topic's staff role should see its threads
+    await setupCategoryPermissions(category, staffRole, client);
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `Users can now pick **${topic.name}** when they open a thread.\n\n` +
+        formatTopic(topic),
+        'Topic Added'
+      )]
+    });
+  },
+  
+  async handleTopicEdit(interaction, client) {
+    const name = interaction.options.getString('name');
+    const topic = await client.db.ModmailTopic.findByName(interaction.guild.id, name);
+    
+    if (!topic) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`No topic named **${name}** was found.`)]
+      });
+    }
+    
+    const newName = interaction.options.getString('new_name');
+    const category = interaction.options.getChannel('category');
+    const staffRole = interaction.options.getRole('staff_role');
+    const description = interaction.options.getString('description');
+    const ping = interaction.options.getBoolean('ping');
+    const welcome = interaction.options.getString('welcome');
+    
+    if (newName && newName.trim().toLowerCase() !== topic.name.toLowerCase()) {
+      if (await client.db.ModmailTopic.findByName(interaction.guild.id, newName)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`A topic named **${newName.trim()}** already exists.`)]
+        });
+      }
+    }
+    
+    if (category) {
+      const missingPermissions = getMissingCategoryPermissions(category, client);
+      
+      if (missingPermissions.length > 0) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(
+            `I'm missing the following required permissions in the category: ${missingPermissions.join(', ')}`,
+            'Missing Permissions'
+          )]
+        });
+      }
+    }
+    
+    if (newName) topic.name = newName.trim();
+    if (category) topic.categoryId = category.id;
+    if (staffRole) topic.staffRoleId = staffRole.id;
+    if (description !== null) topic.description = description;
+    if (ping !== null) topic.pingStaff = ping;
+    if (welcome !== null) topic.welcomeMessage = welcome;
+    
+    await topic.save();
+    
+    // Keep the category private to the topic's staff role
+    if (category || staffRole) {
+      const topicCategory = category || await interaction.guild.channels.fetch(topic.categoryId).catch(() => null);
+      const topicRole = staffRole || await interaction.guild.roles.fetch(topic.staffRoleId).catch(() => null);
+      
+      if (topicCategory && topicRole) {
+        await setupCategoryPermissions(topicCategory, topicRole, client);
+      }
+    }
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(formatTopic(topic), 'Topic Updated')]
+    });
+  },
+  
+  async handleTopicRemove(interaction, client) {
+    const name = interaction.options.getString('name');
+    const topic = await client.db.ModmailTopic.findByName(interaction.guild.id, name);
+    
+    if (!topic) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`No topic named **${name}** was found.`)]
+      });
+    }
+    
+    await topic.destroy();
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `The **${topic.name}** topic has been removed. Existing threads keep their channels and still count towards it in \`/modmail-stats\`.`,
+        'Topic Removed'
+      )]
+    });
+  },
+  
+  async handleTopicList(interaction, client) {
+    const topics = await client.db.ModmailTopic.findGuildTopics(interaction.guild.id);
+    
+    if (topics.length === 0) {
+      return interaction.editReply({
+        embeds: [createInfoEmbed(
+          'No topics are set up. Threads are created in the default modmail category.\n\n' +
+          'Use `/modmail-setup topic add` to route threads to different categories and staff roles.',
+          'Modmail Topics'
+        )]
+      });
+    }
+    
+    const embed = createInfoEmbed(
+      `Users pick one of these ${topics.length} topic(s) when they open a thread:`,
+      'Modmail Topics'
+    );
+    
+    embed.addFields(topics.map(topic => ({
+      name: topic.name,
+      value: formatTopic(topic)
+    })));
+    
+    await interaction.editReply({ embeds: [embed] });
+  },
+  
+  async handleOverflow(interaction, client, guildSettings, subcommand) {
+    const overflowCategoryIds = guildSettings.getSetting('modmail.overflowCategoryIds') || [];
+    const category = interaction.options.getChannel('category');
+    
+    if (subcommand === 'add') {
+      if (category.id === guildSettings.getSetting('modmail.categoryId') || overflowCategoryIds.includes(category.id)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`${category} is already used for modmail threads.`)]
+        });
+      }
+      
+      const missingPermissions = getMissingCategoryPermissions(category, client);
+      
+      if (missingPermissions.length > 0) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(
+            `I'm missing the following required permissions in the category: ${missingPermissions.join(', ')}`,
+            'Missing Permissions'
+          )]
+        });
+      }
+      
+      await guildSettings.updateSettings({ modmail: { overflowCategoryIds: [...overflowCategoryIds, category.id] } });
+      
+      // Overflow threads are handled by the default staff role
+      const staffRoleId = guildSettings.getSetting('modmail.staffRoleId');
+      const staffRole = staffRoleId ? await interaction.guild.roles.fetch(staffRoleId).catch(() => null) : null;
+      
+      if (staffRole) {
+        await setupCategoryPermissions(category, staffRole, client);
+      }
+      
+      // Requests may be waiting for exactly this
+      const openedCount = await processModmailQueue(client, interaction.guild.id);
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(
+          `${category} will be used for new threads once the categories before it are full.\n\n` +
+          `**Order:** ${[guildSettings.getSetting('modmail.categoryId'), ...overflowCategoryIds, category.id].filter(Boolean).map(id => `<#${id}>`).join(' → ')}` +
+          (openedCount > 0 ? `\n\nOpened ${openedCount} queued thread(s).` : ''),
+          'Overflow Category Added'
+        )]
+      });
+    }
+    
+    if (subcommand === 'remove') {
+      if (!overflowCategoryIds.includes(category.id)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`${category} is not an overflow category.`)]
+        });
+      }
+      
+      await guildSettings.updateSettings({
+        modmail: { overflowCategoryIds: overflowCategoryIds.filter(id => id !== category.id) }
+      });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(
+          `${category} will no longer be used for new threads. Threads already in it are not affected.`,
+          'Overflow Category Removed'
+        )]
+      });
+    }
+    
+    // List every category with its usage
+    const categoryIds = [guildSettings.getSetting('modmail.categoryId'), ...overflowCategoryIds].filter(Boolean);
+    const lines = await Promise.all(categoryIds.map(async (id, index) => {
+      const listedCategory = await interaction.guild.channels.fetch(id).catch(() => null);
+      const label = index === 0 ? 'Default' : `Overflow ${index}`;
+      
+      return listedCategory
+        ? `**${label}:** ${listedCategory} (${listedCategory.children.cache.size}/${MAX_CATEGORY_CHANNELS} channels)`
+        : `**${label}:** Not found (was it deleted?)`;
+    }));
+    
+    const queue = await client.db.ModmailQueueEntry.findGuildQueue(interaction.guild.id);
+    
+    await interaction.editReply({
+      embeds: [createInfoEmbed(
+        (lines.length > 0 ? lines.join('\n') : 'No modmail category is set up.') +
+        `\n\n**Queued Requests:** ${queue.length}\n\n` +
+        'New threads go in the first category with a free slot. Topic categories are tried before these.',
+        'Modmail Categories'
+      )]
+    });
+  },
+  
+  async handleHours(interaction, client, guildSettings, subcommand) {
+    const hours = guildSettings.getSetting('modmail.businessHours') || {};
+    const holidays = hours.holidays || [];
+    
+    if (subcommand === 'set') {
+      const timezone = interaction.options.getString('timezone').trim();
+      const schedule = parseSchedule(interaction.options.getString('schedule'));
+      const awayMessage = interaction.options.getString('away_message');
+      
+      if (!isValidTimezone(timezone)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`\`${timezone}\` is not a known timezone. Use a name such as \`Europe/Amsterdam\` or \`UTC\`.`)]
+        });
+      }
+      
+      if (!schedule) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(
+            'Invalid schedule. List days or day ranges with one time window each, such as `mon-fri 09:00-17:00, sat 10:00-14:00`.'
+          )]
+        });
+      }
+      
+      // The whole schedule is replaced, holidays and the away message are kept unless given
+      await guildSettings.updateSettings({
+        modmail: {
+          businessHours: {
+            enabled: true,
+            timezone,
+            schedule,
+            holidays,
+            awayMessage: awayMessage || hours.awayMessage || null
+          }
+        }
+      });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(
+          `**Timezone:** ${timezone}\n` +
+          `**Schedule:** ${formatSchedule(schedule)}\n\n` +
+          'Users who write outside these hours get the away message once per away period, and their thread is marked as received out of hours.',
+          'Business Hours Set'
+        )]
+      });
+    }
+    
+    if (subcommand === 'off') {
+      await guildSettings.updateSettings({ modmail: { businessHours: { enabled: false } } });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed('Business hours are off. No away messages will be sent.', 'Business Hours Off')]
+      });
+    }
+    
+    if (subcommand === 'holiday-add' || subcommand === 'holiday-remove') {
+      const date = interaction.options.getString('date').trim();
+      
+      if (!isValidDate(date)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`\`${date}\` is not a valid date. Use the YYYY-MM-DD format.`)]
+        });
+      }
+      
+      if (subcommand === 'holiday-add') {
+        if (holidays.includes(date)) {
+          return interaction.editReply({
+            embeds: [createInfoEmbed(`${date} is already a holiday.`, 'No Action Needed')]
+          });
+        }
+        
+        await guildSettings.updateSettings({ modmail: { businessHours: { holidays: [...holidays, date].sort() } } });
+        
+        return interaction.editReply({
+          embeds: [createSuccessEmbed(`${date} is now a holiday. Users writing that day will get the away message.`, 'Holiday Added')]
+        });
+      }
+      
+      if (!holidays.includes(date)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`${date} is not a holiday.`)]
+        });
+      }
+      
+      await guildSettings.updateSettings({ modmail: { businessHours: { holidays: holidays.filter(holiday => holiday !== date) } } });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(`${date} is no longer a holiday.`, 'Holiday Removed')]
+      });
+    }
+    
+    // Show the current configuration
+    const upcomingHolidays = holidays.filter(date => date >= new Date().toISOString().slice(0, 10));
+    
+    await interaction.editReply({
+      embeds: [createInfoEmbed(
+        `**Business Hours:** ${hours.enabled ? 'On' : 'Off'}\n` +
+        (hours.schedule
+          ? `**Timezone:** ${hours.timezone}\n` +
+            `**Schedule:** ${formatSchedule(hours.schedule)}\n` +
+            (hours.enabled ? `**Right Now:** ${isWithinBusinessHours(hours) ? 'Open' : 'Away'}\n` : '')
+          : '') +
+        `**Upcoming Holidays:** ${upcomingHolidays.length > 0 ? upcomingHolidays.join(', ') : 'None'}\n\n` +
+        `**Away Message:**\n${hours.awayMessage || DEFAULT_AWAY_MESSAGE}`,
+        'Business Hours'
+      )]
+    });
+  },
+  
+  async handleMessages(interaction, client, guildSettings, subcommand) {
+    const key = interaction.options.getString('template');
+    
+    if (subcommand === 'set') {
+      const template = MESSAGE_TEMPLATES[key];
+      const text = interaction.options.getString('text').trim();
+      const off = text.toLowerCase() === 'off';
+      
+      if (off && !template.optional) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`The ${template.label.toLowerCase()} message cannot be turned off. Use \`reset\` to go back to the default text.`)]
+        });
+      }
+      
+      // An empty string marks an optional message as off
+      await guildSettings.updateSettings({ modmail: { messages: { [key]: off ? '' : text } } });
+    } else if (subcommand === 'reset') {
+      await guildSettings.updateSettings({ modmail: { messages: { [key]: null } } });
+    }
+    
+    // Render the templates with the staff member standing in for the user
+    const templates = guildSettings.getSetting('modmail.messages') || {};
+    const keys = key ? [key] : Object.keys(MESSAGE_TEMPLATES);
+    
+    const embeds = keys.map(templateKey => {
+      const rendered = renderMessageTemplate(templates, templateKey, {
+        user: interaction.user,
+        guild: interaction.guild,
+        reason: 'Example reason'
+      });
+      
+      return {
+        title: `${MESSAGE_TEMPLATES[templateKey].label}${typeof templates[templateKey] === 'string' ? ' (custom)' : ''}`,
+        description: rendered || '*Off*',
+        color: 0x5865F2, // Discord Blurple
+        footer: {
+          text: MESSAGE_TEMPLATES[templateKey].description
+        }
+      };
+    });
+    
+    const notes = {
+      set: `✅ The ${MESSAGE_TEMPLATES[key]?.label.toLowerCase()} message has been updated. This is how users will see it:`,
+      reset: `✅ The ${MESSAGE_TEMPLATES[key]?.label.toLowerCase()} message is back to the default text:`,
+      preview: 'This is how users will see these messages, with you as the user:'
+    };
+    
+    await interaction.editReply({
+      content: notes[subcommand],
+      embeds
+    });
+  },
+  
+  async handleNotifications(interaction, client, guildSettings, subcommand) {
+    const notifications = { ...DEFAULT_NOTIFICATIONS, ...(guildSettings.getSetting('modmail.notifications') || {}) };
+    
+    if (subcommand === 'add' || subcommand === 'remove') {
+      const { role, user } = interaction.options.get('target');
+      const key = role ? 'roleIds' : 'userIds';
+      const target = role || user;
+      const mention = role ? `<@&${role.id}>` : `<@${user.id}>`;
+      const current = notifications[key];
+      
+      if (subcommand === 'add') {
+        if (role && role.id === interaction.guild.id) {
+          return interaction.editReply({
+            embeds: [createErrorEmbed('@everyone can\'t be pinged about modmail threads. Pick a staff role instead.')]
+          });
+        }
+        
+        if (current.includes(target.id)) {
+          return interaction.editReply({
+            embeds: [createInfoEmbed(`${mention} is already pinged.`, 'No Action Needed')]
+          });
+        }
+        
+        if (notifications.roleIds.length + notifications.userIds.length >= MAX_NOTIFICATION_TARGETS) {
+          return interaction.editReply({
+            embeds: [createErrorEmbed(`At most ${MAX_NOTIFICATION_TARGETS} roles and users can be pinged. Remove one first.`)]
+          });
+        }
+        
+        await guildSettings.updateSettings({ modmail: { notifications: { [key]: [...current, target.id] } } });
+        
+        return interaction.editReply({
+          embeds: [createSuccessEmbed(`${mention} will be pinged about new threads and user replies.`, 'Notifications Updated')]
+        });
+      }
+      
+      if (!current.includes(target.id)) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`${mention} is not pinged.`)]
+        });
+      }
+      
+      await guildSettings.updateSettings({ modmail: { notifications: { [key]: current.filter(id => id !== target.id) } } });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(`${mention} will no longer be pinged.`, 'Notifications Updated')]
+      });
+    }
+    
+    if (subcommand === 'set') {
+      const quietHoursInput = interaction.options.getString('quiet_hours');
+      const timezoneInput = interaction.options.getString('timezone');
+      const update = {};
+      
+      for (const [option, key, getter] of [
+        ['new_threads', 'newThreads', 'getBoolean'],
+        ['replies', 'replies', 'getString'],
+        ['idle_minutes', 'idleMinutes', 'getInteger'],
+        ['cooldown_minutes', 'cooldownMinutes', 'getInteger']
+      ]) {
+        const value = interaction.options[getter](option);
+        if (value !== null) update[key] = value;
+      }
+      
+      if (timezoneInput && !isValidTimezone(timezoneInput.trim())) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`\`${timezoneInput}\` is not a known timezone. Use a name such as \`Europe/Amsterdam\` or \`UTC\`.`)]
+        });
+      }
+      
+      if (quietHoursInput && quietHoursInput.trim().toLowerCase() === 'off') {
+        update.quietHours = null;
+      } else if (quietHoursInput || timezoneInput) {
+        const window = quietHoursInput ? parseQuietHours(quietHoursInput) : notifications.quietHours;
+        
+        if (!window) {
+          return interaction.editReply({
+            embeds: [createErrorEmbed(
+              quietHoursInput
+                ? `\`${quietHoursInput}\` is not a valid time range. Use a format like \`22:00-07:00\`, or \`off\`.`
+                : 'There are no quiet hours to change the timezone of. Set `quiet_hours` as well.'
+            )]
+          });
+        }
+        
+        const timezone = timezoneInput
+          ? timezoneInput.trim()
+          : (notifications.quietHours && notifications.quietHours.timezone) || guildSettings.getSetting('modmail.businessHours.timezone') || 'UTC';
+        
+        update.quietHours = { start: window.start, end: window.end, timezone };
+      }
+      
+      await guildSettings.updateSettings({ modmail: { notifications: update } });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(formatNotifications({ ...notifications, ...update }), 'Notifications Updated')]
+      });
+    }
+    
+    // Show the current configuration
+    await interaction.editReply({
+      embeds: [createInfoEmbed(
+        `${formatNotifications(notifications)}\n\n` +
+        'Topics set to ping their staff role add it to new thread pings. Forwarded user messages never ping anyone.',
+        'Notifications'
+      )]
+    });
+  },
+  
+  async handleStatus(interaction, client, guildSettings) {
+    // Check both JSON settings and dedicated column
+    const modmailSettings = guildSettings.getSetting('modmail') || {};
+    const jsonEnabled = modmailSettings.enabled === true;
+    const columnEnabled = guildSettings.modmailEnabled === true;
+    
+    // Log the values for debugging
+    console.log(`Guild ${interaction.guild.name} (${interaction.guild.id}) modmail enabled - JSON: ${jsonEnabled}, Column: ${columnEnabled}`);
+    
+    // Check for inconsistencies and fix them if found
+    if (jsonEnabled !== columnEnabled) {
+      logger.info(`Found inconsistent modmail settings in guild ${interaction.guild.id} during status check. Fixing...`);
+      
+      // Try to synchronize settings
+      await guildSettings.syncModmailSettings();
+      
+      // Refresh settings after sync
+      const updatedSettings = guildSettings.getSetting('modmail') || {};
+      const updatedJsonEnabled = updatedSettings.enabled === true;
+      const updatedColumnEnabled = guildSettings.modmailEnabled === true;
+      
+      // If still inconsistent or disabled, return disabled message
+      if (updatedJsonEnabled !== updatedColumnEnabled || (!updatedJsonEnabled || !updatedColumnEnabled)) {
+        return interaction.editReply({
+          embeds: [createInfoEmbed(
+            'The modmail system is currently **disabled** for this server.\n\n' +
+            'Use `/modmail-setup enable` to set it up.\n\n' +
+            '⚠️ **Note:** There was an inconsistency in your modmail settings that has been fixed.',
+            'Modmail Status'
+          )]
+        });
+      }
+      
+      // Otherwise, continue with enabled status (settings fixed)
+    } else if (!jsonEnabled || !columnEnabled) {
+      // Both settings are consistent but show disabled
+      return interaction.editReply({
+        embeds: [createInfoEmbed(
+          'The modmail system is currently **disabled** for this server.\n\n' +
+          'Use `/modmail-setup enable` to set it up.',
+          'Modmail Status'
+        )]
+      });
+    }
+    
+    // Get current settings objects
+    const forumMode = modmailSettings.mode === 'forum';
+    
+    const category = modmailSettings.categoryId ? 
+      await interaction.guild.channels.fetch(modmailSettings.categoryId).catch(() => null) : null;
+    
+    const forum = forumMode && modmailSettings.forumChannelId ?
+      await interaction.guild.channels.fetch(modmailSettings.forumChannelId).catch(() => null) : null;
+    
+    const staffRole = modmailSettings.staffRoleId ?
+      await interaction.guild.roles.fetch(modmailSettings.staffRoleId).catch(() => null) : null;
+    
+    const logChannel = modmailSettings.logChannelId ?
+      await interaction.guild.channels.fetch(modmailSettings.logChannelId).catch(() => null) : null;
+    
+    // Get count of active threads
+    const activeThreadCount = await client.db.ModmailThread.count({
+      where: {
         guildId: interaction.guild.id,
         open: true
       }
@@ -327,21 +1814,69 @@ module.exports = {
       }
     });
     
+    // Get transcript retention
+    const transcriptRetentionDays = await getTranscriptRetentionDays(client, interaction.guild.id);
+    
+    // Get blocked user count
+    const blockedUserCount = (await client.db.ModmailBlock.findGuildBlocks(interaction.guild.id)).length;
+    
+    // Get topics
+    const topics = await client.db.ModmailTopic.findGuildTopics(interaction.guild.id);
+    
+    // Get overflow categories and queued requests
+    const overflowCategoryIds = modmailSettings.overflowCategoryIds || [];
+    const queuedCount = (await client.db.ModmailQueueEntry.findGuildQueue(interaction.guild.id)).length;
+    
+    // Get business hours and SLA targets
+    const businessHours = modmailSettings.businessHours || {};
+    const sla = modmailSettings.sla || {};
+    const prefixReplies = modmailSettings.prefixReplies || {};
+    const rateLimit = modmailSettings.rateLimit || {};
+    const notifications = { ...DEFAULT_NOTIFICATIONS, ...(modmailSettings.notifications || {}) };
+    const notificationTargets = notifications.roleIds.length + notifications.userIds.length;
+    const customMessages = Object.keys(MESSAGE_TEMPLATES).filter(key => typeof (modmailSettings.messages || {})[key] === 'string');
+    
+    // Get attachment store usage
+    const attachmentSettings = await getAttachmentSettings(client, interaction.guild.id);
+    const attachmentUsage = await client.db.ModmailAttachment.getGuildUsage(interaction.guild.id);
+    
     // Build status message
     const statusEmbed = createInfoEmbed(
       `The modmail system is currently **enabled** for this server.\n\n` +
-      `**Category:** ${category ? category : 'Not found (was it deleted?)'}\n` +
+      `**Mode:** ${forumMode ? 'Forum posts' : 'Channels'}\n` +
+      (forumMode
+        ? `**Forum:** ${forum ? forum : 'Not found (was it deleted?)'}\n`
+        : `**Category:** ${category ? category : 'Not found (was it deleted?)'}\n`) +
       `**Staff Role:** ${staffRole ? staffRole : 'Not found (was it deleted?)'}\n` +
-      `**Log Channel:** ${logChannel ? logChannel : 'None set'}\n\n` +
+      `**Log Channel:** ${logChannel ? logChannel : 'None set'}\n` +
+      `**Anonymous Replies:** ${modmailSettings.anonymousByDefault ? 'On' : 'Off'} by default (shown as "${modmailSettings.anonymousTitle || DEFAULT_ANONYMOUS_TITLE}")\n` +
+      `**Assignee-only Replies:** ${modmailSettings.assigneeOnlyReplies ? 'On' : 'Off'}\n` +
+      `**Rate Limit:** ${rateLimit.enabled ? `${rateLimit.burst} in a row, then 1 every ${rateLimit.refillSeconds}s (${rateLimit.mode})${rateLimit.autoBlockAfter > 0 ? `, auto-block after ${rateLimit.autoBlockAfter}` : ''}` : 'Off'}\n` +
+      `**Prefix Replies:** ${prefixReplies.enabled ? `\`${prefixReplies.prefix}\` and \`${prefixReplies.anonymousPrefix}\` (anonymous)` : 'Off'}\n` +
+      `**Transcript Retention:** ${transcriptRetentionDays > 0 ? `${transcriptRetentionDays} day(s)` : 'Forever'}\n` +
+      `**Attachment Store:** ${attachmentSettings.quotaBytes > 0 ? `${formatSize(attachmentUsage)} of ${formatSize(attachmentSettings.quotaBytes)}` : 'Off'}${attachmentSettings.blockedExtensions.length > 0 ? `, ${attachmentSettings.blockedExtensions.length} blocked extension(s)` : ''}\n` +
+      `**Notifications:** ${notificationTargets > 0 ? `${notificationTargets} role(s) or user(s), replies ${notifications.replies}${notifications.quietHours ? `, quiet ${notifications.quietHours.start}-${notifications.quietHours.end}` : ''}` : 'Off'}\n` +
+      `**Custom Messages:** ${customMessages.length > 0 ? customMessages.map(key => MESSAGE_TEMPLATES[key].label).join(', ') : 'None'}\n` +
+      `**Intake Form:** ${(modmailSettings.intakeQuestions || []).length > 0 ? `${modmailSettings.intakeQuestions.length} question(s)` : 'Off'}\n` +
+      `**Topics:** ${topics.length > 0 ? topics.map(topic => topic.name).join(', ') : 'None'}\n` +
+      `**Overflow Categories:** ${overflowCategoryIds.length > 0 ? overflowCategoryIds.map(id => `<#${id}>`).join(', ') : 'None'}\n` +
+      `**SLA Targets:** ${sla.firstResponseMs || sla.resolutionMs ? `first response ${sla.firstResponseMs ? formatDuration(sla.firstResponseMs) : 'none'}, resolution ${sla.resolutionMs ? formatDuration(sla.resolutionMs) : 'none'}` : 'None'}\n` +
+      `**Business Hours:** ${businessHours.enabled && businessHours.schedule ? `${formatSchedule(businessHours.schedule)} (${businessHours.timezone})` : 'Off'}\n\n` +
       `**Active Threads:** ${activeThreadCount}\n` +
-      `**Total Threads:** ${totalThreadCount}`,
+      `**Total Threads:** ${totalThreadCount}\n` +
+      `**Blocked Users:** ${blockedUserCount}\n` +
+      `**Queued Requests:** ${queuedCount}`,
       'Modmail Status'
     );
     
     // Check for issues
     const issues = [];
     
-    if (!category) {
+    if (forumMode && !forum) {
+      issues.push('⚠️ The modmail forum was not found. Was it deleted?');
+    }
+    
+    if (!forumMode && !category) {
       issues.push('⚠️ The modmail category was not found. Was it deleted?');
     }
     
@@ -353,7 +1888,15 @@ module.exports = {
       issues.push('⚠️ I cannot access the log channel.');
     }
     
-    if (category) {
+    if (forum) {
+      const missingPermissions = getMissingCategoryPermissions(forum, client);
+      
+      if (missingPermissions.length > 0) {
+        issues.push(`⚠️ Missing permissions in forum: ${missingPermissions.join(', ')}`);
+      }
+    }
+    
+    if (category && !forumMode) {
       const botMember = interaction.guild.members.cache.get(client.user.id);
       const botPermissions = category.permissionsFor(botMember);
       
@@ -369,6 +1912,14 @@ module.exports = {
       if (missingPermissions.length > 0) {
         issues.push(`⚠️ Missing permissions in category: ${missingPermissions.join(', ')}`);
       }
+      
+      if (category.children.cache.size >= MAX_CATEGORY_CHANNELS && overflowCategoryIds.length === 0) {
+        issues.push('⚠️ The modmail category is full. Add an overflow category with `/modmail-setup overflow add`.');
+      }
+    }
+    
+    if (queuedCount > 0) {
+      issues.push(`⚠️ ${queuedCount} request(s) are waiting for a free channel slot.`);
     }
     
     if (issues.length > 0) {
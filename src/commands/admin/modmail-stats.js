@@ -4,9 +4,56 @@
  */
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const { createInfoEmbed, createErrorEmbed } = require('../../utils/embedBuilder');
+const { formatDuration } = require('../../utils/duration');
 const moment = require('moment');
 const { Op } = require('sequelize');
 
+// Choices for the period option
+const PERIOD_CHOICES = [
+  { name: 'Today', value: 'today' },
+  { name: 'Past Week', value: 'week' },
+  { name: 'Past Month', value: 'month' },
+  { name: 'All Time', value: 'all' }
+];
+
+// Threads listed as waiting past the first-response target
+const MAX_WAITING_LISTED = 10;
+
+/**
+ * Get the start of a stats period
+ * @param {string} period - One of the period choices
+ * @returns {Date}
+ */
+function getPeriodStart(period) {
+  const now = new Date();
+  
+  switch (period) {
+    case 'today':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
+    case 'week':
+      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    case 'month':
+      return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    default:
+      return new Date(0); // Beginning of time
+  }
+}
+
+/**
+ * Get a percentile of a list of numbers using the nearest-rank method
+ * @param {Array<number>} values - The values
+ * @param {number} percent - Percentile between 0 and 100
+ * @returns {number|null} - The percentile, or null for an empty list
+ */
+function percentile(values, percent) {
+  if (values.length === 0) return null;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((percent / 100) * sorted.length));
+  
+  return sorted[rank - 1];
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('modmail-stats')
@@ -16,6 +63,12 @@ module.exports = {
       subcommand
         .setName('overview')
         .setDescription('View overall modmail statistics')
+        .addStringOption(option => 
+          option.setName('topic')
+            .setDescription('Only count threads opened for this topic')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
     )
     .addSubcommand(subcommand => 
       subcommand
@@ -25,12 +78,30 @@ module.exports = {
           option.setName('period')
             .setDescription('Time period to check')
             .setRequired(true)
-            .addChoices(
-              { name: 'Today', value: 'today' },
-              { name: 'Past Week', value: 'week' },
-              { name: 'Past Month', value: 'month' },
-              { name: 'All Time', value: 'all' }
-            )
+            .addChoices(...PERIOD_CHOICES)
+        )
+        .addStringOption(option => 
+          option.setName('topic')
+            .setDescription('Only count threads opened for this topic')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('sla')
+        .setDescription('View first-response and resolution times against the SLA targets')
+        .addStringOption(option => 
+          option.setName('period')
+            .setDescription('Time period to check (default: past week)')
+            .setRequired(false)
+            .addChoices(...PERIOD_CHOICES)
+        )
+        .addStringOption(option => 
+          option.setName('topic')
+            .setDescription('Only count threads opened for this topic')
+            .setRequired(false)
+            .setAutocomplete(true)
         )
     ),
   
@@ -62,12 +133,25 @@ module.exports = {
         });
       }
       
+      // Resolve the optional topic filter
+      const topicName = interaction.options.getString('topic');
+      const topic = topicName ? await client.db.ModmailTopic.findByName(interaction.guild.id, topicName) : null;
+      
+      if (topicName && !topic) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`No topic named **${topicName}** was found.`)]
+        });
+      }
+      
       switch (subcommand) {
         case 'overview':
-          await this.handleOverview(interaction, client);
+          await this.handleOverview(interaction, client, topic);
           break;
         case 'timeframe':
-          await this.handleTimeframe(interaction, client);
+          await this.handleTimeframe(interaction, client, topic);
+          break;
+        case 'sla':
+          await this.handleSla(interaction, client, guildSettings, topic);
           break;
       }
     } catch (error) {
@@ -78,18 +162,32 @@ module.exports = {
     }
   },
   
-  async handleOverview(interaction, client) {
+  async autocomplete(interaction, client) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const topics = await client.db.ModmailTopic.findGuildTopics(interaction.guild.id);
+    
+    await interaction.respond(
+      topics
+        .filter(topic => topic.name.toLowerCase().startsWith(focused))
+        .slice(0, 25)
+        .map(topic => ({ name: topic.name, value: topic.name }))
+    );
+  },
+  
+  async handleOverview(interaction, client, topic = null) {
+    // Threads counted, optionally limited to one topic
+    const threadWhere = { guildId: interaction.guild.id };
+    if (topic) threadWhere.topicId = topic.id;
+    
     // Get total thread count
     const totalThreadCount = await client.db.ModmailThread.count({
-      where: {
-        guildId: interaction.guild.id
-      }
+      where: threadWhere
     });
     
     // Get count of active threads
     const activeThreadCount = await client.db.ModmailThread.count({
       where: {
-        guildId: interaction.guild.id,
+        ...threadWhere,
         open: true
       }
     });
@@ -99,9 +197,7 @@ module.exports = {
     
     // Get stats about messages per thread
     const threads = await client.db.ModmailThread.findAll({
-      where: {
-        guildId: interaction.guild.id
-      },
+      where: threadWhere,
       attributes: ['messageCount']
     });
     
@@ -114,16 +210,17 @@ module.exports = {
     
     // Get most recent threads
     const recentThreads = await client.db.ModmailThread.findAll({
-      where: {
-        guildId: interaction.guild.id
-      },
+      where: threadWhere,
       order: [['createdAt', 'DESC']],
       limit: 5
     });
     
+    // Get open threads per assignee
+    const assigneeCounts = await client.db.ModmailThread.countOpenByAssignee(interaction.guild.id, topic ? topic.id : null);
+    
     // Create stats embed
     const statsEmbed = createInfoEmbed(
-      `Here are the modmail statistics for ${interaction.guild.name}:\n\n` +
+      `Here are the modmail statistics for ${interaction.guild.name}${topic ? ` (topic: **${topic.name}**)` : ''}:\n\n` +
       `**Total Threads:** ${totalThreadCount}\n` +
       `**Active Threads:** ${activeThreadCount}\n` +
       `**Closed Threads:** ${closedThreadCount}\n` +
@@ -152,30 +249,37 @@ module.exports = {
       });
     }
     
+    // Add open threads per assignee if there are any open threads
+    if (assigneeCounts.length > 0) {
+      const assigneeList = assigneeCounts
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 15)
+        .map(row => `• ${row.assignedTo ? `<@${row.assignedTo}>` : '_Unassigned_'}: ${row.count}`);
+      
+      statsEmbed.addFields({
+        name: 'Open Threads by Assignee',
+        value: assigneeList.join('\n')
+      });
+    }
+    
+    // Add threads per topic unless the stats are already limited to one
+    if (!topic) {
+      const topicCounts = await client.db.ModmailThread.countByTopic(interaction.guild.id);
+      const topicField = await this.buildTopicField(client, interaction.guild.id, topicCounts);
+      
+      if (topicField) {
+        statsEmbed.addFields(topicField);
+      }
+    }
+    
     await interaction.editReply({ embeds: [statsEmbed] });
   },
   
-  async handleTimeframe(interaction, client) {
+  async handleTimeframe(interaction, client, topic = null) {
     const period = interaction.options.getString('period');
     
     // Calculate date range based on period
-    let startDate;
-    const now = new Date();
-    
-    switch (period) {
-      case 'today':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-        break;
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'all':
-        startDate = new Date(0); // Beginning of time
-        break;
-    }
+    const startDate = getPeriodStart(period);
     
     // Query for threads in the time period
     const threads = await client.db.ModmailThread.findAll({
@@ -183,7 +287,8 @@ module.exports = {
         guildId: interaction.guild.id,
         createdAt: {
           [Op.gte]: startDate
-        }
+        },
+        ...(topic ? { topicId: topic.id } : {})
       }
     });
     
@@ -227,25 +332,11 @@ module.exports = {
     }
     
     // Prepare period name for display
-    let periodName;
-    switch (period) {
-      case 'today':
-        periodName = 'Today';
-        break;
-      case 'week':
-        periodName = 'Past Week';
-        break;
-      case 'month':
-        periodName = 'Past Month';
-        break;
-      case 'all':
-        periodName = 'All Time';
-        break;
-    }
+    const periodName = PERIOD_CHOICES.find(choice => choice.value === period).name;
     
     // Create stats embed
     const statsEmbed = createInfoEmbed(
-      `Here are the modmail statistics for ${periodName}:\n\n` +
+      `Here are the modmail statistics for ${periodName}${topic ? ` (topic: **${topic.name}**)` : ''}:\n\n` +
       `**Total Threads:** ${totalThreads}\n` +
       `**Active Threads:** ${activeThreads}\n` +
       `**Closed Threads:** ${closedThreads}\n` +
@@ -254,6 +345,157 @@ module.exports = {
       `Modmail Statistics - ${periodName}`
     );
     
+    // Add threads per topic for the period
+    if (!topic) {
+      const topicCounts = await client.db.ModmailThread.countByTopic(interaction.guild.id, startDate);
+      const topicField = await this.buildTopicField(client, interaction.guild.id, topicCounts);
+      
+      if (topicField) {
+        statsEmbed.addFields(topicField);
+      }
+    }
+    
+    await interaction.editReply({ embeds: [statsEmbed] });
+  },
+  
+  async handleSla(interaction, client, guildSettings, topic = null) {
+    const period = interaction.options.getString('period') || 'week';
+    const periodName = PERIOD_CHOICES.find(choice => choice.value === period).name;
+    const targets = guildSettings.getSetting('modmail.sla') || {};
+    
+    const threads = await client.db.ModmailThread.findAll({
+      where: {
+        guildId: interaction.guild.id,
+        createdAt: {
+          [Op.gte]: getPeriodStart(period)
+        },
+        ...(topic ? { topicId: topic.id } : {})
+      }
+    });
+    
+    const { firstResponse, resolution } = this.calculateSla(threads, targets);
+    
+    const statsEmbed = createInfoEmbed(
+      `SLA report for threads opened ${period === 'all' ? 'at any time' : `in the ${periodName.toLowerCase()}`}${topic ? ` (topic: **${topic.name}**)` : ''}.\n\n` +
+      `**Threads:** ${threads.length}\n` +
+      `**First Response Target:** ${targets.firstResponseMs ? formatDuration(targets.firstResponseMs) : 'Not set'}\n` +
+      `**Resolution Target:** ${targets.resolutionMs ? formatDuration(targets.resolutionMs) : 'Not set'}`,
+      `Modmail SLA - ${periodName}`
+    );
+    
+    statsEmbed.addFields(
+      { name: 'First Response', value: this.formatSlaSummary(firstResponse, 'answered'), inline: true },
+      { name: 'Resolution', value: this.formatSlaSummary(resolution, 'closed'), inline: true }
+    );
+    
+    // List open threads that are still waiting past the first-response target
+    if (targets.firstResponseMs) {
+      const waiting = await client.db.ModmailThread.findAwaitingFirstResponse(
+        interaction.guild.id,
+        new Date(Date.now() - targets.firstResponseMs)
+      );
+      const listed = waiting
+        .filter(thread => !topic || thread.topicId === topic.id)
+        .slice(0, MAX_WAITING_LISTED)
+        .map(thread => `• <#${thread.id}> from <@${thread.userId}>, waiting ${formatDuration(Date.now() - new Date(thread.createdAt).getTime())}`);
+      
+      statsEmbed.addFields({
+        name: `Waiting Past First-Response Target (${waiting.filter(thread => !topic || thread.topicId === topic.id).length})`,
+        value: listed.length > 0 ? listed.join('\n') : 'None'
+      });
+    } else {
+      statsEmbed.addFields({
+        name: 'Targets',
+        value: 'Set targets with `/modmail-setup sla` to count breaches and list threads waiting too long.'
+      });
+    }
+    
     await interaction.editReply({ embeds: [statsEmbed] });
+  },
+  
+  /**
+   * Calculate first-response and resolution times for a set of threads
+   * Threads still waiting count as breaches once they are past the target
+   * @param {Array<ModmailThread>} threads - The threads to measure
+   * @param {Object} targets - SLA targets as `{ firstResponseMs, resolutionMs }`
+   * @param {Date} [now=new Date()] - The current time
+   * @returns {Object} - `{ firstResponse, resolution }`, each with count, median, p90, breaches and pending
+   */
+  calculateSla(threads, targets = {}, now = new Date()) {
+    const measure = (getEnd, target) => {
+      const times = [];
+      let breaches = 0;
+      let pending = 0;
+      
+      for (const thread of threads) {
+        const created = new Date(thread.createdAt).getTime();
+        const end = getEnd(thread);
+        
+        if (end) {
+          const time = new Date(end).getTime() - created;
+          times.push(time);
+          if (target && time > target) breaches++;
+        } else {
+          pending++;
+          if (target && now.getTime() - created > target) breaches++;
+        }
+      }
+      
+      return {
+        count: times.length,
+        median: percentile(times, 50),
+        p90: percentile(times, 90),
+        breaches: target ? breaches : null,
+        pending
+      };
+    };
+    
+    return {
+      firstResponse: measure(thread => thread.firstStaffResponseAt, targets.firstResponseMs),
+      resolution: measure(thread => (thread.open ? null : thread.closedAt), targets.resolutionMs)
+    };
+  },
+  
+  /**
+   * Format one SLA measurement for an embed field
+   * @param {Object} summary - Result from calculateSla
+   * @param {string} doneLabel - What a finished thread is called, such as "answered"
+   * @returns {string}
+   */
+  formatSlaSummary(summary, doneLabel) {
+    const format = ms => (ms === null ? 'N/A' : formatDuration(ms));
+    
+    return `**Median:** ${format(summary.median)}\n` +
+      `**90th Percentile:** ${format(summary.p90)}\n` +
+      `**${doneLabel.charAt(0).toUpperCase()}${doneLabel.slice(1)}:** ${summary.count}\n` +
+      `**Pending:** ${summary.pending}\n` +
+      `**Breaches:** ${summary.breaches === null ? 'No target' : summary.breaches}`;
+  },
+  
+  /**
+   * Build the "Threads by Topic" field
+   * @param {Client} client - Discord client
+   * @param {string} guildId - The guild ID
+   * @param {Array<Object>} topicCounts - Rows of `{ topicId, count }`
+   * @returns {Promise<Object|null>} - The embed field, or null if no thread has a topic
+   */
+  async buildTopicField(client, guildId, topicCounts) {
+    if (!topicCounts.some(row => row.topicId)) return null;
+    
+    const topics = await client.db.ModmailTopic.findGuildTopics(guildId);
+    const topicNames = new Map(topics.map(topic => [topic.id, topic.name]));
+    
+    const topicList = topicCounts
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 15)
+      .map(row => {
+        const name = row.topicId ? topicNames.get(row.topicId) || '_Removed topic_' : '_No topic_';
+        return `• ${name}: ${row.count}`;
+      });
+    
+    return {
+      name: 'Threads by Topic',
+      value: topicList.join('\n')
+    };
   }
 };
\ No newline at end of file
@@ -0,0 +1,1180 @@
+/**
+ * Modmail Command
+ * Staff actions for working inside modmail threads
+ */
+const { SlashCommandBuilder, PermissionFlagsBits, AttachmentBuilder } = require('discord.js');
+const moment = require('moment');
+const { createSuccessEmbed, createErrorEmbed, createInfoEmbed } = require('../../utils/embedBuilder');
+const { EPHEMERAL_FLAG } = require('../../utils/interactionUtils');
+const { DEFAULT_ANONYMOUS_TITLE, DEFAULT_CLOSE_REASON, addInternalNote, applyMessageEdit, assignModmailThread, checkReplyPermission, closeModmailThread, createStaffThread, findThreadWithFallback, getModmailSettings, reopenModmailThread, scheduleModmailClose, sendStaffReply, unassignModmailThread } = require('../../utils/modmail');
+const { fillPlaceholders } = require('../../utils/placeholders');
+const { parseDuration, formatDuration } = require('../../utils/duration');
+const { TRANSCRIPT_FORMATS, archiveTranscript, buildTranscript, readArchivedTranscript } = require('../../utils/transcripts');
+const { formatSize, getUploadLimit, readStoredAttachment, refreshAttachmentUrl } = require('../../utils/attachments');
+const { searchModmail } = require('../../utils/search');
+const { logger } = require('../../utils/logger');
+
+// Threads shown per page of /modmail history
+const HISTORY_PAGE_SIZE = 5;
+
+// Matches shown per page of /modmail search
+const SEARCH_PAGE_SIZE = 5;
+
+// How long the page buttons of a search keep working
+const SEARCH_EXPIRY = 30 * 60 * 1000;
+
+// Searches the page buttons refer to, keyed by the ID of the interaction that ran them
+const searches = new Map();
+
+// Labels for the kinds of stored messages a match can be in
+const SEARCH_MATCH_LABELS = {
+  user_to_staff: 'Message from',
+  staff_to_user: 'Reply by',
+  internal: 'Note by'
+};
+
+/**
+ * Parse a date given to /modmail search as the start of that day in UTC
+ * @param {string|null} value - Date written as YYYY-MM-DD
+ * @returns {moment.Moment|null} - The date, or null if none was given
+ * @throws {Error} If the date is not valid
+ */
+function parseSearchDate(value) {
+  if (!value) return null;
+  
+  const date = moment.utc(value.trim(), 'YYYY-MM-DD', true);
+  if (!date.isValid()) {
+    throw new Error(`\`${value}\` is not a valid date. Dates are written as YYYY-MM-DD.`);
+  }
+  
+  return date;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('modmail')
+    .setDescription('Staff actions for modmail threads')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('snippet')
+        .setDescription('Send a saved snippet to the user of this thread')
+        .addStringOption(option => 
+          option.setName('name')
+            .setDescription('The snippet to send')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addBooleanOption(option => 
+          option.setName('anonymous')
+            .setDescription('Hide your name from the user (defaults to the server setting)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('note')
+        .setDescription('Add an internal note to this thread (never sent to the user)')
+        .addStringOption(option => 
+          option.setName('content')
+            .setDescription('The note content')
+            .setRequired(true)
+            .setMaxLength(4000)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('reopen')
+        .setDescription('Reopen this closed modmail thread')
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('contact')
+        .setDescription('Open a thread with a member by sending them a message')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The member to contact')
+            .setRequired(true)
+        )
+        .addStringOption(option => 
+          option.setName('message')
+            .setDescription('The message sent to the member, which opens the thread')
+            .setRequired(true)
+            .setMaxLength(4000)
+        )
+        .addStringOption(option => 
+          option.setName('topic')
+            .setDescription('Topic that decides the thread\'s category and staff role')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('close')
+        .setDescription('Close this thread now or after a delay')
+        .addStringOption(option => 
+          option.setName('in')
+            .setDescription('Close after this long, e.g. 30m, 2h or 1d12h (cancelled if the user replies)')
+            .setRequired(false)
+        )
+        .addStringOption(option => 
+          option.setName('reason')
+            .setDescription('Reason for closing, shown to the user')
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('assign')
+        .setDescription('Assign this thread to a staff member')
+        .addUserOption(option => 
+          option.setName('staff')
+            .setDescription('The staff member to assign')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('unassign')
+        .setDescription('Remove the assignee from this thread')
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('edit')
+        .setDescription('Edit one of your replies in this thread (defaults to your latest reply)')
+        .addStringOption(option => 
+          option.setName('content')
+            .setDescription('The corrected reply')
+            .setRequired(true)
+            .setMaxLength(4000)
+        )
+        .addStringOption(option => 
+          option.setName('message_id')
+            .setDescription('ID of the reply to edit, from the thread channel')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('transcript')
+        .setDescription('Build a transcript from the stored thread history')
+        .addStringOption(option => 
+          option.setName('format')
+            .setDescription('Transcript file format')
+            .setRequired(true)
+            .addChoices(
+              ...Object.entries(TRANSCRIPT_FORMATS).map(([value, { label }]) => ({ name: label, value }))
+            )
+        )
+        .addStringOption(option => 
+          option.setName('thread_id')
+            .setDescription('Thread to export if not this channel (works for deleted channels)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('transcripts')
+        .setDescription('List or re-send archived transcripts for a user')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user whose transcripts to list')
+            .setRequired(true)
+        )
+        .addIntegerOption(option => 
+          option.setName('id')
+            .setDescription('Archive ID of a transcript to re-send')
+            .setRequired(false)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('history')
+        .setDescription('List a user\'s past modmail threads in this server')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user whose threads to list')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('search')
+        .setDescription('Search the messages and subjects of modmail threads in this server')
+        .addStringOption(option => 
+          option.setName('query')
+            .setDescription('Words to search for, end a word with * to match words starting with it')
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('Only search threads with this user')
+            .setRequired(false)
+        )
+        .addStringOption(option => 
+          option.setName('from')
+            .setDescription('Only match messages sent on or after this date (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+        .addStringOption(option => 
+          option.setName('to')
+            .setDescription('Only match messages sent on or before this date (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+        .addStringOption(option => 
+          option.setName('status')
+            .setDescription('Only search open or closed threads')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Open', value: 'open' },
+              { name: 'Closed', value: 'closed' }
+            )
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('attachment')
+        .setDescription('Retrieve an attachment that was too large to relay')
+        .addIntegerOption(option => 
+          option.setName('id')
+            .setDescription('ID of the attachment')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('block')
+        .setDescription('Block a user from contacting this server through modmail')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user to block')
+            .setRequired(true)
+        )
+        .addStringOption(option => 
+          option.setName('duration')
+            .setDescription('How long the block lasts, e.g. 12h or 7d (permanent if omitted)')
+            .setRequired(false)
+        )
+        .addStringOption(option => 
+          option.setName('reason')
+            .setDescription('Reason for the block (only visible to staff)')
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('unblock')
+        .setDescription('Allow a blocked user to contact this server through modmail again')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user to unblock')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('blocklist')
+        .setDescription('List users who are blocked from modmail in this server')
+    ),
+  
+  cooldown: 2,
+  guildOnly: true,
+  
+  async execute(interaction, client) {
+    await interaction.deferReply({ flags: EPHEMERAL_FLAG });
+    
+    const subcommand = interaction.options.getSubcommand();
+    
+    try {
+      switch (subcommand) {
+        case 'snippet':
+          await this.handleSnippet(interaction, client);
+          break;
+        case 'note':
+          await this.handleNote(interaction, client);
+          break;
+        case 'reopen':
+          await this.handleReopen(interaction, client);
+          break;
+        case 'contact':
+          await this.handleContact(interaction, client);
+          break;
+        case 'close':
+          await this.handleClose(interaction, client);
+          break;
+        case 'assign':
+          await this.handleAssign(interaction, client);
+          break;
+        case 'unassign':
+          await this.handleUnassign(interaction, client);
+          break;
+        case 'edit':
+          await this.handleEdit(interaction, client);
+          break;
+        case 'transcript':
+          await this.handleTranscript(interaction, client);
+          break;
+        case 'transcripts':
+          await this.handleTranscripts(interaction, client);
+          break;
+        case 'history':
+          await this.handleHistory(interaction, client);
+          break;
+        case 'search':
+          await this.handleSearch(interaction, client);
+          break;
+        case 'attachment':
+          await this.handleAttachment(interaction, client);
+          break;
+        case 'block':
+          await this.handleBlock(interaction, client);
+          break;
+        case 'unblock':
+          await this.handleUnblock(interaction, client);
+          break;
+        case 'blocklist':
+          await this.handleBlocklist(interaction, client);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error in modmail ${subcommand} command: ${error.message}`, { error });
+      await interaction.editReply({
+        embeds: [createErrorEmbed(`Failed to run \`/modmail ${subcommand}\`: ${error.message}`)]
+      });
+    }
+  },
+  
+  async autocomplete(interaction, client) {
+    const focused = interaction.options.getFocused(true);
+    
+    if (focused.name === 'name') {
+      const snippets = await client.db.ModmailSnippet.searchByName(interaction.guild.id, focused.value);
+      
+      return interaction.respond(
+        snippets.map(snippet => ({ name: snippet.name, value: snippet.name }))
+      );
+    }
+    
+    if (focused.name === 'topic') {
+      const topics = await client.db.ModmailTopic.findGuildTopics(interaction.guild.id);
+      
+      return interaction.respond(
+        topics
+          .filter(topic => topic.name.toLowerCase().startsWith(focused.value.toLowerCase()))
+          .slice(0, 25)
+          .map(topic => ({ name: topic.name, value: topic.name }))
+      );
+    }
+    
+    await interaction.respond([]);
+  },
+  
+  /**
+   * Get the modmail thread for the channel the command was used in
+   * Replies with an error and returns null if there is none
+   * @param {Interaction} interaction - Command interaction
+   * @param {Client} client - Discord client
+   * @param {boolean} [requireOpen=true] - Whether the thread must be open
+   * @returns {Promise<ModmailThread|null>}
+   */
+  async getChannelThread(interaction, client, requireOpen = true) {
+    const thread = await findThreadWithFallback(client, interaction.channel.id);
+    
+    if (!thread || thread.guildId !== interaction.guild.id) {
+      await interaction.editReply({
+        embeds: [createErrorEmbed('This command can only be used inside a modmail thread channel.')]
+      });
+      return null;
+    }
+    
+    if (requireOpen && !thread.open) {
+      await interaction.editReply({
+        embeds: [createErrorEmbed('This thread is closed. Please re-open it before replying.')]
+      });
+      return null;
+    }
+    
+    return thread;
+  },
+  
+  async handleSnippet(interaction, client) {
+    const thread = await this.getChannelThread(interaction, client);
+    if (!thread) return;
+    
+    const permission = await checkReplyPermission(client, thread, interaction.member);
+    if (!permission.allowed) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(permission.reason, 'Thread Assigned')]
+      });
+    }
+    
+    const name = interaction.options.getString('name');
+    const snippet = await client.db.ModmailSnippet.findByName(interaction.guild.id, name);
+    
+    if (!snippet) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`No snippet called \`${name}\` was found. Use \`/snippet list\` to see available snippets.`)]
+      });
+    }
+    
+    // Fall back to the guild default when no explicit choice was made
+    const modmailSettings = await getModmailSettings(client, interaction.guild.id);
+    const anonymousOption = interaction.options.getBoolean('anonymous');
+    const anonymous = anonymousOption !== null ? anonymousOption : modmailSettings.anonymousByDefault === true;
+    
+    const user = await client.users.fetch(thread.userId).catch(() => null);
+    const content = fillPlaceholders(snippet.content, {
+      user,
+      guild: interaction.guild,
+      staff: interaction.user,
+      staffName: anonymous ? modmailSettings.anonymousTitle || DEFAULT_ANONYMOUS_TITLE : null
+    });
+    
+    try {
+      await sendStaffReply(client, thread, {
+        guild: interaction.guild,
+        channel: interaction.channel,
+        staff: interaction.user,
+        content,
+        anonymous,
+        source: 'staff_snippet',
+        metadata: { snippet: snippet.name }
+      });
+    } catch (dmError) {
+      logger.error(`Could not send snippet ${snippet.name} to user ${thread.userId}: ${dmError.message}`);
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Could not send the snippet to the user. They may have DMs disabled or have blocked the bot.')]
+      });
+    }
+    
+    snippet.uses += 1;
+    await snippet.save();
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(`Snippet \`${snippet.name}\` has been sent to the user.`, 'Snippet Sent')]
+    });
+  },
+  
+  async handleNote(interaction, client) {
+    // Notes can also be added to closed threads
+    const thread = await this.getChannelThread(interaction, client, false);
+    if (!thread) return;
+    
+    await addInternalNote(client, thread, {
+      channel: interaction.channel,
+      staff: interaction.user,
+      content: interaction.options.getString('content')
+    });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed('Your note has been added. It will not be sent to the user.', 'Note Added')]
+    });
+  },
+  
+  async handleReopen(interaction, client) {
+    const thread = await this.getChannelThread(interaction, client, false);
+    if (!thread) return;
+    
+    const result = await reopenModmailThread(client, thread, {
+      guild: interaction.guild,
+      channel: interaction.channel,
+      staff: interaction.user
+    });
+    
+    if (!result.reopened) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(result.reason, 'Cannot Reopen')]
+      });
+    }
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        result.userNotified
+          ? 'Thread reopened. The user has been notified and their next DM will arrive here.'
+          : 'Thread reopened, but the user could not be notified. They may have DMs disabled.',
+        'Thread Reopened'
+      )]
+    });
+  },
+  
+  async handleContact(interaction, client) {
+    const user = interaction.options.getUser('user');
+    const topicName = interaction.options.getString('topic');
+    
+    if (user.bot) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Modmail threads can only be opened with members, not bots.')]
+      });
+    }
+    
+    // The bot shares servers with many users, only members of this one can be contacted from it
+    const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+    if (!member) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`${user} is not a member of this server, so they can't be contacted through its modmail.`)]
+      });
+    }
+    
+    const modmailSettings = await getModmailSettings(client, interaction.guild.id);
+    if (!modmailSettings.enabled) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Modmail is not enabled in this server. Use `/modmail-setup enable` to set it up first.')]
+      });
+    }
+    
+    const existing = await client.db.ModmailThread.findActiveThread(user.id, interaction.guild.id);
+    if (existing) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`${user} already has an open thread in <#${existing.id}>. Reply there instead.`)]
+      });
+    }
+    
+    // Replies from blocked users never reach staff
+    if (await client.db.ModmailBlock.findActiveBlock(user.id, interaction.guild.id)) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`${user} is blocked from modmail in this server, so they couldn't reply. Use \`/modmail unblock\` first.`)]
+      });
+    }
+    
+    const topic = topicName ? await client.db.ModmailTopic.findByName(interaction.guild.id, topicName) : null;
+    if (topicName && !topic) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`No topic named **${topicName}** was found.`)]
+      });
+    }
+    
+    let thread;
+    try {
+      thread = await createStaffThread(client, interaction.guild, {
+        user,
+        staff: interaction.user,
+        content: interaction.options.getString('message'),
+        topic
+      });
+    } catch (error) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(error.message, 'Could Not Contact User')]
+      });
+    }
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `Your message was sent to ${user} and a thread was opened in <#${thread.id}>. Their reply will arrive there.`,
+        'Thread Opened'
+      )]
+    });
+  },
+  
+  async handleClose(interaction, client) {
+    const thread = await this.getChannelThread(interaction, client, false);
+    if (!thread) return;
+    
+    if (!thread.open) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('This thread is already closed.')]
+      });
+    }
+    
+    const reason = interaction.options.getString('reason') || DEFAULT_CLOSE_REASON;
+    const delayInput = interaction.options.getString('in');
+    
+    // Close straight away when no delay was given
+    if (!delayInput) {
+      const { userNotified } = await closeModmailThread(client, thread, {
+        guild: interaction.guild,
+        channel: interaction.channel,
+        closedBy: interaction.user,
+        reason
+      });
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(
+          userNotified
+            ? 'Thread closed. The user has been notified.'
+            : 'Thread closed, but the user could not be notified. They may have DMs disabled.',
+          'Thread Closed'
+        )]
+      });
+    }
+    
+    const delay = parseDuration(delayInput);
+    
+    if (!delay) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`\`${delayInput}\` is not a valid duration. Use a format like \`30m\`, \`2h\` or \`1d12h\`.`)]
+      });
+    }
+    
+    const closeAt = await scheduleModmailClose(client, thread, {
+      channel: interaction.channel,
+      staff: interaction.user,
+      delay,
+      reason
+    });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `This thread will be closed in ${formatDuration(delay)} (<t:${Math.floor(closeAt.getTime() / 1000)}:f>) unless the user replies first.`,
+        'Close Scheduled'
+      )]
+    });
+  },
+  
+  async handleAssign(interaction, client) {
+    const thread = await this.getChannelThread(interaction, client);
+    if (!thread) return;
+    
+    const assignee = interaction.options.getUser('staff');
+    
+    if (assignee.bot) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Threads can only be assigned to staff members, not bots.')]
+      });
+    }
+    
+    if (thread.assignedTo === assignee.id) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`This thread is already assigned to ${assignee}.`)]
+      });
+    }
+    
+    await assignModmailThread(client, thread, {
+      channel: interaction.channel,
+      staff: interaction.user,
+      assignee
+    });
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(`This thread is now assigned to ${assignee}.`, 'Thread Assigned')]
+    });
+  },
+  
+  async handleUnassign(interaction, client) {
+    const thread = await this.getChannelThread(interaction, client);
+    if (!thread) return;
+    
+    const unassigned = await unassignModmailThread(client, thread, {
+      channel: interaction.channel,
+      staff: interaction.user
+    });
+    
+    if (!unassigned) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('This thread is not assigned to anyone.')]
+      });
+    }
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed('This thread is no longer assigned to anyone.', 'Thread Unassigned')]
+    });
+  },
+  
+  async handleEdit(interaction, client) {
+    const thread = await this.getChannelThread(interaction, client);
+    if (!thread) return;
+    
+    const messageId = interaction.options.getString('message_id');
+    const stored = messageId
+      ? await client.db.ModmailMessage.findByDiscordMessageId(messageId)
+      : await client.db.ModmailMessage.findLatestStaffReply(thread.id, interaction.user.id);
+    
+    if (!stored || stored.threadId !== thread.id || stored.direction !== 'staff_to_user') {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(messageId ? 'That message is not a staff reply in this thread.' : 'You have not replied in this thread yet.')]
+      });
+    }
+    
+    // Staff can only edit their own replies, administrators can edit any
+    if (stored.authorId !== interaction.user.id && !interaction.member.permissions.has(PermissionFlagsBits.Administrator)) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('You can only edit your own replies.')]
+      });
+    }
+    
+    if (stored.isDeleted()) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('That reply has been deleted and can no longer be edited.')]
+      });
+    }
+    
+    const edited = await applyMessageEdit(client, stored, interaction.options.getString('content'));
+    
+    if (!edited) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('The new content is the same as the current reply.')]
+      });
+    }
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed('Your reply has been updated for the user and marked as edited here.', 'Reply Edited')]
+    });
+  },
+  
+  async handleTranscript(interaction, client) {
+    const threadId = interaction.options.getString('thread_id');
+    let thread;
+    
+    if (threadId) {
+      thread = await client.db.ModmailThread.findByPk(threadId.trim());
+      
+      if (!thread || thread.guildId !== interaction.guild.id) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`No modmail thread with ID \`${threadId}\` was found in this server.`)]
+        });
+      }
+    } else {
+      thread = await this.getChannelThread(interaction, client, false);
+      if (!thread) return;
+    }
+    
+    const format = interaction.options.getString('format');
+    const transcript = await buildTranscript(client, thread, { format });
+    await archiveTranscript(client, thread, transcript, interaction.user.id);
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `${TRANSCRIPT_FORMATS[format].label} transcript of thread \`${thread.id}\` with <@${thread.userId}> (${transcript.messageCount} messages).`,
+        'Transcript Generated'
+      )],
+      files: [new AttachmentBuilder(transcript.content, { name: transcript.fileName })]
+    });
+  },
+  
+  async handleTranscripts(interaction, client) {
+    const user = interaction.options.getUser('user');
+    const archiveId = interaction.options.getInteger('id');
+    
+    // Re-send a single archived transcript
+    if (archiveId) {
+      const record = await client.db.ModmailTranscript.findByPk(archiveId);
+      
+      if (!record || record.guildId !== interaction.guild.id || record.userId !== user.id) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`No archived transcript with ID \`${archiveId}\` was found for ${user}.`)]
+        });
+      }
+      
+      const content = await readArchivedTranscript(record);
+      
+      if (!content) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed('The transcript file is missing from the archive. It may have been removed from disk.')]
+        });
+      }
+      
+      return interaction.editReply({
+        embeds: [createSuccessEmbed(
+          `Archived ${TRANSCRIPT_FORMATS[record.format]?.label || record.format} transcript of thread \`${record.threadId}\` with ${user}.`,
+          'Archived Transcript'
+        )],
+        files: [new AttachmentBuilder(content, { name: record.filePath.split(/[\\/]/).pop().replace(/^\d+-/, '') })]
+      });
+    }
+    
+    const records = await client.db.ModmailTranscript.findUserTranscripts(interaction.guild.id, user.id);
+    
+    if (records.length === 0) {
+      return interaction.editReply({
+        embeds: [createInfoEmbed(`There are no archived transcripts for ${user} in this server.`, 'Archived Transcripts')]
+      });
+    }
+    
+    const lines = records.map(record => 
+      `\`#${record.id}\` - <t:${Math.floor(new Date(record.createdAt).getTime() / 1000)}:f> - ${record.format.toUpperCase()} - ${(record.size / 1024).toFixed(1)} KB - thread \`${record.threadId}\``
+    );
+    
+    await interaction.editReply({
+      embeds: [createInfoEmbed(
+        `${lines.join('\n')}\n\nUse \`/modmail transcripts user:${user.id} id:<ID>\` to re-send one.`,
+        `Archived Transcripts for ${user.tag}`
+      )]
+    });
+  },
+  
+  async handleHistory(interaction, client) {
+    const user = interaction.options.getUser('user');
+    
+    await interaction.editReply(await this.buildHistoryPage(client, interaction.guild, user, 0));
+  },
+  
+  /**
+   * Show another page of a user's thread history from the page buttons
+   * @param {ButtonInteraction} interaction - Button interaction
+   * @param {Client} client - Discord client
+   */
+  async handleHistoryButton(interaction, client) {
+    const [userId, page] = interaction.customId.replace('modmail_history_', '').split('_');
+    const user = await client.users.fetch(userId);
+    
+    await interaction.update(await this.buildHistoryPage(client, interaction.guild, user, parseInt(page, 10) || 0));
+  },
+  
+  /**
+   * Build one page of a user's thread history in a guild
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - The guild
+   * @param {User} user - The user
+   * @param {number} page - Zero-based page number
+   * @returns {Promise<Object>} - Reply options with the page embed and buttons
+   */
+  async buildHistoryPage(client, guild, user, page) {
+    const threads = await client.db.ModmailThread.findUserThreads(user.id, guild.id);
+    
+    if (threads.length === 0) {
+      return {
+        embeds: [createInfoEmbed(`${user} has no modmail threads in this server.`, 'Thread History')],
+        components: []
+      };
+    }
+    
+    // Link each thread to its newest archived transcript
+    const transcriptIds = new Map();
+    for (const record of await client.db.ModmailTranscript.findUserTranscripts(guild.id, user.id, 100)) {
+      if (!transcriptIds.has(record.threadId)) transcriptIds.set(record.threadId, record.id);
+    }
+    
+    const pageCount = Math.ceil(threads.length / HISTORY_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    
+    const entries = threads
+      .slice(currentPage * HISTORY_PAGE_SIZE, (currentPage + 1) * HISTORY_PAGE_SIZE)
+      .map(thread => {
+        const opened = `<t:${Math.floor(new Date(thread.createdAt).getTime() / 1000)}:f>`;
+        const lines = [`**${thread.subject || 'No subject'}** - \`${thread.id}\``];
+        
+        if (thread.open) {
+          lines.push(`Opened ${opened}, still open in <#${thread.id}>`);
+        } else {
+          const closer = !thread.closedBy || thread.closedBy === 'SYSTEM' ? 'the system' : `<@${thread.closedBy}>`;
+          const closed = thread.closedAt ? ` <t:${Math.floor(new Date(thread.closedAt).getTime() / 1000)}:f>` : '';
+          lines.push(`Opened ${opened}, closed${closed} by ${closer}`);
+          lines.push(`**Reason:** ${thread.closeReason || 'No reason given'}`);
+        }
+        
+        lines.push(transcriptIds.has(thread.id)
+          ? `**Transcript:** \`/modmail transcripts user:${user.id} id:${transcriptIds.get(thread.id)}\``
+          : `**Transcript:** \`/modmail transcript thread_id:${thread.id}\``);
+        
+        return lines.join('\n');
+      });
+    
+    const embed = createInfoEmbed(entries.join('\n\n'), `Thread History for ${user.tag}`)
+      .setFooter({ text: `Page ${currentPage + 1} of ${pageCount} - ${threads.length} thread(s)` });
+    
+    const components = pageCount > 1 ? [
+      {
+        type: 1, // ACTION_ROW
+        components: [
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Previous',
+            custom_id: `modmail_history_${user.id}_${currentPage - 1}`,
+            emoji: { name: '◀️' },
+            disabled: currentPage === 0
+          },
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Next',
+            custom_id: `modmail_history_${user.id}_${currentPage + 1}`,
+            emoji: { name: '▶️' },
+            disabled: currentPage >= pageCount - 1
+          }
+        ]
+      }
+    ] : [];
+    
+    return { embeds: [embed], components };
+  },
+  
+  async handleSearch(interaction, client) {
+    const user = interaction.options.getUser('user');
+    let from;
+    let to;
+    
+    try {
+      from = parseSearchDate(interaction.options.getString('from'));
+      to = parseSearchDate(interaction.options.getString('to'));
+    } catch (error) {
+      return interaction.editReply({ embeds: [createErrorEmbed(error.message)] });
+    }
+    
+    if (from && to && to.isBefore(from)) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('The `to` date must not be before the `from` date.')]
+      });
+    }
+    
+    // Drop searches whose buttons no longer work
+    const now = Date.now();
+    for (const [key, search] of searches) {
+      if (search.expiresAt <= now) searches.delete(key);
+    }
+    
+    const search = {
+      guildId: interaction.guild.id,
+      query: interaction.options.getString('query'),
+      userId: user ? user.id : null,
+      from: from ? from.toDate() : null,
+      // The to date includes the whole day
+      to: to ? to.clone().add(1, 'day').toDate() : null,
+      status: interaction.options.getString('status'),
+      expiresAt: now + SEARCH_EXPIRY
+    };
+    
+    searches.set(interaction.id, search);
+    
+    await interaction.editReply(await this.buildSearchPage(client, interaction.guild, interaction.id, 0));
+  },
+  
+  /**
+   * Show another page of search results from the page buttons
+   * @param {ButtonInteraction} interaction - Button interaction
+   * @param {Client} client - Discord client
+   */
+  async handleSearchButton(interaction, client) {
+    const [key, page] = interaction.customId.replace('modmail_search_', '').split('_');
+    const search = searches.get(key);
+    
+    if (!search || search.expiresAt <= Date.now() || search.guildId !== interaction.guild.id) {
+      return interaction.update({
+        embeds: [createErrorEmbed('This search has expired. Run `/modmail search` again to see more results.')],
+        components: []
+      });
+    }
+    
+    await interaction.update(await this.buildSearchPage(client, interaction.guild, key, parseInt(page, 10) || 0));
+  },
+  
+  /**
+   * Build one page of results for a search
+   * Matches in channels that still exist link to them, others point to the thread's transcript
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - The guild that was searched
+   * @param {string} key - Key of the search in the stored searches
+   * @param {number} page - Zero-based page number
+   * @returns {Promise<Object>} - Reply options with the page embed and buttons
+   */
+  async buildSearchPage(client, guild, key, page) {
+    const search = searches.get(key);
+    const title = `Search Results for "${search.query}"`.substring(0, 256);
+    
+    let currentPage = Math.max(page, 0);
+    let { total, results } = await searchModmail(client, guild.id, { ...search, limit: SEARCH_PAGE_SIZE, offset: currentPage * SEARCH_PAGE_SIZE });
+    
+    if (total === 0) {
+      return {
+        embeds: [createInfoEmbed('No modmail messages or subjects in this server match your search.', title)],
+        components: []
+      };
+    }
+    
+    const pageCount = Math.ceil(total / SEARCH_PAGE_SIZE);
+    
+    // Pages past the end show the last page
+    if (currentPage >= pageCount) {
+      currentPage = pageCount - 1;
+      ({ results } = await searchModmail(client, guild.id, { ...search, limit: SEARCH_PAGE_SIZE, offset: currentPage * SEARCH_PAGE_SIZE }));
+    }
+    
+    const threadIds = [...new Set(results.map(result => result.threadId))];
+    
+    // Check which thread channels still exist
+    const channels = new Map();
+    for (const threadId of threadIds) {
+      const channel = guild.channels.cache.get(threadId) || await guild.channels.fetch(threadId).catch(() => null);
+      channels.set(threadId, channel);
+    }
+    
+    // Link each thread to its newest archived transcript
+    const transcriptIds = new Map();
+    const records = await client.db.ModmailTranscript.findAll({
+      where: { guildId: guild.id, threadId: threadIds },
+      order: [['createdAt', 'DESC']]
+    });
+    
+    for (const record of records) {
+      if (!transcriptIds.has(record.threadId)) transcriptIds.set(record.threadId, record.id);
+    }
+    
+    const entries = results.map(result => {
+      const sent = `<t:${Math.floor(new Date(result.createdAt).getTime() / 1000)}:f>`;
+      const where = result.messageId
+        ? `${SEARCH_MATCH_LABELS[result.direction] || 'Message from'} <@${result.authorId}>`
+        : 'Thread subject';
+      const snippet = result.snippet.replace(/\s+/g, ' ').substring(0, 300);
+      
+      const lines = [
+        `**${(result.subject || 'No subject').substring(0, 60)}** - \`${result.threadId}\` with <@${result.userId}> (${result.open ? 'open' : 'closed'})`,
+        `${where} - ${sent}`,
+        `> ${snippet}`
+      ];
+      
+      if (channels.get(result.threadId)) {
+        lines.push(result.channelMessageId
+          ? `[Jump to message](https://discord.com/channels/${guild.id}/${result.threadId}/${result.channelMessageId})`
+          : `Thread channel: <#${result.threadId}>`);
+      } else {
+        lines.push(transcriptIds.has(result.threadId)
+          ? `**Transcript:** \`/modmail transcripts user:${result.userId} id:${transcriptIds.get(result.threadId)}\``
+          : `**Transcript:** \`/modmail transcript thread_id:${result.threadId}\``);
+      }
+      
+      return lines.join('\n');
+    });
+    
+    const embed = createInfoEmbed(entries.join('\n\n'), title)
+      .setFooter({ text: `Page ${currentPage + 1} of ${pageCount} - ${total} match(es)` });
+    
+    const components = pageCount > 1 ? [
+      {
+        type: 1, // ACTION_ROW
+        components: [
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Previous',
+            custom_id: `modmail_search_${key}_${currentPage - 1}`,
+            emoji: { name: '◀️' },
+            disabled: currentPage === 0
+          },
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Next',
+            custom_id: `modmail_search_${key}_${currentPage + 1}`,
+            emoji: { name: '▶️' },
+            disabled: currentPage >= pageCount - 1
+          }
+        ]
+      }
+    ] : [];
+    
+    return { embeds: [embed], components };
+  },
+  
+  async handleAttachment(interaction, client) {
+    const attachmentId = interaction.options.getInteger('id');
+    const record = await client.db.ModmailAttachment.findGuildAttachment(interaction.guild.id, attachmentId);
+    
+    if (!record) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`No attachment with ID \`${attachmentId}\` was found in this server.`)]
+      });
+    }
+    
+    const details = `\`${record.name}\` (${formatSize(record.size)}) from <@${record.uploaderId}> in thread \`${record.threadId}\`.`;
+    
+    // Upload the stored copy when it fits, otherwise hand out a fresh Discord link
+    if (record.size <= getUploadLimit(interaction.guild)) {
+      const content = await readStoredAttachment(record);
+      
+      if (content) {
+        return interaction.editReply({
+          embeds: [createSuccessEmbed(details, 'Attachment')],
+          files: [new AttachmentBuilder(content, { name: record.name })]
+        });
+      }
+    }
+    
+    const url = await refreshAttachmentUrl(client, record.url);
+    const stored = record.filePath ? `\nA copy is kept in the attachment store at \`${record.filePath}\`.` : '';
+    
+    await interaction.editReply({
+      embeds: [createInfoEmbed(
+        `${details}\n\nThis file is too large to upload here. [Download it from Discord](${url}) (the link expires after a while).${stored}`,
+        'Attachment'
+      )]
+    });
+  },
+  
+  async handleBlock(interaction, client) {
+    const user = interaction.options.getUser('user');
+    const durationInput = interaction.options.getString('duration');
+    const reason = interaction.options.getString('reason');
+    
+    if (user.bot || user.id === interaction.user.id) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('You cannot block yourself or a bot.')]
+      });
+    }
+    
+    let expiresAt = null;
+    
+    if (durationInput) {
+      const duration = parseDuration(durationInput);
+      
+      if (!duration) {
+        return interaction.editReply({
+          embeds: [createErrorEmbed(`\`${durationInput}\` is not a valid duration. Use a format like \`12h\`, \`7d\` or \`1w\`.`)]
+        });
+      }
+      
+      expiresAt = new Date(Date.now() + duration);
+    }
+    
+    await client.db.ModmailBlock.blockUser(user.id, interaction.guild.id, {
+      blockedBy: interaction.user.id,
+      reason,
+      expiresAt
+    });
+    
+    logger.info(`User ${user.tag} (${user.id}) blocked from modmail in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(
+        `${user} can no longer contact this server through modmail.\n\n` +
+        `**Expires:** ${expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:R>` : 'Never'}\n` +
+        `**Reason:** ${reason || 'No reason given'}`,
+        'User Blocked'
+      )]
+    });
+  },
+  
+  async handleUnblock(interaction, client) {
+    const user = interaction.options.getUser('user');
+    const unblocked = await client.db.ModmailBlock.unblockUser(user.id, interaction.guild.id);
+    
+    if (!unblocked) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed(`${user} is not blocked from modmail in this server.`)]
+      });
+    }
+    
+    logger.info(`User ${user.tag} (${user.id}) unblocked from modmail in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+    
+    await interaction.editReply({
+      embeds: [createSuccessEmbed(`${user} can contact this server through modmail again.`, 'User Unblocked')]
+    });
+  },
+  
+  async handleBlocklist(interaction, client) {
+    const blocks = await client.db.ModmailBlock.findGuildBlocks(interaction.guild.id);
+    
+    if (blocks.length === 0) {
+      return interaction.editReply({
+        embeds: [createInfoEmbed('No users are blocked from modmail in this server.', 'Modmail Blocklist')]
+      });
+    }
+    
+    const lines = blocks.slice(0, 25).map(block => {
+      const expires = block.expiresAt ? `expires <t:${Math.floor(new Date(block.expiresAt).getTime() / 1000)}:R>` : 'permanent';
+      return `• <@${block.userId}> - ${expires} - by <@${block.blockedBy}>${block.reason ? `\n  ${block.reason.substring(0, 100)}` : ''}`;
+    });
+    
+    if (blocks.length > 25) {
+      lines.push(`_...and ${blocks.length - 25} more_`);
+    }
+    
+    await interaction.editReply({
+      embeds: [createInfoEmbed(lines.join('\n'), `Modmail Blocklist (${blocks.length})`)]
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,355 @@
+/**
+ * Snippet Command
+ * Manages saved reply snippets for modmail staff
+ */
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { createSuccessEmbed, createErrorEmbed, createInfoEmbed } = require('../../utils/embedBuilder');
+const { EPHEMERAL_FLAG } = require('../../utils/interactionUtils');
+const { logger } = require('../../utils/logger');
+
+// Maximum length of a snippet body (Discord embed description limit)
+const MAX_SNIPPET_LENGTH = 4000;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('snippet')
+    .setDescription('Manage saved modmail reply snippets')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('add')
+        .setDescription('Create a new snippet')
+        .addStringOption(option => 
+          option.setName('name')
+            .setDescription('Name used to send the snippet')
+            .setRequired(true)
+            .setMaxLength(50)
+        )
+        .addStringOption(option => 
+          option.setName('content')
+            .setDescription('Snippet text (leave empty to open a multi-line editor)')
+            .setRequired(false)
+            .setMaxLength(2000)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('edit')
+        .setDescription('Edit an existing snippet')
+        .addStringOption(option => 
+          option.setName('name')
+            .setDescription('The snippet to edit')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('remove')
+        .setDescription('Delete a snippet')
+        .addStringOption(option => 
+          option.setName('name')
+            .setDescription('The snippet to delete')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('list')
+        .setDescription('List all snippets in this server')
+    )
+    .addSubcommand(subcommand => 
+      subcommand
+        .setName('show')
+        .setDescription('Show the content of a snippet')
+        .addStringOption(option => 
+          option.setName('name')
+            .setDescription('The snippet to show')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+  
+  cooldown: 3,
+  guildOnly: true,
+  
+  async execute(interaction, client) {
+    const subcommand = interaction.options.getSubcommand();
+    
+    try {
+      switch (subcommand) {
+        case 'add':
+          await this.handleAdd(interaction, client);
+          break;
+        case 'edit':
+          await this.handleEdit(interaction, client);
+          break;
+        case 'remove':
+          await this.handleRemove(interaction, client);
+          break;
+        case 'list':
+          await this.handleList(interaction, client);
+          break;
+        case 'show':
+          await this.handleShow(interaction, client);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error in snippet command: ${error.message}`, { error });
+      
+      const response = {
+        embeds: [createErrorEmbed(`Failed to ${subcommand} snippet: ${error.message}`)],
+        flags: EPHEMERAL_FLAG
+      };
+      
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(response);
+      } else {
+        await interaction.reply(response);
+      }
+    }
+  },
+  
+  async autocomplete(interaction, client) {
+    const focused = interaction.options.getFocused();
+    const snippets = await client.db.ModmailSnippet.searchByName(interaction.guild.id, focused);
+    
+    await interaction.respond(
+      snippets.map(snippet => ({ name: snippet.name, value: snippet.name }))
+    );
+  },
+  
+  async handleAdd(interaction, client) {
+    const name = client.db.ModmailSnippet.normalizeName(interaction.options.getString('name'));
+    const content = interaction.options.getString('content');
+    
+    if (!name) {
+      return interaction.reply({
+        embeds: [createErrorEmbed('Please provide a valid snippet name.')],
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    const existing = await client.db.ModmailSnippet.findByName(interaction.guild.id, name);
+    
+    if (existing) {
+      return interaction.reply({
+        embeds: [createErrorEmbed(
+          `A snippet called \`${name}\` already exists. Use \`/snippet edit\` to change it.`,
+          'Snippet Exists'
+        )],
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    // Without inline content, open the multi-line editor
+    if (!content) {
+      return interaction.showModal(this.buildModal(`snippet_add_${name}`, `New snippet: ${name}`));
+    }
+    
+    await this.saveSnippet(interaction, client, name, content, false);
+  },
+  
+  async handleEdit(interaction, client) {
+    const name = interaction.options.getString('name');
+    const snippet = await client.db.ModmailSnippet.findByName(interaction.guild.id, name);
+    
+    if (!snippet) {
+      return interaction.reply({
+        embeds: [createErrorEmbed(`No snippet called \`${name}\` was found.`)],
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    await interaction.showModal(
+      this.buildModal(`snippet_edit_${snippet.name}`, `Edit snippet: ${snippet.name}`, snippet.content)
+    );
+  },
+  
+  async handleRemove(interaction, client) {
+    const name = interaction.options.getString('name');
+    const snippet = await client.db.ModmailSnippet.findByName(interaction.guild.id, name);
+    
+    if (!snippet) {
+      return interaction.reply({
+        embeds: [createErrorEmbed(`No snippet called \`${name}\` was found.`)],
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    await snippet.destroy();
+    logger.info(`Snippet ${snippet.name} removed from guild ${interaction.guild.id} by ${interaction.user.tag}`);
+    
+    await interaction.reply({
+      embeds: [createSuccessEmbed(`Snippet \`${snippet.name}\` has been deleted.`, 'Snippet Deleted')],
+      flags: EPHEMERAL_FLAG
+    });
+  },
+  
+  async handleList(interaction, client) {
+    const snippets = await client.db.ModmailSnippet.findAll({
+      where: { guildId: interaction.guild.id },
+      order: [['name', 'ASC']]
+    });
+    
+    if (snippets.length === 0) {
+      return interaction.reply({
+        embeds: [createInfoEmbed(
+          'This server has no snippets yet. Use `/snippet add` to create one.',
+          'Snippets'
+        )],
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    const lines = snippets.map(snippet => {
+      const preview = snippet.content.replace(/\s+/g, ' ').substring(0, 60);
+      return `• \`${snippet.name}\` (${snippet.uses} uses) - ${preview}${snippet.content.length > 60 ? '...' : ''}`;
+    });
+    
+    // Keep the list within the embed description limit
+    let description = '';
+    for (const line of lines) {
+      if (description.length + line.length + 1 > 3900) {
+        description += `\n_...and ${lines.length - description.split('\n').length} more_`;
+        break;
+      }
+      description += (description ? '\n' : '') + line;
+    }
+    
+    await interaction.reply({
+      embeds: [createInfoEmbed(description, `Snippets (${snippets.length})`)],
+      flags: EPHEMERAL_FLAG
+    });
+  },
+  
+  async handleShow(interaction, client) {
+    const name = interaction.options.getString('name');
+    const snippet = await client.db.ModmailSnippet.findByName(interaction.guild.id, name);
+    
+    if (!snippet) {
+      return interaction.reply({
+        embeds: [createErrorEmbed(`No snippet called \`${name}\` was found.`)],
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    const embed = createInfoEmbed(snippet.content, `Snippet: ${snippet.name}`);
+    embed.addFields(
+      { name: 'Created By', value: `<@${snippet.createdBy}>`, inline: true },
+      { name: 'Uses', value: `${snippet.uses}`, inline: true },
+      { name: 'Placeholders', value: '`{user}` `{user_mention}` `{guild}` `{staff}`', inline: false }
+    );
+    
+    await interaction.reply({ embeds: [embed], flags: EPHEMERAL_FLAG });
+  },
+  
+  /**
+   * Handle the add/edit modal submissions
+   * @param {Interaction} interaction - Modal submit interaction
+   * @param {Client} client - Discord client
+   * @returns {Promise<boolean>} - Whether the modal was handled
+   */
+  async handleModal(interaction, client) {
+    const content = interaction.fields.getTextInputValue('snippet_content');
+    
+    if (interaction.customId.startsWith('snippet_add_')) {
+      const name = interaction.customId.replace('snippet_add_', '');
+      await this.saveSnippet(interaction, client, name, content, false);
+      return true;
+    }
+    
+    if (interaction.customId.startsWith('snippet_edit_')) {
+      const name = interaction.customId.replace('snippet_edit_', '');
+      await this.saveSnippet(interaction, client, name, content, true);
+      return true;
+    }
+    
+    return false;
+  },
+  
+  /**
+   * Create or update a snippet and confirm to the staff member
+   * @param {Interaction} interaction - Command or modal interaction
+   * @param {Client} client - Discord client
+   * @param {string} name - Normalized snippet name
+   * @param {string} content - Snippet body
+   * @param {boolean} isEdit - Whether an existing snippet is being edited
+   */
+  async saveSnippet(interaction, client, name, content, isEdit) {
+    let snippet = await client.db.ModmailSnippet.findByName(interaction.guild.id, name);
+    
+    if (isEdit) {
+      if (!snippet) {
+        return interaction.reply({
+          embeds: [createErrorEmbed(`The snippet \`${name}\` no longer exists.`)],
+          flags: EPHEMERAL_FLAG
+        });
+      }
+      
+      snippet.content = content;
+      snippet.updatedBy = interaction.user.id;
+      await snippet.save();
+    } else {
+      if (snippet) {
+        return interaction.reply({
+          embeds: [createErrorEmbed(`A snippet called \`${name}\` already exists.`)],
+          flags: EPHEMERAL_FLAG
+        });
+      }
+      
+      snippet = await client.db.ModmailSnippet.create({
+        guildId: interaction.guild.id,
+        name,
+        content,
+        createdBy: interaction.user.id
+      });
+    }
+    
+    logger.info(`Snippet ${name} ${isEdit ? 'updated' : 'created'} in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+    
+    await interaction.reply({
+      embeds: [createSuccessEmbed(
+        `Snippet \`${name}\` has been ${isEdit ? 'updated' : 'created'}.\n\nSend it in a modmail thread with \`/modmail snippet name:${name}\`.`,
+        isEdit ? 'Snippet Updated' : 'Snippet Created'
+      )],
+      flags: EPHEMERAL_FLAG
+    });
+  },
+  
+  /**
+   * Build the snippet editor modal
+   * @param {string} customId - Modal custom ID
+   * @param {string} title - Modal title
+   * @param {string} [value] - Existing content to prefill
+   * @returns {Object} - Modal data
+   */
+  buildModal(customId, title, value) {
+    const textInput = {
+      type: 4, // TEXT_INPUT
+      custom_id: 'snippet_content',
+      label: 'Snippet content:',
+      style: 2, // PARAGRAPH
+      min_length: 1,
+      max_length: MAX_SNIPPET_LENGTH,
+      placeholder: 'Hi {user}, thanks for contacting {guild}...',
+      required: true
+    };
+    
+    if (value) {
+      textInput.value = value;
+    }
+    
+    return {
+      title: title.substring(0, 45),
+      custom_id: customId,
+      components: [
+        {
+          type: 1, // ACTION_ROW
+          components: [textInput]
+        }
+      ]
+    };
+  }
+};
\ No newline at end of file
@@ -75,8 +75,8 @@ module.exports = {
    * Database configuration
    */
   database: {
-    // Main database file
-    mainDbPath: './data/database.sqlite',
+    // Main database file, DATABASE_PATH points elsewhere (tests use a temporary one)
+    mainDbPath: process.env.DATABASE_PATH || './data/database.sqlite',
     
     // Backups
     backups: {
@@ -84,6 +84,22 @@ module.exports = {
       path: './data/backup/',
       interval: 86400000, // 24 hours in milliseconds
       maxCount: 7 // Maximum number of backups to keep
+    },
+    
+    // Transcript archive
+    transcripts: {
+      enabled: true,
+      path: './data/transcripts/',
+      retentionDays: 90, // Default per-guild retention, 0 keeps transcripts forever
+      purgeInterval: 86400000 // 24 hours in milliseconds
+    },
+    
+    // Attachment store
+    attachments: {
+      enabled: true,
+      path: './data/attachments/',
+      quotaMb: 500, // Default per-guild quota, 0 stores nothing
+      blockedExtensions: [] // Default blocked extensions, such as ['exe', 'bat']
     }
   },
   
@@ -7,6 +7,7 @@ const { logger } = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const databaseBackup = require('../utils/database-backup');
+const { ensureSearchIndex } = require('../utils/search');
 
 // Create the main Sequelize instance
 const sequelize = new Sequelize({
@@ -74,6 +75,14 @@ async function connectToDatabase() {
       // Continue execution even if this fails
     }
     
+    // sync() only creates missing tables, so add columns introduced since a table was created
+    // This runs first so indexes on new columns can be created by sync()
+    try {
+      await addMissingColumns();
+    } catch (columnError) {
+      logger.warn(`Error adding missing columns: ${columnError.message}`);
+    }
+    
     // Sync models with database (in development, force: true will drop tables)
     try {
       await sequelize.sync({ 
@@ -94,6 +103,13 @@ async function connectToDatabase() {
       }
     }
     
+    // The full-text index lives outside the models, so it is created once their tables exist
+    try {
+      await ensureSearchIndex(sequelize);
+    } catch (searchError) {
+      logger.warn(`Error setting up the search index: ${searchError.message}`);
+    }
+    
     // Set up optional scheduled backups - but disable if we had backup issues
     if (dbConfig.backups && dbConfig.backups.enabled) {
       // Use file copy method instead of SQL-based backup
@@ -108,6 +124,41 @@ async function connectToDatabase() {
   }
 }
 
+// Add model attributes that are missing from existing tables
+async function addMissingColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  
+  for (const model of Object.values(models)) {
+    const tableName = model.getTableName();
+    const columns = await queryInterface.describeTable(tableName).catch(() => null);
+    if (!columns || Object.keys(columns).length === 0) continue;
+    
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      const field = attribute.field || name;
+      
+      // Virtual attributes have no column
+      if (attribute.type && attribute.type.key === 'VIRTUAL') continue;
+      if (columns[field]) continue;
+      
+      // SQLite can only add NOT NULL columns when they have a static default
+      const hasStaticDefault = attribute.defaultValue !== undefined && 
+        (typeof attribute.defaultValue !== 'object' || attribute.defaultValue === null || Array.isArray(attribute.defaultValue));
+      
+      const column = {
+        type: attribute.type,
+        allowNull: attribute.allowNull !== false || !hasStaticDefault
+      };
+      
+      if (hasStaticDefault) {
+        column.defaultValue = attribute.defaultValue;
+      }
+      
+      await queryInterface.addColumn(tableName, field, column);
+      logger.info(`Added missing column ${field} to table ${tableName}`);
+    }
+  }
+}
+
 // Schedule regular database backups
 function scheduleBackups() {
   const backupInterval = dbConfig.backups.interval || 86400000; // Default 24 hours
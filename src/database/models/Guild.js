@@ -268,6 +268,10 @@ module.exports = (sequelize) => {
           this.setDataValue('settings', mergedSettings);
         }
         
+        // The merge mutates nested objects shared with the previous value,
+        // so Sequelize can't detect the change on its own
+        this.changed('settings', true);
+        
         // Save the changes
         await this.save();
         
@@ -0,0 +1,121 @@
+/**
+ * ModmailAttachment Model
+ * Index of attachments relayed through modmail, stored in the local attachment store when the guild's quota allows
+ */
+const { DataTypes, Model, Op } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+module.exports = (sequelize) => {
+  class ModmailAttachment extends Model {
+    /**
+     * Get the number of bytes a guild has in the attachment store
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<number>}
+     */
+    static async getGuildUsage(guildId) {
+      try {
+        const usage = await ModmailAttachment.sum('size', {
+          where: {
+            guildId,
+            filePath: {
+              [Op.ne]: null
+            }
+          }
+        });
+        
+        return usage || 0;
+      } catch (error) {
+        logger.error(`Error getting attachment usage for guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find an attachment by ID, making sure it belongs to the guild
+     * @param {string} guildId - The guild ID
+     * @param {number} attachmentId - The attachment ID
+     * @returns {Promise<ModmailAttachment|null>}
+     */
+    static async findGuildAttachment(guildId, attachmentId) {
+      try {
+        return await ModmailAttachment.findOne({
+          where: {
+            id: attachmentId,
+            guildId
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding attachment ${attachmentId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+  
+  ModmailAttachment.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the thread belongs to'
+    },
+    threadId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the thread the attachment was sent in'
+    },
+    uploaderId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the user or staff member who sent the attachment'
+    },
+    direction: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Direction the attachment was relayed in (user_to_staff or staff_to_user)'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Original file name'
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'MIME type reported by Discord'
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'File size in bytes'
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Original Discord CDN URL, which expires after a while'
+    },
+    filePath: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Path of the stored copy relative to the attachment store (null if not stored)'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailAttachment',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['guildId']
+      },
+      {
+        fields: ['threadId']
+      }
+    ]
+  });
+  
+  return ModmailAttachment;
+};
\ No newline at end of file
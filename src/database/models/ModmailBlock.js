@@ -0,0 +1,199 @@
+/**
+ * ModmailBlock Model
+ * Users who are blocked from contacting a guild through modmail
+ */
+const { DataTypes, Model, Op } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+module.exports = (sequelize) => {
+  class ModmailBlock extends Model {
+    /**
+     * Where clause matching blocks that have not expired
+     * @returns {Object}
+     */
+    static activeWhere() {
+      return {
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      };
+    }
+    
+    /**
+     * Find the active block for a user in a guild
+     * @param {string} userId - The user ID
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<ModmailBlock|null>}
+     */
+    static async findActiveBlock(userId, guildId) {
+      try {
+        return await ModmailBlock.findOne({
+          where: {
+            userId,
+            guildId,
+            ...ModmailBlock.activeWhere()
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding block for user ${userId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find all active blocks for a user across guilds
+     * @param {string} userId - The user ID
+     * @returns {Promise<Array<ModmailBlock>>}
+     */
+    static async findUserBlocks(userId) {
+      try {
+        return await ModmailBlock.findAll({
+          where: {
+            userId,
+            ...ModmailBlock.activeWhere()
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding blocks for user ${userId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find all active blocks in a guild
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<Array<ModmailBlock>>}
+     */
+    static async findGuildBlocks(guildId) {
+      try {
+        return await ModmailBlock.findAll({
+          where: {
+            guildId,
+            ...ModmailBlock.activeWhere()
+          },
+          order: [['createdAt', 'DESC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding blocks in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Block a user in a guild, replacing any existing block
+     * @param {string} userId - The user ID
+     * @param {string} guildId - The guild ID
+     * @param {Object} options - Block options
+     * @param {string} options.blockedBy - ID of the staff member adding the block
+     * @param {string} [options.reason] - Reason for the block
+     * @param {Date} [options.expiresAt] - When the block expires (never if omitted)
+     * @returns {Promise<ModmailBlock>}
+     */
+    static async blockUser(userId, guildId, { blockedBy, reason = null, expiresAt = null }) {
+      try {
+        const [block] = await ModmailBlock.findOrCreate({
+          where: { userId, guildId },
+          defaults: { userId, guildId, blockedBy, reason, expiresAt }
+        });
+        
+        // Blocking again replaces the previous block
+        block.blockedBy = blockedBy;
+        block.reason = reason;
+        block.expiresAt = expiresAt;
+        
+        await block.save();
+        return block;
+      } catch (error) {
+        logger.error(`Error blocking user ${userId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Remove the block for a user in a guild
+     * @param {string} userId - The user ID
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<boolean>} - Whether an active block was removed
+     */
+    static async unblockUser(userId, guildId) {
+      try {
+        const activeBlock = await ModmailBlock.findActiveBlock(userId, guildId);
+        
+        // Expired blocks are removed too, but only an active block counts as unblocking
+        await ModmailBlock.destroy({ where: { userId, guildId } });
+        return activeBlock !== null;
+      } catch (error) {
+        logger.error(`Error unblocking user ${userId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Delete blocks whose expiry time has passed
+     * @returns {Promise<number>} - Number of blocks removed
+     */
+    static async removeExpired() {
+      try {
+        return await ModmailBlock.destroy({
+          where: {
+            expiresAt: {
+              [Op.lte]: new Date()
+            }
+          }
+        });
+      } catch (error) {
+        logger.error(`Error removing expired blocks: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+  
+  ModmailBlock.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the blocked user'
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the block applies to'
+    },
+    blockedBy: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the staff member who added the block'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Reason for the block'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the block expires (null for permanent blocks)'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailBlock',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['guildId', 'userId']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+  
+  return ModmailBlock;
+};
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * ModmailMessage Model
+ * Stores every message relayed through a modmail thread
+ */
+const { DataTypes, Model, Op } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Possible directions of a stored message
+ */
+const DIRECTIONS = {
+  USER_TO_STAFF: 'user_to_staff',
+  STAFF_TO_USER: 'staff_to_user',
+  INTERNAL: 'internal'
+};
+
+module.exports = (sequelize) => {
+  class ModmailMessage extends Model {
+    /**
+     * Set up associations with other models
+     * @param {Object} models - All loaded models
+     */
+    static associate(models) {
+      if (models.ModmailThread) {
+        ModmailMessage.belongsTo(models.ModmailThread, {
+          foreignKey: 'threadId',
+          as: 'thread',
+          constraints: false
+        });
+        
+        models.ModmailThread.hasMany(ModmailMessage, {
+          foreignKey: 'threadId',
+          as: 'messages',
+          constraints: false
+        });
+      }
+    }
+    
+    /**
+     * Find all stored messages for a thread in chronological order
+     * @param {string} threadId - The thread ID
+     * @param {boolean} [includeInternal=true] - Whether to include internal entries
+     * @returns {Promise<Array<ModmailMessage>>}
+     */
+    static async findThreadMessages(threadId, includeInternal = true) {
+      try {
+        const where = { threadId };
+        
+        if (!includeInternal) {
+          where.direction = [DIRECTIONS.USER_TO_STAFF, DIRECTIONS.STAFF_TO_USER];
+        }
+        
+        return await ModmailMessage.findAll({
+          where,
+          order: [['createdAt', 'ASC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding messages for thread ${threadId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find a stored message by the Discord ID of either of its copies, or of the staff message that sent it
+     * @param {string} discordMessageId - DM, thread channel or staff prefix reply message ID
+     * @returns {Promise<ModmailMessage|null>}
+     */
+    static async findByDiscordMessageId(discordMessageId) {
+      try {
+        return await ModmailMessage.findOne({
+          where: {
+            [Op.or]: [
+              { userMessageId: discordMessageId },
+              { channelMessageId: discordMessageId },
+              { staffMessageId: discordMessageId }
+            ]
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding message by Discord ID ${discordMessageId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find every stored message relayed in one thread channel message, oldest first
+     * A batched relay holds several user messages
+     * @param {string} channelMessageId - Thread channel message ID
+     * @returns {Promise<Array<ModmailMessage>>}
+     */
+    static async findByChannelMessageId(channelMessageId) {
+      try {
+        return await ModmailMessage.findAll({
+          where: { channelMessageId },
+          order: [['id', 'ASC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding messages by channel message ID ${channelMessageId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find the most recent staff reply in a thread
+     * @param {string} threadId - The thread ID
+     * @param {string} [authorId] - Only match replies by this staff member
+     * @returns {Promise<ModmailMessage|null>}
+     */
+    static async findLatestStaffReply(threadId, authorId = null) {
+      try {
+        const where = {
+          threadId,
+          direction: DIRECTIONS.STAFF_TO_USER
+        };
+        
+        if (authorId) {
+          where.authorId = authorId;
+        }
+        
+        return await ModmailMessage.findOne({
+          where,
+          order: [['createdAt', 'DESC'], ['id', 'DESC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding latest staff reply for thread ${threadId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Replace the content, keeping the previous version in the edit history
+     * @param {string} newContent - The edited content
+     * @returns {Promise<string|null>} - The content before the edit
+     */
+    async recordEdit(newContent) {
+      try {
+        const previousContent = this.content;
+        const metadata = this.metadata || {};
+        
+        // Assign a new object so Sequelize notices the JSON change
+        this.metadata = {
+          ...metadata,
+          edits: [...(metadata.edits || []), { content: previousContent, editedAt: new Date().toISOString() }]
+        };
+        this.content = newContent || null;
+        
+        await this.save();
+        return previousContent;
+      } catch (error) {
+        logger.error(`Error recording edit for message ${this.id}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Mark the message as deleted without removing its content
+     * @param {string} [deletedBy] - ID of who deleted it, if known
+     */
+    async markDeleted(deletedBy = null) {
+      try {
+        this.metadata = {
+          ...(this.metadata || {}),
+          deletedAt: new Date().toISOString(),
+          deletedBy
+        };
+        
+        await this.save();
+        return this;
+      } catch (error) {
+        logger.error(`Error marking message ${this.id} as deleted: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Whether the message has been marked as deleted
+     * @returns {boolean}
+     */
+    isDeleted() {
+      return Boolean(this.metadata && this.metadata.deletedAt);
+    }
+  }
+  
+  ModmailMessage.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    threadId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the thread this message belongs to'
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the thread belongs to'
+    },
+    direction: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(DIRECTIONS)]
+      },
+      comment: 'user_to_staff, staff_to_user or internal'
+    },
+    authorId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the user or staff member who wrote the message'
+    },
+    authorTag: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Tag of the author at the time the message was sent'
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Text content of the message'
+    },
+    attachments: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Attachment metadata (name, url, size, contentType)'
+    },
+    userMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the message in the user DM channel'
+    },
+    channelMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the message in the thread channel'
+    },
+    staffMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the staff message in the thread channel that sent a prefix reply'
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {},
+      comment: 'Additional metadata about the message'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailMessage',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['threadId', 'createdAt']
+      },
+      {
+        fields: ['guildId']
+      },
+      {
+        fields: ['userMessageId']
+      },
+      {
+        fields: ['channelMessageId']
+      },
+      {
+        fields: ['staffMessageId']
+      }
+    ]
+  });
+  
+  // Expose the direction constants for callers
+  ModmailMessage.DIRECTIONS = DIRECTIONS;
+  
+  return ModmailMessage;
+};
\ No newline at end of file
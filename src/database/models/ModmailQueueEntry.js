@@ -0,0 +1,147 @@
+/**
+ * ModmailQueueEntry Model
+ * New thread requests waiting for a free channel slot when every modmail category is full
+ */
+const { DataTypes, Model } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+module.exports = (sequelize) => {
+  class ModmailQueueEntry extends Model {
+    /**
+     * Find a user's queued request in a guild
+     * @param {string} userId - The user ID
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<ModmailQueueEntry|null>}
+     */
+    static async findUserEntry(userId, guildId) {
+      try {
+        return await ModmailQueueEntry.findOne({
+          where: {
+            userId,
+            guildId
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding queue entry for user ${userId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find all queued requests in a guild, oldest first
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<Array<ModmailQueueEntry>>}
+     */
+    static async findGuildQueue(guildId) {
+      try {
+        return await ModmailQueueEntry.findAll({
+          where: { guildId },
+          order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding queue for guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find the IDs of guilds that have queued requests
+     * @returns {Promise<Array<string>>}
+     */
+    static async findQueuedGuildIds() {
+      try {
+        const rows = await ModmailQueueEntry.findAll({
+          attributes: [[sequelize.fn('DISTINCT', sequelize.col('guildId')), 'guildId']],
+          raw: true
+        });
+        
+        return rows.map(row => row.guildId);
+      } catch (error) {
+        logger.error(`Error finding guilds with queued requests: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Add a follow-up message from the user to the queued request
+     * @param {string} [content] - Text content of the follow-up
+     * @param {Array<Object>} [attachments] - Serialized attachments of the follow-up
+     */
+    async appendMessage(content, attachments = []) {
+      try {
+        if (content) {
+          this.content = this.content ? `${this.content}\n\n${content}` : content;
+        }
+        
+        // Assign a new array so Sequelize notices the JSON change
+        this.attachments = [...(this.attachments || []), ...attachments];
+        
+        await this.save();
+        return this;
+      } catch (error) {
+        logger.error(`Error appending to queue entry ${this.id}: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+  
+  ModmailQueueEntry.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the user wants to contact'
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the user waiting for a thread'
+    },
+    topicId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'ID of the topic the user picked'
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Text the user sent, including messages sent while waiting'
+    },
+    attachments: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Attachment metadata (name, url, size, contentType)'
+    },
+    userMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the DM that started the request'
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {},
+      comment: 'Additional thread options such as intake answers'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailQueueEntry',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['guildId', 'userId']
+      },
+      {
+        fields: ['guildId', 'createdAt']
+      }
+    ]
+  });
+  
+  return ModmailQueueEntry;
+};
\ No newline at end of file
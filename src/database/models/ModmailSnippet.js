@@ -0,0 +1,115 @@
+/**
+ * ModmailSnippet Model
+ * Saved reply snippets that staff can send into modmail threads
+ */
+const { DataTypes, Model, Op } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+module.exports = (sequelize) => {
+  class ModmailSnippet extends Model {
+    /**
+     * Find a snippet by name in a guild
+     * @param {string} guildId - The guild ID
+     * @param {string} name - The snippet name
+     * @returns {Promise<ModmailSnippet|null>}
+     */
+    static async findByName(guildId, name) {
+      try {
+        return await ModmailSnippet.findOne({
+          where: {
+            guildId,
+            name: ModmailSnippet.normalizeName(name)
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding snippet ${name} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find snippets whose names start with a prefix (used for autocomplete)
+     * @param {string} guildId - The guild ID
+     * @param {string} [prefix=''] - Name prefix to match
+     * @param {number} [limit=25] - Maximum number of results
+     * @returns {Promise<Array<ModmailSnippet>>}
+     */
+    static async searchByName(guildId, prefix = '', limit = 25) {
+      try {
+        return await ModmailSnippet.findAll({
+          where: {
+            guildId,
+            name: {
+              [Op.like]: `${ModmailSnippet.normalizeName(prefix)}%`
+            }
+          },
+          order: [['name', 'ASC']],
+          limit
+        });
+      } catch (error) {
+        logger.error(`Error searching snippets in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Normalize a snippet name so lookups are case-insensitive
+     * @param {string} name - The raw snippet name
+     * @returns {string} - Normalized name
+     */
+    static normalizeName(name) {
+      return (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+    }
+  }
+  
+  ModmailSnippet.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the snippet belongs to'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Unique (per guild) name used to reference the snippet'
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Snippet body, may contain placeholders'
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the staff member who created the snippet'
+    },
+    updatedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the staff member who last edited the snippet'
+    },
+    uses: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'How many times the snippet has been sent'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailSnippet',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['guildId', 'name']
+      }
+    ]
+  });
+  
+  return ModmailSnippet;
+};
\ No newline at end of file
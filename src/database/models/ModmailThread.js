@@ -8,15 +8,17 @@ const { logger } = require('../../utils/logger');
 module.exports = (sequelize) => {
   class ModmailThread extends Model {
     /**
-     * Find all threads for a specific user
+     * Find all threads for a specific user, newest first
      * @param {string} userId - The user ID
+     * @param {string} [guildId] - Only include threads in this guild
      * @returns {Promise<Array<ModmailThread>>}
      */
-    static async findUserThreads(userId) {
+    static async findUserThreads(userId, guildId = null) {
       try {
         return await ModmailThread.findAll({
           where: {
-            userId
+            userId,
+            ...(guildId ? { guildId } : {})
           },
           order: [['createdAt', 'DESC']]
         });
@@ -80,6 +82,116 @@ module.exports = (sequelize) => {
       }
     }
     
+    /**
+     * Find open threads whose scheduled close time has passed
+     * @returns {Promise<Array<ModmailThread>>}
+     */
+    static async findDueScheduledCloses() {
+      try {
+        return await ModmailThread.findAll({
+          where: {
+            open: true,
+            scheduledCloseAt: {
+              [Op.lte]: new Date()
+            }
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding scheduled thread closes: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Count open threads in a guild grouped by assignee
+     * @param {string} guildId - The guild ID
+     * @param {number} [topicId] - Only count threads of this topic
+     * @returns {Promise<Array<Object>>} - Rows of `{ assignedTo, count }` (assignedTo is null for unassigned)
+     */
+    static async countOpenByAssignee(guildId, topicId = null) {
+      try {
+        const where = {
+          guildId,
+          open: true
+        };
+        
+        if (topicId) {
+          where.topicId = topicId;
+        }
+        
+        const rows = await ModmailThread.findAll({
+          where,
+          attributes: [
+            'assignedTo',
+            [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+          ],
+          group: ['assignedTo'],
+          raw: true
+        });
+        
+        return rows.map(row => ({ assignedTo: row.assignedTo, count: Number(row.count) }));
+      } catch (error) {
+        logger.error(`Error counting open threads by assignee in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Count threads in a guild grouped by topic
+     * @param {string} guildId - The guild ID
+     * @param {Date} [since] - Only count threads created after this date
+     * @returns {Promise<Array<Object>>} - Rows of `{ topicId, count }` (topicId is null for threads without a topic)
+     */
+    static async countByTopic(guildId, since = null) {
+      try {
+        const where = { guildId };
+        
+        if (since) {
+          where.createdAt = { [Op.gte]: since };
+        }
+        
+        const rows = await ModmailThread.findAll({
+          where,
+          attributes: [
+            'topicId',
+            [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+          ],
+          group: ['topicId'],
+          raw: true
+        });
+        
+        return rows.map(row => ({ topicId: row.topicId, count: Number(row.count) }));
+      } catch (error) {
+        logger.error(`Error counting threads by topic in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find open threads that have waited longer than a cutoff without a staff reply
+     * @param {string} guildId - The guild ID
+     * @param {Date} createdBefore - Only include threads created before this date
+     * @returns {Promise<Array<ModmailThread>>} - Threads, longest waiting first
+     */
+    static async findAwaitingFirstResponse(guildId, createdBefore) {
+      try {
+        return await ModmailThread.findAll({
+          where: {
+            guildId,
+            open: true,
+            firstStaffResponseAt: null,
+            createdAt: {
+              [Op.lte]: createdBefore
+            }
+          },
+          order: [['createdAt', 'ASC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding threads awaiting a first response in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
     /**
      * Update the last activity timestamp
      * @param {string} [source] - Optional source of the activity update for logging
@@ -110,6 +222,11 @@ module.exports = (sequelize) => {
         this.closedBy = userId;
         this.closeReason = reason;
         
+        // A closed thread has nothing left to schedule
+        this.scheduledCloseAt = null;
+        this.scheduledCloseBy = null;
+        this.scheduledCloseReason = null;
+        
         await this.save();
         return this;
       } catch (error) {
@@ -117,6 +234,101 @@ module.exports = (sequelize) => {
         throw error;
       }
     }
+    
+    /**
+     * Schedule the thread to be closed later
+     * @param {string} userId - The user ID of who scheduled the close
+     * @param {string} reason - The reason for closing
+     * @param {Date} closeAt - When the thread should be closed
+     */
+    async scheduleClose(userId, reason, closeAt) {
+      try {
+        this.scheduledCloseAt = closeAt;
+        this.scheduledCloseBy = userId;
+        this.scheduledCloseReason = reason;
+        
+        await this.save();
+        return this;
+      } catch (error) {
+        logger.error(`Error scheduling close for thread ${this.id}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Cancel a scheduled close
+     * @returns {Promise<boolean>} - Whether a scheduled close was cancelled
+     */
+    async cancelScheduledClose() {
+      try {
+        if (!this.scheduledCloseAt) return false;
+        
+        this.scheduledCloseAt = null;
+        this.scheduledCloseBy = null;
+        this.scheduledCloseReason = null;
+        
+        await this.save();
+        return true;
+      } catch (error) {
+        logger.error(`Error cancelling scheduled close for thread ${this.id}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Assign the thread to a staff member
+     * @param {string} staffId - The user ID of the assignee
+     */
+    async assignTo(staffId) {
+      try {
+        this.assignedTo = staffId;
+        this.assignedAt = new Date();
+        
+        await this.save();
+        return this;
+      } catch (error) {
+        logger.error(`Error assigning thread ${this.id} to ${staffId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Remove the current assignee
+     * @returns {Promise<boolean>} - Whether the thread had an assignee
+     */
+    async unassign() {
+      try {
+        if (!this.assignedTo) return false;
+        
+        this.assignedTo = null;
+        this.assignedAt = null;
+        
+        await this.save();
+        return true;
+      } catch (error) {
+        logger.error(`Error unassigning thread ${this.id}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Reopen a closed thread
+     */
+    async reopenThread() {
+      try {
+        this.open = true;
+        this.closedAt = null;
+        this.closedBy = null;
+        this.closeReason = null;
+        this.lastMessageAt = new Date();
+        
+        await this.save();
+        return this;
+      } catch (error) {
+        logger.error(`Error reopening thread ${this.id}: ${error.message}`);
+        throw error;
+      }
+    }
   }
   
   ModmailThread.init({
@@ -178,6 +390,41 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'Reason for closing the thread'
     },
+    scheduledCloseAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the thread is scheduled to close automatically'
+    },
+    scheduledCloseBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the user who scheduled the close'
+    },
+    scheduledCloseReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Reason to use when the scheduled close runs'
+    },
+    assignedTo: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the staff member the thread is assigned to'
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the thread was claimed or assigned'
+    },
+    firstStaffResponseAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When staff first replied to the user'
+    },
+    topicId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'ID of the topic the user picked when opening the thread'
+    },
     metadata: {
       type: DataTypes.JSON,
       allowNull: true,
@@ -198,6 +445,12 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['lastMessageAt']
+      },
+      {
+        fields: ['guildId', 'assignedTo']
+      },
+      {
+        fields: ['guildId', 'topicId']
       }
     ]
   });
@@ -0,0 +1,142 @@
+/**
+ * ModmailTopic Model
+ * Topics users pick when opening a thread, each routed to its own category and staff role
+ */
+const { DataTypes, Model } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+module.exports = (sequelize) => {
+  class ModmailTopic extends Model {
+    /**
+     * Set up associations with other models
+     * @param {Object} models - All loaded models
+     */
+    static associate(models) {
+      if (models.ModmailThread) {
+        models.ModmailThread.belongsTo(ModmailTopic, {
+          foreignKey: 'topicId',
+          as: 'topic',
+          constraints: false
+        });
+      }
+    }
+    
+    /**
+     * Find all topics in a guild, sorted by name
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<Array<ModmailTopic>>}
+     */
+    static async findGuildTopics(guildId) {
+      try {
+        return await ModmailTopic.findAll({
+          where: { guildId },
+          order: [['name', 'ASC']]
+        });
+      } catch (error) {
+        logger.error(`Error finding topics in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find a topic by name in a guild (case-insensitive)
+     * @param {string} guildId - The guild ID
+     * @param {string} name - The topic name
+     * @returns {Promise<ModmailTopic|null>}
+     */
+    static async findByName(guildId, name) {
+      try {
+        const normalized = (name || '').trim().toLowerCase();
+        const topics = await ModmailTopic.findGuildTopics(guildId);
+        
+        return topics.find(topic => topic.name.toLowerCase() === normalized) || null;
+      } catch (error) {
+        logger.error(`Error finding topic ${name} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find a topic by ID, making sure it belongs to the guild
+     * @param {string} guildId - The guild ID
+     * @param {number|string} topicId - The topic ID
+     * @returns {Promise<ModmailTopic|null>}
+     */
+    static async findGuildTopic(guildId, topicId) {
+      try {
+        if (!topicId) return null;
+        
+        return await ModmailTopic.findOne({
+          where: {
+            id: topicId,
+            guildId
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding topic ${topicId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+  
+  ModmailTopic.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the topic belongs to'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Name shown to users in the topic menu'
+    },
+    description: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Short description shown under the name in the topic menu'
+    },
+    categoryId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the category threads for this topic are created in'
+    },
+    staffRoleId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the role that handles threads for this topic'
+    },
+    pingStaff: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the staff role is pinged when a thread is opened'
+    },
+    welcomeMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Message sent to the user when a thread for this topic is opened'
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the administrator who created the topic'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailTopic',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['guildId', 'name']
+      }
+    ]
+  });
+  
+  return ModmailTopic;
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * ModmailTranscript Model
+ * Index of transcripts saved to the local transcript archive
+ */
+const { DataTypes, Model, Op } = require('sequelize');
+const { logger } = require('../../utils/logger');
+
+module.exports = (sequelize) => {
+  class ModmailTranscript extends Model {
+    /**
+     * Find archived transcripts for a user in a guild, newest first
+     * @param {string} guildId - The guild ID
+     * @param {string} userId - The user ID
+     * @param {number} [limit=25] - Maximum number of results
+     * @returns {Promise<Array<ModmailTranscript>>}
+     */
+    static async findUserTranscripts(guildId, userId, limit = 25) {
+      try {
+        return await ModmailTranscript.findAll({
+          where: {
+            guildId,
+            userId
+          },
+          order: [['createdAt', 'DESC']],
+          limit
+        });
+      } catch (error) {
+        logger.error(`Error finding transcripts for user ${userId} in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * Find transcripts in a guild created before a cutoff date
+     * @param {string} guildId - The guild ID
+     * @param {Date} cutoff - Transcripts older than this are returned
+     * @returns {Promise<Array<ModmailTranscript>>}
+     */
+    static async findOlderThan(guildId, cutoff) {
+      try {
+        return await ModmailTranscript.findAll({
+          where: {
+            guildId,
+            createdAt: {
+              [Op.lt]: cutoff
+            }
+          }
+        });
+      } catch (error) {
+        logger.error(`Error finding old transcripts in guild ${guildId}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    /**
+     * List the guilds that have archived transcripts
+     * @returns {Promise<Array<string>>}
+     */
+    static async findArchivedGuildIds() {
+      try {
+        const rows = await ModmailTranscript.findAll({
+          attributes: [[sequelize.fn('DISTINCT', sequelize.col('guildId')), 'guildId']],
+          raw: true
+        });
+        
+        return rows.map(row => row.guildId);
+      } catch (error) {
+        logger.error(`Error listing guilds with archived transcripts: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+  
+  ModmailTranscript.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    threadId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the thread the transcript belongs to'
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the user the thread was with'
+    },
+    guildId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'ID of the guild the thread belongs to'
+    },
+    filePath: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Path of the file relative to the transcript archive directory'
+    },
+    format: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      comment: 'File format (html, txt, md or json)'
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'File size in bytes'
+    },
+    generatedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the user who generated the transcript'
+    }
+  }, {
+    sequelize,
+    modelName: 'ModmailTranscript',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['guildId', 'userId']
+      },
+      {
+        fields: ['threadId']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+  
+  return ModmailTranscript;
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Discord.js Channel Delete Event
+ * Opens queued modmail threads as soon as a channel slot frees up
+ */
+const { Events } = require('discord.js');
+const { logger } = require('../utils/logger');
+const { processModmailQueue } = require('../utils/modmail');
+
+module.exports = {
+  name: Events.ChannelDelete,
+  
+  async execute(channel, client) {
+    try {
+      // Only channels inside a category free up a modmail slot
+      if (!channel.guild || !channel.parentId || !client.db?.ModmailQueueEntry) return;
+      
+      const queue = await client.db.ModmailQueueEntry.findGuildQueue(channel.guild.id);
+      if (queue.length === 0) return;
+      
+      const openedCount = await processModmailQueue(client, channel.guild.id);
+      
+      if (openedCount > 0) {
+        logger.info(`Opened ${openedCount} queued modmail thread(s) in guild ${channel.guild.id}`);
+      }
+    } catch (error) {
+      logger.error(`Error processing modmail queue after channel ${channel.id} was deleted: ${error.message}`, { error });
+    }
+  }
+};
\ No newline at end of file
@@ -5,8 +5,9 @@ const { Events, Collection, InteractionType } = require('discord.js');
 const { logger, interactionLogger } = require('../utils/logger');
 const { createErrorEmbed, createSuccessEmbed } = require('../utils/embedBuilder');
 const { bot: botConfig } = require('../config');
-const { createModmailThread, createModmailTranscript, findThreadWithFallback } = require('../utils/modmail');
+const { addInternalNote, assignModmailThread, buildBlockedMessage, buildIntakeModal, buildIntakePrompt, buildQueuedMessage, buildTopicPrompt, checkReplyPermission, closeModmailThread, createModmailThread, createModmailTranscript, findThreadWithFallback, forwardUserMessage, getGuildTopics, getIntakeQuestions, getModmailSettings, reopenModmailThread, sendStaffReply } = require('../utils/modmail');
 const { EPHEMERAL_FLAG, convertEphemeralOption } = require('../utils/interactionUtils');
+const { renderGuildMessage } = require('../utils/messageTemplates');
 
 module.exports = {
   name: Events.InteractionCreate,
@@ -22,6 +23,10 @@ module.exports = {
           await handleCommand(interaction, client);
           break;
         
+        case InteractionType.ApplicationCommandAutocomplete:
+          await handleAutocomplete(interaction, client);
+          break;
+        
         case InteractionType.MessageComponent:
           // Handle components based on custom ID
           const customId = interaction.customId;
@@ -30,6 +35,10 @@ module.exports = {
           if (customId === 'modmail_guild_select') {
             await handleModmailGuildSelect(interaction, client);
           }
+          // Modmail topic selection
+          else if (customId.startsWith('modmail_topic_select_')) {
+            await handleModmailTopicSelect(interaction, client);
+          }
           // Modmail thread selection
           else if (customId === 'modmail_thread_select') {
             await handleModmailThreadSelect(interaction, client);
@@ -38,18 +47,50 @@ module.exports = {
           else if (customId === 'modmail_new_conversation') {
             await handleNewModmailConversation(interaction, client);
           }
+          // Open the intake questionnaire
+          else if (customId.startsWith('modmail_intake_start_')) {
+            await handleModmailIntakeStart(interaction, client);
+          }
           // Close modmail thread
           else if (customId === 'modmail_close') {
             await handleModmailClose(interaction, client);
           }
+          // Claim modmail thread
+          else if (customId === 'modmail_claim') {
+            await handleModmailClaim(interaction, client);
+          }
+          // Cancel a scheduled close
+          else if (customId === 'modmail_cancel_close') {
+            await handleModmailCancelClose(interaction, client);
+          }
+          // Reopen closed modmail thread
+          else if (customId === 'modmail_reopen') {
+            await handleModmailReopen(interaction, client);
+          }
           // Reply to modmail thread
           else if (customId === 'modmail_reply') {
             await handleModmailReply(interaction, client);
           }
+          // Reply to modmail thread anonymously
+          else if (customId === 'modmail_reply_anon') {
+            await handleModmailReply(interaction, client, true);
+          }
+          // Add an internal note to modmail thread
+          else if (customId === 'modmail_note') {
+            await handleModmailNote(interaction, client);
+          }
           // Generate transcript for modmail thread
           else if (customId === 'modmail_transcript') {
             await handleModmailTranscript(interaction, client);
           }
+          // Page through a user's thread history
+          else if (customId.startsWith('modmail_history_')) {
+            await client.commands.get('modmail').handleHistoryButton(interaction, client);
+          }
+          // Page through /modmail search results
+          else if (customId.startsWith('modmail_search_')) {
+            await client.commands.get('modmail').handleSearchButton(interaction, client);
+          }
           // Handle database clear command buttons
           else if (customId.startsWith('clear-guild-select') || 
                    customId.startsWith('confirm-clear-guild-') || 
@@ -89,6 +130,21 @@ module.exports = {
           if (modalId.startsWith('modmail_reply_')) {
             await handleModmailReplySubmit(interaction, client);
           }
+          // Modmail internal note modal
+          else if (modalId.startsWith('modmail_note_')) {
+            await handleModmailNoteSubmit(interaction, client);
+          }
+          // Intake questionnaire modal
+          else if (modalId.startsWith('modmail_intake_')) {
+            await handleModmailIntakeSubmit(interaction, client);
+          }
+          // Snippet add/edit modals
+          else if (modalId.startsWith('snippet_')) {
+            const snippetCommand = client.commands.get('snippet');
+            if (snippetCommand && typeof snippetCommand.handleModal === 'function') {
+              await snippetCommand.handleModal(interaction, client);
+            }
+          }
           // Handle any other modal submissions
           else {
             await interaction.reply({
@@ -245,16 +301,172 @@ async function handleCommand(interaction, client) {
   }
 }
 
+/**
+ * Handle autocomplete requests for slash command options
+ * @param {Interaction} interaction - Autocomplete interaction
+ * @param {Client} client - Discord client
+ */
+async function handleAutocomplete(interaction, client) {
+  const command = client.commands.get(interaction.commandName);
+  
+  if (!command || typeof command.autocomplete !== 'function') {
+    return interaction.respond([]).catch(() => {});
+  }
+  
+  try {
+    await command.autocomplete(interaction, client);
+  } catch (error) {
+    logger.error(`Error handling autocomplete for ${interaction.commandName}: ${error.message}`, { error });
+    
+    // Autocomplete interactions can only be answered with choices
+    if (!interaction.responded) {
+      await interaction.respond([]).catch(() => {});
+    }
+  }
+}
+
 /**
  * Handle guild selection for modmail
  * @param {Interaction} interaction - Select menu interaction
  * @param {Client} client - Discord client
  */
 async function handleModmailGuildSelect(interaction, client) {
+  const selectedGuildId = interaction.values[0];
+  
+  // A queued request already has its topic and answers, the message is added to it
+  const guild = client.guilds.cache.get(selectedGuildId);
+  const queued = guild && await client.db.ModmailQueueEntry.findUserEntry(interaction.user.id, selectedGuildId);
+  
+  // Let the user pick a topic first
+  const topics = guild && !queued ? await getGuildTopics(client, selectedGuildId) : [];
+  
+  if (topics.length > 0) {
+    return interaction.update(buildTopicPrompt(guild, topics));
+  }
+  
+  // Ask the intake questions first, a modal has to be the first response
+  if (!queued && await showIntakeForm(interaction, client, selectedGuildId)) {
+    return;
+  }
+  
+  await interaction.deferUpdate();
+  await openSelectedGuildThread(interaction, client, selectedGuildId);
+}
+
+/**
+ * Handle topic selection for a new modmail thread
+ * @param {Interaction} interaction - Select menu interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailTopicSelect(interaction, client) {
+  const guildId = interaction.customId.replace('modmail_topic_select_', '');
+  const topicId = parseInt(interaction.values[0], 10);
+  
+  if (await showIntakeForm(interaction, client, guildId, topicId)) {
+    return;
+  }
+  
   await interaction.deferUpdate();
+  await openSelectedGuildThread(interaction, client, guildId, { topicId });
+}
+
+/**
+ * Show the intake questionnaire for a guild if it has one
+ * @param {Interaction} interaction - Select menu or button interaction
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The selected guild ID
+ * @param {number} [topicId] - The selected topic ID
+ * @returns {Promise<boolean>} - Whether the form was shown
+ */
+async function showIntakeForm(interaction, client, guildId, topicId = null) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return false;
   
-  const selectedGuildId = interaction.values[0];
+  const questions = await getIntakeQuestions(client, guildId);
+  if (questions.length === 0) return false;
   
+  await interaction.showModal(buildIntakeModal(guild, questions, topicId));
+  return true;
+}
+
+/**
+ * Handle the button that opens the intake questionnaire
+ * @param {Interaction} interaction - Button interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailIntakeStart(interaction, client) {
+  const guildId = interaction.customId.replace('modmail_intake_start_', '');
+  
+  // Fall back to opening the thread directly if the form was removed in the meantime
+  if (await showIntakeForm(interaction, client, guildId)) {
+    return;
+  }
+  
+  await interaction.deferUpdate();
+  await openSelectedGuildThread(interaction, client, guildId);
+}
+
+/**
+ * Handle intake questionnaire submission
+ * @param {Interaction} interaction - Modal submission interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailIntakeSubmit(interaction, client) {
+  await interaction.deferUpdate();
+  
+  // The modal ID carries the guild and, if one was picked, the topic
+  const [guildId, topicId] = interaction.customId.replace('modmail_intake_', '').split('_');
+  const questions = await getIntakeQuestions(client, guildId);
+  
+  // Pair the answers with the questions that were shown
+  const intakeAnswers = [];
+  questions.forEach((question, index) => {
+    const field = interaction.fields.fields.get(`intake_${index}`);
+    if (field) {
+      intakeAnswers.push({ question, answer: field.value.trim() });
+    }
+  });
+  
+  await openSelectedGuildThread(interaction, client, guildId, {
+    intakeAnswers,
+    topicId: topicId ? parseInt(topicId, 10) : null
+  });
+}
+
+/**
+ * Get the DM the user originally sent, which the selection prompt replied to
+ * @param {Interaction} interaction - Component or modal interaction on the prompt
+ * @returns {Promise<Message|Object>} - The original message, or the prompt content as a fallback
+ */
+async function getOriginalDm(interaction) {
+  const referenceId = interaction.message?.reference?.messageId;
+  
+  if (referenceId) {
+    const channel = interaction.channel || await interaction.user.createDM().catch(() => null);
+    const original = channel ? await channel.messages.fetch(referenceId).catch(() => null) : null;
+    
+    if (original && original.author.id === interaction.user.id) {
+      return original;
+    }
+  }
+  
+  return {
+    author: interaction.user,
+    content: interaction.message.content,
+    attachments: interaction.message.attachments
+  };
+}
+
+/**
+ * Open a thread in the guild the user selected
+ * @param {Interaction} interaction - Deferred interaction on the selection prompt
+ * @param {Client} client - Discord client
+ * @param {string} selectedGuildId - The selected guild ID
+ * @param {Object} [options] - Thread options
+ * @param {Array<Object>} [options.intakeAnswers] - Answers to the intake questions
+ * @param {number} [options.topicId] - The topic the user picked
+ */
+async function openSelectedGuildThread(interaction, client, selectedGuildId, { intakeAnswers = [], topicId = null } = {}) {
   try {
     // Get the guild 
     const guild = client.guilds.cache.get(selectedGuildId);
@@ -294,6 +506,16 @@ async function handleModmailGuildSelect(interaction, client) {
       });
     }
     
+    // The selection menu may be older than a block
+    const block = await client.db.ModmailBlock.findActiveBlock(interaction.user.id, selectedGuildId);
+    
+    if (block) {
+      return interaction.editReply({
+        content: await buildBlockedMessage(client, interaction.user, guild, block),
+        components: []
+      });
+    }
+    
     // Check for existing thread with this guild
     const existingThreads = await client.db.ModmailThread.findAll({
       where: {
@@ -310,23 +532,20 @@ async function handleModmailGuildSelect(interaction, client) {
       });
     }
     
-    // Create a new thread
-    const messageContent = interaction.message.content;
-    const attachments = interaction.message.attachments;
+    // The topic may have been removed since the menu was shown
+    const topic = topicId ? await client.db.ModmailTopic.findGuildTopic(selectedGuildId, topicId) : null;
     
     // Get the original DM message
-    const message = {
-      author: interaction.user,
-      content: messageContent,
-      attachments
-    };
+    const message = await getOriginalDm(interaction);
     
     // Create thread for selected guild
-    await createModmailThread(message, client, guild);
+    const thread = await createModmailThread(message, client, guild, null, [], { intakeAnswers, topic });
     
     // Update the original message
     return interaction.editReply({
-      content: `Your message has been sent to the staff of **${guild.name}**. They will respond to you here in DMs.`,
+      content: thread
+        ? await renderGuildMessage(client, guild, 'confirmation', { user: interaction.user })
+        : buildQueuedMessage(guild),
       components: []
     });
   } catch (error) {
@@ -399,11 +618,13 @@ async function handleModmailThreadSelect(interaction, client) {
       };
       
       // Create thread for selected guild
-      await createModmailThread(message, client, guild);
+      const thread = await createModmailThread(message, client, guild);
       
       // Update the original message
       return interaction.editReply({
-        content: `Your message has been sent to the staff of **${guild.name}**. They will respond to you here in DMs.`,
+        content: thread
+          ? await renderGuildMessage(client, guild, 'confirmation', { user: interaction.user })
+          : buildQueuedMessage(guild),
         components: []
       });
     }
@@ -427,46 +648,27 @@ async function handleModmailThreadSelect(interaction, client) {
       };
       
       // Create thread for selected guild
-      await createModmailThread(message, client, guild);
+      const thread = await createModmailThread(message, client, guild);
       
       // Update the original message
       return interaction.editReply({
-        content: `Your previous thread with **${guild.name}** could not be found. A new thread has been created for you.`,
+        content: thread
+          ? `Your previous thread with **${guild.name}** could not be found. A new thread has been created for you.`
+          : buildQueuedMessage(guild),
         components: []
       });
     }
     
-    // Thread exists and channel exists, update the thread
-    // Update the thread's activity timestamp
-    await existingThread.updateActivity();
-    
-    // Forward the message to the thread
-    const messageContent = interaction.message.content;
-    const userTag = interaction.user.tag;
-    
-    const forwardEmbed = {
-      author: {
-        name: userTag,
-        icon_url: interaction.user.displayAvatarURL({ dynamic: true })
-      },
-      description: messageContent,
-      color: 0x2F3136,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Send message to thread channel
-    await threadChannel.send({
-      embeds: [forwardEmbed],
-      files: [...interaction.message.attachments.values()]
-    });
-    
-    // Increment message count
-    existingThread.messageCount += 1;
-    await existingThread.save();
+    // Thread exists and channel exists, forward and store the message
+    await forwardUserMessage(client, existingThread, threadChannel, {
+      author: interaction.user,
+      content: interaction.message.content,
+      attachments: interaction.message.attachments
+    }, 'user_thread_select');
     
     // Update the original message
     return interaction.editReply({
-      content: `Your message has been sent to the staff of **${guild.name}**. They will respond to you here in DMs.`,
+      content: await renderGuildMessage(client, guild, 'confirmation', { user: interaction.user }),
       components: []
     });
   } catch (error) {
@@ -491,7 +693,13 @@ async function handleNewModmailConversation(interaction, client) {
     // Get all guilds with modmail enabled that the user is a member of
     const guildsWithModmail = [];
     
+    // Guilds that blocked the user are left out
+    const blocks = await client.db.ModmailBlock.findUserBlocks(interaction.user.id);
+    const blockedGuildIds = new Set(blocks.map(block => block.guildId));
+    
     for (const [guildId, guild] of client.guilds.cache) {
+      if (blockedGuildIds.has(guildId)) continue;
+      
       // Check if user is in this guild
       const member = await guild.members.fetch(interaction.user.id).catch(() => null);
       if (!member) continue;
@@ -533,24 +741,18 @@ async function handleNewModmailConversation(interaction, client) {
       // Only one server has modmail, use that one
       const guild = guildsWithModmail[0];
       
-      const messageContent = interaction.message.content;
-      const attachments = interaction.message.attachments;
+      // Ask for a topic or the intake answers first, like a new DM would
+      const topics = await getGuildTopics(client, guild.id);
+      if (topics.length > 0) {
+        return interaction.editReply(buildTopicPrompt(guild, topics));
+      }
       
-      // Get the original DM message
-      const message = {
-        author: interaction.user,
-        content: messageContent,
-        attachments
-      };
+      if ((await getIntakeQuestions(client, guild.id)).length > 0) {
+        return interaction.editReply(buildIntakePrompt(guild));
+      }
       
       // Create thread for only available guild
-      await createModmailThread(message, client, guild);
-      
-      // Update the original message
-      return interaction.editReply({
-        content: `Your message has been sent to the staff of **${guild.name}**. They will respond to you here in DMs.`,
-        components: []
-      });
+      return openSelectedGuildThread(interaction, client, guild.id);
     }
     
     // Multiple guilds with modmail, let user select one
@@ -621,64 +823,170 @@ async function handleModmailClose(interaction, client) {
       });
     }
     
-    // Close the thread in the database
-    await thread.closeThread(interaction.user.id, 'Closed by staff');
+    const { userNotified } = await closeModmailThread(client, thread, {
+      guild: interaction.guild,
+      channel,
+      closedBy: interaction.user
+    });
     
-    // Send a message to the channel
-    await channel.send({
-      content: `📬 This modmail thread has been closed by ${interaction.user.tag}`,
-      components: [
-        {
-          type: 1, // ACTION_ROW
-          components: [
-            {
-              type: 2, // BUTTON
-              style: 1, // PRIMARY
-              label: 'Generate Transcript',
-              custom_id: 'modmail_transcript',
-              emoji: { name: '📄' }
-            }
-          ]
-        }
-      ]
+    // Confirm to the moderator
+    return interaction.editReply({
+      content: userNotified 
+        ? 'Thread closed successfully. The user has been notified.' 
+        : 'Thread closed successfully, but the user could not be notified.'
     });
+  } catch (error) {
+    logger.error(`Error closing modmail thread: ${error.message}`, { error });
     
-    // Try to notify the user that thread is closed and they cannot reply anymore
-    try {
-      const user = await client.users.fetch(thread.userId);
-      await user.send({
-        content: `📬 Your modmail thread with **${interaction.guild.name}** has been closed by a staff member.\n\n**Note:** This conversation is now closed. If you reply to this message, it will create a new thread instead of continuing this one. If you need further assistance, please send a new message.`
+    return interaction.editReply({
+      content: 'An error occurred while trying to close the thread.'
+    });
+  }
+}
+
+/**
+ * Handle the claim button
+ * @param {Interaction} interaction - Button interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailClaim(interaction, client) {
+  await interaction.deferReply({ flags: EPHEMERAL_FLAG });
+  
+  try {
+    const thread = await findThreadWithFallback(client, interaction.channel.id);
+    
+    if (!thread) {
+      return interaction.editReply({
+        content: 'This modmail thread could not be found in the database.'
       });
-      
-      // Remove the user from active sessions to prevent replying to closed threads
-      if (client.userSessions && client.userSessions.has(thread.userId)) {
-        client.userSessions.delete(thread.userId);
-        logger.debug(`Deleted user session for ${thread.userId} due to thread closure`);
-      }
-    } catch (dmError) {
-      // If we can't DM the user, just log it
-      logger.warn(`Could not notify user ${thread.userId} about thread closure: ${dmError.message}`);
     }
     
-    // Confirm to the moderator
+    if (!thread.open) {
+      return interaction.editReply({
+        content: 'This thread is closed and cannot be claimed.'
+      });
+    }
+    
+    if (thread.assignedTo === interaction.user.id) {
+      return interaction.editReply({
+        content: 'You have already claimed this thread.'
+      });
+    }
+    
+    if (thread.assignedTo) {
+      return interaction.editReply({
+        content: `This thread has already been claimed by <@${thread.assignedTo}>. Use \`/modmail assign\` to reassign it.`
+      });
+    }
+    
+    await assignModmailThread(client, thread, {
+      channel: interaction.channel,
+      staff: interaction.user,
+      assignee: interaction.user
+    });
+    
     return interaction.editReply({
-      content: `Thread closed successfully. The user has been notified.`
+      content: 'You have claimed this thread.'
     });
   } catch (error) {
-    logger.error(`Error closing modmail thread: ${error.message}`, { error });
+    logger.error(`Error claiming modmail thread: ${error.message}`, { error });
     
     return interaction.editReply({
-      content: 'An error occurred while trying to close the thread.'
+      content: 'An error occurred while trying to claim the thread.'
     });
   }
 }
 
 /**
- * Handle modmail reply button
+ * Handle cancelling a scheduled thread close
  * @param {Interaction} interaction - Button interaction
  * @param {Client} client - Discord client
  */
-async function handleModmailReply(interaction, client) {
+async function handleModmailCancelClose(interaction, client) {
+  await interaction.deferReply({ flags: EPHEMERAL_FLAG });
+  
+  try {
+    const thread = await findThreadWithFallback(client, interaction.channel.id);
+    
+    if (!thread) {
+      return interaction.editReply({
+        content: 'This modmail thread could not be found in the database.'
+      });
+    }
+    
+    const cancelled = await thread.cancelScheduledClose();
+    
+    if (!cancelled) {
+      return interaction.editReply({
+        content: 'This thread has no scheduled close to cancel.'
+      });
+    }
+    
+    await interaction.channel.send({
+      content: `⏹️ The scheduled close has been cancelled by ${interaction.user.tag}.`
+    });
+    
+    return interaction.editReply({
+      content: 'The scheduled close has been cancelled.'
+    });
+  } catch (error) {
+    logger.error(`Error cancelling scheduled close: ${error.message}`, { error });
+    
+    return interaction.editReply({
+      content: 'An error occurred while trying to cancel the scheduled close.'
+    });
+  }
+}
+
+/**
+ * Handle reopening closed modmail threads
+ * @param {Interaction} interaction - Button interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailReopen(interaction, client) {
+  await interaction.deferReply();
+  
+  try {
+    const thread = await findThreadWithFallback(client, interaction.channel.id);
+    
+    if (!thread) {
+      logger.warn(`Thread with channel ID ${interaction.channel.id} not found in the database for reopening`);
+      return interaction.editReply({
+        content: 'This doesn\'t appear to be a modmail thread, or the thread data is missing from the database.'
+      });
+    }
+    
+    const result = await reopenModmailThread(client, thread, {
+      guild: interaction.guild,
+      channel: interaction.channel,
+      staff: interaction.user
+    });
+    
+    if (!result.reopened) {
+      return interaction.editReply({ content: result.reason });
+    }
+    
+    return interaction.editReply({
+      content: result.userNotified
+        ? 'Thread reopened successfully. The user has been notified.'
+        : 'Thread reopened successfully, but the user could not be notified. They may have DMs disabled.'
+    });
+  } catch (error) {
+    logger.error(`Error reopening modmail thread: ${error.message}`, { error });
+    
+    return interaction.editReply({
+      content: 'An error occurred while trying to reopen the thread.'
+    });
+  }
+}
+
+/**
+ * Handle modmail reply buttons
+ * @param {Interaction} interaction - Button interaction
+ * @param {Client} client - Discord client
+ * @param {boolean} [forceAnonymous=false] - Whether the anonymous reply button was used
+ */
+async function handleModmailReply(interaction, client, forceAnonymous = false) {
   try {
     // Get the thread ID from the channel
     const threadId = interaction.channel.id;
@@ -702,10 +1010,23 @@ async function handleModmailReply(interaction, client) {
       });
     }
     
+    // Replies may be restricted to the assignee
+    const permission = await checkReplyPermission(client, thread, interaction.member);
+    if (!permission.allowed) {
+      return interaction.reply({
+        content: permission.reason,
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    // The regular reply button follows the guild default, the anonymous button always hides the sender
+    const modmailSettings = await getModmailSettings(client, interaction.guild.id);
+    const anonymous = forceAnonymous || modmailSettings.anonymousByDefault === true;
+    
     // Create the modal for the reply with valid database ID 
     await interaction.showModal({
-      title: 'Reply to Modmail',
-      custom_id: `modmail_reply_${thread.id}`, // Use the validated thread.id
+      title: anonymous ? 'Reply to Modmail (Anonymous)' : 'Reply to Modmail',
+      custom_id: `${anonymous ? 'modmail_reply_anon_' : 'modmail_reply_'}${thread.id}`, // Use the validated thread.id
       components: [
         {
           type: 1, // ACTION_ROW
@@ -745,8 +1066,9 @@ async function handleModmailReplySubmit(interaction, client) {
   await interaction.deferReply();
   
   try {
-    // Get the thread ID from the modal custom ID
-    const threadId = interaction.customId.replace('modmail_reply_', '');
+    // Get the thread ID and reply mode from the modal custom ID
+    const anonymous = interaction.customId.startsWith('modmail_reply_anon_');
+    const threadId = interaction.customId.replace(anonymous ? 'modmail_reply_anon_' : 'modmail_reply_', '');
     
     // Get the reply content
     const replyContent = interaction.fields.getTextInputValue('modmail_reply_content');
@@ -772,87 +1094,26 @@ async function handleModmailReplySubmit(interaction, client) {
       });
     }
     
-    // Update the thread's activity timestamp with the current time
-    // This is critical for the continuity feature to work
-    await thread.updateActivity('staff_reply');
+    // The thread may have been claimed while the modal was open
+    const permission = await checkReplyPermission(client, thread, interaction.member);
+    if (!permission.allowed) {
+      return interaction.editReply({
+        content: `${permission.reason}\n\nYour message: "${replyContent}"`
+      });
+    }
     
-    // Try to send the reply to the user
+    // Try to send the reply to the user through the shared reply path
     try {
-      const user = await client.users.fetch(thread.userId);
-      
-      // Create an embed for the reply
-      const replyEmbed = {
-        author: {
-          name: interaction.guild.name,
-          icon_url: interaction.guild.iconURL({ dynamic: true })
-        },
-        description: replyContent,
-        color: 0x5865F2, // Discord Blurple
-        footer: {
-          text: `From ${interaction.user.tag}`,
-          icon_url: interaction.user.displayAvatarURL({ dynamic: true })
-        },
-        timestamp: new Date().toISOString()
-      };
-      
-      // Send the reply embed and the continuation message in a single message
-      // This ensures replies will be properly associated with the thread
-      logger.debug(`Sending staff reply to user ${user.id} for thread ${thread.id} in guild ${interaction.guild.name} (${interaction.guild.id})`);
-      
-      try {
-        // Store thread information in a per-user session to help with reply tracking
-        if (!client.userSessions) client.userSessions = new Map();
-        
-        // Create or update user session with thread info to improve reply handling
-        client.userSessions.set(user.id, {
-          threadId: thread.id,
-          guildId: interaction.guild.id,
-          lastMessageAt: new Date(),
-          lastStaffId: interaction.user.id
-        });
-        
-        logger.debug(`Updated user session for ${user.id} with thread ${thread.id}`);
-        
-        // Send the message with clear instructions for replying
-        await user.send({ 
-          embeds: [replyEmbed],
-          content: `💬 **You can reply directly to this message to continue the conversation with ${interaction.guild.name}.**\n\nStaff member: ${interaction.user.tag}`
-        });
-        
-        logger.debug(`Successfully sent staff reply to user ${user.id}`);
-      } catch (dmError) {
-        logger.error(`Failed to send DM to user ${user.id}: ${dmError.message}`);
-        throw new Error(`Could not send message to user. They may have DMs disabled or have blocked the bot. Error: ${dmError.message}`);
-      }
-      
-      // Echo the reply in the thread
-      const echoEmbed = {
-        author: {
-          name: interaction.user.tag,
-          icon_url: interaction.user.displayAvatarURL({ dynamic: true })
-        },
-        description: replyContent,
-        color: 0x57F287, // Discord Green
-        footer: {
-          text: 'Staff Reply'
-        },
-        timestamp: new Date().toISOString()
-      };
-      
-      await interaction.channel.send({ embeds: [echoEmbed] });
-      
-      // Add a note that continuation message was sent
-      await interaction.channel.send({ 
-        content: `ℹ️ The user has been notified they can reply directly to continue this conversation.`,
-        flags: 1 << 6 // Ephemeral
+      await sendStaffReply(client, thread, {
+        guild: interaction.guild,
+        channel: interaction.channel,
+        staff: interaction.user,
+        content: replyContent,
+        anonymous
       });
       
-      // Increment message count
-      thread.messageCount += 1;
-      await thread.save();
-      
       return interaction.editReply({
-        content: 'Your reply has been sent to the user.'
+        content: `Your ${anonymous ? 'anonymous ' : ''}reply has been sent to the user.`
       });
     } catch (dmError) {
       logger.error(`Could not send modmail reply to user ${thread.userId}: ${dmError.message}`);
@@ -870,6 +1131,91 @@ async function handleModmailReplySubmit(interaction, client) {
   }
 }
 
+/**
+ * Handle the add note button
+ * @param {Interaction} interaction - Button interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailNote(interaction, client) {
+  try {
+    const thread = await findThreadWithFallback(client, interaction.channel.id);
+    
+    if (!thread) {
+      return interaction.reply({
+        content: 'This modmail thread could not be found in the database.',
+        flags: EPHEMERAL_FLAG
+      });
+    }
+    
+    await interaction.showModal({
+      title: 'Add Internal Note',
+      custom_id: `modmail_note_${thread.id}`,
+      components: [
+        {
+          type: 1, // ACTION_ROW
+          components: [
+            {
+              type: 4, // TEXT_INPUT
+              custom_id: 'modmail_note_content',
+              label: 'Note (only visible to staff):',
+              style: 2, // PARAGRAPH
+              min_length: 1,
+              max_length: 4000,
+              placeholder: 'Write a note for other staff members...',
+              required: true
+            }
+          ]
+        }
+      ]
+    });
+  } catch (error) {
+    logger.error(`Error showing modmail note modal: ${error.message}`, { error });
+    
+    await interaction.reply({
+      content: 'An error occurred while trying to open the note form.',
+      flags: EPHEMERAL_FLAG
+    });
+  }
+}
+
+/**
+ * Handle internal note modal submission
+ * @param {Interaction} interaction - Modal submission interaction
+ * @param {Client} client - Discord client
+ */
+async function handleModmailNoteSubmit(interaction, client) {
+  await interaction.deferReply({ flags: EPHEMERAL_FLAG });
+  
+  try {
+    const threadId = interaction.customId.replace('modmail_note_', '');
+    const noteContent = interaction.fields.getTextInputValue('modmail_note_content');
+    
+    const thread = await findThreadWithFallback(client, threadId);
+    
+    if (!thread) {
+      return interaction.editReply({
+        content: 'This thread could not be found in the database.'
+      });
+    }
+    
+    await addInternalNote(client, thread, {
+      channel: interaction.channel,
+      staff: interaction.user,
+      content: noteContent
+    });
+    
+    return interaction.editReply({
+      content: 'Your note has been added. It will not be sent to the user.'
+    });
+  } catch (error) {
+    logger.error(`Error adding modmail note: ${error.message}`, { error });
+    
+    return interaction.editReply({
+      content: 'An error occurred while trying to add your note.'
+    });
+  }
+}
+
 /**
  * Handle modmail transcript generation
  * @param {Interaction} interaction - Button interaction
@@ -898,7 +1244,7 @@ async function handleModmailTranscript(interaction, client) {
     
     // Generate transcript
     const sendToUser = interaction.member.permissions.has('ManageMessages');
-    const transcriptUrl = await createModmailTranscript(channel, client, sendToUser);
+    const transcriptUrl = await createModmailTranscript(channel, client, sendToUser, interaction.user.id);
     
     // Notify about transcript generation
     return interaction.editReply({
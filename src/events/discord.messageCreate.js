@@ -1,11 +1,14 @@
 /**
  * Discord.js Message Event
  * Handles incoming messages, specifically for DMs to enable modmail functionality
+ * and prefixed staff replies typed in thread channels
  */
 const { Events, ChannelType } = require('discord.js');
 const { logger } = require('../utils/logger');
 const { createInfoEmbed } = require('../utils/embedBuilder');
-const { createModmailThread, findThreadWithFallback } = require('../utils/modmail');
+const { renderGuildMessage } = require('../utils/messageTemplates');
+const { relayUserMessage } = require('../utils/rateLimit');
+const { buildBlockedMessage, buildIntakePrompt, buildQueuedMessage, buildTopicPrompt, checkReplyPermission, createModmailThread, findThreadWithFallback, getGuildTopics, getIntakeQuestions, getModmailParentIds, getPrefixReplySettings, matchReplyPrefix, sendStaffReply } = require('../utils/modmail');
 
 module.exports = {
   name: Events.MessageCreate,
@@ -22,8 +25,13 @@ module.exports = {
       try {
         logger.info(`Received DM from ${message.author.tag} (${message.author.id}): ${message.content.substring(0, 50)}${message.content.length > 50 ? '...' : ''}`);
         
-        // Check if there's a recent user session for faster thread lookup
         const userId = message.author.id;
+        
+        // Load the user's blocks before routing the message anywhere
+        const blocks = await client.db.ModmailBlock.findUserBlocks(userId);
+        const blocksByGuild = new Map(blocks.map(block => [block.guildId, block]));
+        
+        // Check if there's a recent user session for faster thread lookup
         const userSession = client.userSessions?.get(userId);
         
         // If we have a recent session (within last hour), use it to help locate the thread
@@ -42,6 +50,10 @@ module.exports = {
               userSession.guildId
             );
             
+            if (thread && blocksByGuild.has(thread.guildId)) {
+              return await replyBlocked(message, client, thread.guildId, blocksByGuild.get(thread.guildId));
+            }
+            
             if (thread) {
               logger.info(`Using thread from user session: ${thread.id}`);
               // Process this as a single thread case
@@ -69,14 +81,21 @@ module.exports = {
         }
         
         // Check if user has existing active modmail threads
-        const existingThreads = await client.db.ModmailThread.findAll(queryParams);
+        const activeThreads = await client.db.ModmailThread.findAll(queryParams);
+        
+        // Threads in guilds that blocked the user can't receive messages
+        const existingThreads = activeThreads.filter(thread => !blocksByGuild.has(thread.guildId));
         
         if (existingThreads.length > 0) {
           // User has one or more active threads
           await handleExistingThreads(message, client, existingThreads);
+        } else if (activeThreads.length > 0) {
+          // Every active thread is in a guild that blocked the user
+          const blockedGuildId = activeThreads[0].guildId;
+          await replyBlocked(message, client, blockedGuildId, blocksByGuild.get(blockedGuildId));
         } else {
-          // User doesn't have any active threads
-          await handleNewModmail(message, client);
+          // User doesn't have any active threads, a queued request is only added to once the server is known
+          await handleNewModmail(message, client, blocksByGuild);
         }
       } catch (error) {
         logger.error(`Error handling DM from ${message.author.tag}: ${error.message}`, { error });
@@ -90,10 +109,105 @@ module.exports = {
           logger.error(`Error sending error reply: ${replyError.message}`);
         }
       }
+    } else if (message.guild) {
+      try {
+        await handlePrefixReply(message, client);
+      } catch (error) {
+        logger.error(`Error handling prefix reply in channel ${message.channel.id}: ${error.message}`, { error });
+      }
     }
   }
 };
 
+/**
+ * Send a staff message typed in a thread channel to the user when it starts with a reply prefix
+ * Messages without a prefix stay in the channel as internal discussion
+ * @param {Message} message - The staff message
+ * @param {Client} client - Discord client
+ */
+async function handlePrefixReply(message, client) {
+  // Thread channels are always in a category or forum, and a prefix needs text
+  if (!message.content || !message.channel.parentId) return;
+  
+  // Cached, so ordinary server messages don't cost a database query
+  const modmailSettings = await getPrefixReplySettings(client, message.guild.id);
+  if (!modmailSettings) return;
+  
+  const prefixReplies = modmailSettings.prefixReplies;
+  const reply = matchReplyPrefix(message.content, prefixReplies);
+  if (!reply) return;
+  
+  const thread = await client.db.ModmailThread.findOne({
+    where: {
+      id: message.channel.id,
+      guildId: message.guild.id
+    }
+  });
+  
+  // Not a modmail channel
+  if (!thread) return;
+  
+  if (!thread.open) {
+    return message.reply({ content: 'This thread is closed. Please re-open it before replying.' });
+  }
+  
+  const attachments = [...message.attachments.values()];
+  
+  if (!reply.content && attachments.length === 0) {
+    return message.reply({ content: 'Add a message or an attachment after the prefix to reply.' });
+  }
+  
+  const permission = await checkReplyPermission(client, thread, message.member);
+  if (!permission.allowed) {
+    return message.reply({ content: permission.reason, allowedMentions: { parse: [] } });
+  }
+  
+  const anonymous = reply.anonymous || modmailSettings.anonymousByDefault === true;
+  
+  try {
+    await sendStaffReply(client, thread, {
+      guild: message.guild,
+      channel: message.channel,
+      staff: message.author,
+      content: reply.content,
+      anonymous,
+      attachments,
+      source: 'staff_prefix_reply',
+      staffMessageId: message.id
+    });
+  } catch (dmError) {
+    logger.error(`Could not send prefix reply to user ${thread.userId}: ${dmError.message}`);
+    return message.reply({ content: 'Could not send reply to user. They may have DMs disabled or have blocked the bot.' });
+  }
+  
+  // The reply is echoed with its attachments, so the original is only kept when the guild wants it
+  if (prefixReplies.deleteOriginal === false) {
+    await message.react('✅').catch(() => {});
+  } else {
+    await message.delete().catch(async () => {
+      await message.react('✅').catch(() => {});
+    });
+  }
+}
+
+/**
+ * Tell a user that they are blocked from contacting a guild
+ * @param {Message} message - Original DM
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild that blocked the user
+ * @param {ModmailBlock} block - The active block
+ */
+async function replyBlocked(message, client, guildId, block) {
+  logger.info(`Ignored DM from blocked user ${message.author.tag} (${message.author.id}) for guild ${guildId}`);
+  
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return;
+  
+  return message.reply({
+    content: await buildBlockedMessage(client, message.author, guild, block)
+  });
+}
+
 /**
  * Handle case where user has existing modmail threads
  * @param {Message} message - Original DM
@@ -151,12 +265,12 @@ async function handleExistingThreads(message, client, existingThreads) {
           
           if (guildSettings) {
             const modmailSettings = guildSettings.getSetting('modmail') || {};
-            const categoryId = modmailSettings.categoryId;
+            const parentIds = getModmailParentIds(modmailSettings);
             
-            if (categoryId) {
-              // Try to find the channel in that category with a matching name pattern
+            if (parentIds.length > 0) {
+              // Try to find the channel in the modmail categories or forum with a matching name pattern
               const possibleChannels = guild.channels.cache
-                .filter(c => c.parentId === categoryId && 
+                .filter(c => parentIds.includes(c.parentId) && 
                        c.name.includes(message.author.id.substring(0, 8)))
                 .sort((a, b) => b.createdTimestamp - a.createdTimestamp);
               
@@ -217,10 +331,12 @@ async function handleExistingThreads(message, client, existingThreads) {
             });
             
             // Create a new thread
-            await createModmailThread(message, client, guild);
+            const newThread = await createModmailThread(message, client, guild);
             
             await buttonInteraction.editReply({
-              content: `Your message has been sent to the staff of **${guild.name}**. They will respond to you here in DMs.`
+              content: newThread
+                ? await renderGuildMessage(client, guild, 'confirmation', { user: message.author })
+                : buildQueuedMessage(guild)
             });
           } else if (buttonInteraction.customId === 'cancel_thread') {
             await buttonInteraction.update({
@@ -239,40 +355,22 @@ async function handleExistingThreads(message, client, existingThreads) {
         return;
       }
       
-      // Thread exists and channel exists, forward the message
-      // Update the thread's activity timestamp
-      await thread.updateActivity('user_dm');
-      
-      // Create an embed for the forwarded message
-      const forwardEmbed = {
-        author: {
-          name: message.author.tag,
-          icon_url: message.author.displayAvatarURL({ dynamic: true })
-        },
-        description: message.content || '*No content*',
-        color: 0x2F3136, // Discord dark theme color
-        timestamp: new Date().toISOString()
-      };
-      
-      // Send the embed and attachments to the thread channel
-      await channel.send({ 
-        embeds: [forwardEmbed],
-        files: [...message.attachments.values()]
-      });
-      
-      // Increment message count
-      thread.messageCount += 1;
-      await thread.save();
+      // Thread exists and channel exists, forward and store the message unless the user is flooding
+      const relay = await relayUserMessage(client, thread, channel, message, 'user_dm');
+      if (relay.blocked) return;
       
-      // Send confirmation to the user
-      await message.react('✅').catch(() => {});
+      // Send confirmation to the user, held messages are confirmed once they're relayed
+      await message.react(relay.limited ? '⏳' : '✅').catch(() => {});
+      if (relay.limited) return;
       
       // Add a friendly message to remind the user they're in an active conversation
       // but only do it occasionally (every 3 messages) to avoid being spammy
       if (thread.messageCount % 3 === 0) {
-        await message.channel.send({
-          content: `✉️ You're chatting with **${guild.name}**. Staff will see and respond to your messages.`
-        }).catch(() => {});
+        const reminder = await renderGuildMessage(client, guild, 'reminder', { user: message.author });
+        
+        if (reminder) {
+          await message.channel.send({ content: reminder }).catch(() => {});
+        }
       }
       
       return;
@@ -329,12 +427,12 @@ async function handleExistingThreads(message, client, existingThreads) {
           
           if (guildSettings) {
             const modmailSettings = guildSettings.getSetting('modmail') || {};
-            const categoryId = modmailSettings.categoryId;
+            const parentIds = getModmailParentIds(modmailSettings);
             
-            if (categoryId) {
-              // Try to find the channel in that category with a matching name pattern
+            if (parentIds.length > 0) {
+              // Try to find the channel in the modmail categories or forum with a matching name pattern
               const possibleChannels = guild.channels.cache
-                .filter(c => c.parentId === categoryId && 
+                .filter(c => parentIds.includes(c.parentId) && 
                        c.name.includes(message.author.id.substring(0, 8)))
                 .sort((a, b) => b.createdTimestamp - a.createdTimestamp);
               
@@ -355,32 +453,13 @@ async function handleExistingThreads(message, client, existingThreads) {
       
       if (!channel) return; // Channel not found after all attempts, fall back to selection
       
-      // Forward the message to this thread
-      await mostRecentThread.updateActivity('user_dm_recent_thread');
-      
-      // Create an embed for the forwarded message
-      const forwardEmbed = {
-        author: {
-          name: message.author.tag,
-          icon_url: message.author.displayAvatarURL({ dynamic: true })
-        },
-        description: message.content || '*No content*',
-        color: 0x2F3136, // Discord dark theme color
-        timestamp: new Date().toISOString()
-      };
-      
-      // Send the embed and attachments to the thread channel
-      await channel.send({ 
-        embeds: [forwardEmbed],
-        files: [...message.attachments.values()]
-      });
-      
-      // Increment message count
-      mostRecentThread.messageCount += 1;
-      await mostRecentThread.save();
+      // Forward and store the message in this thread unless the user is flooding
+      const relay = await relayUserMessage(client, mostRecentThread, channel, message, 'user_dm_recent_thread');
+      if (relay.blocked) return;
       
-      // Send confirmation to the user
-      await message.react('✅').catch(() => {});
+      // Send confirmation to the user, held messages are confirmed once they're relayed
+      await message.react(relay.limited ? '⏳' : '✅').catch(() => {});
+      if (relay.limited) return;
       
       // Let the user know which server they're talking to
       await message.channel.send({
@@ -467,13 +546,15 @@ function getDefaultGuildSettings(guild) {
  * Handle creation of a new modmail thread
  * @param {Message} message - Original DM
  * @param {Client} client - Discord client
+ * @param {Map<string, ModmailBlock>} [blocksByGuild] - The user's active blocks keyed by guild ID
  */
-async function handleNewModmail(message, client) {
+async function handleNewModmail(message, client, blocksByGuild = new Map()) {
   try {
     // Find all guilds where:
     // 1. The user is a member
     // 2. Modmail is enabled
     const guildsWithModmail = [];
+    const blockedGuildIds = [];
     
     // Get shard information from client
     const shardInfo = client.shardInfo || { mode: 'standalone' };
@@ -504,6 +585,11 @@ async function handleNewModmail(message, client) {
         });
       }
       
+      // Check if the user is blocked in this guild
+      if (blocksByGuild.has(targetGuildId)) {
+        return replyBlocked(message, client, targetGuildId, blocksByGuild.get(targetGuildId));
+      }
+      
       // Process this specific guild
       const [guildSettings] = await client.db.Guild.findOrCreate({
         where: { guildId: targetGuildId },
@@ -569,10 +655,21 @@ async function handleNewModmail(message, client) {
         
         if (!modmailEnabled) continue;
         
+        // Skip guilds that blocked the user
+        if (blocksByGuild.has(guildId)) {
+          blockedGuildIds.push(guildId);
+          continue;
+        }
+        
         guildsWithModmail.push(guild);
       }
     }
     
+    if (guildsWithModmail.length === 0 && blockedGuildIds.length > 0) {
+      // The only guilds the user could contact have blocked them
+      return replyBlocked(message, client, blockedGuildIds[0], blocksByGuild.get(blockedGuildIds[0]));
+    }
+    
     if (guildsWithModmail.length === 0) {
       // User is not in any guilds with modmail enabled
       return message.reply({
@@ -588,10 +685,28 @@ async function handleNewModmail(message, client) {
     if (guildsWithModmail.length === 1) {
       // Only one guild with modmail enabled, use that one
       const guild = guildsWithModmail[0];
-      await createModmailThread(message, client, guild);
+      
+      // A queued request already has its topic and answers, the message is added to it
+      const queued = await client.db.ModmailQueueEntry.findUserEntry(message.author.id, guild.id);
+      
+      // Let the user pick a topic first, the intake form follows the topic
+      const topics = queued ? [] : await getGuildTopics(client, guild.id);
+      if (topics.length > 0) {
+        return message.reply(buildTopicPrompt(guild, topics));
+      }
+      
+      // Ask the intake questions behind a button
+      const intakeQuestions = queued ? [] : await getIntakeQuestions(client, guild.id);
+      if (intakeQuestions.length > 0) {
+        return message.reply(buildIntakePrompt(guild));
+      }
+      
+      const thread = await createModmailThread(message, client, guild);
       
       return message.reply({
-        content: `Your message has been sent to the staff of **${guild.name}**. They will respond to you here in DMs.`
+        content: thread
+          ? await renderGuildMessage(client, guild, 'confirmation', { user: message.author })
+          : buildQueuedMessage(guild)
       });
     }
     
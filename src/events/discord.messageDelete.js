@@ -0,0 +1,32 @@
+/**
+ * Discord.js Message Delete Event
+ * Marks the mirrored copy of deleted modmail messages instead of silently removing it
+ */
+const { Events, ChannelType } = require('discord.js');
+const { logger } = require('../utils/logger');
+const { applyMessageDelete } = require('../utils/modmail');
+
+module.exports = {
+  name: Events.MessageDelete,
+  
+  async execute(message, client) {
+    try {
+      if (!client.db?.ModmailMessage) return;
+      
+      // Deleted messages are often partials, so only rely on the ID and channel
+      const stored = await client.db.ModmailMessage.findByDiscordMessageId(message.id);
+      if (!stored) return;
+      
+      const inDm = message.channel?.type === ChannelType.DM || !message.guildId;
+      
+      // The user deleted their DM, or staff deleted the reply copy in the thread channel
+      if (inDm && stored.direction === 'user_to_staff') {
+        await applyMessageDelete(client, stored, message.author?.id || null);
+      } else if (!inDm && stored.direction === 'staff_to_user' && stored.channelMessageId === message.id) {
+        await applyMessageDelete(client, stored);
+      }
+    } catch (error) {
+      logger.error(`Error syncing deleted message ${message.id}: ${error.message}`, { error });
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Discord.js Message Update Event
+ * Keeps the mirrored copy of relayed modmail messages in sync with edits
+ */
+const { Events, ChannelType } = require('discord.js');
+const { logger } = require('../utils/logger');
+const { applyMessageEdit, getPrefixReplySettings, matchReplyPrefix } = require('../utils/modmail');
+
+module.exports = {
+  name: Events.MessageUpdate,
+  
+  async execute(oldMessage, newMessage, client) {
+    try {
+      // Messages sent before a restart arrive as partials
+      if (newMessage.partial) {
+        newMessage = await newMessage.fetch().catch(() => null);
+        if (!newMessage) return;
+      }
+      
+      // Ignore bots, including our own mirrored copies
+      if (newMessage.author?.bot) return;
+      
+      // Embed previews also trigger updates without a content change
+      if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+      
+      if (!client.db?.ModmailMessage) return;
+      
+      const stored = await client.db.ModmailMessage.findByDiscordMessageId(newMessage.id);
+      if (!stored) return;
+      
+      // Users edit their DMs
+      if (newMessage.channel.type === ChannelType.DM && stored.direction === 'user_to_staff') {
+        await applyMessageEdit(client, stored, newMessage.content);
+        return;
+      }
+      
+      // Staff edit the message they sent a prefix reply with, when the guild keeps it
+      if (newMessage.channel.type !== ChannelType.DM && stored.direction === 'staff_to_user' && stored.staffMessageId === newMessage.id) {
+        const modmailSettings = await getPrefixReplySettings(client, newMessage.guildId);
+        const reply = modmailSettings && matchReplyPrefix(newMessage.content, modmailSettings.prefixReplies);
+        
+        // Edits that remove the prefix turn the message into an internal one, the reply stays as it was
+        if (!reply) return;
+        
+        await applyMessageEdit(client, stored, reply.content);
+      }
+    } catch (error) {
+      logger.error(`Error syncing edited message ${newMessage.id}: ${error.message}`, { error });
+    }
+  }
+};
\ No newline at end of file
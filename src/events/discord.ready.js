@@ -4,7 +4,9 @@
  */
 const { Events, ActivityType, REST, Routes } = require('discord.js');
 const { logger } = require('../utils/logger');
-const { commands: cmdConfig, bot } = require('../config');
+const { commands: cmdConfig, bot, database: dbConfig } = require('../config');
+const { processModmailQueue, runScheduledCloses } = require('../utils/modmail');
+const { purgeExpiredTranscripts } = require('../utils/transcripts');
 
 module.exports = {
   name: Events.ClientReady,
@@ -330,4 +332,66 @@ function setupScheduledTasks(client) {
       logger.error(`Error checking inactive modmail threads: ${error.message}`);
     }
   }, 86400000); // Every 24 hours
+  
+  // Close threads whose scheduled close time has passed
+  setInterval(async () => {
+    try {
+      if (client.db && client.db.ModmailThread) {
+        const closedCount = await runScheduledCloses(client);
+        
+        if (closedCount > 0) {
+          logger.info(`Closed ${closedCount} modmail thread(s) on schedule`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error running scheduled modmail closes: ${error.message}`);
+    }
+  }, 60000); // Every minute
+  
+  // Open queued threads in case a channel slot freed up without a delete event
+  setInterval(async () => {
+    try {
+      if (client.db && client.db.ModmailQueueEntry) {
+        const openedCount = await processModmailQueue(client);
+        
+        if (openedCount > 0) {
+          logger.info(`Opened ${openedCount} queued modmail thread(s)`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error processing the modmail queue: ${error.message}`);
+    }
+  }, 60000); // Every minute
+  
+  // Remove expired modmail blocks
+  setInterval(async () => {
+    try {
+      if (client.db && client.db.ModmailBlock) {
+        const removedCount = await client.db.ModmailBlock.removeExpired();
+        
+        if (removedCount > 0) {
+          logger.info(`Removed ${removedCount} expired modmail block(s)`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error removing expired modmail blocks: ${error.message}`);
+    }
+  }, 3600000); // Every hour
+  
+  // Purge archived transcripts past each guild's retention period
+  if (dbConfig.transcripts && dbConfig.transcripts.enabled) {
+    setInterval(async () => {
+      try {
+        if (client.db && client.db.ModmailTranscript) {
+          const purgedCount = await purgeExpiredTranscripts(client);
+          
+          if (purgedCount > 0) {
+            logger.info(`Purged ${purgedCount} archived transcript(s) past their retention period`);
+          }
+        }
+      } catch (error) {
+        logger.error(`Error purging archived transcripts: ${error.message}`);
+      }
+    }, dbConfig.transcripts.purgeInterval || 86400000); // Default 24 hours
+  }
 }
\ No newline at end of file
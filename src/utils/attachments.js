@@ -0,0 +1,281 @@
+/**
+ * Attachment Utility
+ * Rehosts modmail attachments in a local store, so they outlive Discord's expiring links and the upload limit
+ */
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { logger } = require('./logger');
+const { database: dbConfig } = require('../config');
+
+// Attachment store settings
+const storeConfig = dbConfig.attachments || {};
+const ATTACHMENT_DIR = path.resolve(process.cwd(), storeConfig.path || './data/attachments/');
+
+const MEGABYTE = 1024 * 1024;
+
+// Upload limit per server boost tier, DMs always use the base limit
+const UPLOAD_LIMITS = [10 * MEGABYTE, 10 * MEGABYTE, 50 * MEGABYTE, 100 * MEGABYTE];
+const DEFAULT_UPLOAD_LIMIT = UPLOAD_LIMITS[0];
+
+// Give up on downloads that stall
+const DOWNLOAD_TIMEOUT = 60000;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - The size in bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes >= MEGABYTE) return `${(bytes / MEGABYTE).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Get how much the bot may upload in one message to a channel of a guild
+ * @param {Guild} [guild] - The guild, or nothing for DMs
+ * @returns {number} - Limit in bytes
+ */
+function getUploadLimit(guild = null) {
+  return UPLOAD_LIMITS[guild?.premiumTier || 0] || DEFAULT_UPLOAD_LIMIT;
+}
+
+/**
+ * Normalize a list of file extensions, such as "exe, .BAT"
+ * @param {string|Array<string>} input - Comma separated list or array
+ * @returns {Array<string>} - Lower case extensions without dots
+ */
+function parseExtensions(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[,\s]+/);
+  
+  return [...new Set(list
+    .map(extension => extension.trim().toLowerCase().replace(/^\.+/, ''))
+    .filter(extension => /^[a-z0-9]{1,16}$/.test(extension)))];
+}
+
+/**
+ * Get a guild's attachment store settings, falling back to the config defaults
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<{ quotaBytes: number, blockedExtensions: Array<string> }>}
+ */
+async function getAttachmentSettings(client, guildId) {
+  const guildSettings = await client.db.Guild.findOne({ where: { guildId } });
+  const settings = (guildSettings ? guildSettings.getSetting('modmail.attachments') : null) || {};
+  
+  const quotaMb = typeof settings.quotaMb === 'number' ? settings.quotaMb : storeConfig.quotaMb || 0;
+  
+  return {
+    quotaBytes: storeConfig.enabled === false ? 0 : quotaMb * MEGABYTE,
+    blockedExtensions: parseExtensions(settings.blockedExtensions || storeConfig.blockedExtensions || [])
+  };
+}
+
+/**
+ * Download an attachment into the store
+ * @param {string} guildId - The guild ID
+ * @param {Attachment} attachment - The Discord attachment
+ * @returns {Promise<string>} - Path relative to the store
+ */
+async function downloadAttachment(guildId, attachment) {
+  // One directory per guild, prefixed names keep files with the same name apart
+  const relativePath = path.join(guildId, `${Date.now()}-${attachment.id || 'file'}-${path.basename(attachment.name || 'attachment')}`);
+  const fullPath = path.join(ATTACHMENT_DIR, relativePath);
+  
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  
+  const response = await axios.get(attachment.url, { responseType: 'stream', timeout: DOWNLOAD_TIMEOUT });
+  
+  try {
+    await pipeline(response.data, fs.createWriteStream(fullPath));
+  } catch (error) {
+    await fs.promises.unlink(fullPath).catch(() => {});
+    throw error;
+  }
+  
+  return relativePath;
+}
+
+/**
+ * Resolve a stored attachment's path, refusing anything outside the store
+ * @param {string} filePath - Path relative to the store
+ * @returns {string|null}
+ */
+function resolveStoredPath(filePath) {
+  const fullPath = path.resolve(ATTACHMENT_DIR, filePath);
+  return fullPath.startsWith(ATTACHMENT_DIR + path.sep) ? fullPath : null;
+}
+
+/**
+ * Store and index attachments before relaying them
+ * Blocked extensions are dropped, files within the guild's quota are stored, and files that don't
+ * fit in the upload limit are left out so they can be retrieved with /modmail attachment instead
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the attachments were sent in
+ * @param {Collection|Array} attachments - Discord attachments
+ * @param {Object} options - Relay options
+ * @param {string} options.uploaderId - ID of the user or staff member who sent them
+ * @param {string} options.direction - user_to_staff or staff_to_user
+ * @param {number} [options.uploadLimit] - Bytes that may be uploaded in one message
+ * @returns {Promise<Object>} - `files` to send, `accepted` attachments, `blocked` names, all `records` and the `oversized` ones
+ */
+async function prepareAttachments(client, thread, attachments, { uploaderId, direction, uploadLimit = DEFAULT_UPLOAD_LIMIT }) {
+  const list = !attachments ? [] : Array.isArray(attachments) ? attachments : [...attachments.values()];
+  const prepared = { files: [], accepted: [], blocked: [], records: [], oversized: [] };
+  
+  if (list.length === 0) return prepared;
+  
+  const { quotaBytes, blockedExtensions } = await getAttachmentSettings(client, thread.guildId);
+  let usage = quotaBytes > 0 ? await client.db.ModmailAttachment.getGuildUsage(thread.guildId) : 0;
+  let uploadSize = 0;
+  
+  for (const attachment of list) {
+    const name = attachment.name || 'attachment';
+    const size = attachment.size || 0;
+    const extension = path.extname(name).slice(1).toLowerCase();
+    
+    if (extension && blockedExtensions.includes(extension)) {
+      prepared.blocked.push(name);
+      continue;
+    }
+    
+    let filePath = null;
+    if (quotaBytes > 0 && usage + size <= quotaBytes) {
+      try {
+        filePath = await downloadAttachment(thread.guildId, attachment);
+        usage += size;
+      } catch (error) {
+        logger.warn(`Could not store attachment ${name} for thread ${thread.id}: ${error.message}`);
+      }
+    } else if (quotaBytes > 0) {
+      logger.info(`Attachment quota reached for guild ${thread.guildId}, not storing ${name}`);
+    }
+    
+    const record = await client.db.ModmailAttachment.create({
+      guildId: thread.guildId,
+      threadId: thread.id,
+      uploaderId,
+      direction,
+      name,
+      contentType: attachment.contentType || null,
+      size,
+      url: attachment.url,
+      filePath
+    });
+    
+    prepared.accepted.push(attachment);
+    prepared.records.push(record);
+    
+    if (uploadSize + size > uploadLimit) {
+      prepared.oversized.push(record);
+      continue;
+    }
+    
+    uploadSize += size;
+    prepared.files.push({
+      attachment: filePath ? path.join(ATTACHMENT_DIR, filePath) : attachment.url,
+      name
+    });
+  }
+  
+  return prepared;
+}
+
+/**
+ * Remove the files and records prepareAttachments stored, for a message that could not be sent
+ * Otherwise they would count against the quota and be listed for a message nobody received
+ * @param {Object} prepared - Result of prepareAttachments
+ * @returns {Promise<void>}
+ */
+async function discardAttachments(prepared) {
+  for (const record of prepared.records) {
+    try {
+      const fullPath = record.filePath ? resolveStoredPath(record.filePath) : null;
+      if (fullPath) {
+        await fs.promises.unlink(fullPath).catch(() => {});
+      }
+      
+      await record.destroy();
+    } catch (error) {
+      logger.warn(`Could not discard attachment ${record.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Delete every stored attachment and its file, for when all modmail threads are cleared
+ * @param {Client} client - Discord client
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+async function clearStoredAttachments(client) {
+  const records = await client.db.ModmailAttachment.findAll();
+  await discardAttachments({ records });
+  return records.length;
+}
+
+/**
+ * Describe the attachments that were left out of a relayed message
+ * @param {Object} prepared - Result of prepareAttachments
+ * @param {boolean} [forStaff=true] - Whether to include the staff retrieval command
+ * @returns {string|null} - One line per attachment, or null if nothing was left out
+ */
+function describeSkippedAttachments(prepared, forStaff = true) {
+  const lines = [
+    ...prepared.blocked.map(name => `🚫 \`${name}\` was not sent because this file type is blocked.`),
+    ...prepared.oversized.map(record => forStaff
+      ? `📎 \`${record.name}\` (${formatSize(record.size)}) is too large to upload here. Retrieve it with \`/modmail attachment id:${record.id}\`.`
+      : `📎 \`${record.name}\` (${formatSize(record.size)}) was too large to send here.`)
+  ];
+  
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Read a stored attachment from disk
+ * @param {ModmailAttachment} record - The index record
+ * @returns {Promise<Buffer|null>} - File content or null if it isn't stored
+ */
+async function readStoredAttachment(record) {
+  if (!record.filePath) return null;
+  
+  const fullPath = resolveStoredPath(record.filePath);
+  if (!fullPath) return null;
+  
+  return fs.promises.readFile(fullPath).catch(() => null);
+}
+
+/**
+ * Get a fresh link for an expired Discord attachment URL
+ * @param {Client} client - Discord client
+ * @param {string} url - The original attachment URL
+ * @returns {Promise<string>} - Refreshed URL, or the original if it couldn't be refreshed
+ */
+async function refreshAttachmentUrl(client, url) {
+  try {
+    const result = await client.rest.post('/attachments/refresh-urls', {
+      body: { attachment_urls: [url] }
+    });
+    
+    return result?.refreshed_urls?.[0]?.refreshed || url;
+  } catch (error) {
+    logger.warn(`Could not refresh attachment URL: ${error.message}`);
+    return url;
+  }
+}
+
+module.exports = {
+  ATTACHMENT_DIR,
+  DEFAULT_UPLOAD_LIMIT,
+  clearStoredAttachments,
+  describeSkippedAttachments,
+  discardAttachments,
+  formatSize,
+  getAttachmentSettings,
+  getUploadLimit,
+  parseExtensions,
+  prepareAttachments,
+  readStoredAttachment,
+  refreshAttachmentUrl
+};
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Business Hours Utility
+ * Parses weekly schedules and checks whether a guild's staff are working at a given time
+ */
+
+// Day keys in the order returned by Date#getUTCDay
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Default text sent to users who write outside business hours
+const DEFAULT_AWAY_MESSAGE = 'Thanks for your message! Our staff are currently away, so it may take a while before someone replies. We will get back to you once we are back.';
+
+// Days are compared by local date, so a long gap only needs a bounded number of checks
+const MAX_DAYS_CHECKED = 14;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse a time such as "09:00" or "24:00" into minutes since midnight
+ * @param {string} time - The time to parse
+ * @returns {number|null}
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!match) return null;
+  
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return parseInt(match[2], 10) < 60 && minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+/**
+ * Parse a weekly schedule such as "mon-fri 09:00-17:00, sat 10:00-14:00"
+ * Each day has at most one window, which must end on the same day it starts
+ * Days off are kept as null so a new schedule replaces every day of a stored one
+ * @param {string} input - The schedule to parse
+ * @returns {Object|null} - Map of day key to "HH:MM-HH:MM" or null, or null if invalid
+ */
+function parseSchedule(input) {
+  if (!input || typeof input !== 'string') return null;
+  
+  const schedule = Object.fromEntries(DAYS.map(day => [day, null]));
+  
+  for (const part of input.toLowerCase().split(/[,;]/).map(p => p.trim()).filter(Boolean)) {
+    const match = /^([a-z]{3})(?:\s*-\s*([a-z]{3}))?\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(part);
+    if (!match) return null;
+    
+    const [, firstDay, lastDay = firstDay, start, end] = match;
+    const firstIndex = DAYS.indexOf(firstDay);
+    const lastIndex = DAYS.indexOf(lastDay);
+    const startMinutes = parseTime(start);
+    const endMinutes = parseTime(end);
+    
+    if (firstIndex === -1 || lastIndex === -1 || startMinutes === null || endMinutes === null || startMinutes >= endMinutes) {
+      return null;
+    }
+    
+    // Ranges may wrap around the week, such as "sat-sun"
+    for (let i = firstIndex; ; i = (i + 1) % 7) {
+      schedule[DAYS[i]] = `${start.padStart(5, '0')}-${end.padStart(5, '0')}`;
+      if (i === lastIndex) break;
+    }
+  }
+  
+  return Object.values(schedule).some(Boolean) ? schedule : null;
+}
+
+/**
+ * Format a stored schedule for display
+ * @param {Object} schedule - Map of day key to "HH:MM-HH:MM"
+ * @returns {string}
+ */
+function formatSchedule(schedule = {}) {
+  const lines = DAYS
+    .filter(day => schedule[day])
+    .map(day => `${day.charAt(0).toUpperCase()}${day.slice(1)} ${schedule[day]}`);
+  
+  return lines.length > 0 ? lines.join(', ') : 'No working days';
+}
+
+/**
+ * Check whether a timezone name is supported
+ * @param {string} timezone - IANA timezone such as "Europe/Amsterdam"
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a string is a calendar date in YYYY-MM-DD format
+ * @param {string} date - The date to check
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return false;
+  
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Get the local date and time of day in a timezone
+ * @param {Date} date - The moment to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {{ date: string, minutes: number }} - Local date as YYYY-MM-DD and minutes since midnight
+ */
+function getLocalTime(date, timezone) {
+  const parts = {};
+  
+  for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Get the working window for a local date, if it is not a holiday
+ * @param {Object} hours - Business hours settings
+ * @param {string} date - Local date as YYYY-MM-DD
+ * @returns {{ start: number, end: number }|null}
+ */
+function getWindow(hours, date) {
+  if ((hours.holidays || []).includes(date)) return null;
+  
+  const day = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const window = (hours.schedule || {})[day];
+  if (!window) return null;
+  
+  const [start, end] = window.split('-').map(parseTime);
+  return { start, end };
+}
+
+/**
+ * Check whether a moment falls inside business hours
+ * @param {Object} hours - Business hours settings (timezone, schedule, holidays)
+ * @param {Date} [date=new Date()] - The moment to check
+ * @returns {boolean}
+ */
+function isWithinBusinessHours(hours, date = new Date()) {
+  const local = getLocalTime(date, hours.timezone || 'UTC');
+  const window = getWindow(hours, local.date);
+  
+  return Boolean(window) && local.minutes >= window.start && local.minutes < window.end;
+}
+
+/**
+ * Check whether business hours started at any point between two moments outside them
+ * Used to tell whether two out-of-hours messages belong to the same away period
+ * @param {Object} hours - Business hours settings (timezone, schedule, holidays)
+ * @param {Date} since - The earlier moment
+ * @param {Date} [until=new Date()] - The later moment
+ * @returns {boolean}
+ */
+function hasOpenedSince(hours, since, until = new Date()) {
+  const timezone = hours.timezone || 'UTC';
+  const from = getLocalTime(new Date(since), timezone);
+  const to = getLocalTime(until, timezone);
+  
+  const day = new Date(`${from.date}T00:00:00Z`);
+  
+  for (let i = 0; i < MAX_DAYS_CHECKED; i++) {
+    const date = day.toISOString().slice(0, 10);
+    if (date > to.date) return false;
+    
+    const window = getWindow(hours, date);
+    const low = date === from.date ? from.minutes : 0;
+    const high = date === to.date ? to.minutes : MINUTES_PER_DAY;
+    
+    if (window && window.start < high && window.end > low) return true;
+    
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  
+  // Any schedule opens at least once in two weeks
+  return Object.values(hours.schedule || {}).some(Boolean);
+}
+
+/**
+ * Get a guild's business hours, or null if they're not enabled
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object|null>}
+ */
+async function getBusinessHours(client, guildId) {
+  const guildSettings = await client.db.Guild.findOne({
+    where: { guildId }
+  });
+  
+  const hours = guildSettings ? guildSettings.getSetting('modmail.businessHours') : null;
+  return hours && hours.enabled && hours.schedule ? hours : null;
+}
+
+module.exports = {
+  DAYS,
+  DEFAULT_AWAY_MESSAGE,
+  formatSchedule,
+  getBusinessHours,
+  getLocalTime,
+  hasOpenedSince,
+  isValidDate,
+  isValidTimezone,
+  isWithinBusinessHours,
+  parseSchedule,
+  parseTime
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * Duration Utility
+ * Parses and formats short human durations such as "2h" or "1d12h"
+ */
+
+// Milliseconds per duration unit
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration string into milliseconds
+ * @param {string} input - Duration such as "30m", "2h", "1d12h" or "1w"
+ * @returns {number|null} - Duration in milliseconds, or null if invalid
+ */
+function parseDuration(input) {
+  if (!input || typeof input !== 'string') return null;
+  
+  const normalized = input.trim().toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+[smhdw])+$/.test(normalized)) return null;
+  
+  let total = 0;
+  for (const [, amount, unit] of normalized.matchAll(/(\d+)([smhdw])/g)) {
+    total += parseInt(amount, 10) * UNITS[unit];
+  }
+  
+  return total > 0 ? total : null;
+}
+
+/**
+ * Format milliseconds as a short human readable duration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration such as "1d 2h 30m"
+ */
+function formatDuration(ms) {
+  if (!ms || ms < 1000) return '0s';
+  
+  const parts = [];
+  let remaining = ms;
+  
+  for (const unit of ['w', 'd', 'h', 'm', 's']) {
+    const amount = Math.floor(remaining / UNITS[unit]);
+    if (amount > 0) {
+      parts.push(`${amount}${unit}`);
+      remaining -= amount * UNITS[unit];
+    }
+  }
+  
+  return parts.join(' ');
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration
+};
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Message Template Utility
+ * User-facing modmail messages that guilds can replace with their own text
+ */
+const { fillPlaceholders } = require('./placeholders');
+
+// Longest template a guild can store, leaving room for placeholders to expand
+const MAX_TEMPLATE_LENGTH = 1500;
+
+/**
+ * Templates that can be customized with /modmail-setup messages
+ * Optional templates can be turned off, and welcome is off until a guild writes one
+ */
+const MESSAGE_TEMPLATES = {
+  welcome: {
+    label: 'Welcome',
+    description: 'Sent to the user when a new thread is opened (topic welcome messages take priority)',
+    defaultText: null,
+    optional: true
+  },
+  confirmation: {
+    label: 'Confirmation',
+    description: 'Reply to the message that opened a thread',
+    defaultText: 'Your message has been sent to the staff of **{guild}**. They will respond to you here in DMs.',
+    optional: false
+  },
+  close: {
+    label: 'Close Notice',
+    description: 'Sent to the user when their thread is closed, supports {reason}',
+    defaultText: '📬 Your modmail thread with **{guild}** has been closed by a staff member.\n**Reason:** {reason}\n\n**Note:** This conversation is now closed. If you reply to this message, it will create a new thread instead of continuing this one. If you need further assistance, please send a new message.',
+    optional: false
+  },
+  reminder: {
+    label: 'Reminder',
+    description: 'Sent after every third message in a thread',
+    defaultText: '✉️ You\'re chatting with **{guild}**. Staff will see and respond to your messages.',
+    optional: true
+  }
+};
+
+/**
+ * Get the text of a template, using the default when the guild has not set one
+ * @param {Object} templates - The guild's stored templates (modmail.messages)
+ * @param {string} key - Template key
+ * @returns {string|null} - Template text, or null if the template is off
+ */
+function getTemplateText(templates, key) {
+  const custom = (templates || {})[key];
+  
+  // An empty string turns an optional template off
+  if (typeof custom === 'string') return custom || null;
+  
+  return MESSAGE_TEMPLATES[key].defaultText;
+}
+
+/**
+ * Render a template with its placeholders filled in
+ * @param {Object} templates - The guild's stored templates (modmail.messages)
+ * @param {string} key - Template key
+ * @param {Object} context - Context passed to fillPlaceholders
+ * @returns {string|null} - Rendered text, or null if the template is off
+ */
+function renderMessageTemplate(templates, key, context = {}) {
+  const text = getTemplateText(templates, key);
+  return text ? fillPlaceholders(text, context) : null;
+}
+
+/**
+ * Render one of a guild's templates
+ * @param {Client} client - Discord client
+ * @param {Guild} guild - The guild the message is sent for
+ * @param {string} key - Template key
+ * @param {Object} [context] - Additional placeholder context such as the user
+ * @returns {Promise<string|null>} - Rendered text, or null if the template is off
+ */
+async function renderGuildMessage(client, guild, key, context = {}) {
+  const guildSettings = await client.db.Guild.findOne({
+    where: { guildId: guild.id }
+  });
+  
+  const templates = guildSettings ? guildSettings.getSetting('modmail.messages') : null;
+  return renderMessageTemplate(templates, key, { guild, ...context });
+}
+
+module.exports = {
+  MAX_TEMPLATE_LENGTH,
+  MESSAGE_TEMPLATES,
+  getTemplateText,
+  renderGuildMessage,
+  renderMessageTemplate
+};
\ No newline at end of file
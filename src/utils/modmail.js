@@ -2,13 +2,69 @@
  * Modmail Utility Functions
  * Common functions for modmail operations across events
  */
-const { ChannelType, AttachmentBuilder } = require('discord.js');
+const { ChannelType, AttachmentBuilder, Embed, PermissionFlagsBits, ThreadAutoArchiveDuration } = require('discord.js');
 const { logger } = require('./logger');
 const { createSuccessEmbed, createInfoEmbed } = require('./embedBuilder');
+const { fillPlaceholders } = require('./placeholders');
+const { archiveTranscript } = require('./transcripts');
+const { DEFAULT_UPLOAD_LIMIT, describeSkippedAttachments, discardAttachments, getUploadLimit, prepareAttachments } = require('./attachments');
+const { DEFAULT_AWAY_MESSAGE, getBusinessHours, hasOpenedSince, isWithinBusinessHours } = require('./businessHours');
+const { renderGuildMessage } = require('./messageTemplates');
+const { getThreadPing } = require('./notifications');
 const discordTranscripts = require('discord-html-transcripts');
 const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
 
+// Name shown to users for anonymous replies when no role title is configured
+const DEFAULT_ANONYMOUS_TITLE = 'Staff Team';
+
+// Close reason used when staff don't give one
+const DEFAULT_CLOSE_REASON = 'Closed by staff';
+
+// Message sent to blocked users when no custom message is configured
+const DEFAULT_BLOCKED_MESSAGE = 'You have been blocked from contacting the staff of **{guild}** through modmail.';
+
+// Maximum number of intake questions per guild (a modal holds five inputs)
+const MAX_INTAKE_QUESTIONS = 5;
+
+// Maximum number of topics per guild (a select menu holds 25 options)
+const MAX_TOPICS = 25;
+
+// Discord's limit on channels in one category
+const MAX_CATEGORY_CHANNELS = 50;
+
+// Number of earlier threads listed in the new-thread message
+const PREVIOUS_THREADS_SHOWN = 3;
+
+// Default prefixes for replies typed in a thread channel
+const DEFAULT_REPLY_PREFIX = '!r';
+const DEFAULT_ANONYMOUS_REPLY_PREFIX = '!ar';
+
+// How long a guild's prefix reply settings are cached, every server message is checked against them
+const PREFIX_SETTINGS_TTL = 60 * 1000;
+
+// Cached prefix reply settings keyed by guild ID
+const prefixSettingsCache = new Map();
+
+// Forum tags marking whether a modmail post is open or closed
+const FORUM_TAGS = {
+  OPEN: 'Open',
+  CLOSED: 'Closed'
+};
+
+// Discord's limits on forum tags
+const MAX_FORUM_TAGS = 20;
+const MAX_FORUM_TAG_NAME_LENGTH = 20;
+
+// Name of the embed field that keeps the content before the latest edit
+const PREVIOUS_CONTENT_FIELD = 'Previous content';
+
+// Longest combined text in a batched relay (embed descriptions hold 4096 characters)
+const MAX_BATCH_LENGTH = 4000;
+
+// Separator between the base channel topic and the assignee
+const TOPIC_ASSIGNEE_SEPARATOR = ' | Assigned to: ';
+
 /**
  * Helper function to find a thread with fallback mechanisms
  * @param {Client} client - Discord client
@@ -74,21 +130,15 @@ async function findThreadWithFallback(client, threadId, userId = null, guildId =
               
               // Try to find the channel by name pattern (includes user ID segment)
               const userIdSegment = userId.substring(0, 8);
+              
+              // Look for channels in the modmail categories or forum
+              const parentIds = getModmailParentIds(await getModmailSettings(client, guild.id));
+              
               const possibleChannels = guild.channels.cache
-                .filter(c => {
-                  // Look for channels in the modmail category
-                  const guildSettings = client.db.Guild.findOne({
-                    where: { guildId: guild.id }
-                  });
-                  
-                  if (!guildSettings) return false;
-                  
-                  const modmailSettings = guildSettings.getSetting('modmail') || {};
-                  const categoryId = modmailSettings.categoryId;
-                  
-                  return c.name.includes(userIdSegment) && 
-                         (categoryId ? c.parentId === categoryId : true);
-                })
+                .filter(c => 
+                  c.name.includes(userIdSegment) && 
+                  (parentIds.length > 0 ? parentIds.includes(c.parentId) : true)
+                )
                 .sort((a, b) => b.createdTimestamp - a.createdTimestamp);
               
               if (possibleChannels.size > 0) {
@@ -196,23 +246,15 @@ async function findThreadWithFallback(client, threadId, userId = null, guildId =
         if (guild) {
           const userIdSegment = userId.substring(0, 8);
           
-          // Try to find the modmail category
-          const guildSettings = await client.db.Guild.findOne({
-            where: { guildId: guildId }
-          });
-          
-          let categoryId = null;
-          if (guildSettings) {
-            const modmailSettings = guildSettings.getSetting('modmail') || {};
-            categoryId = modmailSettings.categoryId;
-          }
+          // Try to find the modmail categories or forum
+          const parentIds = getModmailParentIds(await getModmailSettings(client, guildId));
           
           // Look for channels matching the pattern
           const possibleChannels = guild.channels.cache
             .filter(c => 
               c.name.includes('mm-') && 
               c.name.includes(userIdSegment) && 
-              (categoryId ? c.parentId === categoryId : true)
+              (parentIds.length > 0 ? parentIds.includes(c.parentId) : true)
             )
             .sort((a, b) => b.createdTimestamp - a.createdTimestamp);
           
@@ -258,185 +300,1839 @@ async function findThreadWithFallback(client, threadId, userId = null, guildId =
 }
 
 /**
- * Create a new modmail thread
- * @param {Message} message - Original DM or trigger message
- * @param {Client} client - Discord client
- * @param {Guild} guild - Discord guild to create thread for
- * @param {string} [content] - Optional message content (if not from original message)
- * @param {Array} [attachments] - Optional attachments
+ * Convert message attachments into plain metadata for storage
+ * @param {Collection|Array} attachments - Discord attachments
+ * @returns {Array<Object>} - Attachment metadata
  */
-async function createModmailThread(message, client, guild, content = null, attachments = []) {
-  logger.info(`Creating modmail thread for user ${message.author.tag} (${message.author.id}) in guild ${guild.name} (${guild.id})`);
+function serializeAttachments(attachments) {
+  if (!attachments) return [];
   
-  // Get modmail category from guild settings
-  const guildSettings = await client.db.Guild.findOne({
-    where: { guildId: guild.id }
-  });
+  const list = Array.isArray(attachments) ? attachments : [...attachments.values()];
   
-  if (!guildSettings) {
-    logger.error(`Guild settings not found for guild ${guild.id}`);
-    throw new Error('Guild settings not found');
+  return list.map(attachment => ({
+    id: attachment.id || null,
+    name: attachment.name || null,
+    url: attachment.url || attachment.attachment || null,
+    size: attachment.size || null,
+    contentType: attachment.contentType || null
+  }));
+}
+
+/**
+ * Store a relayed message in the database
+ * Failures are logged but never interrupt the relay itself
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the message belongs to
+ * @param {Object} data - Message data
+ * @param {string} data.direction - One of ModmailMessage.DIRECTIONS
+ * @param {User} data.author - Author of the message
+ * @param {string} [data.content] - Text content
+ * @param {Collection|Array} [data.attachments] - Attachments sent with the message
+ * @param {string} [data.userMessageId] - ID of the DM copy
+ * @param {string} [data.channelMessageId] - ID of the thread channel copy
+ * @param {string} [data.staffMessageId] - ID of the staff message that sent a prefix reply
+ * @param {Object} [data.metadata] - Additional metadata
+ * @returns {Promise<ModmailMessage|null>} - Stored message or null
+ */
+async function recordModmailMessage(client, thread, data) {
+  try {
+    if (!client.db.ModmailMessage) {
+      logger.warn('ModmailMessage model not loaded, message not stored');
+      return null;
+    }
+    
+    const stored = await client.db.ModmailMessage.create({
+      threadId: thread.id,
+      guildId: thread.guildId,
+      direction: data.direction,
+      authorId: data.author.id,
+      authorTag: data.author.tag || null,
+      content: data.content || null,
+      attachments: serializeAttachments(data.attachments),
+      userMessageId: data.userMessageId || null,
+      channelMessageId: data.channelMessageId || null,
+      staffMessageId: data.staffMessageId || null,
+      metadata: data.metadata || {}
+    });
+    
+    logger.debug(`Stored ${data.direction} message ${stored.id} for thread ${thread.id}`);
+    return stored;
+  } catch (error) {
+    logger.error(`Error storing message for thread ${thread.id}: ${error.message}`, { error });
+    return null;
   }
+}
+
+/**
+ * Get the modmail settings of a guild with prefix replies turned on, cached for a minute
+ * Every message in every server is checked for a prefix, so most of them must not reach the database
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object|null>} - The modmail settings, or null if modmail or prefix replies are off
+ */
+async function getPrefixReplySettings(client, guildId) {
+  const cached = prefixSettingsCache.get(guildId);
+  if (cached && cached.expiresAt > Date.now()) return cached.settings;
   
-  const modmailSettings = guildSettings.getSetting('modmail') || {};
-  logger.debug(`Modmail settings for guild ${guild.id}: ${JSON.stringify(modmailSettings)}`);
-  const categoryId = modmailSettings.categoryId;
+  const modmailSettings = await getModmailSettings(client, guildId);
+  const enabled = modmailSettings.enabled && modmailSettings.prefixReplies && modmailSettings.prefixReplies.enabled;
+  const settings = enabled ? modmailSettings : null;
   
-  if (!categoryId) {
-    logger.error(`Modmail category not configured for guild ${guild.id}`);
-    throw new Error('Modmail category not configured');
-  }
+  prefixSettingsCache.set(guildId, { settings, expiresAt: Date.now() + PREFIX_SETTINGS_TTL });
+  return settings;
+}
+
+/**
+ * Forget a guild's cached prefix reply settings after its modmail settings changed
+ * @param {string} guildId - The guild ID
+ */
+function clearPrefixReplySettings(guildId) {
+  prefixSettingsCache.delete(guildId);
+}
+
+/**
+ * Check whether a staff message in a thread channel starts with a reply prefix
+ * The prefix must be followed by whitespace or the end of the message, so "!reply" is not "!r"
+ * @param {string} content - The message content
+ * @param {Object} prefixReplies - The guild's prefix reply settings
+ * @returns {{ anonymous: boolean, content: string }|null} - The reply, or null if the message has no prefix
+ */
+function matchReplyPrefix(content, prefixReplies = {}) {
+  const prefixes = [
+    { prefix: prefixReplies.prefix || DEFAULT_REPLY_PREFIX, anonymous: false },
+    { prefix: prefixReplies.anonymousPrefix || DEFAULT_ANONYMOUS_REPLY_PREFIX, anonymous: true }
+  ].sort((a, b) => b.prefix.length - a.prefix.length);
   
-  // Get the category
-  const category = await guild.channels.fetch(categoryId).catch(() => null);
+  const text = content || '';
+  const lowered = text.toLowerCase();
   
-  if (!category) {
-    throw new Error('Modmail category not found');
+  for (const { prefix, anonymous } of prefixes) {
+    if (!lowered.startsWith(prefix.toLowerCase())) continue;
+    
+    const rest = text.slice(prefix.length);
+    if (rest && !/^\s/.test(rest)) continue;
+    
+    return { anonymous, content: rest.trim() };
   }
   
-  // Create a new channel for the thread
-  const user = message.author;
-  
-  // Generate a unique timestamp code (last 6 digits of current timestamp)
-  const timestampCode = Date.now().toString().slice(-6);
-  
-  // Create a unique channel name with username, shorter user ID, and timestamp
-  // This ensures uniqueness even if the same user creates multiple threads
-  const userIdSegment = user.id.substring(0, 8); // Use first 8 chars of user ID
-  const channelName = `mm-${user.username}-${userIdSegment}-${timestampCode}`;
-  
-  // Ensure the channel name is within Discord's limits (max 100 chars)
-  const trimmedChannelName = channelName.slice(0, 90);
+  return null;
+}
+
+/**
+ * Let a user know which of their attachments were not passed on to staff
+ * @param {User} user - The user who sent them
+ * @param {Object} prepared - Result of prepareAttachments
+ * @returns {Promise<void>}
+ */
+async function notifyBlockedAttachments(user, prepared) {
+  if (prepared.blocked.length === 0) return;
   
-  const channel = await guild.channels.create({
-    name: trimmedChannelName,
-    type: ChannelType.GuildText,
-    parent: categoryId,
-    topic: `Modmail thread with ${user.tag} (${user.id}) | Created: ${new Date().toISOString()}`
+  await user.send({
+    content: `🚫 These files were not sent to staff because their file type is blocked: ${prepared.blocked.map(name => `\`${name}\``).join(', ')}`
+  }).catch(() => {});
+}
+
+/**
+ * Build the text of a batched relay from the messages in it
+ * @param {Array<Object>} messages - Messages with `content`, and `edited` or `deleted` once synced
+ * @returns {string} - Combined text for the relay embed
+ */
+function formatBatchContent(messages) {
+  const lines = messages.map(message => {
+    const line = message.content || '*Attachment only*';
+    if (message.deleted) return `~~${line}~~ 🗑️ *Deleted by the user*`;
+    return message.edited ? `${line} *(edited)*` : line;
   });
   
-  // Create the thread in the database
-  const thread = await client.db.ModmailThread.create({
-    id: channel.id,
-    userId: user.id,
-    guildId: guild.id,
-    open: true,
-    subject: content?.substring(0, 50) || message.content?.substring(0, 50) || 'No subject',
-    lastMessageAt: new Date(),
-    messageCount: 1,
-    createdBy: user.id
-  });
+  const content = `📦 **${messages.length} more messages**\n\n${lines.join('\n\n')}`;
+  return content.length > MAX_BATCH_LENGTH ? `${content.substring(0, MAX_BATCH_LENGTH - 1)}…` : content;
+}
+
+/**
+ * Forward a user's DM into an existing thread channel and store it
+ * A batched relay lists its held messages in `sources`, and each of them is stored on its own
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread to forward to
+ * @param {TextChannel} channel - The thread channel
+ * @param {Message|Object} message - The user's message (or an object with author, content, attachments)
+ * @param {string} [source='user_dm'] - Source of the activity update for logging
+ * @returns {Promise<Message>} - The message sent to the thread channel
+ */
+async function forwardUserMessage(client, thread, channel, message, source = 'user_dm') {
+  // Remember how long the thread was quiet before updating its activity timestamp
+  const lastActivityAt = thread.lastMessageAt;
+  await thread.updateActivity(source);
   
-  // Send initial message to the thread channel
-  const userEmbed = {
-    title: 'New Modmail Thread',
+  // Create an embed for the forwarded message
+  const forwardEmbed = {
     author: {
-      name: user.tag,
-      icon_url: user.displayAvatarURL({ dynamic: true })
-    },
-    description: content || message.content || '_No content_',
-    color: 0x5865F2, // Discord Blurple
-    fields: [
-      {
-        name: 'User Info',
-        value: `<@${user.id}> (${user.id})\nCreated: <t:${Math.floor(user.createdTimestamp / 1000)}:R>`
-      }
-    ],
-    footer: {
-      text: 'User Message'
+      name: message.author.tag,
+      icon_url: message.author.displayAvatarURL({ dynamic: true })
     },
+    description: message.content || '*No content*',
+    color: 0x2F3136, // Discord dark theme color
     timestamp: new Date().toISOString()
   };
   
-  // Add member info if available
+  // Store the attachments and send whatever fits to the thread channel
+  const prepared = await prepareAttachments(client, thread, message.attachments, {
+    uploaderId: message.author.id,
+    direction: 'user_to_staff',
+    uploadLimit: getUploadLimit(channel.guild)
+  });
+  
+  // User content never pings anyone, only the guild's configured notifications do
+  const ping = await getThreadPing(client, thread, 'reply', { lastActivityAt });
+  
+  let sent;
   try {
-    const member = await guild.members.fetch(user.id);
-    
-    if (member) {
-      userEmbed.fields.push({
-        name: 'Member Info',
-        value: `Joined: <t:${Math.floor(member.joinedTimestamp / 1000)}:R>\nRoles: ${member.roles.cache.filter(r => r.id !== guild.id).map(r => r.toString()).join(' ')}`
-      });
-    }
-  } catch (error) {
-    // User might not be in the guild
-    userEmbed.fields.push({
-      name: 'Member Info',
-      value: '_User is not a member of this server_'
+    sent = await channel.send({ 
+      content: [ping && ping.content, describeSkippedAttachments(prepared)].filter(Boolean).join('\n') || undefined,
+      embeds: [forwardEmbed],
+      files: prepared.files,
+      allowedMentions: ping ? ping.allowedMentions : { parse: [] }
     });
+  } catch (error) {
+    await discardAttachments(prepared);
+    throw error;
   }
   
-  // Add message attachments if any
-  const files = attachments.length > 0 ? attachments : message.attachments ? [...message.attachments.values()] : [];
+  await notifyBlockedAttachments(message.author, prepared);
   
-  if (files.length > 0) {
-    userEmbed.fields.push({
-      name: 'Attachments',
-      value: `This message includes ${files.length} attachment(s)`
+  // Increment message count, a batched relay counts every message in it
+  const sources = message.sources || [message];
+  thread.messageCount += sources.length;
+  await thread.save();
+  
+  // A reply from the user cancels any scheduled close
+  if (thread.scheduledCloseAt && await thread.cancelScheduledClose()) {
+    await channel.send({
+      content: '⏹️ The scheduled close has been cancelled because the user replied.'
+    }).catch(() => {});
+    logger.info(`Scheduled close for thread ${thread.id} cancelled by user reply`);
+  }
+  
+  // Every held message of a batch keeps its own record, so edits and deletions stay in sync
+  for (const source of sources) {
+    const attachments = source === message
+      ? prepared.accepted
+      : prepared.accepted.filter(attachment => source.attachments && [...source.attachments.values()].includes(attachment));
+    
+    await recordModmailMessage(client, thread, {
+      direction: 'user_to_staff',
+      author: message.author,
+      content: source.content,
+      attachments,
+      userMessageId: source.id,
+      channelMessageId: sent.id,
+      metadata: message.sources ? { batchSize: sources.length } : {}
     });
   }
   
-  // Send the embed to the thread channel
-  await channel.send({ embeds: [userEmbed], files });
+  await sendAwayReply(client, thread, channel, message.author);
+  
+  return sent;
+}
+
+/**
+ * Send the guild's away message when a user writes outside business hours
+ * The user gets it once per out-of-hours period, and the thread channel is marked at the same time
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the user wrote in
+ * @param {TextChannel} channel - The thread channel
+ * @param {User} user - The user who wrote
+ * @returns {Promise<boolean>} - Whether the away message was sent
+ */
+async function sendAwayReply(client, thread, channel, user) {
+  const hours = await getBusinessHours(client, thread.guildId);
+  if (!hours) return false;
+  
+  const now = new Date();
+  if (isWithinBusinessHours(hours, now)) return false;
+  
+  // Only reply again once business hours have started and ended since the last away message
+  const lastNoticeAt = thread.metadata && thread.metadata.awayNoticeAt;
+  if (lastNoticeAt && !hasOpenedSince(hours, new Date(lastNoticeAt), now)) return false;
+  
+  // Assign a new object so Sequelize notices the JSON change
+  thread.metadata = { ...(thread.metadata || {}), awayNoticeAt: now.toISOString() };
+  await thread.save();
   
-  // Add buttons for staff actions
   await channel.send({
-    content: '**Staff Actions:**',
+    content: '🌙 **Received out of hours.** The user has been sent the away message.'
+  }).catch(error => logger.warn(`Could not mark thread ${thread.id} as received out of hours: ${error.message}`));
+  
+  const guild = channel.guild;
+  await user.send({
+    embeds: [{
+      title: 'Staff are currently away',
+      description: fillPlaceholders(hours.awayMessage || DEFAULT_AWAY_MESSAGE, { user, guild }),
+      color: 0xFEE75C, // Discord Yellow
+      footer: {
+        text: guild ? guild.name : 'Modmail'
+      }
+    }]
+  }).catch(error => logger.warn(`Could not send away message to user ${user.id}: ${error.message}`));
+  
+  logger.info(`Sent away message for thread ${thread.id} in guild ${thread.guildId}`);
+  return true;
+}
+
+/**
+ * Get the modmail settings object for a guild
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object>} - Modmail settings (empty object if none)
+ */
+async function getModmailSettings(client, guildId) {
+  const guildSettings = await client.db.Guild.findOne({
+    where: { guildId }
+  });
+  
+  return guildSettings ? guildSettings.getSetting('modmail') || {} : {};
+}
+
+/**
+ * Get the IDs of every category or forum modmail threads are created in
+ * @param {Object} modmailSettings - The guild's modmail settings
+ * @returns {Array<string>}
+ */
+function getModmailParentIds(modmailSettings) {
+  return [
+    modmailSettings.categoryId,
+    ...(modmailSettings.overflowCategoryIds || []),
+    modmailSettings.forumChannelId
+  ].filter(Boolean);
+}
+
+/**
+ * Build the message shown to a user who is blocked in a guild
+ * @param {Client} client - Discord client
+ * @param {User} user - The blocked user
+ * @param {Guild} guild - The guild that blocked them
+ * @param {ModmailBlock} block - The active block
+ * @returns {Promise<string>}
+ */
+async function buildBlockedMessage(client, user, guild, block) {
+  const modmailSettings = await getModmailSettings(client, guild.id);
+  let content = fillPlaceholders(modmailSettings.blockedMessage || DEFAULT_BLOCKED_MESSAGE, { user, guild });
+  
+  if (block.expiresAt) {
+    content += `\n\nThis block expires <t:${Math.floor(new Date(block.expiresAt).getTime() / 1000)}:R>.`;
+  }
+  
+  return content;
+}
+
+/**
+ * Get the intake questions configured for a guild
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Array<string>>}
+ */
+async function getIntakeQuestions(client, guildId) {
+  const modmailSettings = await getModmailSettings(client, guildId);
+  const questions = Array.isArray(modmailSettings.intakeQuestions) ? modmailSettings.intakeQuestions : [];
+  
+  return questions.filter(Boolean).slice(0, MAX_INTAKE_QUESTIONS);
+}
+
+/**
+ * Build the intake questionnaire modal shown before a thread is created
+ * @param {Guild} guild - The guild the user is contacting
+ * @param {Array<string>} questions - The intake questions
+ * @param {number} [topicId] - The topic the user picked, kept until the form is submitted
+ * @returns {Object} - Raw modal data
+ */
+function buildIntakeModal(guild, questions, topicId = null) {
+  return {
+    title: `Contact ${guild.name}`.substring(0, 45),
+    custom_id: `modmail_intake_${guild.id}${topicId ? `_${topicId}` : ''}`,
+    components: questions.map((question, index) => ({
+      type: 1, // ACTION_ROW
+      components: [
+        {
+          type: 4, // TEXT_INPUT
+          custom_id: `intake_${index}`,
+          label: question.substring(0, 45),
+          style: 2, // PARAGRAPH
+          min_length: 1,
+          max_length: 1000,
+          required: true
+        }
+      ]
+    }))
+  };
+}
+
+/**
+ * Get the topics users can pick from in a guild
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Array<ModmailTopic>>}
+ */
+async function getGuildTopics(client, guildId) {
+  if (!client.db.ModmailTopic) return [];
+  
+  const topics = await client.db.ModmailTopic.findGuildTopics(guildId);
+  return topics.slice(0, MAX_TOPICS);
+}
+
+/**
+ * Build the topic select prompt shown after the user picks a server
+ * @param {Guild} guild - The guild the user is contacting
+ * @param {Array<ModmailTopic>} topics - The guild's topics
+ * @returns {Object} - Message content and components
+ */
+function buildTopicPrompt(guild, topics) {
+  return {
+    content: `What would you like to contact the staff of **${guild.name}** about?`,
     components: [
       {
         type: 1, // ACTION_ROW
         components: [
           {
-            type: 2, // BUTTON
-            style: 2, // SECONDARY
-            label: 'Reply',
-            custom_id: 'modmail_reply',
-            emoji: { name: '💬' }
-          },
-          {
-            type: 2, // BUTTON
-            style: 4, // DANGER
-            label: 'Close Thread',
-            custom_id: 'modmail_close',
-            emoji: { name: '🔒' }
-          },
+            type: 3, // SELECT_MENU
+            custom_id: `modmail_topic_select_${guild.id}`,
+            placeholder: 'Select a topic',
+            options: topics.map(topic => ({
+              label: topic.name,
+              description: topic.description ? topic.description.substring(0, 100) : undefined,
+              value: String(topic.id)
+            }))
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Build the prompt with a button that opens the intake questionnaire
+ * Modals can only be opened from an interaction, so DMs get a button first
+ * @param {Guild} guild - The guild the user is contacting
+ * @returns {Object} - Message content and components
+ */
+function buildIntakePrompt(guild) {
+  return {
+    content: `Before your message is sent to the staff of **${guild.name}**, please answer a few questions.`,
+    components: [
+      {
+        type: 1, // ACTION_ROW
+        components: [
           {
             type: 2, // BUTTON
             style: 1, // PRIMARY
-            label: 'Export Transcript',
-            custom_id: 'modmail_transcript',
-            emoji: { name: '📄' }
+            label: 'Answer Questions',
+            custom_id: `modmail_intake_start_${guild.id}`,
+            emoji: { name: '📝' }
           }
         ]
       }
     ]
-  });
+  };
+}
+
+/**
+ * Send a staff reply to the thread user and echo it in the thread channel
+ * Shared by the reply modal and every other staff reply path
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread being replied to
+ * @param {Object} options - Reply options
+ * @param {Guild} options.guild - The guild the thread belongs to
+ * @param {TextChannel} options.channel - The thread channel
+ * @param {User} options.staff - The staff member replying
+ * @param {string} options.content - The reply content
+ * @param {boolean} [options.anonymous=false] - Hide the staff member's name from the user
+ * @param {Array<Attachment>} [options.attachments] - Attachments to relay with the reply
+ * @param {string} [options.source='staff_reply'] - Source of the activity update for logging
+ * @param {string} [options.staffMessageId] - ID of the staff message that sent a prefix reply
+ * @param {Object} [options.metadata] - Additional metadata to store with the message
+ * @returns {Promise<Object>} - The DM and echo messages
+ * @throws {Error} - If the user could not be messaged
+ */
+async function sendStaffReply(client, thread, { guild, channel, staff, content, anonymous = false, attachments = [], source = 'staff_reply', staffMessageId = null, metadata = {} }) {
+  // Update the thread's activity timestamp with the current time
+  // This is critical for the continuity feature to work
+  await thread.updateActivity(source);
   
-  // Notify the log channel if configured
-  if (modmailSettings.logChannelId) {
-    try {
-      const logChannel = await guild.channels.fetch(modmailSettings.logChannelId);
-      await logChannel.send({
-        embeds: [{
-          title: 'Modmail Thread Created',
-          description: `New thread opened by <@${user.id}> (${user.tag})`,
-          fields: [
-            {
-              name: 'Channel',
-              value: channel.toString()
-            }
-          ],
-          color: 0x57F287, // Discord Green
-          timestamp: new Date().toISOString()
-        }]
-      });
-    } catch (error) {
-      // Log channel error is not critical
-      logger.warn(`Could not send to modmail log channel: ${error.message}`);
-    }
+  const user = await client.users.fetch(thread.userId);
+  
+  // Anonymous replies only show the guild and a configurable role title to the user
+  let senderName = staff.tag;
+  let senderIcon = staff.displayAvatarURL({ dynamic: true });
+  
+  if (anonymous) {
+    const modmailSettings = await getModmailSettings(client, guild.id);
+    senderName = modmailSettings.anonymousTitle || DEFAULT_ANONYMOUS_TITLE;
+    senderIcon = guild.iconURL({ dynamic: true });
   }
   
-  // Verify the thread was correctly created in the database
+  // Create an embed for the reply
+  const replyEmbed = {
+    author: {
+      name: guild.name,
+      icon_url: guild.iconURL({ dynamic: true })
+    },
+    description: content || '*No content*',
+    color: 0x5865F2, // Discord Blurple
+    footer: {
+      text: `From ${senderName}`,
+      icon_url: senderIcon || undefined
+    },
+    timestamp: new Date().toISOString()
+  };
+  
+  // Store the attachments, the DM only gets what fits in the base upload limit
+  const prepared = await prepareAttachments(client, thread, attachments, {
+    uploaderId: staff.id,
+    direction: 'staff_to_user',
+    uploadLimit: DEFAULT_UPLOAD_LIMIT
+  });
+  const skippedForUser = describeSkippedAttachments(prepared, false);
+  
+  // Send the reply embed and the continuation message in a single message
+  // This ensures replies will be properly associated with the thread
+  logger.debug(`Sending staff reply to user ${user.id} for thread ${thread.id} in guild ${guild.name} (${guild.id})`);
+  
+  let dmMessage;
+  try {
+    // Store thread information in a per-user session to help with reply tracking
+    if (!client.userSessions) client.userSessions = new Map();
+    
+    // Create or update user session with thread info to improve reply handling
+    client.userSessions.set(user.id, {
+      threadId: thread.id,
+      guildId: guild.id,
+      lastMessageAt: new Date(),
+      lastStaffId: staff.id
+    });
+    
+    logger.debug(`Updated user session for ${user.id} with thread ${thread.id}`);
+    
+    // Send the message with clear instructions for replying
+    dmMessage = await user.send({ 
+      embeds: [replyEmbed],
+      files: prepared.files,
+      content: `💬 **You can reply directly to this message to continue the conversation with ${guild.name}.**\n\nStaff member: ${senderName}${skippedForUser ? `\n\n${skippedForUser}` : ''}`
+    });
+    
+    logger.debug(`Successfully sent staff reply to user ${user.id}`);
+  } catch (dmError) {
+    logger.error(`Failed to send DM to user ${user.id}: ${dmError.message}`);
+    await discardAttachments(prepared);
+    throw new Error(`Could not send message to user. They may have DMs disabled or have blocked the bot. Error: ${dmError.message}`);
+  }
+  
+  // Echo the reply in the thread
+  const echoEmbed = {
+    author: {
+      name: staff.tag,
+      icon_url: staff.displayAvatarURL({ dynamic: true })
+    },
+    description: content || '*No content*',
+    color: 0x57F287, // Discord Green
+    footer: {
+      text: anonymous ? 'Staff Reply (sent anonymously)' : 'Staff Reply'
+    },
+    timestamp: new Date().toISOString()
+  };
+  
+  const echoMessage = await channel.send({
+    content: describeSkippedAttachments(prepared) || undefined,
+    embeds: [echoEmbed],
+    files: prepared.files
+  });
+  
+  // Add a note that continuation message was sent
+  await channel.send({ 
+    content: `ℹ️ The user has been notified they can reply directly to continue this conversation.`,
+    flags: 1 << 6 // Ephemeral
+  });
+  
+  // Increment message count and remember the first reply for SLA tracking
+  thread.messageCount += 1;
+  if (!thread.firstStaffResponseAt) thread.firstStaffResponseAt = new Date();
+  await thread.save();
+  
+  // Store the reply with both message IDs
+  await recordModmailMessage(client, thread, {
+    direction: 'staff_to_user',
+    author: staff,
+    content,
+    attachments: prepared.accepted,
+    userMessageId: dmMessage.id,
+    channelMessageId: echoMessage.id,
+    staffMessageId,
+    metadata: { ...metadata, anonymous }
+  });
+  
+  return { dmMessage, echoMessage };
+}
+
+/**
+ * Post an internal staff note in a thread channel and store it
+ * Notes are never sent to the user
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the note belongs to
+ * @param {Object} options - Note options
+ * @param {TextChannel} options.channel - The thread channel
+ * @param {User} options.staff - The staff member writing the note
+ * @param {string} options.content - The note content
+ * @returns {Promise<Message>} - The note message in the thread channel
+ */
+async function addInternalNote(client, thread, { channel, staff, content }) {
+  const noteEmbed = {
+    title: '🔒 Internal Staff Note',
+    author: {
+      name: staff.tag,
+      icon_url: staff.displayAvatarURL({ dynamic: true })
+    },
+    description: content,
+    color: 0xFEE75C, // Discord Yellow
+    footer: {
+      text: 'Internal note - not sent to the user'
+    },
+    timestamp: new Date().toISOString()
+  };
+  
+  const noteMessage = await channel.send({ embeds: [noteEmbed] });
+  
+  await recordModmailMessage(client, thread, {
+    direction: 'internal',
+    author: staff,
+    content,
+    channelMessageId: noteMessage.id,
+    metadata: { type: 'note' }
+  });
+  
+  logger.debug(`Internal note added to thread ${thread.id} by ${staff.tag}`);
+  return noteMessage;
+}
+
+/**
+ * Fetch the copy of a stored message in the thread channel
+ * @param {Client} client - Discord client
+ * @param {ModmailMessage} stored - The stored message
+ * @returns {Promise<Message|null>}
+ */
+async function fetchChannelCopy(client, stored) {
+  if (!stored.channelMessageId) return null;
+  
+  const channel = await client.channels.fetch(stored.threadId).catch(() => null);
+  if (!channel) return null;
+  
+  return channel.messages.fetch(stored.channelMessageId).catch(() => null);
+}
+
+/**
+ * Fetch the copy of a stored message in the user's DMs
+ * @param {Client} client - Discord client
+ * @param {ModmailMessage} stored - The stored message
+ * @returns {Promise<Message|null>}
+ */
+async function fetchUserCopy(client, stored) {
+  if (!stored.userMessageId) return null;
+  
+  const thread = await client.db.ModmailThread.findByPk(stored.threadId);
+  if (!thread) return null;
+  
+  const user = await client.users.fetch(thread.userId).catch(() => null);
+  if (!user) return null;
+  
+  const dmChannel = await user.createDM().catch(() => null);
+  if (!dmChannel) return null;
+  
+  return dmChannel.messages.fetch(stored.userMessageId).catch(() => null);
+}
+
+/**
+ * Add a marker to an embed footer once
+ * @param {Object} embed - Raw embed data
+ * @param {string} marker - Marker text such as "(edited)"
+ */
+function addFooterMarker(embed, marker) {
+  const text = embed.footer?.text || '';
+  if (text.includes(marker)) return;
+  
+  embed.footer = {
+    ...(embed.footer || {}),
+    text: text ? `${text} ${marker}` : marker
+  };
+}
+
+/**
+ * Rebuild the text of a batched relay from its stored messages
+ * @param {Client} client - Discord client
+ * @param {ModmailMessage} stored - Any stored message of the batch
+ * @returns {Promise<string>} - Combined text for the relay embed
+ */
+async function describeBatch(client, stored) {
+  const batch = await client.db.ModmailMessage.findByChannelMessageId(stored.channelMessageId);
+  
+  return formatBatchContent(batch.map(message => ({
+    content: message.content,
+    edited: Boolean(message.metadata?.edits?.length),
+    deleted: message.isDeleted()
+  })));
+}
+
+/**
+ * Apply an edit to a relayed message and update its mirrored copy
+ * Staff see an "(edited)" marker with the previous content, the user only sees the new content
+ * @param {Client} client - Discord client
+ * @param {ModmailMessage} stored - The stored message that was edited
+ * @param {string} newContent - The edited content
+ * @returns {Promise<boolean>} - Whether the content changed
+ */
+async function applyMessageEdit(client, stored, newContent) {
+  if ((newContent || '') === (stored.content || '') || stored.isDeleted()) {
+    return false;
+  }
+  
+  const previousContent = await stored.recordEdit(newContent);
+  
+  // Update the staff copy in the thread channel
+  const channelCopy = await fetchChannelCopy(client, stored);
+  if (channelCopy && channelCopy.embeds.length > 0) {
+    const embed = channelCopy.embeds[0].toJSON();
+    embed.description = stored.metadata?.batchSize ? await describeBatch(client, stored) : newContent || '*No content*';
+    embed.fields = (embed.fields || []).filter(field => field.name !== PREVIOUS_CONTENT_FIELD);
+    embed.fields.push({
+      name: PREVIOUS_CONTENT_FIELD,
+      value: (previousContent || '*No content*').substring(0, 1024)
+    });
+    addFooterMarker(embed, '(edited)');
+    
+    await channelCopy.edit({ embeds: [embed, ...channelCopy.embeds.slice(1)] });
+  }
+  
+  // Staff replies are also updated in the user's DMs
+  if (stored.direction === 'staff_to_user') {
+    const userCopy = await fetchUserCopy(client, stored);
+    if (userCopy && userCopy.embeds.length > 0) {
+      const embed = userCopy.embeds[0].toJSON();
+      embed.description = newContent;
+      addFooterMarker(embed, '(edited)');
+      
+      await userCopy.edit({ embeds: [embed, ...userCopy.embeds.slice(1)] });
+    }
+  }
+  
+  logger.info(`Synced edit of ${stored.direction} message ${stored.id} in thread ${stored.threadId}`);
+  return true;
+}
+
+/**
+ * Mark a relayed message as deleted and update its mirrored copy
+ * The mirrored copy is marked rather than removed
+ * @param {Client} client - Discord client
+ * @param {ModmailMessage} stored - The stored message that was deleted
+ * @param {string} [deletedBy] - ID of who deleted it, if known
+ * @returns {Promise<boolean>} - Whether the message was newly marked
+ */
+async function applyMessageDelete(client, stored, deletedBy = null) {
+  if (stored.isDeleted()) return false;
+  
+  await stored.markDeleted(deletedBy);
+  
+  if (stored.direction === 'user_to_staff') {
+    // Keep the content for staff but flag it as deleted
+    const channelCopy = await fetchChannelCopy(client, stored);
+    if (channelCopy && channelCopy.embeds.length > 0) {
+      const embed = channelCopy.embeds[0].toJSON();
+      
+      // Only the deleted message of a batch is marked, the others are still there
+      if (stored.metadata?.batchSize) {
+        embed.description = await describeBatch(client, stored);
+      } else {
+        embed.color = 0xED4245; // Discord Red
+        addFooterMarker(embed, '🗑️ Deleted by the user');
+      }
+      
+      await channelCopy.edit({ embeds: [embed, ...channelCopy.embeds.slice(1)] });
+    }
+  } else if (stored.direction === 'staff_to_user') {
+    // The staff copy is already gone, so mark the user's copy and tell staff
+    const userCopy = await fetchUserCopy(client, stored);
+    if (userCopy && userCopy.embeds.length > 0) {
+      const embed = userCopy.embeds[0].toJSON();
+      embed.description = '*This message was deleted by staff.*';
+      embed.color = 0x99AAB5; // Grey
+      
+      await userCopy.edit({ embeds: [embed, ...userCopy.embeds.slice(1)] });
+    }
+    
+    const channel = await client.channels.fetch(stored.threadId).catch(() => null);
+    if (channel) {
+      await channel.send({
+        content: `🗑️ A staff reply by ${stored.authorTag || 'a staff member'} was deleted. The user's copy has been marked as deleted.`,
+        allowedMentions: { parse: [] }
+      }).catch(() => {});
+    }
+  }
+  
+  logger.info(`Synced deletion of ${stored.direction} message ${stored.id} in thread ${stored.threadId}`);
+  return true;
+}
+
+/**
+ * Close a thread, post the close message in its channel and notify the user
+ * Used for manual closes by staff and for scheduled closes
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread to close
+ * @param {Object} options - Close options
+ * @param {Guild} options.guild - The guild the thread belongs to
+ * @param {TextChannel} [options.channel] - The thread channel, if it still exists
+ * @param {User} [options.closedBy] - The staff member closing the thread (system if omitted)
+ * @param {string} [options.reason='Closed by staff'] - The reason for closing
+ * @returns {Promise<Object>} - Result with `userNotified`
+ */
+async function closeModmailThread(client, thread, { guild, channel = null, closedBy = null, reason = DEFAULT_CLOSE_REASON }) {
+  // Close the thread in the database
+  await thread.closeThread(closedBy ? closedBy.id : 'SYSTEM', reason);
+  
+  const reasonLine = reason && reason !== DEFAULT_CLOSE_REASON ? `\n**Reason:** ${reason}` : '';
+  
+  // Send a message to the channel
+  if (channel) {
+    await channel.send({
+      content: `📬 This modmail thread has been closed by ${closedBy ? closedBy.tag : 'the system'}${reasonLine}`,
+      components: [
+        {
+          type: 1, // ACTION_ROW
+          components: [
+            {
+              type: 2, // BUTTON
+              style: 1, // PRIMARY
+              label: 'Generate Transcript',
+              custom_id: 'modmail_transcript',
+              emoji: { name: '📄' }
+            },
+            {
+              type: 2, // BUTTON
+              style: 3, // SUCCESS
+              label: 'Reopen',
+              custom_id: 'modmail_reopen',
+              emoji: { name: '🔓' }
+            }
+          ]
+        }
+      ]
+    });
+    
+    // Forum posts are tagged and locked so they drop out of the open list
+    if (channel.isThread()) {
+      await closeForumPost(channel);
+    }
+  }
+  
+  // Try to notify the user that thread is closed and they cannot reply anymore
+  let userNotified = false;
+  try {
+    const user = await client.users.fetch(thread.userId);
+    await user.send({
+      content: await renderGuildMessage(client, guild, 'close', {
+        user,
+        reason: reason && reason !== DEFAULT_CLOSE_REASON ? reason : 'No reason given'
+      })
+    });
+    userNotified = true;
+    
+    // Remove the user from active sessions to prevent replying to closed threads
+    if (client.userSessions && client.userSessions.has(thread.userId)) {
+      client.userSessions.delete(thread.userId);
+      logger.debug(`Deleted user session for ${thread.userId} due to thread closure`);
+    }
+  } catch (dmError) {
+    // If we can't DM the user, just log it
+    logger.warn(`Could not notify user ${thread.userId} about thread closure: ${dmError.message}`);
+  }
+  
+  return { userNotified };
+}
+
+/**
+ * Schedule a thread to close later and post a countdown notice in its channel
+ * The schedule is cancelled automatically when the user sends another message
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread to close
+ * @param {Object} options - Schedule options
+ * @param {TextChannel} options.channel - The thread channel
+ * @param {User} options.staff - The staff member scheduling the close
+ * @param {number} options.delay - Delay before closing in milliseconds
+ * @param {string} [options.reason='Closed by staff'] - The reason for closing
+ * @returns {Promise<Date>} - When the thread will close
+ */
+async function scheduleModmailClose(client, thread, { channel, staff, delay, reason = DEFAULT_CLOSE_REASON }) {
+  const closeAt = new Date(Date.now() + delay);
+  await thread.scheduleClose(staff.id, reason, closeAt);
+  
+  const closeTimestamp = Math.floor(closeAt.getTime() / 1000);
+  
+  await channel.send({
+    embeds: [{
+      title: '⏳ Thread Close Scheduled',
+      description: `This thread will be closed <t:${closeTimestamp}:R> (<t:${closeTimestamp}:f>).\n\n` +
+        `**Reason:** ${reason}\n` +
+        `**Scheduled By:** ${staff.tag}\n\n` +
+        'The close will be cancelled automatically if the user sends another message.',
+      color: 0xF39C12, // Orange
+      timestamp: new Date().toISOString()
+    }],
+    components: [
+      {
+        type: 1, // ACTION_ROW
+        components: [
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Cancel Scheduled Close',
+            custom_id: 'modmail_cancel_close',
+            emoji: { name: '⏹️' }
+          }
+        ]
+      }
+    ]
+  });
+  
+  logger.info(`Thread ${thread.id} scheduled to close at ${closeAt.toISOString()} by ${staff.tag}`);
+  return closeAt;
+}
+
+/**
+ * Close every thread whose scheduled close time has passed
+ * @param {Client} client - Discord client
+ * @returns {Promise<number>} - Number of threads closed
+ */
+async function runScheduledCloses(client) {
+  const dueThreads = await client.db.ModmailThread.findDueScheduledCloses();
+  let closedCount = 0;
+  
+  for (const thread of dueThreads) {
+    try {
+      const guild = client.guilds.cache.get(thread.guildId);
+      
+      // Without the guild there is no channel to update, but the thread must not stay due forever
+      if (!guild) {
+        await thread.closeThread(thread.scheduledCloseBy || 'SYSTEM', thread.scheduledCloseReason || DEFAULT_CLOSE_REASON);
+        
+        if (client.userSessions && client.userSessions.has(thread.userId)) {
+          client.userSessions.delete(thread.userId);
+        }
+        
+        closedCount++;
+        logger.warn(`Closed scheduled thread ${thread.id} without channel updates, guild ${thread.guildId} is not available`);
+        continue;
+      }
+      
+      const channel = await guild.channels.fetch(thread.id).catch(() => null);
+      const closedBy = thread.scheduledCloseBy 
+        ? await client.users.fetch(thread.scheduledCloseBy).catch(() => null) 
+        : null;
+      
+      await closeModmailThread(client, thread, {
+        guild,
+        channel,
+        closedBy,
+        reason: thread.scheduledCloseReason || DEFAULT_CLOSE_REASON
+      });
+      
+      closedCount++;
+      logger.info(`Ran scheduled close for thread ${thread.id} in guild ${thread.guildId}`);
+    } catch (threadError) {
+      logger.error(`Error running scheduled close for thread ${thread.id}: ${threadError.message}`);
+    }
+  }
+  
+  return closedCount;
+}
+
+/**
+ * Show the current assignee in the thread channel topic
+ * @param {TextChannel} channel - The thread channel
+ * @param {User} [assignee] - The assignee, or null to remove it
+ */
+async function updateThreadTopic(channel, assignee = null) {
+  // Forum posts have no topic, the assignment message is enough there
+  if (channel.isThread()) return;
+  
+  const baseTopic = (channel.topic || '').split(TOPIC_ASSIGNEE_SEPARATOR)[0];
+  const topic = assignee ? `${baseTopic}${TOPIC_ASSIGNEE_SEPARATOR}${assignee.tag} (${assignee.id})` : baseTopic;
+  
+  try {
+    await channel.setTopic(topic.slice(0, 1024));
+  } catch (error) {
+    // Topic edits are heavily rate limited, the assignment itself is already saved
+    logger.warn(`Could not update topic of thread channel ${channel.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Assign a thread to a staff member
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread to assign
+ * @param {Object} options - Assignment options
+ * @param {TextChannel} options.channel - The thread channel
+ * @param {User} options.staff - The staff member making the assignment
+ * @param {User} options.assignee - The staff member receiving the thread
+ * @returns {Promise<ModmailThread>}
+ */
+async function assignModmailThread(client, thread, { channel, staff, assignee }) {
+  await thread.assignTo(assignee.id);
+  await updateThreadTopic(channel, assignee);
+  
+  await channel.send({
+    content: assignee.id === staff.id 
+      ? `🙋 This thread has been claimed by ${assignee.tag}.` 
+      : `📌 This thread has been assigned to <@${assignee.id}> by ${staff.tag}.`,
+    allowedMentions: { users: [assignee.id] }
+  });
+  
+  logger.info(`Thread ${thread.id} assigned to ${assignee.tag} (${assignee.id}) by ${staff.tag}`);
+  return thread;
+}
+
+/**
+ * Remove the assignee from a thread
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread to unassign
+ * @param {Object} options - Unassignment options
+ * @param {TextChannel} options.channel - The thread channel
+ * @param {User} options.staff - The staff member removing the assignment
+ * @returns {Promise<boolean>} - Whether the thread had an assignee
+ */
+async function unassignModmailThread(client, thread, { channel, staff }) {
+  const previousAssignee = thread.assignedTo;
+  
+  if (!await thread.unassign()) {
+    return false;
+  }
+  
+  await updateThreadTopic(channel, null);
+  await channel.send({
+    content: `📌 This thread is no longer assigned to <@${previousAssignee}> (removed by ${staff.tag}).`,
+    allowedMentions: { parse: [] }
+  });
+  
+  logger.info(`Thread ${thread.id} unassigned from ${previousAssignee} by ${staff.tag}`);
+  return true;
+}
+
+/**
+ * Check whether a staff member may reply to a thread
+ * When the guild restricts replies to the assignee, only the assignee and administrators may reply
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread being replied to
+ * @param {GuildMember} member - The staff member replying
+ * @returns {Promise<Object>} - `{ allowed, reason }`
+ */
+async function checkReplyPermission(client, thread, member) {
+  if (!thread.assignedTo || thread.assignedTo === member.id) {
+    return { allowed: true };
+  }
+  
+  const modmailSettings = await getModmailSettings(client, thread.guildId);
+  
+  if (!modmailSettings.assigneeOnlyReplies || member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return { allowed: true };
+  }
+  
+  return {
+    allowed: false,
+    reason: `This thread is assigned to <@${thread.assignedTo}>. Only the assignee and administrators can reply.`
+  };
+}
+
+/**
+ * Reopen a closed thread, notify the user and route their DMs back to it
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The closed thread
+ * @param {Object} options - Reopen options
+ * @param {Guild} options.guild - The guild the thread belongs to
+ * @param {TextChannel} options.channel - The thread channel
+ * @param {User} options.staff - The staff member reopening the thread
+ * @returns {Promise<Object>} - Result with `reopened`, `userNotified` and an optional `reason`
+ */
+async function reopenModmailThread(client, thread, { guild, channel, staff }) {
+  if (thread.open) {
+    return { reopened: false, reason: 'This thread is already open.' };
+  }
+  
+  // Only one open thread per user and guild is supported
+  const activeThread = await client.db.ModmailThread.findActiveThread(thread.userId, thread.guildId);
+  if (activeThread && activeThread.id !== thread.id) {
+    return {
+      reopened: false,
+      reason: `The user already has another open thread: <#${activeThread.id}>. Close it before reopening this one.`
+    };
+  }
+  
+  await thread.reopenThread();
+  logger.info(`Thread ${thread.id} reopened by ${staff.tag} (${staff.id})`);
+  
+  if (channel.isThread()) {
+    await reopenForumPost(channel);
+  }
+  
+  await channel.send({
+    content: `📬 This modmail thread has been reopened by ${staff.tag}`
+  });
+  
+  // Restore the user session so the next DM goes straight back into this channel
+  if (!client.userSessions) client.userSessions = new Map();
+  client.userSessions.set(thread.userId, {
+    threadId: thread.id,
+    guildId: guild.id,
+    lastMessageAt: new Date(),
+    lastStaffId: staff.id
+  });
+  
+  let userNotified = true;
+  try {
+    const user = await client.users.fetch(thread.userId);
+    await user.send({
+      content: `📬 Your modmail thread with **${guild.name}** has been reopened by staff. You can reply here to continue the conversation.`
+    });
+  } catch (dmError) {
+    userNotified = false;
+    logger.warn(`Could not notify user ${thread.userId} about thread reopening: ${dmError.message}`);
+  }
+  
+  return { reopened: true, userNotified };
+}
+
+/**
+ * Fetch every message in a channel, oldest first
+ * @param {TextChannel} channel - The channel to fetch from
+ * @returns {Promise<Array<Message>>} - All messages in chronological order
+ */
+async function fetchAllChannelMessages(channel) {
+  const allMessages = [];
+  let lastMessageId;
+  
+  while (true) {
+    const fetchOptions = { limit: 100 };
+    if (lastMessageId) fetchOptions.before = lastMessageId;
+    
+    const messages = await channel.messages.fetch(fetchOptions);
+    allMessages.push(...messages.values());
+    lastMessageId = messages.lastKey();
+    
+    if (messages.size < 100) break;
+  }
+  
+  return allMessages.reverse();
+}
+
+/**
+ * Get the IDs of forum tags by name, creating the ones that don't exist yet
+ * @param {ForumChannel} forum - The modmail forum
+ * @param {Array<string>} names - Tag names
+ * @returns {Promise<Array<string|null>>} - Tag IDs in the same order (null if a tag could not be created)
+ */
+async function ensureForumTags(forum, names) {
+  const tagNames = names.map(name => name.substring(0, MAX_FORUM_TAG_NAME_LENGTH));
+  const findTag = name => forum.availableTags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+  
+  const missing = [...new Set(tagNames.filter(name => !findTag(name)))];
+  
+  if (missing.length > 0) {
+    if (forum.availableTags.length + missing.length > MAX_FORUM_TAGS) {
+      logger.warn(`Forum ${forum.id} has no room for the tags ${missing.join(', ')}`);
+    } else {
+      try {
+        await forum.setAvailableTags([...forum.availableTags, ...missing.map(name => ({ name }))]);
+      } catch (error) {
+        logger.warn(`Could not create tags in forum ${forum.id}: ${error.message}`);
+      }
+    }
+  }
+  
+  return tagNames.map(name => findTag(name)?.id || null);
+}
+
+/**
+ * Swap the open and closed tags on a modmail forum post, keeping any topic tag
+ * @param {ThreadChannel} post - The forum post
+ * @param {boolean} open - Whether the post should be tagged as open
+ */
+async function setForumPostStatus(post, open) {
+  const [openTagId, closedTagId] = await ensureForumTags(post.parent, [FORUM_TAGS.OPEN, FORUM_TAGS.CLOSED]);
+  const statusTagId = open ? openTagId : closedTagId;
+  
+  const tags = post.appliedTags.filter(id => id !== openTagId && id !== closedTagId);
+  if (statusTagId) tags.unshift(statusTagId);
+  
+  // A post can carry at most five tags
+  await post.setAppliedTags(tags.slice(0, 5));
+}
+
+/**
+ * Tag a closed modmail forum post and lock it
+ * The post archives itself after an hour so the close buttons keep working until then
+ * @param {ThreadChannel} post - The forum post
+ */
+async function closeForumPost(post) {
+  try {
+    await setForumPostStatus(post, false);
+    await post.setLocked(true);
+    await post.setAutoArchiveDuration(ThreadAutoArchiveDuration.OneHour);
+  } catch (error) {
+    logger.warn(`Could not archive modmail forum post ${post.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Unarchive and unlock a reopened modmail forum post
+ * @param {ThreadChannel} post - The forum post
+ */
+async function reopenForumPost(post) {
+  try {
+    if (post.archived) await post.setArchived(false);
+    await post.setLocked(false);
+    await post.setAutoArchiveDuration(ThreadAutoArchiveDuration.OneWeek);
+    await setForumPostStatus(post, true);
+  } catch (error) {
+    logger.warn(`Could not reopen modmail forum post ${post.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Create a forum post for a new modmail thread, tagged as open and with the topic
+ * @param {Guild} guild - Discord guild
+ * @param {string} forumChannelId - ID of the modmail forum
+ * @param {Object} options - Post options
+ * @param {string} options.name - Name of the post
+ * @param {User} options.user - The user the thread is with
+ * @param {string} [options.subject] - What the user wrote, shown in the starter message
+ * @param {ModmailTopic} [options.topic] - The topic the user picked
+ * @returns {Promise<ThreadChannel>}
+ */
+async function createForumPost(guild, forumChannelId, { name, user, subject, topic }) {
+  const forum = await guild.channels.fetch(forumChannelId).catch(() => null);
+  
+  if (!forum || forum.type !== ChannelType.GuildForum) {
+    throw new Error('Modmail forum not found');
+  }
+  
+  const tagIds = await ensureForumTags(forum, topic ? [FORUM_TAGS.OPEN, topic.name] : [FORUM_TAGS.OPEN]);
+  
+  // Forum posts need a starter message, the full thread embed follows it
+  return forum.threads.create({
+    name,
+    autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+    appliedTags: tagIds.filter(Boolean),
+    message: {
+      content: `Modmail thread with ${user.tag} (${user.id})\n> ${(subject || 'No subject').substring(0, 200)}`,
+      allowedMentions: { parse: [] }
+    }
+  });
+}
+
+/**
+ * Get the categories a new thread can be created in, in the order they are tried
+ * The default category comes first, then the overflow categories
+ * A topic with its own category only uses that one, the others don't carry its staff role permissions
+ * @param {Guild} guild - The guild the thread is for
+ * @param {Object} modmailSettings - The guild's modmail settings
+ * @param {ModmailTopic} [topic] - The topic the user picked
+ * @returns {Promise<Array<CategoryChannel>>}
+ */
+async function getThreadCategories(guild, modmailSettings, topic = null) {
+  const categories = [];
+  
+  // Topics route threads to their own category
+  let primaryCategory = null;
+  if (topic) {
+    primaryCategory = await guild.channels.fetch(topic.categoryId).catch(() => null);
+    
+    if (!primaryCategory) {
+      logger.warn(`Category ${topic.categoryId} for topic ${topic.name} in guild ${guild.id} not found, using the default category`);
+    } else if (primaryCategory.id !== modmailSettings.categoryId) {
+      return [primaryCategory];
+    }
+  }
+  
+  if (!primaryCategory && modmailSettings.categoryId) {
+    primaryCategory = await guild.channels.fetch(modmailSettings.categoryId).catch(() => null);
+  }
+  
+  if (primaryCategory) {
+    categories.push(primaryCategory);
+  }
+  
+  for (const categoryId of modmailSettings.overflowCategoryIds || []) {
+    if (categories.some(category => category.id === categoryId)) continue;
+    
+    const overflowCategory = await guild.channels.fetch(categoryId).catch(() => null);
+    if (overflowCategory) {
+      categories.push(overflowCategory);
+    } else {
+      logger.warn(`Overflow category ${categoryId} in guild ${guild.id} not found`);
+    }
+  }
+  
+  return categories;
+}
+
+/**
+ * Whether a category has no free channel slots left
+ * @param {CategoryChannel} category - The category to check
+ * @returns {boolean}
+ */
+function isCategoryFull(category) {
+  return category.children.cache.size >= MAX_CATEGORY_CHANNELS;
+}
+
+/**
+ * Whether Discord rejected a channel because its category is full
+ * @param {Error} error - Error thrown by guild.channels.create
+ * @returns {boolean}
+ */
+function isCategoryFullError(error) {
+  return error.code === 50035 && /maximum number of channels in category/i.test(error.message);
+}
+
+/**
+ * Build the message shown to a user whose request was queued
+ * @param {Guild} guild - The guild the user is contacting
+ * @returns {string}
+ */
+function buildQueuedMessage(guild) {
+  return `All of **${guild.name}**'s modmail channels are currently in use, so your message has been queued. ` +
+    'A thread will be opened for you as soon as a channel frees up and you will get a message here when it is. ' +
+    'Anything else you send before then is added to your queued message.';
+}
+
+/**
+ * Queue a new thread request because every modmail category is full
+ * A user's later messages are added to their existing request
+ * @param {Client} client - Discord client
+ * @param {Guild} guild - The guild the user is contacting
+ * @param {Message|Object} message - The user's message
+ * @param {Object} options - Thread options
+ * @param {string} [options.content] - Message content (if not from the message)
+ * @param {Array} [options.attachments] - Attachments (if not from the message)
+ * @param {Array<Object>} [options.intakeAnswers] - Answers to the intake questions
+ * @param {ModmailTopic} [options.topic] - The topic the user picked
+ * @param {string} [options.logChannelId] - Channel to alert staff in
+ * @returns {Promise<ModmailQueueEntry>}
+ */
+async function queueModmailThread(client, guild, message, { content = null, attachments = [], intakeAnswers = [], topic = null, logChannelId = null }) {
+  const user = message.author;
+  const text = content || message.content || null;
+  const files = serializeAttachments(attachments.length > 0 ? attachments : message.attachments);
+  
+  const existingEntry = await client.db.ModmailQueueEntry.findUserEntry(user.id, guild.id);
+  if (existingEntry) {
+    return existingEntry.appendMessage(text, files);
+  }
+  
+  const queueLength = (await client.db.ModmailQueueEntry.findGuildQueue(guild.id)).length;
+  
+  const entry = await client.db.ModmailQueueEntry.create({
+    guildId: guild.id,
+    userId: user.id,
+    topicId: topic ? topic.id : null,
+    content: text,
+    attachments: files,
+    userMessageId: message.id || null,
+    metadata: intakeAnswers.length > 0 ? { intakeAnswers } : {}
+  });
+  
+  const full = topic ? `Category of topic ${topic.name} in guild ${guild.id} is full` : `All modmail categories in guild ${guild.id} are full`;
+  logger.warn(`${full}, queued request from user ${user.id} (${queueLength + 1} in queue)`);
+  
+  // Alert staff once, when the queue starts
+  if (queueLength === 0 && logChannelId) {
+    try {
+      const logChannel = await guild.channels.fetch(logChannelId);
+      await logChannel.send({
+        embeds: [{
+          title: '⚠️ Modmail Categories Full',
+          description: (topic
+            ? `The category of the **${topic.name}** topic has reached Discord's limit of ${MAX_CATEGORY_CHANNELS} channels, so its new threads are being queued.\n\n` +
+              'Topic threads stay in their own category to keep them private to the topic\'s staff role, so delete old thread channels there or move the topic to another category. '
+            : `Every modmail category has reached Discord's limit of ${MAX_CATEGORY_CHANNELS} channels, so new threads are being queued.\n\n` +
+              'Delete old thread channels or add an overflow category with `/modmail-setup overflow add`. ') +
+            'Queued requests are opened automatically, oldest first, as soon as a channel frees up.',
+          fields: [
+            {
+              name: 'First in Queue',
+              value: `<@${user.id}> (${user.tag})`
+            }
+          ],
+          color: 0xED4245, // Discord Red
+          timestamp: new Date().toISOString()
+        }],
+        allowedMentions: { parse: [] }
+      });
+    } catch (error) {
+      logger.warn(`Could not send to modmail log channel: ${error.message}`);
+    }
+  }
+  
+  return entry;
+}
+
+/**
+ * Open threads for queued requests now that channel slots are free
+ * @param {Client} client - Discord client
+ * @param {string} [guildId] - Only process this guild's queue
+ * @returns {Promise<number>} - Number of threads opened
+ */
+async function processModmailQueue(client, guildId = null) {
+  if (!client.db.ModmailQueueEntry) return 0;
+  
+  const guildIds = guildId ? [guildId] : await client.db.ModmailQueueEntry.findQueuedGuildIds();
+  let openedCount = 0;
+  
+  for (const queuedGuildId of guildIds) {
+    const guild = client.guilds.cache.get(queuedGuildId);
+    if (!guild) continue;
+    
+    const modmailSettings = await getModmailSettings(client, queuedGuildId);
+    const entries = await client.db.ModmailQueueEntry.findGuildQueue(queuedGuildId);
+    
+    for (const entry of entries) {
+      try {
+        const topic = entry.topicId && client.db.ModmailTopic
+          ? await client.db.ModmailTopic.findGuildTopic(queuedGuildId, entry.topicId)
+          : null;
+        
+        // Requests for a topic with its own category may fit even when earlier ones don't
+        // Forum posts have no channel limit, so requests left over from channel mode always fit
+        if (modmailSettings.mode !== 'forum') {
+          const categories = await getThreadCategories(guild, modmailSettings, topic);
+          if (!categories.some(category => !isCategoryFull(category))) continue;
+        }
+        
+        const user = await client.users.fetch(entry.userId).catch(() => null);
+        if (!user) {
+          await entry.destroy();
+          continue;
+        }
+        
+        // Discord attachment links expire, so queued attachments are passed on as links
+        const attachmentLinks = (entry.attachments || [])
+          .filter(attachment => attachment.url)
+          .map(attachment => `[${attachment.name || 'attachment'}](${attachment.url})`);
+        const content = [entry.content, attachmentLinks.length > 0 ? `**Attachments:** ${attachmentLinks.join(', ')}` : null]
+          .filter(Boolean)
+          .join('\n\n') || null;
+        
+        const message = { id: entry.userMessageId, author: user, content };
+        
+        // The user may have a thread by now, for example one opened by staff
+        const openThread = await client.db.ModmailThread.findOne({
+          where: {
+            userId: entry.userId,
+            guildId: queuedGuildId,
+            open: true
+          }
+        });
+        const openChannel = openThread ? await guild.channels.fetch(openThread.id).catch(() => null) : null;
+        
+        if (openChannel) {
+          await forwardUserMessage(client, openThread, openChannel, message, 'queue');
+        } else {
+          await createModmailThread(message, client, guild, content, [], {
+            intakeAnswers: (entry.metadata && entry.metadata.intakeAnswers) || [],
+            topic,
+            queueWhenFull: false
+          });
+          
+          await user.send({
+            content: `A modmail channel in **${guild.name}** is free now, so your queued message has been sent to the staff. They will respond to you here in DMs.`
+          }).catch(() => {});
+        }
+        
+        await entry.destroy();
+        openedCount++;
+      } catch (error) {
+        logger.error(`Error opening queued thread ${entry.id} in guild ${queuedGuildId}: ${error.message}`, { error });
+      }
+    }
+  }
+  
+  return openedCount;
+}
+
+/**
+ * Summarize an earlier thread in one line for the new-thread message
+ * @param {ModmailThread} thread - The earlier thread
+ * @returns {string}
+ */
+function formatPreviousThread(thread) {
+  const opened = `<t:${Math.floor(new Date(thread.createdAt).getTime() / 1000)}:d>`;
+  const subject = (thread.subject || 'No subject').substring(0, 60);
+  
+  if (thread.open) {
+    return `${opened} **${subject}** - open in <#${thread.id}>`;
+  }
+  
+  const reason = thread.closeReason && thread.closeReason !== DEFAULT_CLOSE_REASON ? `: ${thread.closeReason.substring(0, 80)}` : '';
+  return `${opened} **${subject}** - closed${reason}`;
+}
+
+/**
+ * Create a new modmail thread
+ * @param {Message} message - Original DM or trigger message
+ * @param {Client} client - Discord client
+ * @param {Guild} guild - Discord guild to create thread for
+ * @param {string} [content] - Optional message content (if not from original message)
+ * @param {Array} [attachments] - Optional attachments
+ * @param {Object} [options] - Additional thread options
+ * @param {Array<Object>} [options.intakeAnswers] - Answers to the intake questions as `{ question, answer }`
+ * @param {ModmailTopic} [options.topic] - The topic the user picked, which decides the category and staff role
+ * @param {boolean} [options.queueWhenFull=true] - Queue the request when every category is full instead of throwing
+ * @param {User} [options.staff] - Staff member who opened the thread, whose message was already sent to the user
+ * @returns {Promise<ModmailThread|null>} - The new thread, or null if the request was queued
+ */
+async function createModmailThread(message, client, guild, content = null, attachments = [], { intakeAnswers = [], topic = null, queueWhenFull = true, staff = null } = {}) {
+  logger.info(`Creating modmail thread for user ${message.author.tag} (${message.author.id}) in guild ${guild.name} (${guild.id})${staff ? ` opened by staff member ${staff.id}` : ''}`);
+  
+  // Get modmail category from guild settings
+  const guildSettings = await client.db.Guild.findOne({
+    where: { guildId: guild.id }
+  });
+  
+  if (!guildSettings) {
+    logger.error(`Guild settings not found for guild ${guild.id}`);
+    throw new Error('Guild settings not found');
+  }
+  
+  const modmailSettings = guildSettings.getSetting('modmail') || {};
+  logger.debug(`Modmail settings for guild ${guild.id}: ${JSON.stringify(modmailSettings)}`);
+  
+  const forumMode = modmailSettings.mode === 'forum';
+  
+  if (forumMode && !modmailSettings.forumChannelId) {
+    logger.error(`Modmail forum not configured for guild ${guild.id}`);
+    throw new Error('Modmail forum not configured');
+  }
+  
+  if (!forumMode && !modmailSettings.categoryId && !topic) {
+    logger.error(`Modmail category not configured for guild ${guild.id}`);
+    throw new Error('Modmail category not configured');
+  }
+  
+  // A request that is already queued for this server collects the user's messages until its thread opens
+  if (queueWhenFull && !staff && await client.db.ModmailQueueEntry.findUserEntry(message.author.id, guild.id)) {
+    await queueModmailThread(client, guild, message, { content, attachments });
+    return null;
+  }
+  
+  // Get the categories the thread can go in (forum posts don't use categories)
+  const categories = forumMode ? [] : await getThreadCategories(guild, modmailSettings, topic);
+  
+  if (!forumMode && categories.length === 0) {
+    throw new Error('Modmail category not found');
+  }
+  
+  // Create a new channel for the thread
+  const user = message.author;
+  
+  // Generate a unique timestamp code (last 6 digits of current timestamp)
+  const timestampCode = Date.now().toString().slice(-6);
+  
+  // Create a unique channel name with username, shorter user ID, and timestamp
+  // This ensures uniqueness even if the same user creates multiple threads
+  const userIdSegment = user.id.substring(0, 8); // Use first 8 chars of user ID
+  const channelName = `mm-${user.username}-${userIdSegment}-${timestampCode}`;
+  
+  // Ensure the channel name is within Discord's limits (max 100 chars)
+  const trimmedChannelName = channelName.slice(0, 90);
+  
+  let channel = null;
+  
+  if (forumMode) {
+    channel = await createForumPost(guild, modmailSettings.forumChannelId, {
+      name: trimmedChannelName,
+      user,
+      subject: content || message.content,
+      topic
+    });
+  }
+  
+  // Use the first category with a free channel slot
+  for (const category of categories) {
+    if (isCategoryFull(category)) continue;
+    
+    try {
+      channel = await guild.channels.create({
+        name: trimmedChannelName,
+        type: ChannelType.GuildText,
+        parent: category.id,
+        topic: `Modmail thread with ${user.tag} (${user.id}) | Created: ${new Date().toISOString()}`
+      });
+      break;
+    } catch (error) {
+      // The channel cache can lag behind, so Discord may still reject a full category
+      if (!isCategoryFullError(error)) throw error;
+      logger.warn(`Modmail category ${category.id} in guild ${guild.id} is full`);
+    }
+  }
+  
+  if (!channel) {
+    if (!queueWhenFull) {
+      throw new Error('All modmail categories are full');
+    }
+    
+    await queueModmailThread(client, guild, message, {
+      content,
+      attachments,
+      intakeAnswers,
+      topic,
+      logChannelId: modmailSettings.logChannelId
+    });
+    return null;
+  }
+  
+  // Create the thread in the database
+  const thread = await client.db.ModmailThread.create({
+    id: channel.id,
+    userId: user.id,
+    guildId: guild.id,
+    open: true,
+    subject: content?.substring(0, 50) || message.content?.substring(0, 50) || 'No subject',
+    lastMessageAt: new Date(),
+    messageCount: 1,
+    createdBy: staff ? staff.id : user.id,
+    // Nobody is waiting on staff when staff wrote first
+    firstStaffResponseAt: staff ? new Date() : null,
+    topicId: topic ? topic.id : null,
+    metadata: intakeAnswers.length > 0 ? { intakeAnswers } : {}
+  });
+  
+  // Send initial message to the thread channel
+  const author = staff || user;
+  const userEmbed = {
+    title: staff ? 'Modmail Thread Opened by Staff' : 'New Modmail Thread',
+    author: {
+      name: author.tag,
+      icon_url: author.displayAvatarURL({ dynamic: true })
+    },
+    description: content || message.content || '_No content_',
+    color: 0x5865F2, // Discord Blurple
+    fields: [
+      {
+        name: 'User Info',
+        value: `<@${user.id}> (${user.id})\nCreated: <t:${Math.floor(user.createdTimestamp / 1000)}:R>`
+      }
+    ],
+    footer: {
+      text: staff ? 'Staff Message (sent to the user)' : 'User Message'
+    },
+    timestamp: new Date().toISOString()
+  };
+  
+  // Add the topic the user picked
+  if (topic) {
+    userEmbed.fields.push({
+      name: 'Topic',
+      value: topic.name
+    });
+  }
+  
+  // Add the answers to the intake questions
+  for (const { question, answer } of intakeAnswers) {
+    userEmbed.fields.push({
+      name: question.substring(0, 256),
+      value: answer.substring(0, 1024) || '_No answer_'
+    });
+  }
+  
+  // Add member info if available
+  try {
+    const member = await guild.members.fetch(user.id);
+    
+    if (member) {
+      userEmbed.fields.push({
+        name: 'Member Info',
+        value: `Joined: <t:${Math.floor(member.joinedTimestamp / 1000)}:R>\nRoles: ${member.roles.cache.filter(r => r.id !== guild.id).map(r => r.toString()).join(' ')}`
+      });
+    }
+  } catch (error) {
+    // User might not be in the guild
+    userEmbed.fields.push({
+      name: 'Member Info',
+      value: '_User is not a member of this server_'
+    });
+  }
+  
+  // Show staff the user's last few threads in this guild
+  const previousThreads = (await client.db.ModmailThread.findUserThreads(user.id, guild.id))
+    .filter(previous => previous.id !== thread.id);
+  
+  if (previousThreads.length > 0) {
+    userEmbed.fields.push({
+      name: `Previous threads: ${previousThreads.length}`,
+      value: [
+        ...previousThreads.slice(0, PREVIOUS_THREADS_SHOWN).map(formatPreviousThread),
+        `Use \`/modmail history user:${user.id}\` for the full list.`
+      ].join('\n').substring(0, 1024)
+    });
+  }
+  
+  // Store the message attachments and send whatever fits with the embed
+  const prepared = await prepareAttachments(client, thread, attachments.length > 0 ? attachments : message.attachments, {
+    uploaderId: author.id,
+    direction: staff ? 'staff_to_user' : 'user_to_staff',
+    uploadLimit: getUploadLimit(guild)
+  });
+  const skippedAttachments = describeSkippedAttachments(prepared);
+  
+  if (prepared.accepted.length > 0 || skippedAttachments) {
+    userEmbed.fields.push({
+      name: 'Attachments',
+      value: [`This message includes ${prepared.accepted.length} attachment(s)`, skippedAttachments].filter(Boolean).join('\n').slice(0, 1024)
+    });
+  }
+  
+  await notifyBlockedAttachments(user, prepared);
+  
+  // Send the embed to the thread channel, pinging the guild's notification targets and the topic's staff role if it asked for it
+  // Staff who open a thread already know about it
+  const ping = staff ? null : await getThreadPing(client, thread, 'thread', {
+    roleIds: topic && topic.pingStaff ? [topic.staffRoleId] : []
+  });
+  
+  let initialMessage;
+  try {
+    initialMessage = await channel.send({
+      content: ping ? ping.content : undefined,
+      embeds: [userEmbed],
+      files: prepared.files,
+      allowedMentions: ping ? ping.allowedMentions : { parse: [] }
+    });
+  } catch (error) {
+    await discardAttachments(prepared);
+    throw error;
+  }
+  
+  // Store the opening message
+  await recordModmailMessage(client, thread, {
+    direction: staff ? 'staff_to_user' : 'user_to_staff',
+    author,
+    content: content || message.content,
+    attachments: prepared.accepted,
+    userMessageId: message.id,
+    channelMessageId: initialMessage.id
+  });
+  
+  // Add buttons for staff actions
+  await channel.send({
+    content: '**Staff Actions:**',
+    components: [
+      {
+        type: 1, // ACTION_ROW
+        components: [
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Reply',
+            custom_id: 'modmail_reply',
+            emoji: { name: '💬' }
+          },
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Reply anonymously',
+            custom_id: 'modmail_reply_anon',
+            emoji: { name: '🕵️' }
+          },
+          {
+            type: 2, // BUTTON
+            style: 2, // SECONDARY
+            label: 'Add Note',
+            custom_id: 'modmail_note',
+            emoji: { name: '📝' }
+          },
+          {
+            type: 2, // BUTTON
+            style: 4, // DANGER
+            label: 'Close Thread',
+            custom_id: 'modmail_close',
+            emoji: { name: '🔒' }
+          },
+          {
+            type: 2, // BUTTON
+            style: 1, // PRIMARY
+            label: 'Export Transcript',
+            custom_id: 'modmail_transcript',
+            emoji: { name: '📄' }
+          }
+        ]
+      },
+      {
+        type: 1, // ACTION_ROW
+        components: [
+          {
+            type: 2, // BUTTON
+            style: 3, // SUCCESS
+            label: 'Claim',
+            custom_id: 'modmail_claim',
+            emoji: { name: '🙋' }
+          }
+        ]
+      }
+    ]
+  });
+  
+  // Notify the log channel if configured
+  if (modmailSettings.logChannelId) {
+    try {
+      const logChannel = await guild.channels.fetch(modmailSettings.logChannelId);
+      await logChannel.send({
+        embeds: [{
+          title: 'Modmail Thread Created',
+          description: staff
+            ? `New thread with <@${user.id}> (${user.tag}) opened by <@${staff.id}>`
+            : `New thread opened by <@${user.id}> (${user.tag})`,
+          fields: [
+            {
+              name: 'Channel',
+              value: channel.toString()
+            },
+            ...(topic ? [{ name: 'Topic', value: topic.name }] : [])
+          ],
+          color: 0x57F287, // Discord Green
+          timestamp: new Date().toISOString()
+        }]
+      });
+    } catch (error) {
+      // Log channel error is not critical
+      logger.warn(`Could not send to modmail log channel: ${error.message}`);
+    }
+  }
+  
+  // Send the topic's welcome message to the user, or the guild's if the topic has none
+  // Threads opened by staff already explained themselves to the user, and nobody is waiting on staff
+  const welcomeMessage = staff ? null : topic && topic.welcomeMessage
+    ? fillPlaceholders(topic.welcomeMessage, { user, guild })
+    : await renderGuildMessage(client, guild, 'welcome', { user });
+  
+  if (welcomeMessage) {
+    await user.send({
+      embeds: [{
+        title: topic && topic.welcomeMessage ? topic.name : guild.name,
+        description: welcomeMessage,
+        color: 0x5865F2, // Discord Blurple
+        footer: {
+          text: guild.name
+        }
+      }]
+    }).catch(error => logger.warn(`Could not send welcome message to user ${user.id}: ${error.message}`));
+  }
+  
+  // Let the user know when nobody is around to answer
+  if (!staff) {
+    await sendAwayReply(client, thread, channel, user);
+  }
+  
+  // Verify the thread was correctly created in the database
   const verifyThread = await client.db.ModmailThread.findOne({
     where: { id: channel.id }
   });
@@ -450,14 +2146,113 @@ async function createModmailThread(message, client, guild, content = null, attac
   return thread;
 }
 
+/**
+ * Open a thread on behalf of staff by messaging the user first
+ * The user is messaged before the channel is created, so closed DMs leave nothing behind
+ * @param {Client} client - Discord client
+ * @param {Guild} guild - The guild the thread is opened in
+ * @param {Object} options - Thread options
+ * @param {User} options.user - The user to contact
+ * @param {User} options.staff - The staff member opening the thread
+ * @param {string} options.content - The message sent to the user
+ * @param {ModmailTopic} [options.topic] - Topic that decides the category and staff role
+ * @returns {Promise<ModmailThread>} - The new thread
+ * @throws {Error} If the user can't be messaged or the thread can't be created
+ */
+async function createStaffThread(client, guild, { user, staff, content, topic = null }) {
+  let dmMessage;
+  try {
+    dmMessage = await user.send({
+      content: `📬 The staff of **${guild.name}** have opened a modmail conversation with you${topic ? ` about **${topic.name}**` : ''}. Reply to this message to respond to them.`,
+      embeds: [{
+        author: {
+          name: guild.name,
+          icon_url: guild.iconURL({ dynamic: true })
+        },
+        description: content,
+        color: 0x5865F2, // Discord Blurple
+        footer: {
+          text: `From ${staff.tag}`,
+          icon_url: staff.displayAvatarURL({ dynamic: true }) || undefined
+        },
+        timestamp: new Date().toISOString()
+      }]
+    });
+  } catch (dmError) {
+    logger.warn(`Could not DM user ${user.id} to open a staff thread in guild ${guild.id}: ${dmError.message}`);
+    throw new Error(`${user.tag} can't be sent direct messages. They may have DMs from server members turned off or have blocked the bot, so no thread was opened.`);
+  }
+  
+  let thread;
+  try {
+    thread = await createModmailThread({ id: dmMessage.id, author: user, content, attachments: [] }, client, guild, content, [], {
+      topic,
+      staff,
+      queueWhenFull: false
+    });
+  } catch (error) {
+    // Take the message back so the user isn't told about a thread that doesn't exist
+    await dmMessage.delete().catch(() => {});
+    throw error;
+  }
+  
+  // The user's reply goes straight to the new thread
+  if (!client.userSessions) client.userSessions = new Map();
+  client.userSessions.set(user.id, {
+    threadId: thread.id,
+    guildId: guild.id,
+    lastMessageAt: new Date(),
+    lastStaffId: staff.id
+  });
+  
+  return thread;
+}
+
+/**
+ * Pick the thread channel messages that go into the user's copy of a transcript
+ * Internal notes and staff chatter are left out, and the echoes of anonymous replies
+ * show the role title instead of the staff member who sent them
+ * @param {Array<Message>} messages - All messages in the thread channel, oldest first
+ * @param {Array<ModmailMessage>} storedMessages - The thread's stored messages
+ * @param {Object} options - User copy options
+ * @param {string} options.botId - ID of the bot, whose messages are the relayed ones
+ * @param {string} options.anonymousTitle - Role title shown for anonymous replies
+ * @param {string} [options.iconURL] - Guild icon shown for anonymous replies
+ * @returns {Array<Message>}
+ */
+function getUserTranscriptMessages(messages, storedMessages, { botId, anonymousTitle, iconURL = null }) {
+  const internalMessageIds = new Set(storedMessages
+    .filter(stored => stored.direction === 'internal' && stored.channelMessageId)
+    .map(stored => stored.channelMessageId));
+  const anonymousMessageIds = new Set(storedMessages
+    .filter(stored => stored.direction === 'staff_to_user' && stored.metadata && stored.metadata.anonymous && stored.channelMessageId)
+    .map(stored => stored.channelMessageId));
+  
+  return messages
+    .filter(msg => !internalMessageIds.has(msg.id) && msg.author.id === botId)
+    .map(msg => {
+      if (!anonymousMessageIds.has(msg.id)) return msg;
+      
+      const embeds = msg.embeds.map((embed, index) => index > 0 ? embed : new Embed({
+        ...embed.toJSON(),
+        author: { name: anonymousTitle, icon_url: iconURL || undefined },
+        footer: { text: 'Staff Reply' }
+      }));
+      
+      // The copy reads everything else from the original message
+      return Object.create(msg, { embeds: { value: embeds } });
+    });
+}
+
 /**
  * Generate and send a transcript of a modmail thread
  * @param {TextChannel} channel - The modmail channel
  * @param {Client} client - Discord client
  * @param {boolean} [sendToUser=false] - Whether to also send to the user
+ * @param {string} [generatedBy] - ID of the user who requested the transcript
  * @returns {Promise<string>} - URL to the transcript
  */
-async function createModmailTranscript(channel, client, sendToUser = false) {
+async function createModmailTranscript(channel, client, sendToUser = false, generatedBy = null) {
   try {
     // Find the thread info from the database using our robust helper function
     const thread = await findThreadWithFallback(client, channel.id);
@@ -470,15 +2265,27 @@ async function createModmailTranscript(channel, client, sendToUser = false) {
     // Generate a unique filename
     const fileName = `modmail-${thread.userId}-${moment().format('YYYY-MM-DD')}-${uuidv4().substring(0, 8)}.html`;
     
-    // Generate the transcript HTML
-    const transcript = await discordTranscripts.createTranscript(channel, {
-      limit: -1, // No limit
+    // Stored messages tell internal notes and anonymous replies apart from the rest of the channel
+    const storedMessages = client.db.ModmailMessage ? await client.db.ModmailMessage.findThreadMessages(thread.id) : [];
+    const internalMessageIds = new Set(storedMessages
+      .filter(stored => stored.direction === 'internal' && stored.channelMessageId)
+      .map(stored => stored.channelMessageId));
+    
+    const messages = await fetchAllChannelMessages(channel);
+    const footerDate = moment().format('YYYY-MM-DD HH:mm:ss');
+    
+    // Generate the staff transcript HTML (internal notes are kept and marked)
+    const transcript = await discordTranscripts.generateFromMessages(messages, channel, {
       filename: fileName,
       poweredBy: false,
       saveImages: true,
-      footerText: `Modmail transcript for user ID ${thread.userId} | ${moment().format('YYYY-MM-DD HH:mm:ss')}`,
+      footerText: `Modmail transcript for user ID ${thread.userId} | ${footerDate}` +
+        (internalMessageIds.size > 0 ? ` | Includes ${internalMessageIds.size} internal note(s) marked 🔒` : ''),
     });
     
+    // Keep a copy in the local archive
+    await archiveTranscript(client, thread, { fileName, format: 'html', content: transcript.attachment }, generatedBy);
+    
     // Send the transcript to the channel
     await channel.send({
       content: '📄 **Modmail Transcript Generated**',
@@ -488,13 +2295,27 @@ async function createModmailTranscript(channel, client, sendToUser = false) {
     // Send to user if requested
     if (sendToUser) {
       try {
+        const modmailSettings = await getModmailSettings(client, channel.guild.id);
+        const userMessages = getUserTranscriptMessages(messages, storedMessages, {
+          botId: client.user.id,
+          anonymousTitle: modmailSettings.anonymousTitle || DEFAULT_ANONYMOUS_TITLE,
+          iconURL: channel.guild.iconURL({ dynamic: true })
+        });
+        
+        const userTranscript = await discordTranscripts.generateFromMessages(userMessages, channel, {
+          filename: fileName,
+          poweredBy: false,
+          saveImages: true,
+          footerText: `Modmail transcript for user ID ${thread.userId} | ${footerDate}`,
+        });
+        
         const user = await client.users.fetch(thread.userId);
         await user.send({
           embeds: [createInfoEmbed(
             `Here is a transcript of your modmail conversation with **${channel.guild.name}**.`,
             'Modmail Transcript'
           )],
-          files: [transcript]
+          files: [userTranscript]
         });
       } catch (dmError) {
         logger.warn(`Could not send transcript to user ${thread.userId}: ${dmError.message}`);
@@ -545,7 +2366,48 @@ async function createModmailTranscript(channel, client, sendToUser = false) {
 }
 
 module.exports = {
+  DEFAULT_ANONYMOUS_REPLY_PREFIX,
+  DEFAULT_ANONYMOUS_TITLE,
+  DEFAULT_BLOCKED_MESSAGE,
+  DEFAULT_CLOSE_REASON,
+  DEFAULT_REPLY_PREFIX,
+  FORUM_TAGS,
+  MAX_CATEGORY_CHANNELS,
+  MAX_INTAKE_QUESTIONS,
+  MAX_TOPICS,
+  addInternalNote,
+  applyMessageDelete,
+  applyMessageEdit,
+  assignModmailThread,
+  buildBlockedMessage,
+  buildIntakeModal,
+  buildIntakePrompt,
+  buildQueuedMessage,
+  buildTopicPrompt,
+  checkReplyPermission,
+  clearPrefixReplySettings,
+  closeModmailThread,
   createModmailThread,
   createModmailTranscript,
-  findThreadWithFallback
+  createStaffThread,
+  ensureForumTags,
+  findThreadWithFallback,
+  formatBatchContent,
+  forwardUserMessage,
+  getGuildTopics,
+  getIntakeQuestions,
+  getModmailParentIds,
+  getModmailSettings,
+  getPrefixReplySettings,
+  getUserTranscriptMessages,
+  matchReplyPrefix,
+  processModmailQueue,
+  recordModmailMessage,
+  reopenModmailThread,
+  runScheduledCloses,
+  scheduleModmailClose,
+  sendAwayReply,
+  sendStaffReply,
+  serializeAttachments,
+  unassignModmailThread
 };
\ No newline at end of file
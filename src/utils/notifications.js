@@ -0,0 +1,140 @@
+/**
+ * Notification Utility
+ * Decides when staff are pinged about new threads and user replies
+ */
+const { logger } = require('./logger');
+const { getLocalTime, parseTime } = require('./businessHours');
+
+// Defaults for guilds that have not changed every notification setting
+const DEFAULT_NOTIFICATIONS = {
+  roleIds: [],
+  userIds: [],
+  newThreads: true, // Ping when a thread is opened
+  replies: 'idle', // 'idle' pings for replies in threads that were quiet for idleMinutes, 'every' for every reply, 'off' never
+  idleMinutes: 30,
+  cooldownMinutes: 5, // Minimum gap between two pings in the same thread
+  quietHours: null // { start, end, timezone } during which nobody is pinged
+};
+
+// Most roles and users a guild can have pinged
+const MAX_NOTIFICATION_TARGETS = 10;
+
+/**
+ * Get a guild's notification settings merged over the defaults
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object>}
+ */
+async function getNotificationSettings(client, guildId) {
+  const guildSettings = await client.db.Guild.findOne({
+    where: { guildId }
+  });
+  
+  const notifications = guildSettings ? guildSettings.getSetting('modmail.notifications') : null;
+  return { ...DEFAULT_NOTIFICATIONS, ...(notifications || {}) };
+}
+
+/**
+ * Parse quiet hours such as "22:00-07:00", which may run past midnight
+ * @param {string} input - The quiet hours to parse
+ * @returns {{ start: string, end: string }|null} - Start and end as HH:MM, or null if invalid
+ */
+function parseQuietHours(input) {
+  const match = /^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec((input || '').trim());
+  if (!match) return null;
+  
+  const start = parseTime(match[1]);
+  const end = parseTime(match[2]);
+  if (start === null || end === null || start === end) return null;
+  
+  return { start: match[1].padStart(5, '0'), end: match[2].padStart(5, '0') };
+}
+
+/**
+ * Check whether a moment falls inside quiet hours
+ * @param {Object|null} quietHours - Quiet hours settings (start, end, timezone)
+ * @param {Date} [date=new Date()] - The moment to check
+ * @returns {boolean}
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+  
+  const { minutes } = getLocalTime(date, quietHours.timezone || 'UTC');
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Check whether the configured targets may be pinged now
+ * @param {ModmailThread} thread - The thread
+ * @param {string} event - 'thread' for a new thread, 'reply' for a user reply
+ * @param {Object} settings - Notification settings
+ * @param {Date} lastActivityAt - When the thread was last active before the reply
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isPingDue(thread, event, settings, lastActivityAt, now) {
+  // Replies only ping when the thread had gone quiet, unless every reply pings
+  if (event === 'reply' && settings.replies === 'idle') {
+    if (!lastActivityAt || now - new Date(lastActivityAt) < settings.idleMinutes * 60 * 1000) return false;
+  }
+  
+  const lastPingAt = thread.metadata && thread.metadata.lastPingAt;
+  if (lastPingAt && now - new Date(lastPingAt) < settings.cooldownMinutes * 60 * 1000) return false;
+  
+  if (isQuietTime(settings.quietHours, now)) {
+    logger.debug(`Ping for thread ${thread.id} skipped during quiet hours`);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Work out who to ping for something that happened in a thread, and remember the ping
+ * The configured targets are skipped during quiet hours and within the cooldown of the thread's last ping,
+ * extra roles such as the topic's staff role are always pinged
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread
+ * @param {string} event - 'thread' for a new thread, 'reply' for a user reply
+ * @param {Object} [options] - Ping options
+ * @param {Date} [options.lastActivityAt] - When the thread was last active before the reply
+ * @param {Array<string>} [options.roleIds] - Extra roles that are always pinged, such as the topic's staff role
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object|null>} - Mention `content` and `allowedMentions`, or null if nobody is pinged
+ */
+async function getThreadPing(client, thread, event, { lastActivityAt = null, roleIds = [], now = new Date() } = {}) {
+  const settings = await getNotificationSettings(client, thread.guildId);
+  const wanted = event === 'thread' ? settings.newThreads : settings.replies !== 'off';
+  const hasTargets = settings.roleIds.length > 0 || settings.userIds.length > 0;
+  const pinged = wanted && hasTargets && isPingDue(thread, event, settings, lastActivityAt, now);
+  
+  const roles = [...new Set([...roleIds, ...(pinged ? settings.roleIds : [])])];
+  const users = pinged ? settings.userIds : [];
+  if (roles.length === 0 && users.length === 0) return null;
+  
+  // Only pings of the configured targets start the cooldown
+  if (pinged) {
+    // Assign a new object so Sequelize notices the JSON change
+    thread.metadata = { ...(thread.metadata || {}), lastPingAt: now.toISOString() };
+    await thread.save();
+  }
+  
+  return {
+    content: [...roles.map(id => `<@&${id}>`), ...users.map(id => `<@${id}>`)].join(' '),
+    allowedMentions: { parse: [], roles, users }
+  };
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATIONS,
+  MAX_NOTIFICATION_TARGETS,
+  getNotificationSettings,
+  getThreadPing,
+  isQuietTime,
+  parseQuietHours
+};
\ No newline at end of file
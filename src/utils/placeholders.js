@@ -0,0 +1,70 @@
+/**
+ * Placeholder Utility
+ * Replaces {placeholder} tokens in staff-written text such as snippets and message templates
+ */
+
+/**
+ * Build the placeholder values for a modmail context
+ * @param {Object} context - Values available for replacement
+ * @param {User} [context.user] - The modmail user
+ * @param {Guild} [context.guild] - The guild the thread belongs to
+ * @param {User} [context.staff] - The staff member sending the text
+ * @param {string} [context.staffName] - Name to show instead of the staff member (anonymous replies)
+ * @param {string} [context.reason] - Close reason
+ * @returns {Object} - Map of placeholder name to value
+ */
+function buildPlaceholderValues({ user, guild, staff, staffName, reason } = {}) {
+  const values = {};
+  
+  if (user) {
+    values.user = user.globalName || user.username;
+    values.user_tag = user.tag;
+    values.user_id = user.id;
+    values.user_mention = `<@${user.id}>`;
+  }
+  
+  if (guild) {
+    values.guild = guild.name;
+    values.guild_id = guild.id;
+  }
+  
+  if (staffName) {
+    // Never expose the real staff member when a display name is forced
+    values.staff = staffName;
+    values.staff_tag = staffName;
+    values.staff_mention = staffName;
+  } else if (staff) {
+    values.staff = staff.globalName || staff.username;
+    values.staff_tag = staff.tag;
+    values.staff_mention = `<@${staff.id}>`;
+  }
+  
+  if (reason) {
+    values.reason = reason;
+  }
+  
+  return values;
+}
+
+/**
+ * Replace placeholders in a piece of text
+ * Unknown placeholders are left untouched so typos are visible
+ * @param {string} text - Text containing {placeholders}
+ * @param {Object} context - Context passed to buildPlaceholderValues
+ * @returns {string} - Text with placeholders replaced
+ */
+function fillPlaceholders(text, context = {}) {
+  if (!text) return text;
+  
+  const values = buildPlaceholderValues(context);
+  
+  return text.replace(/\{([a-z_]+)\}/gi, (match, name) => {
+    const value = values[name.toLowerCase()];
+    return value !== undefined && value !== null ? String(value) : match;
+  });
+}
+
+module.exports = {
+  buildPlaceholderValues,
+  fillPlaceholders
+};
\ No newline at end of file
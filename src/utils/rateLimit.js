@@ -0,0 +1,264 @@
+/**
+ * Rate Limit Utility
+ * Per-user, per-guild token buckets that keep a single user from flooding a thread channel
+ */
+const { logger } = require('./logger');
+const { buildBlockedMessage, formatBatchContent, forwardUserMessage, getModmailSettings } = require('./modmail');
+const { formatDuration } = require('./duration');
+
+// Defaults for guilds that turned rate limiting on without changing every setting
+const DEFAULT_RATE_LIMIT = {
+  enabled: false,
+  burst: 5, // Messages relayed straight away
+  refillSeconds: 3, // Seconds until another message can be relayed
+  mode: 'batch', // 'batch' collapses held messages into one relay, 'hold' relays them one by one
+  noticeAfter: 3, // Times the limit is hit before staff are told
+  autoBlockAfter: 0, // Times the limit is hit before the user is blocked (0 never blocks)
+  autoBlockDurationMs: 24 * 60 * 60 * 1000
+};
+
+// Times the limit was hit only count for this long
+const STRIKE_WINDOW = 10 * 60 * 1000;
+
+// Buckets that are full and idle are dropped this often
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+// Buckets keyed by guild and user
+const buckets = new Map();
+let lastSweepAt = Date.now();
+
+/**
+ * Get a guild's rate limit settings merged over the defaults
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object>}
+ */
+async function getRateLimitSettings(client, guildId) {
+  const modmailSettings = await getModmailSettings(client, guildId);
+  return { ...DEFAULT_RATE_LIMIT, ...(modmailSettings.rateLimit || {}) };
+}
+
+/**
+ * Get the bucket for a user in a guild, creating a full one if needed
+ * @param {string} guildId - The guild ID
+ * @param {string} userId - The user ID
+ * @param {Object} settings - Rate limit settings
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object}
+ */
+function getBucket(guildId, userId, settings, now) {
+  const key = `${guildId}:${userId}`;
+  
+  if (!buckets.has(key)) {
+    buckets.set(key, { tokens: settings.burst, updatedAt: now, pending: [], strikes: [], timer: null });
+  }
+  
+  return buckets.get(key);
+}
+
+/**
+ * Refill a bucket for the time that passed and take a token if one is available
+ * @param {Object} bucket - The bucket
+ * @param {Object} settings - Rate limit settings
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - Whether a token was taken
+ */
+function takeToken(bucket, settings, now) {
+  const refilled = (now - bucket.updatedAt) / (settings.refillSeconds * 1000);
+  bucket.tokens = Math.min(settings.burst, bucket.tokens + refilled);
+  bucket.updatedAt = now;
+  
+  if (bucket.tokens < 1) return false;
+  
+  bucket.tokens -= 1;
+  return true;
+}
+
+/**
+ * Drop buckets that are full again and have nothing waiting
+ * @param {number} now - Current time in milliseconds
+ */
+function sweepBuckets(now) {
+  if (now - lastSweepAt < SWEEP_INTERVAL) return;
+  lastSweepAt = now;
+  
+  for (const [key, bucket] of buckets) {
+    const idle = bucket.pending.length === 0 && !bucket.timer;
+    const recentStrike = bucket.strikes.some(strike => now - strike < STRIKE_WINDOW);
+    
+    if (idle && !recentStrike && now - bucket.updatedAt > STRIKE_WINDOW) {
+      buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Collapse held messages into one message for a batched relay
+ * @param {Array<Message>} messages - The held messages, oldest first
+ * @returns {Object} - Message-like object for forwardUserMessage, with the held messages in `sources`
+ */
+function combineMessages(messages) {
+  const last = messages[messages.length - 1];
+  
+  return {
+    id: last.id,
+    author: last.author,
+    content: formatBatchContent(messages),
+    attachments: messages.flatMap(message => !message.attachments ? [] : Array.isArray(message.attachments) ? message.attachments : [...message.attachments.values()]),
+    sources: messages
+  };
+}
+
+/**
+ * Count a time the user hit the limit, and tell staff or block the user when it keeps happening
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the user is writing in
+ * @param {TextChannel} channel - The thread channel
+ * @param {User} user - The user
+ * @param {Object} bucket - The user's bucket
+ * @param {Object} settings - Rate limit settings
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<boolean>} - Whether the user was blocked
+ */
+async function recordStrike(client, thread, channel, user, bucket, settings, now) {
+  bucket.strikes = [...bucket.strikes.filter(strike => now - strike < STRIKE_WINDOW), now];
+  const strikes = bucket.strikes.length;
+  
+  if (settings.autoBlockAfter > 0 && strikes >= settings.autoBlockAfter) {
+    const expiresAt = settings.autoBlockDurationMs ? new Date(now + settings.autoBlockDurationMs) : null;
+    
+    const block = await client.db.ModmailBlock.blockUser(user.id, thread.guildId, {
+      blockedBy: 'SYSTEM',
+      reason: `Hit the message rate limit ${strikes} time(s) in ${formatDuration(STRIKE_WINDOW)}`,
+      expiresAt
+    });
+    
+    logger.info(`User ${user.id} automatically blocked from modmail in guild ${thread.guildId} for flooding`);
+    
+    await channel.send({
+      content: `⛔ ${user} was automatically blocked after hitting the message rate limit ${strikes} time(s) in ${formatDuration(STRIKE_WINDOW)}. ` +
+        `${expiresAt ? `The block expires <t:${Math.floor(expiresAt.getTime() / 1000)}:R>.` : 'The block does not expire.'} Use \`/modmail unblock\` to lift it.`,
+      allowedMentions: { parse: [] }
+    }).catch(() => {});
+    
+    await user.send({ content: await buildBlockedMessage(client, user, channel.guild, block) }).catch(() => {});
+    return true;
+  }
+  
+  if (settings.noticeAfter > 0 && strikes % settings.noticeAfter === 0) {
+    await channel.send({
+      content: `⚠️ ${user} has hit the message rate limit ${strikes} time(s) in ${formatDuration(STRIKE_WINDOW)}. ` +
+        `Their messages are being ${settings.mode === 'hold' ? 'held and relayed one by one' : 'collapsed into batches'}.`,
+      allowedMentions: { parse: [] }
+    }).catch(() => {});
+  }
+  
+  return false;
+}
+
+/**
+ * Relay the messages a user has waiting as tokens become available
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the messages belong to
+ * @param {TextChannel} channel - The thread channel
+ * @param {Object} bucket - The user's bucket
+ * @param {Object} settings - Rate limit settings
+ */
+async function flushPending(client, thread, channel, bucket, settings) {
+  bucket.timer = null;
+  
+  try {
+    // Held messages are dropped if the thread was closed in the meantime
+    await thread.reload();
+    if (!thread.open) {
+      bucket.pending = [];
+      return;
+    }
+    
+    while (bucket.pending.length > 0 && takeToken(bucket, settings, Date.now())) {
+      const messages = settings.mode === 'hold' ? [bucket.pending.shift()] : bucket.pending.splice(0);
+      const relayed = messages.length === 1 ? messages[0] : combineMessages(messages);
+      
+      await forwardUserMessage(client, thread, channel, relayed, 'user_dm_rate_limited');
+      
+      for (const message of messages) {
+        if (message.react) await message.react('✅').catch(() => {});
+      }
+    }
+  } catch (error) {
+    logger.error(`Error relaying held messages for thread ${thread.id}: ${error.message}`, { error });
+    bucket.pending = [];
+  }
+  
+  scheduleFlush(client, thread, channel, bucket, settings);
+}
+
+/**
+ * Schedule the next relay of held messages for when a token is available
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the messages belong to
+ * @param {TextChannel} channel - The thread channel
+ * @param {Object} bucket - The user's bucket
+ * @param {Object} settings - Rate limit settings
+ */
+function scheduleFlush(client, thread, channel, bucket, settings) {
+  if (bucket.timer || bucket.pending.length === 0) return;
+  
+  const delay = Math.max(0, (1 - bucket.tokens) * settings.refillSeconds * 1000);
+  bucket.timer = setTimeout(() => flushPending(client, thread, channel, bucket, settings), delay);
+}
+
+/**
+ * Relay a user's DM into their thread, holding it back if they're over the rate limit
+ * Held messages are relayed later, either collapsed into one batch or one by one
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread to relay to
+ * @param {TextChannel} channel - The thread channel
+ * @param {Message} message - The user's message
+ * @param {string} [source='user_dm'] - Source of the activity update for logging
+ * @returns {Promise<Object>} - `limited` if the message was held, `blocked` if the user was blocked for it
+ */
+async function relayUserMessage(client, thread, channel, message, source = 'user_dm') {
+  const settings = await getRateLimitSettings(client, thread.guildId);
+  
+  if (!settings.enabled) {
+    await forwardUserMessage(client, thread, channel, message, source);
+    return { limited: false, blocked: false };
+  }
+  
+  const now = Date.now();
+  sweepBuckets(now);
+  
+  const bucket = getBucket(thread.guildId, message.author.id, settings, now);
+  
+  // Messages keep their order, so nothing skips ahead of held ones
+  if (bucket.pending.length === 0 && takeToken(bucket, settings, now)) {
+    await forwardUserMessage(client, thread, channel, message, source);
+    return { limited: false, blocked: false };
+  }
+  
+  // The first held message starts a new time the limit was hit
+  if (bucket.pending.length === 0) {
+    if (await recordStrike(client, thread, channel, message.author, bucket, settings, now)) {
+      return { limited: true, blocked: true };
+    }
+    
+    await message.channel.send({
+      content: '⏳ You\'re sending messages faster than staff can read them. ' +
+        `Your messages are being held and will be delivered ${settings.mode === 'hold' ? 'one by one' : 'together'} shortly.`
+    }).catch(() => {});
+  }
+  
+  bucket.pending.push(message);
+  scheduleFlush(client, thread, channel, bucket, settings);
+  
+  return { limited: true, blocked: false };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  STRIKE_WINDOW,
+  combineMessages,
+  getRateLimitSettings,
+  relayUserMessage
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Search Utility
+ * SQLite FTS5 index over stored modmail messages and thread subjects
+ */
+const { logger } = require('./logger');
+
+// Name of the FTS5 table, SQLite keeps its data in shadow tables named after it
+const SEARCH_TABLE = 'ModmailSearch';
+const SHADOW_SUFFIXES = ['_data', '_idx', '_content', '_docsize', '_config'];
+
+// Triggers that keep the index in step with the messages and threads tables
+const TRIGGER_NAMES = [
+  'modmail_search_message_insert',
+  'modmail_search_message_update',
+  'modmail_search_message_delete',
+  'modmail_search_thread_insert',
+  'modmail_search_thread_update',
+  'modmail_search_thread_delete'
+];
+
+// Most terms a single query can contain
+const MAX_QUERY_TERMS = 10;
+
+/**
+ * Whether a table is one of the shadow tables SQLite keeps for the search index
+ * Writing to these directly corrupts the index
+ * @param {string} tableName - Table name
+ * @returns {boolean}
+ */
+function isSearchShadowTable(tableName) {
+  return SHADOW_SUFFIXES.some(suffix => tableName === `${SEARCH_TABLE}${suffix}`);
+}
+
+/**
+ * Create the search index and its triggers, rebuilding it from stored data when anything is missing
+ * Message rows use even rowids (message ID * 2) and subject rows odd ones (thread rowid * 2 + 1)
+ * @param {Sequelize} sequelize - Sequelize instance with the modmail models loaded
+ * @returns {Promise<boolean>} - Whether the index was rebuilt
+ */
+async function ensureSearchIndex(sequelize) {
+  const { ModmailMessage, ModmailThread } = sequelize.models;
+  if (!ModmailMessage || !ModmailThread) return false;
+  
+  const existing = await sequelize.query(
+    `SELECT name FROM sqlite_master WHERE name IN ('${SEARCH_TABLE}', '${TRIGGER_NAMES.join("', '")}');`,
+    { type: sequelize.QueryTypes.SELECT }
+  );
+  
+  // Triggers are dropped along with their table, so a recreated table means a stale index
+  if (existing.length === TRIGGER_NAMES.length + 1) return false;
+  
+  const messages = ModmailMessage.getTableName();
+  const threads = ModmailThread.getTableName();
+  
+  await sequelize.transaction(async transaction => {
+    const run = sql => sequelize.query(sql, { transaction });
+    
+    for (const name of TRIGGER_NAMES) {
+      await run(`DROP TRIGGER IF EXISTS ${name};`);
+    }
+    
+    await run(`DROP TABLE IF EXISTS ${SEARCH_TABLE};`);
+    await run(`CREATE VIRTUAL TABLE ${SEARCH_TABLE} USING fts5(content, threadId UNINDEXED, messageId UNINDEXED);`);
+    
+    await run(`INSERT INTO ${SEARCH_TABLE} (rowid, content, threadId, messageId) SELECT id * 2, content, threadId, id FROM "${messages}" WHERE content IS NOT NULL;`);
+    await run(`INSERT INTO ${SEARCH_TABLE} (rowid, content, threadId, messageId) SELECT rowid * 2 + 1, subject, id, NULL FROM "${threads}" WHERE subject IS NOT NULL;`);
+    
+    await run(`CREATE TRIGGER modmail_search_message_insert AFTER INSERT ON "${messages}" WHEN new.content IS NOT NULL BEGIN
+      INSERT INTO ${SEARCH_TABLE} (rowid, content, threadId, messageId) VALUES (new.id * 2, new.content, new.threadId, new.id);
+    END;`);
+    await run(`CREATE TRIGGER modmail_search_message_update AFTER UPDATE OF content ON "${messages}" BEGIN
+      DELETE FROM ${SEARCH_TABLE} WHERE rowid = old.id * 2;
+      INSERT INTO ${SEARCH_TABLE} (rowid, content, threadId, messageId) SELECT new.id * 2, new.content, new.threadId, new.id WHERE new.content IS NOT NULL;
+    END;`);
+    await run(`CREATE TRIGGER modmail_search_message_delete AFTER DELETE ON "${messages}" BEGIN
+      DELETE FROM ${SEARCH_TABLE} WHERE rowid = old.id * 2;
+    END;`);
+    
+    await run(`CREATE TRIGGER modmail_search_thread_insert AFTER INSERT ON "${threads}" WHEN new.subject IS NOT NULL BEGIN
+      INSERT INTO ${SEARCH_TABLE} (rowid, content, threadId, messageId) VALUES (new.rowid * 2 + 1, new.subject, new.id, NULL);
+    END;`);
+    await run(`CREATE TRIGGER modmail_search_thread_update AFTER UPDATE OF subject ON "${threads}" BEGIN
+      DELETE FROM ${SEARCH_TABLE} WHERE rowid = old.rowid * 2 + 1;
+      INSERT INTO ${SEARCH_TABLE} (rowid, content, threadId, messageId) SELECT new.rowid * 2 + 1, new.subject, new.id, NULL WHERE new.subject IS NOT NULL;
+    END;`);
+    await run(`CREATE TRIGGER modmail_search_thread_delete AFTER DELETE ON "${threads}" BEGIN
+      DELETE FROM ${SEARCH_TABLE} WHERE rowid = old.rowid * 2 + 1;
+    END;`);
+  });
+  
+  logger.info(`Rebuilt the ${SEARCH_TABLE} full-text index`);
+  return true;
+}
+
+/**
+ * Turn what staff typed into an FTS5 query where every term must match
+ * Terms are quoted so punctuation and FTS5 operators are searched as text, a trailing * keeps prefix matching
+ * @param {string} query - The search text
+ * @returns {string|null} - FTS5 match expression, or null if there is nothing to search for
+ */
+function buildMatchQuery(query) {
+  const terms = (query || '')
+    .split(/\s+/)
+    .map(term => {
+      const prefix = term.endsWith('*');
+      const text = term.replace(/["*]/g, '');
+      return text ? `"${text}"${prefix ? '*' : ''}` : null;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS);
+  
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Search a guild's stored messages and thread subjects, newest first
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild to search in
+ * @param {Object} options - Search options
+ * @param {string} options.query - The search text
+ * @param {string} [options.userId] - Only threads opened with this user
+ * @param {Date} [options.from] - Only matches from this time on
+ * @param {Date} [options.to] - Only matches before this time
+ * @param {string} [options.status] - 'open' or 'closed' to only search threads in that state
+ * @param {number} [options.limit=5] - Results to return
+ * @param {number} [options.offset=0] - Results to skip
+ * @returns {Promise<Object>} - `total` matches and the `results` on this page
+ */
+async function searchModmail(client, guildId, { query, userId = null, from = null, to = null, status = null, limit = 5, offset = 0 }) {
+  const match = buildMatchQuery(query);
+  if (!match) return { total: 0, results: [] };
+  
+  const { sequelize } = client.db.ModmailMessage;
+  const messages = client.db.ModmailMessage.getTableName();
+  const threads = client.db.ModmailThread.getTableName();
+  
+  const conditions = [`${SEARCH_TABLE} MATCH :match`, 't.guildId = :guildId', 't.deletedAt IS NULL'];
+  if (userId) conditions.push('t.userId = :userId');
+  if (from) conditions.push('COALESCE(m.createdAt, t.createdAt) >= :from');
+  if (to) conditions.push('COALESCE(m.createdAt, t.createdAt) < :to');
+  if (status === 'open') conditions.push('t.open = 1');
+  if (status === 'closed') conditions.push('t.open = 0');
+  
+  const joins = `FROM ${SEARCH_TABLE} s
+    JOIN "${threads}" t ON t.id = s.threadId
+    LEFT JOIN "${messages}" m ON m.id = s.messageId
+    WHERE ${conditions.join(' AND ')}`;
+  const replacements = { match, guildId, userId, from, to, limit, offset };
+  
+  try {
+    const [{ total }] = await sequelize.query(`SELECT COUNT(*) AS total ${joins};`, {
+      replacements,
+      type: sequelize.QueryTypes.SELECT
+    });
+    
+    const results = total === 0 ? [] : await sequelize.query(
+      `SELECT s.threadId, s.messageId, snippet(${SEARCH_TABLE}, 0, '**', '**', '…', 16) AS snippet,
+        COALESCE(m.createdAt, t.createdAt) AS createdAt, m.authorId, m.direction, m.channelMessageId,
+        t.subject, t.userId, t.open
+      ${joins}
+      ORDER BY COALESCE(m.createdAt, t.createdAt) DESC, s.rowid DESC
+      LIMIT :limit OFFSET :offset;`,
+      { replacements, type: sequelize.QueryTypes.SELECT }
+    );
+    
+    return { total, results };
+  } catch (error) {
+    logger.error(`Error searching modmail in guild ${guildId}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  SEARCH_TABLE,
+  buildMatchQuery,
+  ensureSearchIndex,
+  isSearchShadowTable,
+  searchModmail
+};
\ No newline at end of file
@@ -0,0 +1,447 @@
+/**
+ * Transcript Utility
+ * Builds modmail transcripts from stored thread history, so they survive deleted channels
+ */
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { logger } = require('./logger');
+const { database: dbConfig } = require('../config');
+
+// Transcript archive settings
+const archiveConfig = dbConfig.transcripts || {};
+const ARCHIVE_DIR = path.resolve(process.cwd(), archiveConfig.path || './data/transcripts/');
+
+/**
+ * Supported transcript formats
+ */
+const TRANSCRIPT_FORMATS = {
+  html: { extension: 'html', label: 'HTML' },
+  txt: { extension: 'txt', label: 'Plain Text' },
+  md: { extension: 'md', label: 'Markdown' },
+  json: { extension: 'json', label: 'JSON' }
+};
+
+// Labels used for each message direction
+const DIRECTION_LABELS = {
+  user_to_staff: 'User',
+  staff_to_user: 'Staff',
+  internal: 'Internal Note'
+};
+
+/**
+ * Format a date for transcript output
+ * @param {Date|string|null} date - The date to format
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date ? moment(date).utc().format('YYYY-MM-DD HH:mm:ss [UTC]') : 'N/A';
+}
+
+/**
+ * Escape text for safe use in HTML
+ * @param {string} text - The text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a user's tag, falling back to their ID
+ * @param {Client} client - Discord client
+ * @param {string} userId - The user ID
+ * @returns {Promise<string>}
+ */
+async function resolveUserTag(client, userId) {
+  if (!userId || userId === 'SYSTEM') return 'System';
+  
+  const user = await client.users.fetch(userId).catch(() => null);
+  return user ? `${user.tag} (${userId})` : userId;
+}
+
+/**
+ * Collect the thread details and stored messages that make up a transcript
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeInternal=true] - Whether to include internal notes
+ * @returns {Promise<Object>} - Transcript data with `header` and `messages`
+ */
+async function collectTranscriptData(client, thread, { includeInternal = true } = {}) {
+  const storedMessages = await client.db.ModmailMessage.findThreadMessages(thread.id, includeInternal);
+  const guild = client.guilds.cache.get(thread.guildId);
+  
+  const counts = {
+    total: storedMessages.length,
+    user: storedMessages.filter(stored => stored.direction === 'user_to_staff').length,
+    staff: storedMessages.filter(stored => stored.direction === 'staff_to_user').length,
+    internal: storedMessages.filter(stored => stored.direction === 'internal').length
+  };
+  
+  const header = {
+    threadId: thread.id,
+    user: await resolveUserTag(client, thread.userId),
+    userId: thread.userId,
+    guild: guild ? `${guild.name} (${thread.guildId})` : thread.guildId,
+    guildId: thread.guildId,
+    subject: thread.subject,
+    status: thread.open ? 'Open' : 'Closed',
+    openedAt: thread.createdAt,
+    closedAt: thread.closedAt,
+    closedBy: thread.closedBy ? await resolveUserTag(client, thread.closedBy) : null,
+    closeReason: thread.closeReason,
+    counts,
+    generatedAt: new Date()
+  };
+  
+  const messages = storedMessages.map(stored => {
+    const metadata = stored.metadata || {};
+    
+    return {
+      id: stored.id,
+      direction: stored.direction,
+      label: DIRECTION_LABELS[stored.direction] || stored.direction,
+      author: stored.authorTag || stored.authorId,
+      authorId: stored.authorId,
+      anonymous: metadata.anonymous === true,
+      content: stored.content || '',
+      attachments: stored.attachments || [],
+      edits: metadata.edits || [],
+      deletedAt: metadata.deletedAt || null,
+      createdAt: stored.createdAt
+    };
+  });
+  
+  return { header, messages };
+}
+
+/**
+ * Build the list of markers shown next to a message
+ * @param {Object} message - Transcript message
+ * @returns {Array<string>}
+ */
+function messageMarkers(message) {
+  const markers = [];
+  if (message.anonymous) markers.push('sent anonymously');
+  if (message.edits.length > 0) markers.push('edited');
+  if (message.deletedAt) markers.push(`deleted ${formatDate(message.deletedAt)}`);
+  return markers;
+}
+
+/**
+ * Build the header lines shared by the text and Markdown formats
+ * @param {Object} header - Transcript header
+ * @returns {Array<Array<string>>} - Label and value pairs
+ */
+function headerRows(header) {
+  return [
+    ['Thread', header.threadId],
+    ['User', header.user],
+    ['Guild', header.guild],
+    ['Subject', header.subject || 'No subject'],
+    ['Status', header.status],
+    ['Opened', formatDate(header.openedAt)],
+    ['Closed', formatDate(header.closedAt)],
+    ['Closed By', header.closedBy || 'N/A'],
+    ['Close Reason', header.closeReason || 'N/A'],
+    ['Messages', `${header.counts.total} total (${header.counts.user} from user, ${header.counts.staff} from staff, ${header.counts.internal} internal notes)`],
+    ['Generated', formatDate(header.generatedAt)]
+  ];
+}
+
+/**
+ * Render a transcript as plain text
+ * @param {Object} data - Transcript data
+ * @returns {string}
+ */
+function renderText({ header, messages }) {
+  const lines = ['MODMAIL TRANSCRIPT', '='.repeat(60)];
+  
+  for (const [label, value] of headerRows(header)) {
+    lines.push(`${label}: ${value}`);
+  }
+  
+  lines.push('='.repeat(60), '');
+  
+  for (const message of messages) {
+    const markers = messageMarkers(message);
+    lines.push(`[${formatDate(message.createdAt)}] ${message.label} - ${message.author}${markers.length > 0 ? ` (${markers.join(', ')})` : ''}`);
+    lines.push(message.content || '(no content)');
+    
+    for (const edit of message.edits) {
+      lines.push(`  Previous version (${formatDate(edit.editedAt)}): ${edit.content || '(no content)'}`);
+    }
+    
+    for (const attachment of message.attachments) {
+      lines.push(`  Attachment: ${attachment.name} - ${attachment.url}`);
+    }
+    
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Render a transcript as Markdown
+ * @param {Object} data - Transcript data
+ * @returns {string}
+ */
+function renderMarkdown({ header, messages }) {
+  const lines = ['# Modmail Transcript', ''];
+  
+  for (const [label, value] of headerRows(header)) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+  
+  lines.push('', '---', '');
+  
+  for (const message of messages) {
+    const markers = messageMarkers(message);
+    lines.push(`### ${message.label} - ${message.author}`);
+    lines.push(`_${formatDate(message.createdAt)}${markers.length > 0 ? ` - ${markers.join(', ')}` : ''}_`, '');
+    lines.push(message.content ? message.content.split('\n').map(line => `> ${line}`).join('\n') : '> _(no content)_');
+    
+    if (message.edits.length > 0) {
+      lines.push('', '<details><summary>Previous versions</summary>', '');
+      for (const edit of message.edits) {
+        lines.push(`- ${formatDate(edit.editedAt)}: ${edit.content || '_(no content)_'}`);
+      }
+      lines.push('', '</details>');
+    }
+    
+    if (message.attachments.length > 0) {
+      lines.push('');
+      for (const attachment of message.attachments) {
+        lines.push(`- 📎 [${attachment.name}](${attachment.url})`);
+      }
+    }
+    
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Render a transcript as JSON
+ * @param {Object} data - Transcript data
+ * @returns {string}
+ */
+function renderJson(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Render a transcript as a standalone HTML page
+ * @param {Object} data - Transcript data
+ * @returns {string}
+ */
+function renderHtml({ header, messages }) {
+  const headerHtml = headerRows(header)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+  
+  const messagesHtml = messages.map(message => {
+    const markers = messageMarkers(message);
+    const edits = message.edits.map(edit =>
+      `<div class="edit">Previous version (${escapeHtml(formatDate(edit.editedAt))}): ${escapeHtml(edit.content || '(no content)')}</div>`
+    ).join('\n');
+    const attachments = message.attachments.map(attachment =>
+      `<div class="attachment">📎 <a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a></div>`
+    ).join('\n');
+    
+    return `<div class="message ${escapeHtml(message.direction)}${message.deletedAt ? ' deleted' : ''}">
+  <div class="meta"><strong>${escapeHtml(message.label)}</strong> - ${escapeHtml(message.author)} <span class="time">${escapeHtml(formatDate(message.createdAt))}</span>${markers.length > 0 ? ` <span class="markers">(${escapeHtml(markers.join(', '))})</span>` : ''}</div>
+  <div class="content">${escapeHtml(message.content || '(no content)')}</div>
+  ${edits}
+  ${attachments}
+</div>`;
+  }).join('\n');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Modmail Transcript - ${escapeHtml(header.user)}</title>
+<style>
+  body { font-family: sans-serif; background: #313338; color: #dbdee1; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th { text-align: left; padding-right: 1em; color: #b5bac1; }
+  .message { border-left: 4px solid #4e5058; padding: 0.5em 1em; margin-bottom: 1em; background: #2b2d31; }
+  .user_to_staff { border-color: #5865f2; }
+  .staff_to_user { border-color: #57f287; }
+  .internal { border-color: #fee75c; }
+  .deleted { opacity: 0.6; }
+  .meta { font-size: 0.9em; margin-bottom: 0.3em; }
+  .time, .markers, .edit { color: #949ba4; font-size: 0.85em; }
+  .content { white-space: pre-wrap; }
+  a { color: #00a8fc; }
+</style>
+</head>
+<body>
+<h1>Modmail Transcript</h1>
+<table>
+${headerHtml}
+</table>
+${messagesHtml}
+</body>
+</html>`;
+}
+
+// Renderer for each format
+const RENDERERS = {
+  html: renderHtml,
+  txt: renderText,
+  md: renderMarkdown,
+  json: renderJson
+};
+
+/**
+ * Build a transcript of a thread from its stored history
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='html'] - One of TRANSCRIPT_FORMATS
+ * @param {boolean} [options.includeInternal=true] - Whether to include internal notes
+ * @returns {Promise<Object>} - `{ fileName, format, content, messageCount }` with content as a Buffer
+ */
+async function buildTranscript(client, thread, { format = 'html', includeInternal = true } = {}) {
+  if (!RENDERERS[format]) {
+    throw new Error(`Unknown transcript format: ${format}`);
+  }
+  
+  const data = await collectTranscriptData(client, thread, { includeInternal });
+  const content = Buffer.from(RENDERERS[format](data), 'utf8');
+  const fileName = `modmail-${thread.userId}-${moment(thread.createdAt).format('YYYY-MM-DD')}-${thread.id}.${TRANSCRIPT_FORMATS[format].extension}`;
+  
+  logger.debug(`Built ${format} transcript for thread ${thread.id} (${data.messages.length} messages, ${content.length} bytes)`);
+  
+  return {
+    fileName,
+    format,
+    content,
+    messageCount: data.messages.length
+  };
+}
+
+/**
+ * Save a transcript to the archive directory and index it
+ * Failures are logged and never stop the transcript from being sent
+ * @param {Client} client - Discord client
+ * @param {ModmailThread} thread - The thread the transcript belongs to
+ * @param {Object} transcript - Transcript file data
+ * @param {string} transcript.fileName - File name
+ * @param {string} transcript.format - File format
+ * @param {Buffer|string} transcript.content - File content
+ * @param {string} [generatedBy] - ID of the user who generated it
+ * @returns {Promise<ModmailTranscript|null>} - Index record or null
+ */
+async function archiveTranscript(client, thread, { fileName, format, content }, generatedBy = null) {
+  if (archiveConfig.enabled === false || !client.db.ModmailTranscript) return null;
+  
+  try {
+    // One directory per guild, prefixed names keep repeated exports apart
+    const relativePath = path.join(thread.guildId, `${Date.now()}-${path.basename(fileName)}`);
+    const fullPath = path.join(ARCHIVE_DIR, relativePath);
+    
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, content);
+    
+    const record = await client.db.ModmailTranscript.create({
+      threadId: thread.id,
+      userId: thread.userId,
+      guildId: thread.guildId,
+      filePath: relativePath,
+      format,
+      size: Buffer.byteLength(content),
+      generatedBy
+    });
+    
+    logger.info(`Archived ${format} transcript for thread ${thread.id} at ${fullPath}`);
+    return record;
+  } catch (error) {
+    logger.error(`Error archiving transcript for thread ${thread.id}: ${error.message}`, { error });
+    return null;
+  }
+}
+
+/**
+ * Read an archived transcript from disk
+ * @param {ModmailTranscript} record - The index record
+ * @returns {Promise<Buffer|null>} - File content or null if the file is missing
+ */
+async function readArchivedTranscript(record) {
+  const fullPath = path.resolve(ARCHIVE_DIR, record.filePath);
+  
+  // Never read outside the archive directory
+  if (!fullPath.startsWith(ARCHIVE_DIR + path.sep)) return null;
+  
+  return fs.promises.readFile(fullPath).catch(() => null);
+}
+
+/**
+ * Get the retention period for a guild in days
+ * @param {Client} client - Discord client
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<number>} - Retention in days, 0 keeps transcripts forever
+ */
+async function getTranscriptRetentionDays(client, guildId) {
+  const guildSettings = await client.db.Guild.findOne({ where: { guildId } });
+  const retentionDays = guildSettings ? guildSettings.getSetting('modmail.transcriptRetentionDays') : undefined;
+  
+  return typeof retentionDays === 'number' ? retentionDays : archiveConfig.retentionDays || 0;
+}
+
+/**
+ * Delete archived transcripts that are older than each guild's retention period
+ * @param {Client} client - Discord client
+ * @returns {Promise<number>} - Number of transcripts removed
+ */
+async function purgeExpiredTranscripts(client) {
+  let removedCount = 0;
+  
+  for (const guildId of await client.db.ModmailTranscript.findArchivedGuildIds()) {
+    const retentionDays = await getTranscriptRetentionDays(client, guildId);
+    if (!retentionDays) continue;
+    
+    const cutoff = moment().subtract(retentionDays, 'days').toDate();
+    const expired = await client.db.ModmailTranscript.findOlderThan(guildId, cutoff);
+    
+    for (const record of expired) {
+      try {
+        const fullPath = path.resolve(ARCHIVE_DIR, record.filePath);
+        
+        if (fullPath.startsWith(ARCHIVE_DIR + path.sep)) {
+          await fs.promises.unlink(fullPath).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+          });
+        }
+        
+        await record.destroy();
+        removedCount++;
+      } catch (error) {
+        logger.error(`Error purging transcript ${record.id}: ${error.message}`);
+      }
+    }
+  }
+  
+  return removedCount;
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  TRANSCRIPT_FORMATS,
+  archiveTranscript,
+  buildTranscript,
+  collectTranscriptData,
+  getTranscriptRetentionDays,
+  purgeExpiredTranscripts,
+  readArchivedTranscript
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Attachment Test
+ *
+ * Verifies that attachments are stored within the guild quota, blocked file
+ * types are dropped, and files over the upload limit are replaced by a
+ * placeholder pointing to the stored copy
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { ATTACHMENT_DIR, clearStoredAttachments, describeSkippedAttachments, parseExtensions, prepareAttachments, readStoredAttachment } = require('../src/utils/attachments');
+const { forwardUserMessage, sendStaffReply } = require('../src/utils/modmail');
+
+const KILOBYTE = 1024;
+
+async function runTest() {
+  // Serve files locally in place of the Discord CDN
+  const server = http.createServer((request, response) => {
+    const size = parseInt(new URL(request.url, 'http://localhost').searchParams.get('size'), 10) || 0;
+    response.end(Buffer.alloc(size, 'a'));
+  });
+  
+  try {
+    logger.info('Starting attachment test...');
+    
+    if (parseExtensions('.EXE, bat  scr,,bad!').join() !== 'exe,bat,scr') {
+      throw new Error('Extensions were not normalized');
+    }
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const file = (id, name, size) => ({ id, name, size, contentType: 'application/octet-stream', url: `${baseUrl}/${name}?size=${size}` });
+    
+    const { models } = await connectToDatabase();
+    const guildId = `attachment-test-${Date.now()}`;
+    
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Attachment Test Guild'
+      }
+    });
+    
+    await guildSettings.updateSettings({ modmail: { attachments: { quotaMb: 1, blockedExtensions: ['exe'] } } });
+    
+    const thread = await models.ModmailThread.create({
+      id: `${guildId}-thread`,
+      userId: 'attachment-user',
+      guildId,
+      subject: 'Attachment test',
+      createdBy: 'attachment-user'
+    });
+    
+    const client = { db: models };
+    
+    // The image is stored, the executable is blocked and the archive exceeds both the 1 MB quota and the upload limit
+    const prepared = await prepareAttachments(client, thread, [
+      file('1', 'photo.png', 600 * KILOBYTE),
+      file('2', 'virus.exe', KILOBYTE),
+      file('3', 'logs.zip', 600 * KILOBYTE)
+    ], { uploaderId: 'attachment-user', direction: 'user_to_staff', uploadLimit: KILOBYTE * KILOBYTE });
+    
+    if (prepared.blocked.join() !== 'virus.exe' || prepared.accepted.length !== 2) {
+      throw new Error(`Blocked extension was not dropped: ${JSON.stringify(prepared.blocked)}`);
+    }
+    
+    if (prepared.files.length !== 1 || !prepared.files[0].attachment.startsWith(ATTACHMENT_DIR) || !fs.existsSync(prepared.files[0].attachment)) {
+      throw new Error('Stored attachment was not relayed from the store');
+    }
+    
+    const [oversized] = prepared.oversized;
+    if (!oversized || oversized.name !== 'logs.zip' || oversized.filePath !== null) {
+      throw new Error('File over the quota and upload limit was not kept as an unstored placeholder');
+    }
+    
+    if (await models.ModmailAttachment.getGuildUsage(guildId) !== 600 * KILOBYTE) {
+      throw new Error('Guild usage does not match the stored file');
+    }
+    
+    const staffNote = describeSkippedAttachments(prepared);
+    const userNote = describeSkippedAttachments(prepared, false);
+    if (!staffNote.includes(`/modmail attachment id:${oversized.id}`) || !staffNote.includes('virus.exe') || userNote.includes('/modmail')) {
+      throw new Error(`Unexpected placeholders:\n${staffNote}\n${userNote}`);
+    }
+    
+    // Stored copies can be read back, but never from outside the store
+    const stored = await models.ModmailAttachment.findOne({ where: { guildId, name: 'photo.png' } });
+    if ((await readStoredAttachment(stored)).length !== 600 * KILOBYTE) {
+      throw new Error('Stored attachment could not be read back');
+    }
+    
+    if (await readStoredAttachment({ filePath: path.join('..', '..', 'package.json') }) !== null) {
+      throw new Error('Path outside the store was read');
+    }
+    
+    if (await models.ModmailAttachment.findGuildAttachment('another-guild', stored.id) !== null) {
+      throw new Error('Attachment was found from another guild');
+    }
+    
+    // Forwarded messages carry the placeholder and the user hears about blocked files
+    const sent = [];
+    const userMessages = [];
+    const channel = {
+      guild: { id: guildId, name: 'Attachment Test Guild', premiumTier: 0 },
+      send: async data => { sent.push(data); return { id: `channel-${sent.length}` }; }
+    };
+    const author = {
+      id: 'attachment-user',
+      tag: 'attachment-user#0001',
+      displayAvatarURL: () => null,
+      send: async data => { userMessages.push(data); return {}; }
+    };
+    
+    await forwardUserMessage(client, thread, channel, {
+      id: 'user-message',
+      author,
+      content: 'Here are my files',
+      attachments: [file('4', 'run.exe', KILOBYTE), file('5', 'notes.txt', KILOBYTE)]
+    });
+    
+    if (sent[0].files.length !== 1 || sent[0].files[0].name !== 'notes.txt' || !sent[0].content.includes('run.exe')) {
+      throw new Error('Forwarded message did not drop the blocked file');
+    }
+    
+    if (userMessages.length !== 1 || !userMessages[0].content.includes('run.exe')) {
+      throw new Error('User was not told about the blocked file');
+    }
+    
+    // Messages that could not be sent leave no stored files or records behind
+    const usageBefore = await models.ModmailAttachment.getGuildUsage(guildId);
+    const filesBefore = fs.readdirSync(path.join(ATTACHMENT_DIR, guildId)).length;
+    const failingChannel = { ...channel, send: async () => { throw new Error('Missing Access'); } };
+    
+    const forwardError = await forwardUserMessage(client, thread, failingChannel, {
+      id: 'lost-message',
+      author,
+      content: 'This never arrives',
+      attachments: [file('6', 'lost.txt', KILOBYTE)]
+    }).catch(error => error);
+    
+    const closedDms = { id: 'attachment-user', send: async () => { throw new Error('Cannot send messages to this user'); } };
+    const replyError = await sendStaffReply({ ...client, users: { fetch: async () => closedDms } }, thread, {
+      guild: channel.guild,
+      channel,
+      staff: { id: 'attachment-staff', tag: 'staff#0001', displayAvatarURL: () => null },
+      content: 'Here is the form',
+      attachments: [file('7', 'form.pdf', KILOBYTE)]
+    }).catch(error => error);
+    
+    if (!(forwardError instanceof Error) || !(replyError instanceof Error)) {
+      throw new Error('Failed sends did not throw');
+    }
+    
+    const leftOver = await models.ModmailAttachment.count({ where: { guildId, name: ['lost.txt', 'form.pdf'] } });
+    if (leftOver !== 0 || await models.ModmailAttachment.getGuildUsage(guildId) !== usageBefore || fs.readdirSync(path.join(ATTACHMENT_DIR, guildId)).length !== filesBefore) {
+      throw new Error('Attachments of failed sends were kept');
+    }
+    
+    // Clearing every thread also removes the stored files, so they stop counting towards the quota
+    if (await clearStoredAttachments(client) === 0 || await models.ModmailAttachment.count() !== 0 || await models.ModmailAttachment.getGuildUsage(guildId) !== 0) {
+      throw new Error('Stored attachments were not cleared');
+    }
+    
+    if (fs.readdirSync(path.join(ATTACHMENT_DIR, guildId)).length !== 0) {
+      throw new Error('Stored attachment files were not deleted');
+    }
+    
+    // Clean up
+    await fs.promises.rm(path.join(ATTACHMENT_DIR, guildId), { recursive: true, force: true });
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailAttachment.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    server.close();
+    
+    logger.info('✅ Attachment test passed');
+    process.exit(0);
+  } catch (error) {
+    server.close();
+    logger.error(`❌ Attachment test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
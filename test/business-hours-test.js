@@ -0,0 +1,147 @@
+/**
+ * Business Hours Test
+ *
+ * Verifies schedule parsing, open/away checks with timezones and holidays,
+ * and that the away message is only sent once per out-of-hours period
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { DAYS, hasOpenedSince, isWithinBusinessHours, parseSchedule } = require('../src/utils/businessHours');
+const { sendAwayReply } = require('../src/utils/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting business hours test...');
+    
+    // Schedules
+    const schedule = parseSchedule('Mon-Fri 9:00-17:00');
+    if (!schedule || schedule.mon !== '09:00-17:00' || schedule.fri !== '09:00-17:00' || schedule.sat !== null) {
+      throw new Error(`Unexpected schedule ${JSON.stringify(schedule)}`);
+    }
+    
+    const weekend = parseSchedule('sat-sun 10:00-14:00');
+    if (!weekend || weekend.sun !== '10:00-14:00' || weekend.mon !== null) {
+      throw new Error('Day range wrapping around the week was not parsed');
+    }
+    
+    for (const invalid of ['mon 17:00-09:00', 'funday 09:00-10:00', 'mon 09:00', 'mon 09:75-10:00', '']) {
+      if (parseSchedule(invalid) !== null) {
+        throw new Error(`Invalid schedule "${invalid}" was accepted`);
+      }
+    }
+    
+    // Open and away checks in the guild's timezone
+    const hours = { timezone: 'America/New_York', schedule, holidays: ['2026-12-25'] };
+    
+    const checks = [
+      ['2026-10-19T14:00:00Z', true], // Monday 10:00 EDT
+      ['2026-10-19T22:00:00Z', false], // Monday 18:00 EDT
+      ['2026-10-24T15:00:00Z', false], // Saturday
+      ['2026-12-25T15:00:00Z', false] // Holiday
+    ];
+    
+    for (const [date, expected] of checks) {
+      if (isWithinBusinessHours(hours, new Date(date)) !== expected) {
+        throw new Error(`isWithinBusinessHours(${date}) should be ${expected}`);
+      }
+    }
+    
+    // Away periods
+    if (hasOpenedSince(hours, new Date('2026-10-19T22:00:00Z'), new Date('2026-10-20T02:00:00Z'))) {
+      throw new Error('Messages in the same night were treated as separate periods');
+    }
+    
+    if (!hasOpenedSince(hours, new Date('2026-10-19T22:00:00Z'), new Date('2026-10-20T23:00:00Z'))) {
+      throw new Error('A working day in between did not start a new period');
+    }
+    
+    if (hasOpenedSince(hours, new Date('2026-12-24T23:00:00Z'), new Date('2026-12-26T15:00:00Z'))) {
+      throw new Error('A holiday was treated as a working day');
+    }
+    
+    // The away message is sent once per period
+    const { models } = await connectToDatabase();
+    
+    const guildId = `hours-test-${Date.now()}`;
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Hours Test Guild'
+      }
+    });
+    
+    // Only work on a day that isn't today, so the guild is away right now
+    const workday = DAYS[(new Date().getUTCDay() + 3) % 7];
+    await guildSettings.updateSettings({
+      modmail: {
+        businessHours: {
+          enabled: true,
+          timezone: 'UTC',
+          schedule: parseSchedule(`${workday} 09:00-17:00`),
+          holidays: [],
+          awayMessage: 'Hi {user}, {guild} is closed right now.'
+        }
+      }
+    });
+    
+    const thread = await models.ModmailThread.create({
+      id: `${guildId}-thread`,
+      userId: 'hours-user',
+      guildId,
+      subject: 'Hours test',
+      createdBy: 'hours-user'
+    });
+    
+    const channelMessages = [];
+    const userMessages = [];
+    const channel = {
+      guild: { id: guildId, name: 'Hours Test Guild' },
+      send: async data => { channelMessages.push(data); return {}; }
+    };
+    const user = {
+      id: 'hours-user',
+      username: 'hours-user',
+      tag: 'hours-user#0001',
+      send: async data => { userMessages.push(data); return {}; }
+    };
+    const client = { db: models };
+    
+    if (!await sendAwayReply(client, thread, channel, user)) {
+      throw new Error('Away message was not sent outside business hours');
+    }
+    
+    if (userMessages[0].embeds[0].description !== 'Hi hours-user, Hours Test Guild is closed right now.') {
+      throw new Error(`Unexpected away message ${userMessages[0].embeds[0].description}`);
+    }
+    
+    if (!channelMessages[0].content.includes('Received out of hours')) {
+      throw new Error('Thread channel was not marked as received out of hours');
+    }
+    
+    if (await sendAwayReply(client, thread, channel, user)) {
+      throw new Error('Away message was sent twice in the same period');
+    }
+    
+    // A message after the next working day starts a new period
+    await thread.reload();
+    thread.metadata = { ...thread.metadata, awayNoticeAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString() };
+    await thread.save();
+    
+    if (!await sendAwayReply(client, thread, channel, user) || userMessages.length !== 2) {
+      throw new Error('Away message was not sent again in a new period');
+    }
+    
+    // Clean up
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Business hours test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Business hours test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Duration Test
+ * 
+ * Verifies parsing and formatting of short durations
+ */
+const { parseDuration, formatDuration } = require('../src/utils/duration');
+
+const cases = [
+  ['30m', 30 * 60 * 1000],
+  ['2h', 2 * 60 * 60 * 1000],
+  ['1d12h', 36 * 60 * 60 * 1000],
+  ['1w', 7 * 24 * 60 * 60 * 1000],
+  [' 1H 30M ', 90 * 60 * 1000],
+  ['0m', null],
+  ['soon', null],
+  ['2x', null],
+  ['', null]
+];
+
+let failed = 0;
+
+for (const [input, expected] of cases) {
+  const result = parseDuration(input);
+  if (result !== expected) {
+    console.error(`❌ parseDuration(${JSON.stringify(input)}) returned ${result}, expected ${expected}`);
+    failed++;
+  }
+}
+
+if (formatDuration(parseDuration('1d2h30m')) !== '1d 2h 30m') {
+  console.error(`❌ formatDuration returned ${formatDuration(parseDuration('1d2h30m'))}`);
+  failed++;
+}
+
+if (failed > 0) {
+  console.error(`❌ ${failed} duration check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All duration checks passed');
+process.exit(0);
\ No newline at end of file
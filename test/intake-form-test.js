@@ -0,0 +1,86 @@
+/**
+ * Intake Form Test
+ *
+ * Verifies that intake questions are read from the guild settings, turned
+ * into a modal with one input per question, and capped at five questions
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { MAX_INTAKE_QUESTIONS, buildIntakeModal, getIntakeQuestions } = require('../src/utils/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting intake form test...');
+    
+    const { models } = await connectToDatabase();
+    const client = { db: models };
+    
+    const guildId = `intake-test-${Date.now()}`;
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Intake Test Guild'
+      }
+    });
+    
+    // No form configured
+    if ((await getIntakeQuestions(client, guildId)).length !== 0) {
+      throw new Error('Guild without a form returned intake questions');
+    }
+    
+    // Configure more questions than allowed
+    await guildSettings.updateSettings({
+      modmail: {
+        intakeQuestions: ['What is this about?', 'Which channel?', '', 'When did it happen?', 'Who was involved?', 'Anything else?', 'One too many?']
+      }
+    });
+    
+    const questions = await getIntakeQuestions(client, guildId);
+    
+    if (questions.length !== MAX_INTAKE_QUESTIONS || questions.includes('')) {
+      throw new Error(`Expected ${MAX_INTAKE_QUESTIONS} non-empty questions, got ${JSON.stringify(questions)}`);
+    }
+    
+    // Build the modal
+    const modal = buildIntakeModal({ id: guildId, name: 'A guild with a rather long name for the modal title' }, questions);
+    
+    if (modal.custom_id !== `modmail_intake_${guildId}`) {
+      throw new Error(`Unexpected modal custom ID ${modal.custom_id}`);
+    }
+    
+    if (modal.title.length > 45) {
+      throw new Error('Modal title exceeds 45 characters');
+    }
+    
+    if (modal.components.length !== questions.length) {
+      throw new Error(`Expected ${questions.length} inputs, got ${modal.components.length}`);
+    }
+    
+    modal.components.forEach((row, index) => {
+      const input = row.components[0];
+      
+      if (input.custom_id !== `intake_${index}` || input.label !== questions[index] || !input.required) {
+        throw new Error(`Input ${index} does not match its question`);
+      }
+    });
+    
+    // Clearing the form
+    await guildSettings.updateSettings({ modmail: { intakeQuestions: [] } });
+    
+    if ((await getIntakeQuestions(client, guildId)).length !== 0) {
+      throw new Error('Cleared form still returned intake questions');
+    }
+    
+    // Clean up
+    await guildSettings.destroy();
+    
+    logger.info('✅ Intake form test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Intake form test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Message Template Test
+ *
+ * Verifies that user-facing messages fall back to their defaults, can be
+ * replaced or turned off per guild, and that the close notice uses the
+ * guild's template with the close reason
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { MESSAGE_TEMPLATES, renderGuildMessage, renderMessageTemplate } = require('../src/utils/messageTemplates');
+const { closeModmailThread } = require('../src/utils/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting message template test...');
+    
+    const user = { id: 'template-user', username: 'template-user', tag: 'template-user#0001' };
+    const guild = { id: 'template-guild', name: 'Template Guild' };
+    
+    // Defaults
+    if (renderMessageTemplate({}, 'confirmation', { user, guild }) !== 'Your message has been sent to the staff of **Template Guild**. They will respond to you here in DMs.') {
+      throw new Error('Default confirmation was not rendered');
+    }
+    
+    if (renderMessageTemplate({}, 'welcome', { user, guild }) !== null) {
+      throw new Error('Welcome message should be off until a guild sets one');
+    }
+    
+    // Custom text, turned off optional messages and reset messages
+    const templates = { welcome: 'Hi {user_mention}, welcome to {guild}!', reminder: '', confirmation: null };
+    
+    if (renderMessageTemplate(templates, 'welcome', { user, guild }) !== 'Hi <@template-user>, welcome to Template Guild!') {
+      throw new Error('Custom welcome message was not rendered');
+    }
+    
+    if (renderMessageTemplate(templates, 'reminder', { user, guild }) !== null) {
+      throw new Error('Reminder was sent after being turned off');
+    }
+    
+    if (renderMessageTemplate(templates, 'confirmation', { user, guild }) !== renderMessageTemplate({}, 'confirmation', { user, guild })) {
+      throw new Error('Reset confirmation did not use the default text');
+    }
+    
+    if (!renderMessageTemplate({}, 'close', { user, guild, reason: 'Resolved' }).includes('**Reason:** Resolved')) {
+      throw new Error('Close reason was not filled in');
+    }
+    
+    for (const [key, template] of Object.entries(MESSAGE_TEMPLATES)) {
+      if (!template.optional && !template.defaultText) {
+        throw new Error(`Required template ${key} has no default text`);
+      }
+    }
+    
+    // Guild templates are used when sending
+    const { models } = await connectToDatabase();
+    
+    const guildId = `template-test-${Date.now()}`;
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Template Test Guild'
+      }
+    });
+    
+    await guildSettings.updateSettings({
+      modmail: {
+        messages: {
+          confirmation: 'Thanks {user}, {guild} got it.',
+          close: 'Closed ({reason}). Bye {user}!'
+        }
+      }
+    });
+    
+    const dms = [];
+    const sentTo = { ...user, send: async data => { dms.push(data); return {}; } };
+    
+    const client = { db: models, users: { fetch: async () => sentTo } };
+    const testGuild = { id: guildId, name: 'Template Test Guild' };
+    
+    if (await renderGuildMessage(client, testGuild, 'confirmation', { user }) !== 'Thanks template-user, Template Test Guild got it.') {
+      throw new Error('Guild confirmation template was not used');
+    }
+    
+    const thread = await models.ModmailThread.create({
+      id: `${guildId}-thread`,
+      userId: user.id,
+      guildId,
+      subject: 'Template test',
+      createdBy: user.id
+    });
+    
+    await closeModmailThread(client, thread, { guild: testGuild });
+    
+    if (dms[0]?.content !== 'Closed (No reason given). Bye template-user!') {
+      throw new Error(`Unexpected close notice ${JSON.stringify(dms[0])}`);
+    }
+    
+    // Clean up
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Message template test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Message template test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
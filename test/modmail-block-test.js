@@ -0,0 +1,62 @@
+/**
+ * Modmail Block Test
+ * 
+ * Verifies blocking, unblocking and block expiry
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+
+async function runTest() {
+  try {
+    logger.info('Starting modmail block test...');
+    
+    const { models } = await connectToDatabase();
+    
+    const userId = `block-user-${Date.now()}`;
+    const guildId = 'block-guild';
+    const otherGuildId = 'block-other-guild';
+    
+    // Permanent block in one guild
+    await models.ModmailBlock.blockUser(userId, guildId, { blockedBy: 'test-staff', reason: 'Testing' });
+    
+    if (!await models.ModmailBlock.findActiveBlock(userId, guildId)) {
+      throw new Error('Blocked user has no active block');
+    }
+    
+    if (await models.ModmailBlock.findActiveBlock(userId, otherGuildId)) {
+      throw new Error('Block applies to a guild that did not add it');
+    }
+    
+    // Blocking again replaces the existing block
+    await models.ModmailBlock.blockUser(userId, guildId, { blockedBy: 'other-staff', expiresAt: new Date(Date.now() + 60000) });
+    
+    const userBlocks = await models.ModmailBlock.findUserBlocks(userId);
+    if (userBlocks.length !== 1 || userBlocks[0].blockedBy !== 'other-staff') {
+      throw new Error('Blocking again did not replace the existing block');
+    }
+    
+    // Unblock
+    if (!await models.ModmailBlock.unblockUser(userId, guildId) || await models.ModmailBlock.unblockUser(userId, guildId)) {
+      throw new Error('Unblocking did not report the removed block correctly');
+    }
+    
+    // Expired blocks are ignored and cleaned up
+    await models.ModmailBlock.blockUser(userId, otherGuildId, { blockedBy: 'test-staff', expiresAt: new Date(Date.now() - 1000) });
+    
+    if (await models.ModmailBlock.findActiveBlock(userId, otherGuildId)) {
+      throw new Error('Expired block is still active');
+    }
+    
+    if (await models.ModmailBlock.removeExpired() < 1) {
+      throw new Error('Expired block was not removed');
+    }
+    
+    logger.info('✅ Modmail block test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Modmail block test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * Modmail Forum Test
+ *
+ * Verifies that forum mode opens one post per thread tagged as open and with
+ * the topic, that missing tags are created once, and that closing tags and
+ * locks the post while reopening unlocks it again, and that enabling
+ * modmail takes exactly one of a category or a forum
+ */
+const { ChannelType } = require('discord.js');
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { FORUM_TAGS, closeModmailThread, createModmailThread, getModmailParentIds, reopenModmailThread } = require('../src/utils/modmail');
+const modmailSetupCommand = require('../src/commands/admin/modmail-setup');
+
+async function runTest() {
+  try {
+    logger.info('Starting modmail forum test...');
+    
+    const { models } = await connectToDatabase();
+    
+    const guildId = `forum-test-${Date.now()}`;
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Forum Test Guild'
+      }
+    });
+    
+    await guildSettings.updateSettings({
+      modmail: {
+        enabled: true,
+        mode: 'forum',
+        categoryId: 'category-main',
+        forumChannelId: 'forum-channel'
+      }
+    });
+    
+    const parentIds = getModmailParentIds(guildSettings.getSetting('modmail'));
+    if (!parentIds.includes('forum-channel') || !parentIds.includes('category-main')) {
+      throw new Error(`Unexpected modmail parent IDs ${JSON.stringify(parentIds)}`);
+    }
+    
+    const posts = [];
+    let tagUpdates = 0;
+    
+    // Forum posts can't be created without a gateway connection
+    const forum = {
+      id: 'forum-channel',
+      type: ChannelType.GuildForum,
+      availableTags: [{ id: 'tag-existing-open', name: 'open' }],
+      setAvailableTags: async tags => {
+        tagUpdates++;
+        forum.availableTags = tags.map((tag, index) => ({ id: tag.id || `tag-${index}`, name: tag.name }));
+        return forum;
+      },
+      threads: {
+        create: async options => {
+          const post = {
+            id: `${guildId}-post-${posts.length}`,
+            parent: forum,
+            parentId: forum.id,
+            options,
+            appliedTags: options.appliedTags,
+            archived: false,
+            locked: false,
+            autoArchiveDuration: options.autoArchiveDuration,
+            isThread: () => true,
+            send: async () => ({ id: `${guildId}-message-${Math.random()}` }),
+            setAppliedTags: async tags => { post.appliedTags = tags; },
+            setLocked: async locked => { post.locked = locked; },
+            setArchived: async archived => { post.archived = archived; },
+            setAutoArchiveDuration: async duration => { post.autoArchiveDuration = duration; },
+            toString() { return `<#${this.id}>`; }
+          };
+          posts.push(post);
+          return post;
+        }
+      }
+    };
+    
+    const guild = {
+      id: guildId,
+      name: 'Forum Test Guild',
+      channels: {
+        fetch: async id => (id === forum.id ? forum : null),
+        create: async () => { throw new Error('A text channel was created in forum mode'); }
+      },
+      members: { fetch: async () => { throw new Error('Unknown Member'); } }
+    };
+    
+    const user = {
+      id: 'forum-user-1',
+      tag: 'forum-user-1#0001',
+      username: 'forum-user-1',
+      createdTimestamp: Date.now(),
+      displayAvatarURL: () => null,
+      send: async () => ({})
+    };
+    
+    const client = {
+      db: models,
+      users: { fetch: async () => user }
+    };
+    
+    const topic = { id: 1, name: 'Ban Appeal', categoryId: 'category-appeals', staffRoleId: 'role-admins' };
+    
+    // The post is tagged as open and with the topic, reusing the existing open tag
+    const thread = await createModmailThread({ id: 'dm-1', author: user, content: 'Please unban me' }, client, guild, null, [], { topic });
+    const post = posts[0];
+    
+    if (!thread || posts.length !== 1 || thread.id !== post.id) {
+      throw new Error('Thread was not created as a forum post');
+    }
+    
+    const topicTag = forum.availableTags.find(tag => tag.name === topic.name);
+    if (!topicTag || post.appliedTags.join(',') !== `tag-existing-open,${topicTag.id}`) {
+      throw new Error(`Unexpected tags on the new post: ${JSON.stringify(post.appliedTags)}`);
+    }
+    
+    if (!post.options.message.content.includes('Please unban me') || post.options.message.allowedMentions.parse.length !== 0) {
+      throw new Error('Post starter message does not describe the thread');
+    }
+    
+    // Closing swaps the open tag for the closed one and locks the post
+    await closeModmailThread(client, thread, { guild, channel: post, closedBy: { id: 'staff-1', tag: 'staff#0001' } });
+    
+    const closedTag = forum.availableTags.find(tag => tag.name === FORUM_TAGS.CLOSED);
+    if (!closedTag || post.appliedTags.join(',') !== `${closedTag.id},${topicTag.id}`) {
+      throw new Error(`Unexpected tags on the closed post: ${JSON.stringify(post.appliedTags)}`);
+    }
+    
+    if (!post.locked || post.autoArchiveDuration !== 60) {
+      throw new Error('Closed post was not locked and set to archive');
+    }
+    
+    // Reopening an archived post unlocks it and tags it as open again
+    post.archived = true;
+    await reopenModmailThread(client, thread, { guild, channel: post, staff: { id: 'staff-1', tag: 'staff#0001' } });
+    
+    if (post.archived || post.locked || post.appliedTags.join(',') !== `tag-existing-open,${topicTag.id}`) {
+      throw new Error('Reopened post was not unarchived, unlocked and tagged as open');
+    }
+    
+    // Tags are only created when they're missing
+    if (tagUpdates !== 2) {
+      throw new Error(`Expected 2 tag updates, got ${tagUpdates}`);
+    }
+    
+    // /modmail-setup enable needs the category or the forum of the chosen mode
+    const setupGuild = { id: guildId, members: { cache: new Map() }, roles: { everyone: { id: guildId } } };
+    const makeParent = (id, type) => ({
+      id,
+      type,
+      guild: setupGuild,
+      permissionsFor: () => ({ has: () => true }),
+      permissionOverwrites: { edit: async () => {} },
+      toString: () => `<#${id}>`
+    });
+    
+    const runEnable = async options => {
+      let reply;
+      await modmailSetupCommand.handleEnable({
+        guild: setupGuild,
+        options: {
+          getString: name => options[name] ?? null,
+          getChannel: name => options[name] ?? null,
+          getRole: name => options[name] ?? null
+        },
+        editReply: async data => { reply = data; }
+      }, { user: { id: 'bot' } }, guildSettings);
+      return reply.embeds[0].data;
+    };
+    
+    const staffRole = { id: 'role-staff', toString: () => '<@&role-staff>' };
+    const category = makeParent('category-new', ChannelType.GuildCategory);
+    const forumChannel = makeParent('forum-new', ChannelType.GuildForum);
+    
+    if (!(await runEnable({ staff_role: staffRole, forum: forumChannel })).description.includes('nowhere to go')) {
+      throw new Error('Modmail was enabled in channels mode without a category');
+    }
+    
+    if (!(await runEnable({ staff_role: staffRole, mode: 'forum', category })).description.includes('forum mode')) {
+      throw new Error('Modmail was enabled in forum mode without a forum');
+    }
+    
+    await runEnable({ staff_role: staffRole, category });
+    if (guildSettings.getSetting('modmail.mode') !== 'channels' || guildSettings.getSetting('modmail.categoryId') !== 'category-new') {
+      throw new Error('Enabling with a category did not switch to channels mode');
+    }
+    
+    await runEnable({ staff_role: staffRole, mode: 'forum', forum: forumChannel });
+    if (guildSettings.getSetting('modmail.mode') !== 'forum' || guildSettings.getSetting('modmail.categoryId') !== 'category-new') {
+      throw new Error('Enabling with a forum did not switch to forum mode and keep the category');
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Modmail forum test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Modmail forum test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Modmail Message Storage Test
+ * 
+ * Verifies that relayed messages are stored in the ModmailMessage table,
+ * can be looked up by thread and by the Discord ID of either copy, and keep
+ * their history when edited or deleted
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { applyMessageDelete, applyMessageEdit, recordModmailMessage } = require('../src/utils/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting modmail message storage test...');
+    
+    const { models } = await connectToDatabase();
+    
+    // Channels and users can't be fetched without a gateway connection
+    const client = {
+      db: models,
+      channels: { fetch: async () => null },
+      users: { fetch: async () => null }
+    };
+    
+    // Create a test thread
+    const threadId = `message-test-${Date.now()}`;
+    const thread = await models.ModmailThread.create({
+      id: threadId,
+      userId: 'test-user',
+      guildId: 'test-guild',
+      subject: 'Message storage test',
+      createdBy: 'test-user'
+    });
+    
+    const user = { id: 'test-user', tag: 'TestUser#0001' };
+    const staff = { id: 'test-staff', tag: 'TestStaff#0001' };
+    
+    // Store one message in each direction
+    await recordModmailMessage(client, thread, {
+      direction: 'user_to_staff',
+      author: user,
+      content: 'Hello staff',
+      attachments: [{ id: 'a1', name: 'log.txt', url: 'https://example.com/log.txt', size: 12, contentType: 'text/plain' }],
+      userMessageId: `dm-${threadId}`,
+      channelMessageId: `ch-${threadId}-1`
+    });
+    
+    await recordModmailMessage(client, thread, {
+      direction: 'staff_to_user',
+      author: staff,
+      content: 'Hello user',
+      userMessageId: `dm-${threadId}-2`,
+      channelMessageId: `ch-${threadId}-2`
+    });
+    
+    const messages = await models.ModmailMessage.findThreadMessages(threadId);
+    
+    if (messages.length !== 2) {
+      throw new Error(`Expected 2 stored messages, found ${messages.length}`);
+    }
+    
+    if (messages[0].attachments.length !== 1 || messages[0].attachments[0].name !== 'log.txt') {
+      throw new Error('Attachment metadata was not stored correctly');
+    }
+    
+    // Look up by either side of the relay
+    const byDm = await models.ModmailMessage.findByDiscordMessageId(`dm-${threadId}`);
+    const byChannel = await models.ModmailMessage.findByDiscordMessageId(`ch-${threadId}-2`);
+    
+    if (!byDm || byDm.direction !== 'user_to_staff') {
+      throw new Error('Could not find stored message by DM message ID');
+    }
+    
+    if (!byChannel || byChannel.direction !== 'staff_to_user') {
+      throw new Error('Could not find stored message by channel message ID');
+    }
+    
+    // Edits keep the previous content in the history
+    const latestReply = await models.ModmailMessage.findLatestStaffReply(threadId, staff.id);
+    if (!latestReply || latestReply.id !== byChannel.id) {
+      throw new Error('Could not find the latest staff reply');
+    }
+    
+    if (!await applyMessageEdit(client, byDm, 'Hello staff, edited')) {
+      throw new Error('Edit was not applied');
+    }
+    
+    if (await applyMessageEdit(client, byDm, 'Hello staff, edited')) {
+      throw new Error('Unchanged content was treated as an edit');
+    }
+    
+    await byDm.reload();
+    if (byDm.content !== 'Hello staff, edited' || byDm.metadata.edits.length !== 1 || byDm.metadata.edits[0].content !== 'Hello staff') {
+      throw new Error('Edit history was not stored correctly');
+    }
+    
+    // Deletions are marked, not removed
+    if (!await applyMessageDelete(client, byDm, user.id) || await applyMessageDelete(client, byDm, user.id)) {
+      throw new Error('Deletion was not marked exactly once');
+    }
+    
+    await byDm.reload();
+    if (!byDm.isDeleted() || byDm.content !== 'Hello staff, edited') {
+      throw new Error('Deleted message lost its content or was not marked');
+    }
+    
+    // Invalid directions should be rejected without throwing
+    const invalid = await recordModmailMessage(client, thread, {
+      direction: 'sideways',
+      author: user,
+      content: 'Should not be stored'
+    });
+    
+    if (invalid !== null) {
+      throw new Error('Message with an invalid direction was stored');
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { threadId } });
+    await thread.destroy({ force: true });
+    
+    logger.info('✅ Modmail message storage test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Modmail message storage test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
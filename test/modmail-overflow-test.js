@@ -0,0 +1,241 @@
+/**
+ * Modmail Overflow Test
+ *
+ * Verifies that new threads go to the first category with a free slot, that
+ * requests are queued (with a single staff alert) once every category is full,
+ * that topic threads never overflow out of their topic's private category,
+ * that later DMs only join a queued request once the user picked its server,
+ * and that the queue is worked off when a slot frees up
+ */
+const { ChannelType } = require('discord.js');
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { MAX_CATEGORY_CHANNELS, createModmailThread, processModmailQueue } = require('../src/utils/modmail');
+const messageCreate = require('../src/events/discord.messageCreate');
+
+async function runTest() {
+  try {
+    logger.info('Starting modmail overflow test...');
+    
+    const { models } = await connectToDatabase();
+    
+    const guildId = `overflow-test-${Date.now()}`;
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Overflow Test Guild'
+      }
+    });
+    
+    await guildSettings.updateSettings({
+      modmail: {
+        enabled: true,
+        categoryId: 'category-main',
+        overflowCategoryIds: ['category-overflow'],
+        logChannelId: 'log-channel'
+      }
+    });
+    
+    // The main category is full, the overflow category has one slot left
+    const categories = new Map([
+      ['category-main', { id: 'category-main', children: { cache: { size: MAX_CATEGORY_CHANNELS } } }],
+      ['category-overflow', { id: 'category-overflow', children: { cache: { size: MAX_CATEGORY_CHANNELS - 1 } } }]
+    ]);
+    
+    const createdChannels = [];
+    const logMessages = [];
+    const sentToUsers = [];
+    
+    // Channels and members can't be fetched without a gateway connection
+    const guild = {
+      id: guildId,
+      name: 'Overflow Test Guild',
+      channels: {
+        fetch: async id => {
+          if (id === 'log-channel') {
+            return { send: async data => { logMessages.push(data); return { id: `log-${logMessages.length}` }; } };
+          }
+          return categories.get(id) || null;
+        },
+        create: async options => {
+          const channel = {
+            id: `${guildId}-channel-${createdChannels.length}`,
+            parentId: options.parent,
+            send: async () => ({ id: `${guildId}-message-${Math.random()}` }),
+            toString() { return `<#${this.id}>`; }
+          };
+          createdChannels.push(channel);
+          categories.get(options.parent).children.cache.size += 1;
+          return channel;
+        }
+      },
+      members: { fetch: async () => { throw new Error('Unknown Member'); } }
+    };
+    
+    const makeUser = id => ({
+      id,
+      tag: `${id}#0001`,
+      username: id,
+      createdTimestamp: Date.now(),
+      displayAvatarURL: () => null,
+      send: async data => { sentToUsers.push({ userId: id, data }); return {}; }
+    });
+    const users = new Map([['overflow-user-1', makeUser('overflow-user-1')], ['overflow-user-2', makeUser('overflow-user-2')]]);
+    
+    const client = {
+      db: models,
+      users: { fetch: async id => users.get(id) || null },
+      guilds: { cache: new Map([[guildId, guild]]) }
+    };
+    
+    // The first thread skips the full main category
+    const first = await createModmailThread({ id: 'dm-1', author: users.get('overflow-user-1'), content: 'First request' }, client, guild);
+    
+    if (!first || createdChannels[0].parentId !== 'category-overflow') {
+      throw new Error('Thread was not created in the overflow category');
+    }
+    
+    // Every category is full now, so the second request is queued
+    const second = await createModmailThread({ id: 'dm-2', author: users.get('overflow-user-2'), content: 'Second request' }, client, guild);
+    
+    if (second !== null || createdChannels.length !== 1) {
+      throw new Error('Request was not queued when every category was full');
+    }
+    
+    const entry = await models.ModmailQueueEntry.findUserEntry('overflow-user-2', guildId);
+    if (!entry || entry.content !== 'Second request') {
+      throw new Error('Queue entry was not stored');
+    }
+    
+    // Follow-ups are added to the same entry and staff are only alerted once
+    await createModmailThread({ id: 'dm-3', author: users.get('overflow-user-2'), content: 'More details' }, client, guild);
+    await entry.reload();
+    
+    if (entry.content !== 'Second request\n\nMore details' || (await models.ModmailQueueEntry.findGuildQueue(guildId)).length !== 1) {
+      throw new Error('Follow-up was not added to the queued request');
+    }
+    
+    const alerts = logMessages.filter(data => data.embeds && data.embeds[0].title.includes('Categories Full'));
+    if (alerts.length !== 1) {
+      throw new Error(`Expected 1 full-category alert, got ${alerts.length}`);
+    }
+    
+    // Nothing happens while the categories are still full
+    if (await processModmailQueue(client, guildId) !== 0) {
+      throw new Error('Queued thread was opened without a free slot');
+    }
+    
+    // Free a slot in the main category
+    categories.get('category-main').children.cache.size -= 1;
+    
+    if (await processModmailQueue(client, guildId) !== 1) {
+      throw new Error('Queued thread was not opened once a slot freed up');
+    }
+    
+    const queuedThread = await models.ModmailThread.findOne({ where: { userId: 'overflow-user-2', guildId, open: true } });
+    if (!queuedThread || createdChannels[1].parentId !== 'category-main') {
+      throw new Error('Queued thread was not created in the freed category');
+    }
+    
+    if (await models.ModmailQueueEntry.findUserEntry('overflow-user-2', guildId)) {
+      throw new Error('Queue entry was not removed after the thread opened');
+    }
+    
+    if (!sentToUsers.some(sent => sent.userId === 'overflow-user-2' && sent.data.content.includes('free now'))) {
+      throw new Error('User was not told their queued thread opened');
+    }
+    
+    // A full topic category queues its threads instead of using the overflow category
+    const topic = await models.ModmailTopic.create({
+      guildId,
+      name: 'Ban Appeal',
+      categoryId: 'category-topic',
+      staffRoleId: 'role-appeals',
+      createdBy: 'overflow-admin'
+    });
+    
+    categories.set('category-topic', { id: 'category-topic', children: { cache: { size: MAX_CATEGORY_CHANNELS } } });
+    categories.get('category-overflow').children.cache.size -= 1;
+    users.set('overflow-user-3', makeUser('overflow-user-3'));
+    
+    const appeal = await createModmailThread({ id: 'dm-4', author: users.get('overflow-user-3'), content: 'Appeal' }, client, guild, null, [], { topic });
+    
+    if (appeal !== null || createdChannels.length !== 2 || !(await models.ModmailQueueEntry.findUserEntry('overflow-user-3', guildId))) {
+      throw new Error('Topic thread was not queued when its category was full');
+    }
+    
+    if (!logMessages.some(data => data.embeds && data.embeds[0].description.includes('**Ban Appeal** topic'))) {
+      throw new Error('Staff were not told the topic category is full');
+    }
+    
+    if (await processModmailQueue(client, guildId) !== 0) {
+      throw new Error('Queued topic thread was opened outside its category');
+    }
+    
+    categories.get('category-topic').children.cache.size -= 1;
+    
+    if (await processModmailQueue(client, guildId) !== 1 || createdChannels[2].parentId !== 'category-topic') {
+      throw new Error('Queued topic thread was not opened in its category');
+    }
+    
+    // A queued user who shares another modmail server is asked where a new DM should go
+    const otherGuildId = `${guildId}-other`;
+    const [otherSettings] = await models.Guild.findOrCreate({
+      where: { guildId: otherGuildId },
+      defaults: { guildId: otherGuildId, guildName: 'Other Guild' }
+    });
+    
+    for (const settings of [guildSettings, otherSettings]) {
+      await settings.updateSettings({ modmail: { enabled: true } });
+      settings.modmailEnabled = true;
+      await settings.save();
+    }
+    
+    guild.members.fetch = async id => ({ id });
+    client.guilds.cache.set(otherGuildId, { id: otherGuildId, name: 'Other Guild', members: { fetch: async id => ({ id }) } });
+    
+    const queued = await models.ModmailQueueEntry.create({ guildId, userId: 'overflow-user-4', content: 'Queued request' });
+    const replies = [];
+    const sendDm = content => messageCreate.execute({
+      id: `dm-${content}`,
+      author: { ...makeUser('overflow-user-4'), bot: false },
+      channel: { type: ChannelType.DM },
+      content,
+      attachments: new Map(),
+      reply: async data => { replies.push(data); return {}; }
+    }, client);
+    
+    await sendDm('For the other server');
+    await queued.reload();
+    
+    if (queued.content !== 'Queued request' || replies[0].components?.[0].components[0].custom_id !== 'modmail_guild_select') {
+      throw new Error('DM was added to the queued request without asking for the server');
+    }
+    
+    // With one server left, the DM joins the queued request
+    client.guilds.cache.delete(otherGuildId);
+    await sendDm('More details');
+    await queued.reload();
+    
+    if (queued.content !== 'Queued request\n\nMore details' || !replies[1].content.includes('queue')) {
+      throw new Error('DM was not added to the queued request');
+    }
+    
+    // Clean up
+    await queued.destroy();
+    await otherSettings.destroy();
+    await topic.destroy();
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Modmail overflow test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Modmail overflow test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
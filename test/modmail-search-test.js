@@ -0,0 +1,176 @@
+/**
+ * Modmail Search Test
+ *
+ * Verifies that the full-text index follows stored messages and subjects,
+ * that searches stay within one guild and apply their filters, and that
+ * results link to existing channels or point to transcripts
+ */
+const { connectToDatabase, sequelize } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { buildMatchQuery, ensureSearchIndex, searchModmail } = require('../src/utils/search');
+const modmailCommand = require('../src/commands/admin/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting modmail search test...');
+    
+    const { models } = await connectToDatabase();
+    const client = { db: models };
+    const guildId = `search-test-${Date.now()}`;
+    const otherGuildId = `${guildId}-other`;
+    
+    if (await ensureSearchIndex(sequelize)) {
+      throw new Error('Search index was rebuilt although it was already set up');
+    }
+    
+    // Query text is searched as words, not as FTS5 syntax
+    if (buildMatchQuery('refund OR "NOT" pay*') !== '"refund" "OR" "NOT" "pay"*' || buildMatchQuery(' " * ') !== null) {
+      throw new Error(`Unexpected match query ${buildMatchQuery('refund OR "NOT" pay*')}`);
+    }
+    
+    const day = 24 * 60 * 60 * 1000;
+    const createThread = (id, data) => models.ModmailThread.create({ id: `${guildId}-${id}`, guildId, createdBy: 'search-user', userId: 'search-user', ...data });
+    const createMessage = (threadId, content, data = {}) => models.ModmailMessage.create({
+      threadId: `${guildId}-${threadId}`,
+      guildId,
+      direction: 'user_to_staff',
+      authorId: 'search-user',
+      content,
+      ...data
+    });
+    
+    await createThread('open', { subject: 'Refund for order' });
+    await createThread('closed', { subject: 'Ban appeal', open: false, closedAt: new Date(), userId: 'other-user' });
+    await models.ModmailThread.create({ id: `${otherGuildId}-thread`, guildId: otherGuildId, userId: 'search-user', createdBy: 'search-user', subject: 'Refund elsewhere' });
+    
+    await createMessage('open', 'Hello, I would like a refund please', { channelMessageId: 'channel-message-1' });
+    await createMessage('open', 'We can issue your refund tomorrow', { direction: 'staff_to_user', authorId: 'search-staff', channelMessageId: 'channel-message-2' });
+    const oldMessage = await createMessage('closed', 'My refund was denied last year', { createdAt: new Date(Date.now() - 30 * day) });
+    const edited = await createMessage('closed', 'I was banned for spamming');
+    
+    // Subjects and messages both match, other guilds never do
+    const all = await searchModmail(client, guildId, { query: 'refund', limit: 10 });
+    if (all.total !== 4 || all.results.some(result => !result.threadId.startsWith(guildId))) {
+      throw new Error(`Expected four matches in this guild, got ${JSON.stringify(all.results)}`);
+    }
+    
+    if (!all.results.some(result => !result.messageId && result.snippet === '**Refund** for order')) {
+      throw new Error('Thread subject did not match');
+    }
+    
+    // Filters
+    const byUser = await searchModmail(client, guildId, { query: 'refund', userId: 'other-user' });
+    const closed = await searchModmail(client, guildId, { query: 'refund', status: 'closed' });
+    const recent = await searchModmail(client, guildId, { query: 'refund', from: new Date(Date.now() - day) });
+    const older = await searchModmail(client, guildId, { query: 'refund', to: new Date(Date.now() - day) });
+    
+    if (byUser.total !== 1 || closed.total !== 1 || recent.total !== 3 || older.total !== 1 || older.results[0].messageId !== oldMessage.id) {
+      throw new Error(`Filters were not applied: ${[byUser.total, closed.total, recent.total, older.total].join()}`);
+    }
+    
+    // Edits, deletions and subject changes are followed
+    await edited.recordEdit('I was banned for posting links');
+    await oldMessage.destroy();
+    await models.ModmailThread.update({ subject: 'Appeal of my ban' }, { where: { id: `${guildId}-closed` } });
+    
+    if ((await searchModmail(client, guildId, { query: 'spamming' })).total !== 0 || (await searchModmail(client, guildId, { query: 'posting links' })).total !== 1) {
+      throw new Error('Edited message was not reindexed');
+    }
+    
+    if ((await searchModmail(client, guildId, { query: 'denied' })).total !== 0 || (await searchModmail(client, guildId, { query: 'appeal ban' })).total !== 1) {
+      throw new Error('Deleted message or changed subject was not reindexed');
+    }
+    
+    // Results link to channels that still exist and point to transcripts otherwise
+    await models.ModmailTranscript.create({
+      threadId: `${guildId}-closed`,
+      userId: 'other-user',
+      guildId,
+      filePath: `${guildId}/transcript.html`,
+      format: 'html',
+      size: 100
+    });
+    
+    const guild = {
+      id: guildId,
+      channels: {
+        cache: new Map([[`${guildId}-open`, { id: `${guildId}-open` }]]),
+        fetch: async () => { throw new Error('Unknown Channel'); }
+      }
+    };
+    
+    const runSearch = async (id, options) => {
+      let reply;
+      await modmailCommand.handleSearch({
+        id,
+        guild,
+        options: {
+          getString: name => options[name] ?? null,
+          getUser: () => null
+        },
+        editReply: async data => { reply = data; }
+      }, client);
+      return reply;
+    };
+    
+    const reply = await runSearch('search-interaction', { query: 'refund' });
+    const text = reply.embeds[0].data.description;
+    
+    if (!text.includes(`https://discord.com/channels/${guildId}/${guildId}-open/channel-message-2`) || !text.includes('Reply by <@search-staff>')) {
+      throw new Error(`Jump link is missing:\n${text}`);
+    }
+    
+    const banReply = await runSearch('ban-interaction', { query: 'ban*' });
+    if (!banReply.embeds[0].data.description.includes('/modmail transcripts user:other-user id:')) {
+      throw new Error(`Transcript was not offered for a deleted channel:\n${banReply.embeds[0].data.description}`);
+    }
+    
+    const invalid = await runSearch('invalid-interaction', { query: 'refund', from: '2024-13-40' });
+    if (!invalid.embeds[0].data.description.includes('not a valid date')) {
+      throw new Error('Invalid date was accepted');
+    }
+    
+    // Pagination
+    for (let i = 1; i <= 6; i++) {
+      await createMessage('open', `Follow up number ${i} about the invoice`);
+    }
+    
+    const firstPage = await runSearch('page-interaction', { query: 'invoice' });
+    const next = firstPage.components[0].components[1];
+    if (firstPage.embeds[0].data.footer.text !== 'Page 1 of 2 - 6 match(es)' || next.custom_id !== 'modmail_search_page-interaction_1') {
+      throw new Error(`Unexpected first page ${firstPage.embeds[0].data.footer.text}`);
+    }
+    
+    let updated;
+    const press = (customId, buttonGuild = guild) => modmailCommand.handleSearchButton({ customId, guild: buttonGuild, update: async data => { updated = data; } }, client);
+    
+    await press(next.custom_id);
+    if (!updated.embeds[0].data.description.includes('number 1') || !updated.components[0].components[1].disabled) {
+      throw new Error('Second page did not show the oldest match');
+    }
+    
+    // Buttons only work in the guild that ran the search
+    await press(next.custom_id, { ...guild, id: otherGuildId });
+    if (!updated.embeds[0].data.description.includes('expired') || updated.components.length !== 0) {
+      throw new Error('Search was shown in another guild');
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailTranscript.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await models.ModmailThread.destroy({ where: { guildId: otherGuildId }, force: true });
+    
+    if ((await searchModmail(client, guildId, { query: 'refund' })).total !== 0) {
+      throw new Error('Destroyed threads are still in the index');
+    }
+    
+    logger.info('✅ Modmail search test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Modmail search test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
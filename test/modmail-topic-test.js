@@ -0,0 +1,124 @@
+/**
+ * Modmail Topic Test
+ *
+ * Verifies that topics are looked up per guild, that the topic menu and the
+ * intake modal carry the right IDs, and that threads are counted per topic
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { buildIntakeModal, buildTopicPrompt, getGuildTopics } = require('../src/utils/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting modmail topic test...');
+    
+    const { models } = await connectToDatabase();
+    const client = { db: models };
+    
+    const guildId = `topic-test-${Date.now()}`;
+    const otherGuildId = `${guildId}-other`;
+    const guild = { id: guildId, name: 'Topic Test Guild' };
+    
+    // Create two topics in the test guild and one elsewhere
+    const report = await models.ModmailTopic.create({
+      guildId,
+      name: 'Report',
+      description: 'Report a member',
+      categoryId: 'category-report',
+      staffRoleId: 'role-mods',
+      pingStaff: true,
+      createdBy: 'test-admin'
+    });
+    
+    const appeal = await models.ModmailTopic.create({
+      guildId,
+      name: 'Ban Appeal',
+      categoryId: 'category-appeals',
+      staffRoleId: 'role-admins',
+      welcomeMessage: 'Hi {user}, an administrator of {guild} will review your appeal.',
+      createdBy: 'test-admin'
+    });
+    
+    const foreign = await models.ModmailTopic.create({
+      guildId: otherGuildId,
+      name: 'Report',
+      categoryId: 'category-other',
+      staffRoleId: 'role-other',
+      createdBy: 'test-admin'
+    });
+    
+    // Lookups are case-insensitive and limited to the guild
+    const found = await models.ModmailTopic.findByName(guildId, '  ban appeal ');
+    if (!found || found.id !== appeal.id) {
+      throw new Error('Topic was not found by its name');
+    }
+    
+    if (await models.ModmailTopic.findGuildTopic(guildId, foreign.id)) {
+      throw new Error('Topic from another guild was returned');
+    }
+    
+    const topics = await getGuildTopics(client, guildId);
+    if (topics.map(topic => topic.name).join(',') !== 'Ban Appeal,Report') {
+      throw new Error(`Unexpected guild topics: ${topics.map(topic => topic.name).join(',')}`);
+    }
+    
+    // The topic menu lists every topic by ID
+    const prompt = buildTopicPrompt(guild, topics);
+    const menu = prompt.components[0].components[0];
+    
+    if (menu.custom_id !== `modmail_topic_select_${guildId}`) {
+      throw new Error(`Unexpected topic menu ID ${menu.custom_id}`);
+    }
+    
+    if (menu.options.length !== 2 || menu.options[1].value !== String(report.id) || menu.options[1].description !== 'Report a member') {
+      throw new Error('Topic menu options do not match the topics');
+    }
+    
+    // The intake modal keeps the picked topic
+    const modal = buildIntakeModal(guild, ['What happened?'], report.id);
+    if (modal.custom_id !== `modmail_intake_${guildId}_${report.id}`) {
+      throw new Error(`Unexpected intake modal ID ${modal.custom_id}`);
+    }
+    
+    if (buildIntakeModal(guild, ['What happened?']).custom_id !== `modmail_intake_${guildId}`) {
+      throw new Error('Intake modal without a topic has an unexpected ID');
+    }
+    
+    // Threads are counted per topic
+    const threadIds = [];
+    for (const topicId of [report.id, report.id, appeal.id, null]) {
+      const thread = await models.ModmailThread.create({
+        id: `${guildId}-thread-${threadIds.length}`,
+        userId: 'test-user',
+        guildId,
+        subject: 'Topic test',
+        createdBy: 'test-user',
+        topicId
+      });
+      threadIds.push(thread.id);
+    }
+    
+    const counts = await models.ModmailThread.countByTopic(guildId);
+    const countFor = topicId => (counts.find(row => row.topicId === topicId) || { count: 0 }).count;
+    
+    if (countFor(report.id) !== 2 || countFor(appeal.id) !== 1 || countFor(null) !== 1) {
+      throw new Error(`Unexpected topic counts: ${JSON.stringify(counts)}`);
+    }
+    
+    if ((await models.ModmailThread.countByTopic(guildId, new Date(Date.now() + 60000))).length !== 0) {
+      throw new Error('Threads created before the start date were counted');
+    }
+    
+    // Clean up
+    await models.ModmailThread.destroy({ where: { id: threadIds }, force: true });
+    await models.ModmailTopic.destroy({ where: { guildId: [guildId, otherGuildId] } });
+    
+    logger.info('✅ Modmail topic test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Modmail topic test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
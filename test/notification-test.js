@@ -0,0 +1,181 @@
+/**
+ * Notification Test
+ *
+ * Verifies that staff are pinged about new threads and replies in quiet
+ * threads, that cooldowns and quiet hours hold pings back, and that
+ * forwarded user messages never ping anyone
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { getThreadPing, isQuietTime, parseQuietHours } = require('../src/utils/notifications');
+const { forwardUserMessage } = require('../src/utils/modmail');
+const modmailSetupCommand = require('../src/commands/admin/modmail-setup');
+
+async function runTest() {
+  try {
+    logger.info('Starting notification test...');
+    
+    // Quiet hours, including ones past midnight
+    const overnight = { ...parseQuietHours('22:00-7:00'), timezone: 'UTC' };
+    if (overnight.end !== '07:00' || parseQuietHours('25:00-07:00') !== null || parseQuietHours('08:00-08:00') !== null) {
+      throw new Error('Quiet hours were not parsed');
+    }
+    
+    if (!isQuietTime(overnight, new Date('2026-01-05T23:30:00Z')) || !isQuietTime(overnight, new Date('2026-01-05T03:00:00Z')) || isQuietTime(overnight, new Date('2026-01-05T12:00:00Z'))) {
+      throw new Error('Quiet hours past midnight were not applied');
+    }
+    
+    const { models } = await connectToDatabase();
+    const guildId = `notification-test-${Date.now()}`;
+    
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Notification Test Guild'
+      }
+    });
+    
+    const client = { db: models };
+    const guild = { id: guildId, name: 'Notification Test Guild' };
+    
+    // Configure through /modmail-setup notifications
+    const runSetup = async (subcommand, options = {}) => {
+      let reply;
+      await modmailSetupCommand.handleNotifications({
+        guild,
+        options: {
+          get: name => options[name],
+          getBoolean: name => options[name] ?? null,
+          getString: name => options[name] ?? null,
+          getInteger: name => options[name] ?? null
+        },
+        editReply: async data => { reply = data; }
+      }, client, guildSettings, subcommand);
+      return reply.embeds[0].data;
+    };
+    
+    if (!(await runSetup('add', { target: { role: { id: guildId } } })).description.includes('@everyone')) {
+      throw new Error('@everyone was accepted as a ping target');
+    }
+    
+    await runSetup('add', { target: { role: { id: 'staff-role' } } });
+    await runSetup('add', { target: { user: { id: 'staff-user' } } });
+    
+    if (!(await runSetup('set', { quiet_hours: 'late' })).description.includes('not a valid time range')) {
+      throw new Error('Invalid quiet hours were accepted');
+    }
+    
+    await runSetup('set', { idle_minutes: 60, cooldown_minutes: 10 });
+    
+    const notifications = guildSettings.getSetting('modmail.notifications');
+    if (notifications.roleIds.join() !== 'staff-role' || notifications.userIds.join() !== 'staff-user' || notifications.idleMinutes !== 60) {
+      throw new Error(`Settings were not stored: ${JSON.stringify(notifications)}`);
+    }
+    
+    const createThread = name => models.ModmailThread.create({
+      id: `${guildId}-${name}`,
+      userId: 'notification-user',
+      guildId,
+      subject: 'Notification test',
+      createdBy: 'notification-user'
+    });
+    
+    // New threads ping the targets and the topic role
+    const thread = await createThread('thread');
+    const opened = await getThreadPing(client, thread, 'thread', { roleIds: ['topic-role'] });
+    
+    if (opened.content !== '<@&topic-role> <@&staff-role> <@staff-user>' || opened.allowedMentions.parse.length !== 0 || opened.allowedMentions.roles.length !== 2) {
+      throw new Error(`Unexpected new thread ping ${JSON.stringify(opened)}`);
+    }
+    
+    // Replies ping only after the thread was quiet and outside the cooldown
+    const now = Date.now();
+    const minutesAgo = minutes => new Date(now - minutes * 60 * 1000);
+    
+    if (await getThreadPing(client, thread, 'reply', { lastActivityAt: minutesAgo(90), now: minutesAgo(-5) })) {
+      throw new Error('Reply pinged within the cooldown');
+    }
+    
+    if (await getThreadPing(client, thread, 'reply', { lastActivityAt: minutesAgo(5), now: minutesAgo(-30) })) {
+      throw new Error('Reply pinged in an active thread');
+    }
+    
+    if (!await getThreadPing(client, thread, 'reply', { lastActivityAt: minutesAgo(90), now: minutesAgo(-30) })) {
+      throw new Error('Reply in a quiet thread did not ping');
+    }
+    
+    // Every reply, held back by quiet hours
+    await runSetup('set', { replies: 'every', cooldown_minutes: 0 });
+    const busy = await createThread('busy');
+    
+    if (!await getThreadPing(client, busy, 'reply', { lastActivityAt: new Date() })) {
+      throw new Error('Reply did not ping with every reply on');
+    }
+    
+    await runSetup('set', { quiet_hours: '00:00-23:59' });
+    if (guildSettings.getSetting('modmail.notifications.quietHours.timezone') !== 'UTC') {
+      throw new Error('Quiet hours did not default to UTC');
+    }
+    
+    if (await getThreadPing(client, busy, 'reply', { lastActivityAt: new Date(), now: new Date('2026-01-05T12:00:00Z') })) {
+      throw new Error('Reply pinged during quiet hours');
+    }
+    
+    // The topic's staff role is pinged for new threads even during quiet hours
+    const topicThread = await createThread('topic');
+    const topicOnly = await getThreadPing(client, topicThread, 'thread', { roleIds: ['topic-role'], now: new Date('2026-01-05T12:00:00Z') });
+    
+    if (!topicOnly || topicOnly.content !== '<@&topic-role>' || topicOnly.allowedMentions.roles.join() !== 'topic-role') {
+      throw new Error(`Topic role was not pinged during quiet hours: ${JSON.stringify(topicOnly)}`);
+    }
+    
+    if (topicThread.metadata && topicThread.metadata.lastPingAt) {
+      throw new Error('Topic ping started the cooldown');
+    }
+    
+    await runSetup('set', { quiet_hours: 'off' });
+    
+    // Forwarded user content never pings, only the configured targets do
+    const sent = [];
+    const channel = {
+      guild: { id: guildId, premiumTier: 0 },
+      send: async data => { sent.push(data); return { id: `channel-${sent.length}` }; }
+    };
+    const message = {
+      id: 'notification-dm',
+      author: { id: 'notification-user', tag: 'notification-user#0001', displayAvatarURL: () => null },
+      content: '@everyone <@&admin-role> help',
+      attachments: []
+    };
+    
+    await forwardUserMessage(client, busy, channel, message);
+    if (sent[0].allowedMentions.parse.length !== 0 || sent[0].allowedMentions.roles.join() !== 'staff-role' || !sent[0].content.startsWith('<@&staff-role>')) {
+      throw new Error(`Forwarded message allowed other mentions: ${JSON.stringify(sent[0].allowedMentions)}`);
+    }
+    
+    await runSetup('set', { replies: 'off' });
+    await forwardUserMessage(client, busy, channel, message);
+    if (sent[1].content !== undefined || sent[1].allowedMentions.parse.length !== 0) {
+      throw new Error(`Forwarded message without a ping allowed mentions: ${JSON.stringify(sent[1])}`);
+    }
+    
+    await runSetup('remove', { target: { role: { id: 'staff-role' } } });
+    if (guildSettings.getSetting('modmail.notifications.roleIds').length !== 0) {
+      throw new Error('Role was not removed');
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Notification test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Notification test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Placeholder Test
+ * 
+ * Verifies that snippet placeholders are replaced and unknown ones are left intact
+ */
+const { logger } = require('../src/utils/logger');
+const { fillPlaceholders } = require('../src/utils/placeholders');
+
+function runTest() {
+  const context = {
+    user: { id: '111', username: 'someone', globalName: 'Someone', tag: 'someone' },
+    guild: { id: '222', name: 'Test Guild' },
+    staff: { id: '333', username: 'helper', tag: 'helper' }
+  };
+  
+  const cases = [
+    ['Hi {user}, welcome to {guild}!', 'Hi Someone, welcome to Test Guild!'],
+    ['{user_mention} - {staff}', '<@111> - helper'],
+    ['Case is {USER}', 'Case is Someone'],
+    ['Unknown {nothing} stays', 'Unknown {nothing} stays'],
+    ['No placeholders', 'No placeholders']
+  ];
+  
+  let failures = 0;
+  
+  for (const [input, expected] of cases) {
+    const result = fillPlaceholders(input, context);
+    
+    if (result !== expected) {
+      failures++;
+      logger.error(`Expected "${expected}" but got "${result}" for input "${input}"`);
+    }
+  }
+  
+  // A forced staff name must replace every staff placeholder
+  const anonymous = fillPlaceholders('{staff} / {staff_mention}', { ...context, staffName: 'Support Team' });
+  if (anonymous !== 'Support Team / Support Team') {
+    failures++;
+    logger.error(`Staff name leaked in anonymous context: ${anonymous}`);
+  }
+  
+  // Missing context values should leave placeholders untouched
+  const partial = fillPlaceholders('{user} from {guild}', { guild: context.guild });
+  if (partial !== '{user} from Test Guild') {
+    failures++;
+    logger.error(`Unexpected result with partial context: ${partial}`);
+  }
+  
+  if (failures > 0) {
+    logger.error(`❌ Placeholder test failed with ${failures} failure(s)`);
+    process.exit(1);
+  }
+  
+  logger.info('✅ Placeholder test passed');
+  process.exit(0);
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Prefix Reply Test
+ *
+ * Verifies that staff messages are matched against the reply prefixes and that
+ * replies relay their attachments through the shared staff reply path, and
+ * that ordinary server messages are filtered out without database queries,
+ * and that staff edits of a kept prefix reply message sync to the reply
+ */
+const { ChannelType } = require('discord.js');
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { clearPrefixReplySettings, matchReplyPrefix, sendStaffReply } = require('../src/utils/modmail');
+const messageCreate = require('../src/events/discord.messageCreate');
+const messageUpdate = require('../src/events/discord.messageUpdate');
+
+async function runTest() {
+  try {
+    logger.info('Starting prefix reply test...');
+    
+    // Default prefixes
+    const cases = [
+      ['!r Hello there', { anonymous: false, content: 'Hello there' }],
+      ['!ar  Hello there ', { anonymous: true, content: 'Hello there' }],
+      ['!R hi', { anonymous: false, content: 'hi' }],
+      ['!r', { anonymous: false, content: '' }],
+      ['!reply hi', null],
+      ['Internal discussion', null],
+      ['', null]
+    ];
+    
+    for (const [content, expected] of cases) {
+      const result = matchReplyPrefix(content, {});
+      if (JSON.stringify(result) !== JSON.stringify(expected)) {
+        throw new Error(`matchReplyPrefix(${JSON.stringify(content)}) returned ${JSON.stringify(result)}`);
+      }
+    }
+    
+    // Custom prefixes where one starts with the other
+    const custom = { prefix: '.', anonymousPrefix: '.a' };
+    if (matchReplyPrefix('.a secret', custom)?.anonymous !== true || matchReplyPrefix('. named', custom)?.anonymous !== false) {
+      throw new Error('Longer prefix was not matched first');
+    }
+    
+    // Replies relay attachments and update the thread like modal replies
+    const { models } = await connectToDatabase();
+    const guildId = `prefix-test-${Date.now()}`;
+    
+    const thread = await models.ModmailThread.create({
+      id: `${guildId}-thread`,
+      userId: 'prefix-user',
+      guildId,
+      subject: 'Prefix test',
+      createdBy: 'prefix-user',
+      messageCount: 1
+    });
+    
+    const dms = [];
+    const echoes = [];
+    const user = { id: 'prefix-user', send: async data => { dms.push(data); return { id: 'dm-message' }; } };
+    const staff = { id: 'prefix-staff', tag: 'staff#0001', displayAvatarURL: () => null };
+    const guild = { id: guildId, name: 'Prefix Test Guild', iconURL: () => null };
+    const channel = { id: thread.id, send: async data => { echoes.push(data); return { id: `echo-${echoes.length}` }; } };
+    const client = { db: models, users: { fetch: async () => user } };
+    
+    const attachment = { id: 'attachment-1', name: 'screenshot.png', url: 'https://cdn.example.com/screenshot.png', size: 1024, contentType: 'image/png' };
+    
+    await sendStaffReply(client, thread, { guild, channel, staff, content: '', attachments: [attachment], source: 'staff_prefix_reply' });
+    
+    if (dms[0].files[0]?.name !== attachment.name || echoes[0].files[0]?.name !== attachment.name) {
+      throw new Error('Attachment was not relayed to the user and echoed in the channel');
+    }
+    
+    await thread.reload();
+    if (thread.messageCount !== 2 || !thread.firstStaffResponseAt) {
+      throw new Error('Thread was not updated after the reply');
+    }
+    
+    const stored = await models.ModmailMessage.findOne({ where: { threadId: thread.id, direction: 'staff_to_user' } });
+    if (!stored || stored.attachments.length !== 1 || stored.attachments[0].name !== 'screenshot.png') {
+      throw new Error('Reply attachments were not stored');
+    }
+    
+    // Server messages only reach the database when they could be a prefix reply
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: { guildId, guildName: 'Prefix Test Guild' }
+    });
+    await guildSettings.updateSettings({ modmail: { enabled: true, prefixReplies: { enabled: true } } });
+    
+    const queries = { guild: 0, thread: 0 };
+    const findGuild = models.Guild.findOne.bind(models.Guild);
+    const findThread = models.ModmailThread.findOne.bind(models.ModmailThread);
+    models.Guild.findOne = options => { queries.guild++; return findGuild(options); };
+    models.ModmailThread.findOne = options => { queries.thread++; return findThread(options); };
+    
+    const sendServerMessage = (content, parentId = 'modmail-category') => messageCreate.execute({
+      author: { id: 'member', bot: false },
+      guild,
+      channel: { id: 'general', type: ChannelType.GuildText, parentId },
+      content,
+      attachments: new Map()
+    }, client);
+    
+    await sendServerMessage('!r not in a category', null);
+    await sendServerMessage('');
+    
+    if (queries.guild !== 0) {
+      throw new Error('Messages that cannot be prefix replies queried the guild settings');
+    }
+    
+    for (let i = 0; i < 3; i++) {
+      await sendServerMessage(`Just chatting ${i}`);
+    }
+    
+    if (queries.guild !== 1 || queries.thread !== 0) {
+      throw new Error(`Expected one cached settings query and no thread lookup, got ${JSON.stringify(queries)}`);
+    }
+    
+    // Changing the settings clears the cache
+    clearPrefixReplySettings(guildId);
+    await sendServerMessage('!r not a thread');
+    
+    if (queries.guild !== 2 || queries.thread !== 1) {
+      throw new Error(`Prefixed message was not checked against fresh settings: ${JSON.stringify(queries)}`);
+    }
+    
+    models.Guild.findOne = findGuild;
+    models.ModmailThread.findOne = findThread;
+    
+    // Editing the kept prefix reply message fixes the reply, removing the prefix leaves it alone
+    await sendStaffReply(client, thread, { guild, channel, staff, content: 'Helo', source: 'staff_prefix_reply', staffMessageId: 'staff-typed' });
+    
+    const editClient = { db: models, channels: { fetch: async () => null }, users: { fetch: async () => null } };
+    const editStaffMessage = (before, after) => messageUpdate.execute(
+      { partial: false, content: before },
+      { id: 'staff-typed', author: { id: staff.id, bot: false }, guildId, channel: { type: ChannelType.GuildText }, content: after },
+      editClient
+    );
+    
+    await editStaffMessage('!r Helo', '!r Hello');
+    await editStaffMessage('!r Hello', 'Hello, internal now');
+    
+    const edited = await models.ModmailMessage.findOne({ where: { staffMessageId: 'staff-typed' } });
+    if (!edited || edited.content !== 'Hello' || edited.metadata.edits.length !== 1) {
+      throw new Error(`Staff edit of a prefix reply was not synced: ${JSON.stringify(edited)}`);
+    }
+    
+    // Clean up
+    await guildSettings.destroy();
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailAttachment.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    
+    logger.info('✅ Prefix reply test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Prefix reply test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
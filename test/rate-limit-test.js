@@ -0,0 +1,207 @@
+/**
+ * Rate Limit Test
+ *
+ * Verifies that DMs past a user's burst are collapsed into a batched relay or
+ * held and relayed one by one, that staff are told when the limit is hit, and
+ * that users can be blocked automatically
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { applyMessageDelete, applyMessageEdit } = require('../src/utils/modmail');
+const { relayUserMessage } = require('../src/utils/rateLimit');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+  try {
+    logger.info('Starting rate limit test...');
+    
+    const { models } = await connectToDatabase();
+    const guildId = `ratelimit-test-${Date.now()}`;
+    
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Rate Limit Test Guild'
+      }
+    });
+    
+    const setRateLimit = rateLimit => guildSettings.updateSettings({
+      modmail: { rateLimit: { enabled: true, burst: 2, refillSeconds: 1, noticeAfter: 1, autoBlockAfter: 0, autoBlockDurationMs: null, ...rateLimit } }
+    });
+    
+    const client = { db: models };
+    
+    // Everything a user and their thread channel send is captured
+    const createSetup = async name => {
+      const channelMessages = [];
+      const userMessages = [];
+      const reactions = [];
+      
+      const thread = await models.ModmailThread.create({
+        id: `${guildId}-${name}`,
+        userId: name,
+        guildId,
+        subject: 'Rate limit test',
+        createdBy: name
+      });
+      
+      const author = {
+        id: name,
+        tag: `${name}#0001`,
+        displayAvatarURL: () => null,
+        toString: () => `<@${name}>`,
+        send: async data => { userMessages.push(data); return {}; }
+      };
+      
+      const dmChannel = { send: async data => { userMessages.push(data); return {}; } };
+      const channel = {
+        guild: { id: guildId, name: 'Rate Limit Test Guild' },
+        send: async data => { channelMessages.push(data); return { id: `channel-${channelMessages.length}` }; }
+      };
+      
+      const message = index => ({
+        id: `${name}-message-${index}`,
+        author,
+        content: `Message ${index}`,
+        channel: dmChannel,
+        react: async emoji => { reactions.push(emoji); }
+      });
+      
+      const relayed = () => channelMessages.filter(data => data.embeds);
+      const notices = () => channelMessages.filter(data => !data.embeds).map(data => data.content);
+      
+      return { thread, channel, message, relayed, notices, userMessages, reactions };
+    };
+    
+    // Batch mode collapses everything past the burst into one relay
+    await setRateLimit({ mode: 'batch' });
+    const batch = await createSetup('batch-user');
+    
+    const results = [];
+    for (let i = 1; i <= 5; i++) {
+      results.push(await relayUserMessage(client, batch.thread, batch.channel, batch.message(i)));
+    }
+    
+    if (results.map(result => result.limited).join() !== 'false,false,true,true,true' || batch.relayed().length !== 2) {
+      throw new Error(`Burst was not applied: ${JSON.stringify(results)}`);
+    }
+    
+    if (!batch.notices().some(notice => notice.includes('hit the message rate limit 1 time(s)'))) {
+      throw new Error('Staff were not told the limit was hit');
+    }
+    
+    await wait(1300);
+    
+    const batched = batch.relayed();
+    if (batched.length !== 3 || !batched[2].embeds[0].description.startsWith('📦 **3 more messages**') || !batched[2].embeds[0].description.includes('Message 5')) {
+      throw new Error(`Held messages were not batched: ${JSON.stringify(batched.map(data => data.embeds[0].description))}`);
+    }
+    
+    if (batch.reactions.filter(emoji => emoji === '✅').length !== 3) {
+      throw new Error('Batched messages were not confirmed once relayed');
+    }
+    
+    await batch.thread.reload();
+    if (batch.thread.messageCount !== 5) {
+      throw new Error(`Batched messages were not all counted: ${batch.thread.messageCount}`);
+    }
+    
+    if (!batch.userMessages.some(data => data.content.includes('delivered together'))) {
+      throw new Error('User was not told that their messages are batched');
+    }
+    
+    // Every held message is stored against the batched relay, so edits and deletions stay in sync
+    const stored = [];
+    for (let i = 3; i <= 5; i++) {
+      stored.push(await models.ModmailMessage.findByDiscordMessageId(`batch-user-message-${i}`));
+    }
+    
+    if (stored.some(message => !message || message.channelMessageId !== stored[0].channelMessageId) || stored.map(message => message.content).join() !== 'Message 3,Message 4,Message 5') {
+      throw new Error(`Held messages were not stored one by one: ${JSON.stringify(stored)}`);
+    }
+    
+    const batchEmbed = { ...batched[2].embeds[0] };
+    const syncClient = {
+      db: models,
+      channels: {
+        fetch: async () => ({
+          messages: {
+            fetch: async () => ({
+              embeds: [{ toJSON: () => ({ ...batchEmbed }) }],
+              edit: async data => { Object.assign(batchEmbed, data.embeds[0]); }
+            })
+          }
+        })
+      }
+    };
+    
+    await applyMessageEdit(syncClient, stored[0], 'Message 3, edited');
+    await applyMessageDelete(syncClient, stored[1], 'batch-user');
+    
+    if (!batchEmbed.description.includes('Message 3, edited *(edited)*') || !batchEmbed.description.includes('~~Message 4~~') || !batchEmbed.description.includes('Message 5')) {
+      throw new Error(`Batched relay was not updated for an edit and a deletion: ${batchEmbed.description}`);
+    }
+    
+    // Hold mode warns the user and relays held messages one by one
+    await setRateLimit({ mode: 'hold', burst: 1 });
+    const hold = await createSetup('hold-user');
+    
+    for (let i = 1; i <= 3; i++) {
+      await relayUserMessage(client, hold.thread, hold.channel, hold.message(i));
+    }
+    
+    if (hold.relayed().length !== 1 || !hold.userMessages.some(data => data.content.includes('being held'))) {
+      throw new Error('User was not warned that their messages are held');
+    }
+    
+    await wait(2300);
+    
+    const held = hold.relayed().map(data => data.embeds[0].description);
+    if (held.join() !== 'Message 1,Message 2,Message 3') {
+      throw new Error(`Held messages were not relayed in order: ${held.join()}`);
+    }
+    
+    // Auto-block once the limit is hit often enough
+    await setRateLimit({ mode: 'batch', burst: 1, autoBlockAfter: 1, autoBlockDurationMs: 60 * 60 * 1000 });
+    const flood = await createSetup('flood-user');
+    
+    await relayUserMessage(client, flood.thread, flood.channel, flood.message(1));
+    const blocked = await relayUserMessage(client, flood.thread, flood.channel, flood.message(2));
+    
+    if (!blocked.blocked || !await models.ModmailBlock.findActiveBlock('flood-user', guildId)) {
+      throw new Error('User was not blocked after hitting the limit');
+    }
+    
+    if (!flood.notices().some(notice => notice.includes('automatically blocked'))) {
+      throw new Error('Staff were not told about the automatic block');
+    }
+    
+    // Turned off, every message is relayed at once
+    await guildSettings.updateSettings({ modmail: { rateLimit: { enabled: false } } });
+    const open = await createSetup('open-user');
+    
+    for (let i = 1; i <= 5; i++) {
+      await relayUserMessage(client, open.thread, open.channel, open.message(i));
+    }
+    
+    if (open.relayed().length !== 5) {
+      throw new Error('Messages were limited while rate limiting was off');
+    }
+    
+    // Clean up
+    await models.ModmailBlock.destroy({ where: { guildId } });
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Rate limit test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Rate limit test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Test Runner
+ *
+ * Runs the modmail test scripts one after another, each in its own temporary
+ * directory with a fresh database, so the shipped data/database.sqlite is
+ * never read or changed and stored files don't end up in the repository
+ *
+ * Usage: npm test [-- name ...] to only run the named tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { logger } = require('../src/utils/logger');
+
+// Scripts that set up their own data and exit with 0 when they pass
+const TESTS = [
+  'attachment-test.js',
+  'business-hours-test.js',
+  'duration-test.js',
+  'intake-form-test.js',
+  'message-template-test.js',
+  'modmail-block-test.js',
+  'modmail-forum-test.js',
+  'modmail-message-test.js',
+  'modmail-overflow-test.js',
+  'modmail-search-test.js',
+  'modmail-topic-test.js',
+  'notification-test.js',
+  'placeholders-test.js',
+  'prefix-reply-test.js',
+  'rate-limit-test.js',
+  'sla-test.js',
+  'staff-contact-test.js',
+  'thread-history-test.js',
+  'thread-lifecycle-test.js',
+  'transcript-test.js'
+];
+
+// Longest a single script may run
+const TEST_TIMEOUT = 120000;
+
+/**
+ * Run one test script in a temporary directory
+ * @param {string} file - Script file name in the test directory
+ * @returns {boolean} - Whether the script passed
+ */
+function runTestFile(file) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'modmail-test-'));
+  
+  try {
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], {
+      cwd,
+      env: { ...process.env, DATABASE_PATH: path.join(cwd, 'database.sqlite'), LOG_LEVEL: 'warn' },
+      encoding: 'utf8',
+      timeout: TEST_TIMEOUT
+    });
+    
+    if (result.status === 0) return true;
+    
+    const reason = result.error ? result.error.message : `exit code ${result.status}`;
+    logger.error(`${file} failed (${reason}):\n${result.stdout}${result.stderr}`);
+    return false;
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+function runTests() {
+  const names = process.argv.slice(2);
+  const files = names.length > 0
+    ? TESTS.filter(file => names.some(name => file.startsWith(name)))
+    : TESTS;
+  
+  const failed = [];
+  
+  for (const file of files) {
+    const passed = runTestFile(file);
+    logger.info(`${passed ? '✅' : '❌'} ${file}`);
+    if (!passed) failed.push(file);
+  }
+  
+  if (failed.length > 0) {
+    logger.error(`❌ ${failed.length} of ${files.length} test(s) failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+  
+  logger.info(`✅ All ${files.length} test(s) passed`);
+  process.exit(0);
+}
+
+runTests();
\ No newline at end of file
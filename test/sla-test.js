@@ -0,0 +1,83 @@
+/**
+ * SLA Test
+ *
+ * Verifies first-response and resolution medians, percentiles and breach
+ * counts, and that open threads without a staff reply are found once they
+ * pass the first-response target
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const modmailStats = require('../src/commands/admin/modmail-stats');
+
+const MINUTE = 60 * 1000;
+
+async function runTest() {
+  try {
+    logger.info('Starting SLA test...');
+    
+    const now = new Date('2026-10-19T12:00:00Z');
+    const minutesAgo = minutes => new Date(now.getTime() - minutes * MINUTE);
+    
+    // Answered after 10, 20, 30 and 90 minutes, one still waiting for 60 minutes
+    const threads = [
+      { createdAt: minutesAgo(300), firstStaffResponseAt: minutesAgo(290), open: false, closedAt: minutesAgo(180) },
+      { createdAt: minutesAgo(300), firstStaffResponseAt: minutesAgo(280), open: false, closedAt: minutesAgo(60) },
+      { createdAt: minutesAgo(200), firstStaffResponseAt: minutesAgo(170), open: true, closedAt: null },
+      { createdAt: minutesAgo(200), firstStaffResponseAt: minutesAgo(110), open: true, closedAt: null },
+      { createdAt: minutesAgo(60), firstStaffResponseAt: null, open: true, closedAt: null }
+    ];
+    
+    const { firstResponse, resolution } = modmailStats.calculateSla(threads, { firstResponseMs: 45 * MINUTE, resolutionMs: 3 * 60 * MINUTE }, now);
+    
+    if (firstResponse.count !== 4 || firstResponse.median !== 20 * MINUTE || firstResponse.p90 !== 90 * MINUTE) {
+      throw new Error(`Unexpected first response times: ${JSON.stringify(firstResponse)}`);
+    }
+    
+    // The 90 minute reply and the thread waiting 60 minutes are both past 45 minutes
+    if (firstResponse.breaches !== 2 || firstResponse.pending !== 1) {
+      throw new Error(`Unexpected first response breaches: ${JSON.stringify(firstResponse)}`);
+    }
+    
+    // Closed after 2h and 4h, and the two open 200 minute threads are past 3h
+    if (resolution.count !== 2 || resolution.median !== 120 * MINUTE || resolution.breaches !== 3 || resolution.pending !== 3) {
+      throw new Error(`Unexpected resolution times: ${JSON.stringify(resolution)}`);
+    }
+    
+    const untargeted = modmailStats.calculateSla(threads, {}, now);
+    if (untargeted.firstResponse.breaches !== null) {
+      throw new Error('Breaches were counted without a target');
+    }
+    
+    if (modmailStats.calculateSla([], {}, now).firstResponse.median !== null) {
+      throw new Error('An empty period returned a median');
+    }
+    
+    // Threads waiting past the target
+    const { models } = await connectToDatabase();
+    const guildId = `sla-test-${Date.now()}`;
+    
+    const waiting = await models.ModmailThread.create({ id: `${guildId}-waiting`, userId: 'sla-user', guildId, subject: 'Waiting', createdBy: 'sla-user' });
+    await models.ModmailThread.create({ id: `${guildId}-answered`, userId: 'sla-user', guildId, subject: 'Answered', createdBy: 'sla-user', firstStaffResponseAt: new Date() });
+    await models.ModmailThread.create({ id: `${guildId}-closed`, userId: 'sla-user', guildId, subject: 'Closed', createdBy: 'sla-user', open: false });
+    
+    const found = await models.ModmailThread.findAwaitingFirstResponse(guildId, new Date(Date.now() + MINUTE));
+    if (found.length !== 1 || found[0].id !== waiting.id) {
+      throw new Error(`Expected only the unanswered open thread, got ${found.map(thread => thread.id).join(', ')}`);
+    }
+    
+    if ((await models.ModmailThread.findAwaitingFirstResponse(guildId, new Date(Date.now() - 60 * MINUTE))).length !== 0) {
+      throw new Error('A thread within the target was listed as waiting too long');
+    }
+    
+    // Clean up
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    
+    logger.info('✅ SLA test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ SLA test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
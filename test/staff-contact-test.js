@@ -0,0 +1,188 @@
+/**
+ * Staff Contact Test
+ *
+ * Verifies that staff can open a thread by messaging a user first, that the
+ * thread is recorded as theirs without an away or welcome message, and that
+ * closed DMs or a failed channel leave nothing behind
+ */
+const { ChannelType } = require('discord.js');
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { createStaffThread } = require('../src/utils/modmail');
+const modmailCommand = require('../src/commands/admin/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting staff contact test...');
+    
+    const { models } = await connectToDatabase();
+    const guildId = `contact-test-${Date.now()}`;
+    
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'Contact Test Guild'
+      }
+    });
+    
+    await guildSettings.updateSettings({
+      modmail: {
+        enabled: true,
+        mode: 'forum',
+        forumChannelId: 'contact-forum',
+        messages: { welcome: 'Welcome to {guild}!' }
+      }
+    });
+    
+    const dms = [];
+    const deleted = [];
+    let dmsOpen = true;
+    
+    const createUser = (id, name) => ({
+      id,
+      tag: `${name}#0001`,
+      username: name,
+      bot: false,
+      createdTimestamp: Date.now(),
+      displayAvatarURL: () => null,
+      toString: () => `<@${id}>`,
+      send: async data => {
+        if (!dmsOpen) throw new Error('Cannot send messages to this user');
+        dms.push(data);
+        const dmId = `dm-${dms.length}`;
+        return { id: dmId, delete: async () => { deleted.push(dmId); } };
+      }
+    });
+    
+    const user = createUser(`${guildId}-user`, 'contact-user');
+    const staff = createUser(`${guildId}-staff`, 'contact-staff');
+    
+    const sent = [];
+    const forum = {
+      id: 'contact-forum',
+      type: ChannelType.GuildForum,
+      availableTags: [],
+      setAvailableTags: async tags => { forum.availableTags = tags.map((tag, index) => ({ id: `tag-${index}`, name: tag.name })); },
+      threads: {
+        create: async () => ({
+          id: `${guildId}-post`,
+          parentId: forum.id,
+          isThread: () => true,
+          send: async data => { sent.push(data); return { id: `message-${sent.length}` }; },
+          toString: () => `<#${guildId}-post>`
+        })
+      }
+    };
+    
+    let forumExists = true;
+    const memberIds = [];
+    const guild = {
+      id: guildId,
+      name: 'Contact Test Guild',
+      iconURL: () => null,
+      channels: { fetch: async id => (forumExists && id === forum.id ? forum : null) },
+      members: {
+        fetch: async id => {
+          if (!memberIds.includes(id)) throw new Error('Unknown Member');
+          return { joinedTimestamp: Date.now(), roles: { cache: { filter: () => [] } } };
+        }
+      }
+    };
+    
+    const client = { db: models, users: { fetch: async () => user } };
+    
+    // Closed DMs stop the thread before a channel is created
+    dmsOpen = false;
+    let dmError = null;
+    await createStaffThread(client, guild, { user, staff, content: 'About your prize' }).catch(error => { dmError = error; });
+    
+    if (!dmError || !dmError.message.includes("can't be sent direct messages") || sent.length !== 0 || await models.ModmailThread.findActiveThread(user.id, guildId)) {
+      throw new Error(`Closed DMs were not handled: ${dmError && dmError.message}`);
+    }
+    
+    // A channel that can't be created takes the DM back
+    dmsOpen = true;
+    forumExists = false;
+    let channelError = null;
+    await createStaffThread(client, guild, { user, staff, content: 'About your prize' }).catch(error => { channelError = error; });
+    
+    if (!channelError || deleted.join() !== 'dm-1') {
+      throw new Error('The DM was not deleted after the thread could not be created');
+    }
+    
+    // Through the command
+    forumExists = true;
+    dms.length = 0;
+    
+    const runContact = async () => {
+      let reply;
+      await modmailCommand.handleContact({
+        guild,
+        user: staff,
+        options: {
+          getUser: () => user,
+          getString: name => ({ message: 'You won the event prize!' })[name] ?? null
+        },
+        editReply: async data => { reply = data; }
+      }, client);
+      return reply;
+    };
+    
+    // Users who only share another server with the bot can't be contacted
+    const notMember = await runContact();
+    if (!notMember.embeds[0].data.description.includes('not a member of this server') || dms.length !== 0) {
+      throw new Error('A user outside the server was contacted');
+    }
+    
+    memberIds.push(user.id);
+    const reply = await runContact();
+    if (!reply.embeds[0].data.title.includes('Thread Opened')) {
+      throw new Error(`Thread was not opened: ${reply.embeds[0].data.description}`);
+    }
+    
+    const thread = await models.ModmailThread.findActiveThread(user.id, guildId);
+    if (!thread || thread.createdBy !== staff.id || !thread.firstStaffResponseAt) {
+      throw new Error('Thread was not recorded as opened by staff');
+    }
+    
+    // Only the staff message reaches the user, without the welcome or away messages
+    if (dms.length !== 1 || !dms[0].content.includes('opened a modmail conversation') || dms[0].embeds[0].description !== 'You won the event prize!') {
+      throw new Error(`Unexpected DMs ${JSON.stringify(dms)}`);
+    }
+    
+    const opening = sent.find(data => data.embeds)?.embeds[0];
+    if (!opening || opening.title !== 'Modmail Thread Opened by Staff' || opening.author.name !== staff.tag) {
+      throw new Error(`Unexpected opening message ${JSON.stringify(opening)}`);
+    }
+    
+    const [stored] = await models.ModmailMessage.findThreadMessages(thread.id);
+    if (!stored || stored.direction !== 'staff_to_user' || stored.authorId !== staff.id || stored.userMessageId !== 'dm-1') {
+      throw new Error('Opening message was not stored as a staff message');
+    }
+    
+    // The user's reply is routed to the new thread
+    if (client.userSessions.get(user.id)?.threadId !== thread.id) {
+      throw new Error('User session does not point to the new thread');
+    }
+    
+    // A second contact points to the open thread
+    const again = await runContact();
+    if (!again.embeds[0].data.description.includes('already has an open thread')) {
+      throw new Error('A second thread was opened for the same user');
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Staff contact test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Staff contact test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
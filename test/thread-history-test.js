@@ -0,0 +1,158 @@
+/**
+ * Thread History Test
+ *
+ * Verifies that a user's thread history is limited to one guild and paginated
+ * with transcript references, and that new threads list the user's previous ones
+ */
+const { ChannelType } = require('discord.js');
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { createModmailThread } = require('../src/utils/modmail');
+const modmailCommand = require('../src/commands/admin/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting thread history test...');
+    
+    const { models } = await connectToDatabase();
+    const guildId = `history-test-${Date.now()}`;
+    const otherGuildId = `${guildId}-other`;
+    
+    const user = {
+      id: `${guildId}-user`,
+      tag: 'history-user#0001',
+      username: 'history-user',
+      createdTimestamp: Date.now(),
+      displayAvatarURL: () => null,
+      toString: () => `<@${guildId}-user>`,
+      send: async () => ({})
+    };
+    
+    // Seven closed threads in this guild, one in another guild
+    for (let i = 1; i <= 7; i++) {
+      await models.ModmailThread.create({
+        id: `${guildId}-thread-${i}`,
+        userId: user.id,
+        guildId,
+        subject: `Issue ${i}`,
+        createdBy: user.id,
+        open: false,
+        closedAt: new Date(),
+        closedBy: i === 7 ? 'SYSTEM' : 'history-staff',
+        closeReason: `Reason ${i}`,
+        createdAt: new Date(Date.now() - (8 - i) * 60 * 1000)
+      });
+    }
+    
+    await models.ModmailThread.create({ id: `${otherGuildId}-thread`, userId: user.id, guildId: otherGuildId, subject: 'Elsewhere', createdBy: user.id });
+    
+    const threads = await models.ModmailThread.findUserThreads(user.id, guildId);
+    if (threads.length !== 7 || threads[0].subject !== 'Issue 7') {
+      throw new Error(`Expected 7 threads newest first, got ${threads.map(thread => thread.subject).join(', ')}`);
+    }
+    
+    if ((await models.ModmailThread.findUserThreads(user.id)).length !== 8) {
+      throw new Error('Threads from every guild were not returned without a guild');
+    }
+    
+    const transcript = await models.ModmailTranscript.create({
+      threadId: `${guildId}-thread-7`,
+      userId: user.id,
+      guildId,
+      filePath: `${guildId}/transcript.html`,
+      format: 'html',
+      size: 100
+    });
+    
+    const client = { db: models, users: { fetch: async () => user } };
+    const guild = { id: guildId, name: 'History Test Guild' };
+    
+    // First page
+    const firstPage = await modmailCommand.buildHistoryPage(client, guild, user, 0);
+    const firstText = firstPage.embeds[0].data.description;
+    const [previous, next] = firstPage.components[0].components;
+    
+    if ((firstText.match(/\*\*Issue \d\*\*/g) || []).length !== 5 || firstText.includes('Elsewhere')) {
+      throw new Error(`First page should list five threads from this guild:\n${firstText}`);
+    }
+    
+    if (!firstText.includes(`id:${transcript.id}`) || !firstText.includes(`thread_id:${guildId}-thread-6`) || !firstText.includes('**Reason:** Reason 7') || !firstText.includes('by the system')) {
+      throw new Error(`Thread details are missing:\n${firstText}`);
+    }
+    
+    if (!previous.disabled || next.disabled || next.custom_id !== `modmail_history_${user.id}_1`) {
+      throw new Error('Page buttons are wrong on the first page');
+    }
+    
+    // Second page through the button
+    let updated;
+    await modmailCommand.handleHistoryButton({ customId: next.custom_id, guild, update: async data => { updated = data; } }, client);
+    
+    const secondText = updated.embeds[0].data.description;
+    if ((secondText.match(/\*\*Issue \d\*\*/g) || []).length !== 2 || !secondText.includes('Issue 1') || !updated.components[0].components[1].disabled) {
+      throw new Error(`Second page should list the two oldest threads:\n${secondText}`);
+    }
+    
+    // Pages past the end show the last page
+    const clamped = await modmailCommand.buildHistoryPage(client, guild, user, 10);
+    if (clamped.embeds[0].data.footer.text !== 'Page 2 of 2 - 7 thread(s)') {
+      throw new Error(`Unexpected footer ${clamped.embeds[0].data.footer.text}`);
+    }
+    
+    // New threads list the previous ones
+    const [guildSettings] = await models.Guild.findOrCreate({
+      where: { guildId },
+      defaults: {
+        guildId,
+        guildName: 'History Test Guild'
+      }
+    });
+    
+    await guildSettings.updateSettings({ modmail: { enabled: true, mode: 'forum', forumChannelId: 'history-forum' } });
+    
+    const sent = [];
+    const forum = {
+      id: 'history-forum',
+      type: ChannelType.GuildForum,
+      availableTags: [],
+      setAvailableTags: async tags => { forum.availableTags = tags.map((tag, index) => ({ id: `tag-${index}`, name: tag.name })); },
+      threads: {
+        create: async () => ({
+          id: `${guildId}-post`,
+          parentId: forum.id,
+          isThread: () => true,
+          send: async data => { sent.push(data); return { id: `message-${sent.length}` }; },
+          toString: () => `<#${guildId}-post>`
+        })
+      }
+    };
+    
+    const newThreadGuild = {
+      ...guild,
+      channels: { fetch: async id => (id === forum.id ? forum : null) },
+      members: { fetch: async () => { throw new Error('Unknown Member'); } }
+    };
+    
+    await createModmailThread({ id: 'history-dm', author: user, content: 'Me again' }, client, newThreadGuild);
+    
+    const field = sent.flatMap(data => (data.embeds || []).flatMap(embed => embed.fields || [])).find(embedField => embedField.name.startsWith('Previous threads'));
+    if (!field || field.name !== 'Previous threads: 7' || (field.value.match(/\*\*Issue \d\*\*/g) || []).length !== 3 || !field.value.includes('Issue 7')) {
+      throw new Error(`New thread did not list the previous threads: ${JSON.stringify(field)}`);
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { guildId } });
+    await models.ModmailTranscript.destroy({ where: { guildId } });
+    await models.ModmailThread.destroy({ where: { guildId }, force: true });
+    await models.ModmailThread.destroy({ where: { guildId: otherGuildId }, force: true });
+    await guildSettings.destroy();
+    
+    logger.info('✅ Thread history test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Thread history test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Thread Lifecycle Test
+ * 
+ * Verifies assigning, scheduling, closing and reopening modmail threads in the database
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { runScheduledCloses } = require('../src/utils/modmail');
+
+async function runTest() {
+  try {
+    logger.info('Starting thread lifecycle test...');
+    
+    const { models } = await connectToDatabase();
+    
+    const threadId = `lifecycle-test-${Date.now()}`;
+    const thread = await models.ModmailThread.create({
+      id: threadId,
+      userId: `lifecycle-user-${Date.now()}`,
+      guildId: 'lifecycle-guild',
+      subject: 'Lifecycle test',
+      createdBy: 'lifecycle-user'
+    });
+    
+    // Assign the thread and count it per assignee
+    await thread.assignTo('test-staff');
+    
+    let assigneeCounts = await models.ModmailThread.countOpenByAssignee(thread.guildId);
+    if (!assigneeCounts.some(row => row.assignedTo === 'test-staff' && row.count >= 1)) {
+      throw new Error('Assigned thread is not counted for its assignee');
+    }
+    
+    // With a topic filter, threads of other topics are left out
+    assigneeCounts = await models.ModmailThread.countOpenByAssignee(thread.guildId, 999);
+    if (assigneeCounts.some(row => row.assignedTo === 'test-staff')) {
+      throw new Error('Thread without the topic was counted for its assignee');
+    }
+    
+    if (!await thread.unassign() || thread.assignedTo || await thread.unassign()) {
+      throw new Error('Thread was not unassigned correctly');
+    }
+    
+    // Schedule a close and cancel it
+    await thread.scheduleClose('test-staff', 'Testing schedule', new Date(Date.now() + 60000));
+    
+    let dueThreads = await models.ModmailThread.findDueScheduledCloses();
+    if (dueThreads.some(due => due.id === threadId)) {
+      throw new Error('Thread scheduled in the future is already due');
+    }
+    
+    if (!await thread.cancelScheduledClose() || thread.scheduledCloseAt) {
+      throw new Error('Scheduled close was not cancelled');
+    }
+    
+    // Schedule a close that is already due
+    await thread.scheduleClose('test-staff', 'Testing schedule', new Date(Date.now() - 1000));
+    
+    dueThreads = await models.ModmailThread.findDueScheduledCloses();
+    if (!dueThreads.some(due => due.id === threadId)) {
+      throw new Error('Thread with a past scheduled close is not due');
+    }
+    
+    // Close the thread
+    await thread.closeThread('test-staff', 'Testing close');
+    
+    if (thread.scheduledCloseAt || thread.scheduledCloseBy) {
+      throw new Error('Closing the thread did not clear the scheduled close');
+    }
+    
+    if (thread.open || !thread.closedAt || thread.closedBy !== 'test-staff') {
+      throw new Error('Thread was not closed correctly');
+    }
+    
+    const activeAfterClose = await models.ModmailThread.findActiveThread(thread.userId, thread.guildId);
+    if (activeAfterClose) {
+      throw new Error('Closed thread is still returned as active');
+    }
+    
+    // Reopen the thread
+    await thread.reopenThread();
+    await thread.reload();
+    
+    if (!thread.open || thread.closedAt || thread.closedBy || thread.closeReason) {
+      throw new Error('Thread was not reopened correctly');
+    }
+    
+    const activeAfterReopen = await models.ModmailThread.findActiveThread(thread.userId, thread.guildId);
+    if (!activeAfterReopen || activeAfterReopen.id !== threadId) {
+      throw new Error('Reopened thread is not returned as active');
+    }
+    
+    // A due close in a guild the bot can't see still closes the thread instead of staying due
+    await thread.scheduleClose('test-staff', 'Guild gone', new Date(Date.now() - 1000));
+    
+    const closedCount = await runScheduledCloses({ db: models, guilds: { cache: new Map() } });
+    await thread.reload();
+    
+    if (closedCount !== 1 || thread.open || thread.scheduledCloseAt || thread.closeReason !== 'Guild gone') {
+      throw new Error('Scheduled close without a guild did not close the thread');
+    }
+    
+    if ((await models.ModmailThread.findDueScheduledCloses()).some(due => due.id === threadId)) {
+      throw new Error('Thread is still due after its guild was gone');
+    }
+    
+    // Clean up
+    await thread.destroy({ force: true });
+    
+    logger.info('✅ Thread lifecycle test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Thread lifecycle test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file
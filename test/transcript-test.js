@@ -0,0 +1,159 @@
+/**
+ * Transcript Test
+ * 
+ * Verifies that transcripts are built from stored thread history in every format
+ * and that archived transcripts are indexed and purged after the retention period,
+ * and that the user copy of a channel transcript hides who sent anonymous replies
+ */
+const { connectToDatabase } = require('../src/database/db');
+const { logger } = require('../src/utils/logger');
+const { Embed } = require('discord.js');
+const { getUserTranscriptMessages, recordModmailMessage } = require('../src/utils/modmail');
+const { TRANSCRIPT_FORMATS, archiveTranscript, buildTranscript, purgeExpiredTranscripts, readArchivedTranscript } = require('../src/utils/transcripts');
+
+async function runTest() {
+  try {
+    logger.info('Starting transcript test...');
+    
+    const { models } = await connectToDatabase();
+    
+    // No gateway connection, so users and guilds can't be resolved
+    const client = {
+      db: models,
+      users: { fetch: async () => null },
+      guilds: { cache: new Map() }
+    };
+    
+    const threadId = `transcript-test-${Date.now()}`;
+    const thread = await models.ModmailThread.create({
+      id: threadId,
+      userId: 'transcript-user',
+      guildId: 'transcript-guild',
+      subject: 'Transcript test',
+      createdBy: 'transcript-user'
+    });
+    
+    await recordModmailMessage(client, thread, {
+      direction: 'user_to_staff',
+      author: { id: 'transcript-user', tag: 'User#0001' },
+      content: 'I need <help>'
+    });
+    
+    await recordModmailMessage(client, thread, {
+      direction: 'staff_to_user',
+      author: { id: 'transcript-staff', tag: 'Staff#0001' },
+      content: 'Happy to help',
+      channelMessageId: 'echo-anonymous',
+      metadata: { anonymous: true }
+    });
+    
+    await recordModmailMessage(client, thread, {
+      direction: 'internal',
+      author: { id: 'transcript-staff', tag: 'Staff#0001' },
+      content: 'Secret note',
+      channelMessageId: 'echo-note',
+      metadata: { type: 'note' }
+    });
+    
+    await thread.closeThread('SYSTEM', 'Resolved');
+    
+    for (const format of Object.keys(TRANSCRIPT_FORMATS)) {
+      const transcript = await buildTranscript(client, thread, { format });
+      const text = transcript.content.toString('utf8');
+      
+      if (!transcript.fileName.endsWith(`.${TRANSCRIPT_FORMATS[format].extension}`)) {
+        throw new Error(`${format} transcript has the wrong file extension: ${transcript.fileName}`);
+      }
+      
+      if (transcript.messageCount !== 3 || !text.includes('Resolved') || !text.includes('Happy to help')) {
+        throw new Error(`${format} transcript is missing the header or messages`);
+      }
+    }
+    
+    // Stored content is escaped in HTML
+    const html = (await buildTranscript(client, thread, { format: 'html' })).content.toString('utf8');
+    if (html.includes('<help>') || !html.includes('&lt;help&gt;')) {
+      throw new Error('HTML transcript did not escape message content');
+    }
+    
+    // JSON keeps the message counts
+    const json = JSON.parse((await buildTranscript(client, thread, { format: 'json' })).content.toString('utf8'));
+    if (json.header.counts.user !== 1 || json.header.counts.staff !== 1 || json.header.counts.internal !== 1) {
+      throw new Error('JSON transcript has the wrong message counts');
+    }
+    
+    // Internal notes can be left out
+    const userCopy = await buildTranscript(client, thread, { format: 'txt', includeInternal: false });
+    if (userCopy.content.toString('utf8').includes('Secret note')) {
+      throw new Error('Transcript without internal notes still contains a note');
+    }
+    
+    // Archive a transcript and find it again through the index
+    const archived = await archiveTranscript(client, thread, userCopy, 'transcript-staff');
+    if (!archived || archived.size !== userCopy.content.length) {
+      throw new Error('Transcript was not archived');
+    }
+    
+    const userTranscripts = await models.ModmailTranscript.findUserTranscripts(thread.guildId, thread.userId);
+    if (!userTranscripts.some(record => record.id === archived.id)) {
+      throw new Error('Archived transcript is missing from the index');
+    }
+    
+    const archivedContent = await readArchivedTranscript(archived);
+    if (!archivedContent || !archivedContent.equals(userCopy.content)) {
+      throw new Error('Archived transcript content does not match');
+    }
+    
+    // Transcripts past the default retention period are purged
+    await models.ModmailTranscript.update(
+      { createdAt: new Date('2000-01-01') },
+      { where: { id: archived.id }, silent: true }
+    );
+    
+    if (await purgeExpiredTranscripts(client) < 1 || await models.ModmailTranscript.findByPk(archived.id)) {
+      throw new Error('Expired transcript was not purged');
+    }
+    
+    if (await readArchivedTranscript(archived)) {
+      throw new Error('Expired transcript file was not deleted');
+    }
+    
+    // The user copy of a channel transcript hides internal notes and who sent anonymous replies
+    const channelMessage = (id, authorId, embed) => ({ id, author: { id: authorId }, embeds: [new Embed(embed)] });
+    const channelMessages = [
+      channelMessage('echo-anonymous', 'bot', { author: { name: 'Staff#0001' }, description: 'Happy to help', footer: { text: 'Staff Reply (sent anonymously)' } }),
+      channelMessage('echo-note', 'bot', { author: { name: 'Staff#0001' }, description: 'Secret note' }),
+      channelMessage('echo-chatter', 'transcript-staff', { description: 'Staff chatter' })
+    ];
+    
+    const userMessages = getUserTranscriptMessages(channelMessages, await models.ModmailMessage.findThreadMessages(threadId), {
+      botId: 'bot',
+      anonymousTitle: 'Support Team'
+    });
+    
+    if (userMessages.length !== 1 || userMessages[0].id !== 'echo-anonymous' || userMessages[0].author.id !== 'bot') {
+      throw new Error(`User transcript kept the wrong messages: ${userMessages.map(msg => msg.id).join()}`);
+    }
+    
+    const anonymousEmbed = userMessages[0].embeds[0];
+    if (anonymousEmbed.author.name !== 'Support Team' || anonymousEmbed.footer.text.includes('anonymously') || anonymousEmbed.description !== 'Happy to help') {
+      throw new Error(`User transcript exposed the staff member of an anonymous reply: ${JSON.stringify(anonymousEmbed.toJSON())}`);
+    }
+    
+    if (channelMessages[0].embeds[0].author.name !== 'Staff#0001') {
+      throw new Error('Staff transcript lost the name of the staff member');
+    }
+    
+    // Clean up
+    await models.ModmailMessage.destroy({ where: { threadId } });
+    await thread.destroy({ force: true });
+    
+    logger.info('✅ Transcript test passed');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Transcript test failed: ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+runTest();
\ No newline at end of file